@@ -0,0 +1,476 @@
+#!/usr/bin/env node
+/**
+ * Athletics Utilities CLI
+ * Runs the website's calculators from Node, reading web/public/data directly
+ *
+ * Usage: athletics-utils <command> [options]
+ * Run `athletics-utils help` for the list of commands.
+ */
+
+import { loadLocalData } from './local-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import { combinedEventsConfigLoader } from '../web/src/js/data/combined-events-config-loader.js';
+import { lookupPoints, lookupPerformance, findEquivalentPerformances } from '../web/src/js/calculators/performance-lookup.js';
+import { lookupWindAdjustedPoints, parseWindInput } from '../web/src/js/calculators/wind-adjustment.js';
+import { calculatePace, calculateTotalTime, getDistanceInMetres, getEquivalentPaces } from '../web/src/js/calculators/pace-calculations.js';
+import { parsePerformance, formatPerformance } from '../web/src/js/utils/performance-parser.js';
+import { parseTimeInput, parsePaceInput, formatPaceTime, formatTotalTime, formatSpeed } from '../web/src/js/utils/pace-formatter.js';
+import { calculateEventScore, convertPerformanceToValue, formatPerformanceDisplay } from '../web/src/js/utils/combined-events-scorer.js';
+import { parseGender } from '../web/src/js/calculators/bulk-scoring.js';
+
+const USAGE = `Usage: athletics-utils <command> [options]
+
+Commands:
+  score        Points for a mark
+               --gender <men|women|mixed> --event <event> --mark <mark> [--hand-timed] [--wind <m/s>]
+  reverse      Mark needed for a score
+               --gender <gender> --event <event> --points <points> [--hand-timed]
+  equivalents  Equivalent marks across the primary events
+               --gender <gender> (--points <points> | --event <event> --mark <mark>)
+  combined     Combined events scoring (single discipline or full competition)
+               --gender <men|women> --event <discipline> --mark <mark> [--hand-timed]
+               --gender <men|women> --event <decathlon|heptathlon|...> --marks <mark,mark,...> [--hand-timed]
+  pace         Pace from distance and time, or time from distance and pace
+               --distance <event|metres|10km|26.2mi> (--time <time> | --pace <m:ss>) [--unit <km|mile>]
+
+Options:
+  --edition    Scoring tables edition for score, reverse and equivalents (e.g., 2025; defaults to the newest)
+  --json       Print the result as JSON
+  --help       Show this message
+
+Events can be given as a key or display name (e.g., "400m", "110m h", "Long Jump").`;
+
+const BOOLEAN_FLAGS = ['json', 'hand-timed', 'help'];
+
+/**
+ * Error caused by invalid command-line input (printed without a stack trace)
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string|undefined, options: Object}}
+ */
+function parseArgs(argv) {
+  const options = {};
+  let command;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      if (command) {
+        throw new UsageError(`Unexpected argument: ${arg}`);
+      }
+      command = arg;
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+    if (BOOLEAN_FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new UsageError(`Missing value for --${name}`);
+    }
+  }
+
+  return { command, options };
+}
+
+/**
+ * Get a required option
+ * @param {Object} options
+ * @param {string} name
+ * @returns {string}
+ */
+function requireOption(options, name) {
+  if (options[name] === undefined || options[name] === '') {
+    throw new UsageError(`Missing required option --${name}`);
+  }
+  return options[name];
+}
+
+/**
+ * Resolve and validate the --gender option
+ * @param {Object} options
+ * @returns {string}
+ */
+function resolveGender(options) {
+  const value = requireOption(options, 'gender');
+  const gender = parseGender(value);
+  if (!gender) {
+    throw new UsageError(`Unknown gender: ${value}`);
+  }
+  return gender;
+}
+
+/**
+ * Switch the scoring tables to the --edition option's edition
+ * @param {string} edition
+ * @returns {Promise<void>}
+ */
+async function selectEdition(edition) {
+  const editions = scoringDataLoader.getEditions().map(entry => entry.id);
+
+  if (!editions.includes(edition)) {
+    throw new UsageError(`Unknown scoring tables edition: ${edition} (available: ${editions.join(', ')})`);
+  }
+
+  await scoringDataLoader.setEdition(edition);
+  await scoringDataLoader.load();
+}
+
+/**
+ * Resolve the --event option to a scoring table event and load its table
+ * @param {Object} options
+ * @param {string} gender
+ * @returns {Promise<string>} Event key
+ */
+async function resolveScoringEvent(options, gender) {
+  const value = requireOption(options, 'event');
+  const event = eventConfigLoader.findEventKey(value);
+
+  if (!event || !scoringDataLoader.findCategory(gender, event)) {
+    throw new UsageError(`Unknown event for ${gender}: ${value}`);
+  }
+
+  await scoringDataLoader.loadEvent(gender, event);
+  return event;
+}
+
+/**
+ * Parse the --mark option for an event
+ * @param {Object} options
+ * @param {string} event
+ * @returns {string} Normalized performance
+ */
+function resolveMark(options, event) {
+  const value = requireOption(options, 'mark');
+  const performance = parsePerformance(value, event);
+  if (!performance) {
+    throw new UsageError(`Invalid mark: ${value}`);
+  }
+  return performance;
+}
+
+function eventName(event) {
+  return eventConfigLoader.getEventInfo(event)?.displayName || event;
+}
+
+async function scoreCommand(options) {
+  const gender = resolveGender(options);
+  const event = await resolveScoringEvent(options, gender);
+  const performance = resolveMark(options, event);
+  const isHandTimed = Boolean(options['hand-timed']);
+
+  const result = lookupPoints(gender, event, performance, isHandTimed);
+  if (!result) {
+    throw new UsageError(`Could not find points for ${options.mark}`);
+  }
+
+  const output = {
+    gender,
+    event,
+    edition: scoringDataLoader.getEdition(),
+    mark: performance,
+    points: result.points,
+    exactMatch: result.exactMatch,
+    tablePerformance: result.closestPerformance
+  };
+
+  if (result.appliedOffset) {
+    output.handTimingOffset = result.appliedOffset;
+  }
+
+  if (options.wind !== undefined) {
+    const windSpeed = parseWindInput(options.wind);
+    if (windSpeed === null) {
+      throw new UsageError(`Invalid wind reading: ${options.wind}`);
+    }
+    const windResult = lookupWindAdjustedPoints(gender, event, performance, windSpeed, isHandTimed);
+    if (windResult) {
+      output.wind = windSpeed;
+      output.stillAirPerformance = windResult.stillAirPerformance;
+      output.stillAirPoints = windResult.points;
+    }
+  }
+
+  const lines = [`${eventName(event)} (${gender}) ${formatPerformance(performance, event)}: ${result.points} points`];
+  if (output.stillAirPoints !== undefined) {
+    lines.push(`Still-air equivalent: ${formatPerformance(output.stillAirPerformance, event)} (${output.stillAirPoints} points)`);
+  }
+
+  return { output, lines };
+}
+
+async function reverseCommand(options) {
+  const gender = resolveGender(options);
+  const event = await resolveScoringEvent(options, gender);
+  const points = Number(requireOption(options, 'points'));
+
+  if (isNaN(points) || points <= 0) {
+    throw new UsageError(`Invalid points: ${options.points}`);
+  }
+
+  const result = lookupPerformance(gender, event, points, Boolean(options['hand-timed']));
+  if (!result) {
+    throw new UsageError(`Could not find a mark for ${options.points} points`);
+  }
+
+  const output = {
+    gender,
+    event,
+    edition: scoringDataLoader.getEdition(),
+    points: result.points,
+    exactMatch: result.exactMatch,
+    mark: result.performance
+  };
+
+  if (result.appliedOffset) {
+    output.handTimingOffset = result.appliedOffset;
+  }
+
+  return {
+    output,
+    lines: [`${eventName(event)} (${gender}) ${result.points} points: ${formatPerformance(result.performance, event)}`]
+  };
+}
+
+async function equivalentsCommand(options) {
+  const gender = resolveGender(options);
+  let points;
+
+  if (options.points !== undefined) {
+    points = Math.round(Number(options.points));
+    if (isNaN(points) || points <= 0) {
+      throw new UsageError(`Invalid points: ${options.points}`);
+    }
+  } else {
+    const { output } = await scoreCommand({ ...options, wind: undefined });
+    points = output.points;
+  }
+
+  const equivalents = await findEquivalentPerformances(gender, points);
+
+  return {
+    output: {
+      gender,
+      points,
+      equivalents: equivalents.map(({ event, category, performance, points: eventPoints, exactMatch }) => ({
+        event,
+        category,
+        mark: performance,
+        points: eventPoints,
+        exactMatch
+      }))
+    },
+    lines: [
+      `Equivalent performances for ${points} points (${gender}):`,
+      ...equivalents.map(equiv => `  ${eventName(equiv.event).padEnd(24)} ${formatPerformance(equiv.performance, equiv.event)}`)
+    ]
+  };
+}
+
+async function combinedCommand(options) {
+  const gender = resolveGender(options);
+  const eventKey = requireOption(options, 'event').toLowerCase();
+  const isHandTimed = Boolean(options['hand-timed']);
+
+  const combinedEvent = await combinedEventsConfigLoader.getCombinedEvent(gender, eventKey);
+
+  if (combinedEvent) {
+    const disciplines = await combinedEventsConfigLoader.getCombinedEventDetails(gender, eventKey);
+    const marks = requireOption(options, 'marks').split(',').map(mark => mark.trim());
+
+    if (marks.length !== disciplines.length) {
+      throw new UsageError(`${combinedEvent.displayName} needs ${disciplines.length} marks (${disciplines.map(d => d.key).join(', ')}), got ${marks.length}`);
+    }
+
+    const events = [];
+    for (let i = 0; i < disciplines.length; i++) {
+      events.push(await scoreDiscipline(disciplines[i], marks[i], isHandTimed));
+    }
+    const total = events.reduce((sum, event) => sum + event.points, 0);
+
+    return {
+      output: { gender, event: eventKey, total, events },
+      lines: [
+        ...events.map(event => `  ${event.displayName.padEnd(20)} ${event.display.padStart(10)} ${String(event.points).padStart(5)}`),
+        `${combinedEvent.displayName} (${gender}) total: ${total} points`
+      ]
+    };
+  }
+
+  const discipline = await combinedEventsConfigLoader.getEventParameters(gender, eventKey);
+  if (!discipline) {
+    throw new UsageError(`Unknown combined event or discipline for ${gender}: ${options.event}`);
+  }
+
+  const isHandTimeable = await combinedEventsConfigLoader.isHandTimeable(eventKey);
+  const result = await scoreDiscipline({ key: eventKey, ...discipline, isHandTimeable }, requireOption(options, 'mark'), isHandTimed);
+
+  return {
+    output: { gender, ...result },
+    lines: [`${result.displayName} (${gender}) ${result.display}: ${result.points} points`]
+  };
+}
+
+/**
+ * Score one combined events discipline
+ * @param {Object} discipline - {key, displayName, measurement, parameters, isHandTimeable}
+ * @param {string} mark
+ * @param {boolean} isHandTimed
+ * @returns {Promise<Object>} {event, displayName, mark, display, points}
+ */
+async function scoreDiscipline(discipline, mark, isHandTimed) {
+  let value = convertPerformanceToValue(mark, discipline.measurement, discipline.key);
+
+  if (value === null || value <= 0) {
+    throw new UsageError(`Invalid mark for ${discipline.displayName}: ${mark}`);
+  }
+
+  if (isHandTimed && discipline.isHandTimeable) {
+    value += await combinedEventsConfigLoader.getHandTimingOffset(discipline.key);
+  }
+
+  return {
+    event: discipline.key,
+    displayName: discipline.displayName,
+    mark,
+    display: formatPerformanceDisplay(value, discipline.measurement, discipline.key),
+    points: calculateEventScore(value, discipline.parameters, discipline.measurement)
+  };
+}
+
+async function paceCommand(options) {
+  const distance = resolveDistance(requireOption(options, 'distance'));
+  const unit = options.unit || 'km';
+
+  if (unit !== 'km' && unit !== 'mile') {
+    throw new UsageError(`Unknown pace unit: ${unit} (use km or mile)`);
+  }
+
+  let totalTime;
+  let pace;
+
+  if (options.time !== undefined) {
+    totalTime = parseTimeInput(options.time);
+    if (!totalTime) {
+      throw new UsageError(`Invalid time: ${options.time}`);
+    }
+    pace = calculatePace(distance, totalTime, unit);
+  } else if (options.pace !== undefined) {
+    pace = parsePaceInput(options.pace);
+    if (!pace) {
+      throw new UsageError(`Invalid pace: ${options.pace} (use m:ss)`);
+    }
+    totalTime = calculateTotalTime(distance, pace, unit);
+  } else {
+    throw new UsageError('Missing required option --time or --pace');
+  }
+
+  const equivalents = getEquivalentPaces(calculatePace(distance, totalTime, 'km'));
+
+  return {
+    output: {
+      distanceMetres: distance,
+      totalTimeSeconds: totalTime,
+      paceUnit: unit,
+      paceSeconds: pace,
+      perKmSeconds: equivalents.perKm,
+      perMileSeconds: equivalents.perMile,
+      kmh: equivalents.kmh,
+      mph: equivalents.mph
+    },
+    lines: [
+      `Distance: ${distance}m`,
+      `Time: ${formatTotalTime(totalTime)}`,
+      `Pace: ${formatPaceTime(equivalents.perKm)} /km, ${formatPaceTime(equivalents.perMile)} /mile`,
+      `Speed: ${formatSpeed(equivalents.kmh, 'km/h')}, ${formatSpeed(equivalents.mph, 'mph')}`
+    ]
+  };
+}
+
+/**
+ * Resolve a distance given as an event, metres, or a value with a km/mi suffix
+ * @param {string} value
+ * @returns {number} Distance in metres
+ */
+function resolveDistance(value) {
+  const event = eventConfigLoader.findEventKey(value);
+  if (event) {
+    return getDistanceInMetres(event, eventConfigLoader.data);
+  }
+
+  const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(m|km|mi|miles?)?$/);
+  if (!match) {
+    throw new UsageError(`Invalid distance: ${value}`);
+  }
+
+  const amount = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'km':
+      return amount * 1000;
+    case 'mi':
+    case 'mile':
+    case 'miles':
+      return amount * 1609.344;
+    default:
+      return amount;
+  }
+}
+
+const COMMANDS = {
+  score: scoreCommand,
+  reverse: reverseCommand,
+  equivalents: equivalentsCommand,
+  combined: combinedCommand,
+  pace: paceCommand
+};
+
+async function main() {
+  let options = {};
+
+  try {
+    const parsed = parseArgs(process.argv.slice(2));
+    options = parsed.options;
+
+    if (!parsed.command || parsed.command === 'help' || options.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    const command = COMMANDS[parsed.command];
+    if (!command) {
+      throw new UsageError(`Unknown command: ${parsed.command}`);
+    }
+
+    await loadLocalData();
+    if (options.edition !== undefined) {
+      await selectEdition(options.edition);
+    }
+
+    const { output, lines } = await command(options);
+
+    console.log(options.json ? JSON.stringify(output, null, 2) : lines.join('\n'));
+  } catch (error) {
+    if (options.json) {
+      console.error(JSON.stringify({ error: error.message }));
+    } else {
+      console.error(`Error: ${error.message}`);
+      if (error instanceof UsageError) {
+        console.error('Run "athletics-utils help" for usage.');
+      }
+    }
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,34 @@
+/**
+ * Local Data
+ * Point the shared data loaders at the JSON in web/public/data instead of fetching it
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { setDataSource } from '../web/src/js/data/data-source.js';
+import { NodeFileDataSource } from '../web/src/js/data/node-file-data-source.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import { combinedEventsConfigLoader } from '../web/src/js/data/combined-events-config-loader.js';
+
+// ES module equivalent of __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_DATA_DIR = path.join(path.dirname(__dirname), 'web', 'public', 'data');
+
+/**
+ * Load the event config, scoring tables manifest and combined events config from disk
+ * Scoring table chunks are still loaded per event on demand, from disk.
+ * @param {string} dataDir - Directory containing the website's data files
+ * @returns {Promise<void>}
+ */
+export async function loadLocalData(dataDir = DEFAULT_DATA_DIR) {
+  setDataSource(new NodeFileDataSource(dataDir));
+
+  await Promise.all([
+    eventConfigLoader.load(),
+    scoringDataLoader.load(),
+    combinedEventsConfigLoader.loadConfig()
+  ]);
+}
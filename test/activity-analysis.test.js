@@ -0,0 +1,110 @@
+/**
+ * Activity Analysis Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseActivityFile,
+  haversineDistance,
+  analyseActivity,
+  getTimeAtDistance
+} from '../web/src/js/calculators/activity-analysis.js';
+
+// 0.001° of longitude on the equator is 111.195m
+const LONGITUDE_STEP_METRES = 111.195;
+
+const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Test" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>Morning Run</name>
+    <trkseg>
+      <trkpt lat="0" lon="0.000"><ele>10</ele><time>2024-05-01T07:00:00Z</time></trkpt>
+      <trkpt lat="0" lon="0.001"><ele>11</ele><time>2024-05-01T07:00:30Z</time></trkpt>
+      <trkpt lat="0" lon="0.001"><ele>11</ele><time>2024-05-01T07:01:30Z</time></trkpt>
+      <trkpt lat="0" lon="0.002"><ele>12</ele><time>2024-05-01T07:02:00Z</time></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+const tcx = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Activities>
+    <Activity Sport="Running">
+      <Id>2024-05-01T07:00:00Z</Id>
+      <Lap StartTime="2024-05-01T07:00:00Z">
+        <Track>
+          <Trackpoint><Time>2024-05-01T07:00:00Z</Time><DistanceMeters>0</DistanceMeters></Trackpoint>
+          <Trackpoint><Time>2024-05-01T07:04:00Z</Time><DistanceMeters>1000</DistanceMeters></Trackpoint>
+          <Trackpoint><Time>2024-05-01T07:08:30Z</Time><DistanceMeters>2000</DistanceMeters></Trackpoint>
+        </Track>
+      </Lap>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`;
+
+describe('parseActivityFile', () => {
+  it('reads GPX track points', () => {
+    const { format, name, points } = parseActivityFile(gpx);
+    assert.equal(format, 'gpx');
+    assert.equal(name, 'Morning Run');
+    assert.equal(points.length, 4);
+    assert.deepEqual(points[1], {
+      time: Date.parse('2024-05-01T07:00:30Z'),
+      lat: 0,
+      lon: 0.001,
+      elevation: 11,
+      distance: null
+    });
+  });
+
+  it('reads TCX track points without positions', () => {
+    const { format, name, points } = parseActivityFile(tcx);
+    assert.equal(format, 'tcx');
+    assert.equal(name, '2024-05-01T07:00:00Z');
+    assert.equal(points.length, 3);
+    assert.equal(points[2].distance, 2000);
+    assert.equal(points[2].lat, null);
+  });
+
+  it('rejects other files', () => {
+    assert.throws(() => parseActivityFile('<kml></kml>'), /Not a GPX or TCX file/);
+    assert.throws(() => parseActivityFile('<gpx><trk></trk></gpx>'), /no timed track points/);
+  });
+});
+
+describe('haversineDistance', () => {
+  it('measures great-circle distances', () => {
+    const distance = haversineDistance({ lat: 0, lon: 0 }, { lat: 0, lon: 0.001 });
+    assert.equal(distance.toFixed(3), LONGITUDE_STEP_METRES.toFixed(3));
+  });
+});
+
+describe('analyseActivity', () => {
+  it('leaves stops out of the moving time', () => {
+    const activity = analyseActivity(parseActivityFile(gpx).points);
+    assert.equal(activity.distance.toFixed(2), (2 * LONGITUDE_STEP_METRES).toFixed(2));
+    assert.equal(activity.elapsedTime, 120);
+    assert.equal(activity.movingTime, 60);
+  });
+
+  it('uses the recorded distance when every point has one', () => {
+    const activity = analyseActivity(parseActivityFile(tcx).points);
+    assert.equal(activity.distance, 2000);
+    assert.equal(activity.movingTime, 510);
+  });
+});
+
+describe('getTimeAtDistance', () => {
+  const activity = analyseActivity(parseActivityFile(tcx).points);
+
+  it('interpolates between track points', () => {
+    assert.equal(getTimeAtDistance(activity, 1000), 240);
+    assert.equal(getTimeAtDistance(activity, 1500), 375);
+  });
+
+  it('returns the moving time at or past the end', () => {
+    assert.equal(getTimeAtDistance(activity, 2000), 510);
+    assert.equal(getTimeAtDistance(activity, 2500), 510);
+  });
+});
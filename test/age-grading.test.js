@@ -0,0 +1,123 @@
+/**
+ * Age-Grading Tests
+ * Uses small in-memory tables; the factors are test fixtures, not WMA values
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryDataSource, setDataSource } from '../web/src/js/data/data-source.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { ageFactorsLoader } from '../web/src/js/data/age-factors-loader.js';
+import { calculateAgeGrade } from '../web/src/js/calculators/age-grading.js';
+import { NodeFileDataSource } from '../web/src/js/data/node-file-data-source.js';
+import { DEFAULT_DATA_DIR } from '../cli/local-data.js';
+
+before(async () => {
+  setDataSource(new MemoryDataSource({
+    'events_config.json': {
+      events: {
+        '100m': { displayName: '100m', measurementFormat: 'time', category: 'sprints' },
+        lj: { displayName: 'Long Jump', measurementFormat: 'distance', category: 'jumps' }
+      },
+      handTimingOffsets: [{ offset: 0.24, events: ['100m'] }]
+    },
+    'scoring_tables/editions.json': { default: '2025', editions: [{ id: '2025', name: '2025 Edition' }] },
+    'scoring_tables/2025/manifest.json': {
+      men: { sprints: { '100m': 'men/100m.json' }, jumps: { lj: 'men/lj.json' } }
+    },
+    'scoring_tables/2025/men/100m.json': [[1100, '10.00'], [1000, '10.20'], [900, '10.40']],
+    'scoring_tables/2025/men/lj.json': [[1100, '8.00'], [1000, '7.80'], [900, '7.60']],
+    'age_factors/index.json': {
+      default: 'test-1',
+      versions: [{ id: 'test-1', name: 'Test', file: 'test-1.json' }]
+    },
+    'age_factors/test-1.json': {
+      version: 'test-1',
+      men: {
+        '100m': { openStandard: 9.6, minAge: 40, factors: [0.96, 0.955, 0.95] },
+        lj: { openStandard: 8.8, minAge: 40, factors: [0.9, null, 0.88] }
+      }
+    }
+  }));
+
+  await Promise.all([eventConfigLoader.load(), ageFactorsLoader.load()]);
+  await scoringDataLoader.loadEvents('men', ['100m', 'lj']);
+});
+
+describe('ageFactorsLoader', () => {
+  it('selects the default version', () => {
+    assert.equal(ageFactorsLoader.getVersion(), 'test-1');
+  });
+
+  it('looks up factors by whole year of age', () => {
+    assert.equal(ageFactorsLoader.getAgeFactor('men', '100m', 41), 0.955);
+    assert.equal(ageFactorsLoader.getAgeFactor('men', '100m', 39), null);
+    assert.equal(ageFactorsLoader.getAgeFactor('men', '100m', 43), null);
+    assert.equal(ageFactorsLoader.getAgeFactor('men', 'lj', 41), null);
+    assert.deepEqual(ageFactorsLoader.getAgeRange('men', '100m'), { min: 40, max: 42 });
+  });
+});
+
+describe('calculateAgeGrade', () => {
+  it('grades times against the age standard', () => {
+    // Age standard 9.6 / 0.96 = 10.00; 10.00 / 10.50 = 95.24%; 10.50 × 0.96 = 10.08
+    const result = calculateAgeGrade('men', '100m', '10.50', 40);
+
+    assert.equal(result.ageFactor, 0.96);
+    assert.equal(result.ageStandard.toFixed(2), '10.00');
+    assert.equal(result.percentage.toFixed(2), '95.24');
+    assert.equal(result.ageGradedPerformance, '10.08');
+    assert.equal(result.points, 1000);
+  });
+
+  it('grades field marks against the age standard', () => {
+    // Age standard 8.8 × 0.88 = 7.744; 7.00 / 7.744 = 90.39%; 7.00 / 0.88 = 7.954 -> 7.95
+    const result = calculateAgeGrade('men', 'lj', '7.00', 42);
+
+    assert.equal(result.percentage.toFixed(2), '90.39');
+    assert.equal(result.ageGradedPerformance, '7.95');
+    assert.equal(result.points, 1000);
+  });
+
+  it('applies the hand timing offset before grading', () => {
+    const handTimed = calculateAgeGrade('men', '100m', '10.26', 40, true);
+    const electronic = calculateAgeGrade('men', '100m', '10.50', 40);
+
+    assert.equal(handTimed.percentage, electronic.percentage);
+  });
+
+  it('returns null for ages or events without factors', () => {
+    assert.equal(calculateAgeGrade('men', '100m', '10.50', 35), null);
+    assert.equal(calculateAgeGrade('men', 'lj', '7.00', 41), null);
+    assert.equal(calculateAgeGrade('women', '100m', '11.50', 40), null);
+  });
+});
+
+describe('published age factors', () => {
+  // Runs last: swaps the fixtures for the tables in web/public/data
+  before(async () => {
+    setDataSource(new NodeFileDataSource(DEFAULT_DATA_DIR));
+    ageFactorsLoader.clear();
+    await ageFactorsLoader.load();
+  });
+
+  it('publishes a default version', { todo: 'no WMA factor table has been imported with tools/age-factors-importer yet' }, () => {
+    const versions = ageFactorsLoader.getVersions();
+    assert.ok(versions.length > 0);
+    assert.equal(ageFactorsLoader.getVersion(), versions[0].id);
+  });
+
+  it('loads every published version with factors for known ages', async () => {
+    for (const { id } of ageFactorsLoader.getVersions()) {
+      const table = await ageFactorsLoader.setVersion(id);
+      for (const gender of ['men', 'women']) {
+        for (const [event, { openStandard, minAge, factors }] of Object.entries(table[gender] || {})) {
+          assert.ok(openStandard > 0, `${id} ${gender} ${event}`);
+          assert.ok(Number.isInteger(minAge), `${id} ${gender} ${event}`);
+          assert.ok(factors.every(factor => factor === null || (factor > 0 && factor <= 1)), `${id} ${gender} ${event}`);
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Bulk Scoring Tests
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLocalData } from '../cli/local-data.js';
+import { lookupPoints } from '../web/src/js/calculators/performance-lookup.js';
+import { lookupWindAdjustedPoints } from '../web/src/js/calculators/wind-adjustment.js';
+import {
+  parseResultsCSV,
+  scoreResults,
+  resultsToCSV,
+  parseGender
+} from '../web/src/js/calculators/bulk-scoring.js';
+
+before(async () => {
+  await loadLocalData();
+});
+
+describe('parseResultsCSV', () => {
+  it('reads columns in the default order without a header', () => {
+    const [row] = parseResultsCSV('Jo Smith,M,100m,10.00,,+1.2');
+    assert.deepEqual(row, {
+      line: 1,
+      athlete: 'Jo Smith',
+      gender: 'M',
+      event: '100m',
+      mark: '10.00',
+      handTimed: '',
+      wind: '+1.2'
+    });
+  });
+
+  it('maps header aliases to columns in any order', () => {
+    const rows = parseResultsCSV('Result,Sex,Name,Discipline,Wind (m/s)\n6.92,F,Lee,Long Jump,-0.4');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].line, 2);
+    assert.equal(rows[0].athlete, 'Lee');
+    assert.equal(rows[0].gender, 'F');
+    assert.equal(rows[0].event, 'Long Jump');
+    assert.equal(rows[0].mark, '6.92');
+    assert.equal(rows[0].wind, '-0.4');
+    assert.equal(rows[0].handTimed, '');
+  });
+
+  it('treats a first row without event and mark headers as data', () => {
+    assert.equal(parseResultsCSV('Athlete,Gender\nJo,M').length, 2);
+  });
+});
+
+describe('parseGender', () => {
+  it('accepts common spellings', () => {
+    assert.equal(parseGender('M'), 'men');
+    assert.equal(parseGender(' Female '), 'women');
+    assert.equal(parseGender('x'), 'mixed');
+    assert.equal(parseGender('boys'), null);
+  });
+});
+
+describe('scoreResults', () => {
+  it('scores valid rows alongside row errors', async () => {
+    const csv = [
+      'athlete,gender,event,mark,hand-timed,wind',
+      'Valid,M,100m,10.00,,',
+      'Bad Event,M,Egg and Spoon,10.00,,',
+      'Bad Mark,W,Long Jump,far,,',
+      'Bad Gender,Q,100m,10.00,,',
+      'Bad Wind,M,100m,10.00,,gusty',
+      'Women,W,800m,2:09.43,,'
+    ].join('\n');
+
+    const results = await scoreResults(parseResultsCSV(csv));
+
+    assert.deepEqual(results.map(result => result.points), [1206, null, null, null, null, 1000]);
+    assert.deepEqual(results.map(result => result.error), [
+      null,
+      'Unknown event "Egg and Spoon" for men',
+      'Invalid mark "far"',
+      'Unknown gender "Q"',
+      'Invalid wind reading "gusty"',
+      null
+    ]);
+    assert.deepEqual(results.map(result => result.line), [2, 3, 4, 5, 6, 7]);
+  });
+
+  it('applies hand timing offsets and still-air points', async () => {
+    const [handTimed, windy] = await scoreResults(parseResultsCSV('Jo,M,100m,10.0,Y,\nLee,M,100m,10.00,,+1.5'));
+
+    assert.equal(handTimed.handTimed, true);
+    assert.equal(handTimed.points, lookupPoints('men', '100m', '10.0', true).points);
+    assert.equal(windy.windSpeed, 1.5);
+    assert.equal(windy.points, 1206);
+    assert.equal(windy.stillAirPoints, lookupWindAdjustedPoints('men', '100m', '10.00', 1.5).points);
+    assert.ok(windy.stillAirPoints < windy.points);
+  });
+
+  it('ignores wind readings for events without wind correction', async () => {
+    const [row] = await scoreResults(parseResultsCSV('Jo,W,800m,2:09.43,,+3.0'));
+    assert.equal(row.error, null);
+    assert.equal(row.windSpeed, null);
+    assert.equal(row.stillAirPoints, null);
+  });
+});
+
+describe('resultsToCSV', () => {
+  it('writes points and errors for every row', async () => {
+    const results = await scoreResults(parseResultsCSV('"Smith, Jo",M,100m,10.00,,+1.5\nLee,M,Egg and Spoon,1,,'));
+    const lines = resultsToCSV(results).split('\r\n');
+
+    assert.equal(lines[0], 'Athlete,Gender,Event,Mark,Hand Timed,Wind,Points,Still-Air Points,Error');
+    assert.match(lines[1], /^"Smith, Jo",men,100m,10\.00,,\+1\.5,1206,\d+,$/);
+    assert.equal(lines[2], 'Lee,men,Egg and Spoon,1,,,,,"Unknown event ""Egg and Spoon"" for men"');
+  });
+});
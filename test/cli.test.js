@@ -0,0 +1,64 @@
+/**
+ * CLI Tests
+ * Runs cli/athletics-utils.js as a child process against the data in web/public/data
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli', 'athletics-utils.js');
+
+/**
+ * Run the CLI
+ * @param {string[]} args
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runCli(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('athletics-utils', () => {
+  it('prints a score lookup as JSON', async () => {
+    const { code, stdout } = await runCli(['score', '--gender', 'men', '--event', '100m', '--mark', '10.00', '--json']);
+
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout), {
+      gender: 'men',
+      event: '100m',
+      edition: '2025',
+      mark: '10.00',
+      points: 1206,
+      exactMatch: true,
+      tablePerformance: '10.00'
+    });
+  });
+
+  it('exits non-zero on an unknown event', async () => {
+    const { code, stdout, stderr } = await runCli(['score', '--gender', 'men', '--event', 'egg and spoon', '--mark', '10.00']);
+
+    assert.equal(code, 1);
+    assert.equal(stdout, '');
+    assert.match(stderr, /Unknown event for men: egg and spoon/);
+  });
+
+  it('reports errors as JSON with --json', async () => {
+    const { code, stderr } = await runCli(['score', '--gender', 'men', '--event', 'egg and spoon', '--mark', '10.00', '--json']);
+
+    assert.equal(code, 1);
+    assert.deepEqual(JSON.parse(stderr), { error: 'Unknown event for men: egg and spoon' });
+  });
+
+  it('exits non-zero on an unknown command', async () => {
+    const { code, stderr } = await runCli(['sprint']);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /sprint/);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Combined Events Age Group Tests
+ * Age factors here are round test values, not WMA factors
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLocalData } from '../cli/local-data.js';
+import { combinedEventsConfigLoader } from '../web/src/js/data/combined-events-config-loader.js';
+import {
+  getAgeFactorEventKey,
+  ageGradePerformance,
+  removeAgeGrade,
+  getAgeGroupOption
+} from '../web/src/js/utils/combined-events-age-grading.js';
+
+before(async () => {
+  await loadLocalData();
+});
+
+describe('getAgeFactorEventKey', () => {
+  it('maps hurdles keys to the factor table keys', () => {
+    assert.equal(getAgeFactorEventKey('110mh'), '110m h');
+    assert.equal(getAgeFactorEventKey('60mh'), '60m h');
+  });
+
+  it('leaves other keys unchanged', () => {
+    assert.equal(getAgeFactorEventKey('100m'), '100m');
+    assert.equal(getAgeFactorEventKey('1500m'), '1500m');
+    assert.equal(getAgeFactorEventKey('lj'), 'lj');
+  });
+});
+
+describe('ageGradePerformance', () => {
+  it('scales times down, rounding up to the hundredth', () => {
+    assert.equal(ageGradePerformance(12, 0.9, 'time', '100m'), 10.8);
+    assert.equal(ageGradePerformance(12.01, 0.9, 'time', '100m'), 10.81);
+  });
+
+  it('scales marks up, rounding down to the centimetre', () => {
+    assert.equal(ageGradePerformance(12, 0.85, 'distance', 'sp'), 14.11);
+    assert.equal(ageGradePerformance(600, 0.85, 'distance', 'lj'), 705);
+    assert.equal(ageGradePerformance(170, 0.85, 'height', 'hj'), 200);
+  });
+});
+
+describe('removeAgeGrade', () => {
+  it('finds the slowest time that age-grades to the mark', () => {
+    assert.equal(removeAgeGrade(10.8, 0.9, 'time', '100m'), 12);
+    assert.ok(ageGradePerformance(12.01, 0.9, 'time', '100m') > 10.8);
+  });
+
+  it('finds the shortest mark that age-grades to the mark', () => {
+    assert.equal(removeAgeGrade(14.11, 0.85, 'distance', 'sp'), 12);
+    assert.ok(ageGradePerformance(11.99, 0.85, 'distance', 'sp') < 14.11);
+    assert.equal(removeAgeGrade(705, 0.85, 'distance', 'lj'), 600);
+  });
+});
+
+describe('getAgeGroupOption', () => {
+  it('lists open age groups unchanged', () => {
+    assert.deepEqual(getAgeGroupOption('Open', { ageGraded: false }, false), {
+      value: 'Open',
+      label: 'Open',
+      ageGraded: false,
+      factorsUnavailable: false
+    });
+  });
+
+  it('age-grades masters groups when factors are published', () => {
+    const option = getAgeGroupOption('Masters', { ageGraded: true }, true);
+    assert.equal(option.label, 'Masters');
+    assert.equal(option.ageGraded, true);
+    assert.equal(option.factorsUnavailable, false);
+  });
+
+  it('keeps masters groups selectable without factors, scored unadjusted', () => {
+    const option = getAgeGroupOption('Masters', { ageGraded: true }, false);
+    assert.equal(option.value, 'Masters');
+    assert.equal(option.label, 'Masters (age factors unavailable)');
+    assert.equal(option.ageGraded, false);
+    assert.equal(option.factorsUnavailable, true);
+  });
+});
+
+describe('combinedEventsConfigLoader age groups', () => {
+  it('lists each age group separately', async () => {
+    assert.deepEqual(await combinedEventsConfigLoader.getAgeGroups('men', 'decathlon'), ['U18', 'U20', 'Open', 'Masters']);
+    assert.deepEqual(await combinedEventsConfigLoader.getAgeGroups('women', 'decathlon'), ['U20', 'Open', 'Masters']);
+  });
+
+  it('applies a youth variant\'s name and implements', async () => {
+    const decathlon = await combinedEventsConfigLoader.getCombinedEvent('men', 'decathlon', 'U18');
+    assert.equal(decathlon.displayName, 'Decathlon (U18)');
+    assert.equal(decathlon.ageGraded, false);
+    assert.equal(decathlon.events.flat().length, 10);
+
+    const shotPut = await combinedEventsConfigLoader.getEventParameters('men', 'sp', 'decathlon', 'U18');
+    const openShotPut = await combinedEventsConfigLoader.getEventParameters('men', 'sp');
+    assert.equal(shotPut.displayName, 'Shot Put (5kg)');
+    assert.deepEqual(shotPut.parameters, openShotPut.parameters);
+  });
+
+  it('applies a variant\'s lineup and parameters', async () => {
+    // None of the published variants change these, so check them on a test config
+    const publishedConfig = combinedEventsConfigLoader.config;
+    combinedEventsConfigLoader.config = {
+      men: {
+        combined: {
+          triathlon: {
+            displayName: 'Triathlon',
+            ageGroups: ['U14', 'Open'],
+            events: [['100m', 'lj', 'sp']],
+            variants: {
+              U14: {
+                displayName: 'Triathlon (U14)',
+                events: [['60m', 'lj', 'sp']],
+                eventOverrides: { sp: { displayName: 'Shot Put (3kg)', parameters: { a: 60, b: 1, c: 1.05 } } }
+              }
+            }
+          }
+        },
+        events: {
+          '60m': publishedConfig.men.events['60m'],
+          '100m': publishedConfig.men.events['100m'],
+          lj: publishedConfig.men.events.lj,
+          sp: publishedConfig.men.events.sp
+        }
+      }
+    };
+
+    try {
+      const details = await combinedEventsConfigLoader.getCombinedEventDetails('men', 'triathlon', 'U14');
+      assert.deepEqual(details.map(event => event.key), ['60m', 'lj', 'sp']);
+      assert.equal(details[2].displayName, 'Shot Put (3kg)');
+      assert.deepEqual(details[2].parameters, { a: 60, b: 1, c: 1.05 });
+      assert.deepEqual(details[1].parameters, publishedConfig.men.events.lj.parameters);
+
+      const open = await combinedEventsConfigLoader.getCombinedEventDetails('men', 'triathlon', 'Open');
+      assert.deepEqual(open.map(event => event.key), ['100m', 'lj', 'sp']);
+      assert.deepEqual(open[2].parameters, publishedConfig.men.events.sp.parameters);
+    } finally {
+      combinedEventsConfigLoader.config = publishedConfig;
+    }
+  });
+
+  it('uses the open definition for the open age group', async () => {
+    const decathlon = await combinedEventsConfigLoader.getCombinedEvent('men', 'decathlon', 'Open');
+    assert.equal(decathlon.displayName, 'Decathlon');
+    assert.deepEqual(decathlon.eventOverrides, {});
+
+    const details = await combinedEventsConfigLoader.getCombinedEventDetails('men', 'decathlon', 'Open');
+    assert.equal(details.find(event => event.key === 'sp').displayName, 'Shot Put');
+  });
+
+  it('marks masters variants as age-graded', async () => {
+    const heptathlon = await combinedEventsConfigLoader.getCombinedEvent('women', 'heptathlon', 'Masters');
+    assert.equal(heptathlon.displayName, 'Heptathlon (Masters)');
+    assert.equal(heptathlon.ageGraded, true);
+
+    const details = await combinedEventsConfigLoader.getCombinedEventDetails('women', 'heptathlon', 'Masters');
+    assert.equal(details[0].displayName, 'Sprint Hurdles');
+  });
+
+  it('keeps the masters-only throws pentathlon selectable without age factors', async () => {
+    const combinedEvents = await combinedEventsConfigLoader.getCombinedEvents('women');
+    assert.ok('throws pentathlon' in combinedEvents);
+
+    const ageGroups = await combinedEventsConfigLoader.getAgeGroups('women', 'throws pentathlon');
+    assert.deepEqual(ageGroups, ['Masters']);
+
+    const variant = await combinedEventsConfigLoader.getCombinedEvent('women', 'throws pentathlon', 'Masters');
+    const option = getAgeGroupOption('Masters', variant, false);
+    assert.equal(option.factorsUnavailable, true);
+    assert.equal(option.ageGraded, false);
+
+    const details = await combinedEventsConfigLoader.getCombinedEventDetails('women', 'throws pentathlon', 'Masters');
+    assert.deepEqual(details.map(event => event.key), ['ht', 'sp', 'dt', 'jt', 'wt']);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Combined Events Competition Scorer Tests
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLocalData } from '../cli/local-data.js';
+import { combinedEventsConfigLoader } from '../web/src/js/data/combined-events-config-loader.js';
+import { convertPerformanceToValue } from '../web/src/js/utils/combined-events-scorer.js';
+import { rankTotals, scoreCompetition } from '../web/src/js/utils/combined-events-competition.js';
+
+let events;
+
+/**
+ * Build an athlete from marks as entered by a user
+ * @param {string} name
+ * @param {Object} marks - {eventKey: mark}
+ * @param {Object} pbs - {eventKey: mark}
+ * @returns {Object}
+ */
+function athlete(name, marks, pbs = {}) {
+  const convert = entries => Object.fromEntries(Object.entries(entries).map(([key, mark]) => {
+    const { measurement } = events.find(event => event.key === key);
+    return [key, convertPerformanceToValue(mark, measurement, key)];
+  }));
+  return { name, marks: convert(marks), pbs: convert(pbs) };
+}
+
+before(async () => {
+  await loadLocalData();
+  events = await combinedEventsConfigLoader.getCombinedEventDetails('men', 'decathlon');
+});
+
+describe('rankTotals', () => {
+  it('ranks highest first with shared positions for ties', () => {
+    assert.deepEqual(rankTotals([1800, 1900, 1800, 1700]), [2, 1, 2, 4]);
+  });
+});
+
+describe('scoreCompetition', () => {
+  it('keeps running totals and positions after each event', () => {
+    const { athletes, eventsCompleted, leaderTotal } = scoreCompetition([
+      athlete('Mayer', { '100m': '10.55', lj: '7.80' }),
+      athlete('Warner', { '100m': '10.12', lj: '7.20' })
+    ], events);
+
+    assert.equal(eventsCompleted, 2);
+    const [mayer, warner] = athletes;
+    assert.deepEqual(mayer.scores.slice(0, 3), [963, 1010, null]);
+    assert.deepEqual(mayer.totals.slice(0, 3), [963, 1973, null]);
+    // Warner leads after the 100m, Mayer after the long jump
+    assert.deepEqual(warner.positions.slice(0, 2), [1, 2]);
+    assert.deepEqual(mayer.positions.slice(0, 2), [2, 1]);
+    assert.equal(leaderTotal, mayer.total);
+    assert.equal(mayer.behind, 0);
+    assert.equal(warner.behind, mayer.total - warner.total);
+  });
+
+  it('counts a missing result as no points in the standings', () => {
+    const { athletes } = scoreCompetition([
+      athlete('A', { '100m': '10.55', lj: '7.80' }),
+      athlete('B', { '100m': '10.55' })
+    ], events);
+    assert.equal(athletes[1].totals[1], 963);
+    assert.equal(athletes[1].position, 2);
+  });
+
+  it('projects the final total from PBs for the events still to come', () => {
+    const { athletes } = scoreCompetition([
+      athlete('Mayer', { '100m': '10.55' }, { '100m': '10.40', lj: '7.80', '1500m': '4:36.11' })
+    ], events);
+    // The 100m result counts, not the PB: 963 + 1010 + 705
+    assert.equal(athletes[0].projected, 963 + 1010 + 705);
+  });
+});
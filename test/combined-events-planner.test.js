@@ -0,0 +1,118 @@
+/**
+ * Combined Events Target Planner Tests
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLocalData } from '../cli/local-data.js';
+import { combinedEventsConfigLoader } from '../web/src/js/data/combined-events-config-loader.js';
+import {
+  calculateEventScore,
+  calculateRequiredPerformance,
+  convertPerformanceToValue
+} from '../web/src/js/utils/combined-events-scorer.js';
+import { distributePoints, planTarget } from '../web/src/js/utils/combined-events-planner.js';
+
+const HEPTATHLON = ['100mh', 'hj', 'sp', '200m', 'lj', 'jt', '800m'];
+
+/**
+ * Build planner events for the women's heptathlon
+ * @param {Object} marks - {eventKey: {result, pb}} as entered by a user
+ * @returns {Promise<Array<Object>>}
+ */
+async function heptathlonEvents(marks = {}) {
+  const events = [];
+  for (const key of HEPTATHLON) {
+    const { measurement, parameters } = await combinedEventsConfigLoader.getEventParameters('women', key);
+    const { result, pb } = marks[key] || {};
+    const value = result ? convertPerformanceToValue(result, measurement, key) : null;
+    events.push({
+      key,
+      measurement,
+      parameters,
+      score: value ? calculateEventScore(value, parameters, measurement) : null,
+      pb: pb ? convertPerformanceToValue(pb, measurement, key) : null
+    });
+  }
+  return events;
+}
+
+before(async () => {
+  await loadLocalData();
+});
+
+describe('calculateRequiredPerformance', () => {
+  it('finds the slowest time and shortest mark that score the points', async () => {
+    const cases = [
+      ['800m', 987, 128.51],
+      ['hj', 1054, 186],
+      ['lj', 1264, 727],
+      ['jt', 776, 45.66]
+    ];
+    for (const [key, points, mark] of cases) {
+      const { measurement, parameters } = await combinedEventsConfigLoader.getEventParameters('women', key);
+      const required = calculateRequiredPerformance(points, parameters, measurement, key);
+      assert.ok(calculateEventScore(required, parameters, measurement) >= points, key);
+      // The world record marks score exactly these points, so can't be worse than required
+      assert.ok(measurement === 'time' ? required >= mark : required <= mark, key);
+    }
+  });
+
+  it('returns null when no mark is needed', async () => {
+    const { measurement, parameters } = await combinedEventsConfigLoader.getEventParameters('women', '800m');
+    assert.equal(calculateRequiredPerformance(0, parameters, measurement, '800m'), null);
+  });
+});
+
+describe('distributePoints', () => {
+  it('spreads the difference from the PB scores evenly', () => {
+    assert.deepEqual(distributePoints(2100, [600, 700, 800]), [600, 700, 800]);
+    assert.deepEqual(distributePoints(2400, [600, 700, 800]), [700, 800, 900]);
+  });
+
+  it('starts events without a PB from the average of the others', () => {
+    assert.deepEqual(distributePoints(3000, [900, 1100, null]), [900, 1100, 1000]);
+    assert.deepEqual(distributePoints(10, [null, null, null]), [4, 3, 3]);
+  });
+
+  it('never plans negative points', () => {
+    assert.deepEqual(distributePoints(100, [900, 10, 10]), [100, 0, 0]);
+  });
+});
+
+describe('planTarget', () => {
+  it('plans every event to reach the target', async () => {
+    const plan = planTarget(6000, await heptathlonEvents());
+    assert.equal(plan.lockedPoints, 0);
+    assert.equal(plan.events.reduce((sum, event) => sum + event.points, 0), 6000);
+    for (const event of plan.events) {
+      assert.ok(calculateEventScore(event.required, event.parameters, event.measurement) >= event.points, event.key);
+    }
+  });
+
+  it('locks completed events and shares what is left', async () => {
+    const plan = planTarget(6000, await heptathlonEvents({
+      '100mh': { result: '13.50' },
+      hj: { result: '1.80' },
+      '800m': { pb: '2:10.00' }
+    }));
+    const [hurdles, highJump] = plan.events;
+    assert.equal(hurdles.locked, true);
+    assert.equal(plan.lockedPoints, hurdles.points + highJump.points);
+    assert.equal(plan.remainingPoints, 6000 - plan.lockedPoints);
+
+    const open = plan.events.filter(event => !event.locked);
+    assert.equal(open.length, 5);
+    assert.equal(open.reduce((sum, event) => sum + event.points, 0), plan.remainingPoints);
+  });
+
+  it('reports a target already reached', async () => {
+    const plan = planTarget(1000, await heptathlonEvents({ '100mh': { result: '12.69' } }));
+    assert.equal(plan.achieved, true);
+    assert.ok(plan.events.filter(event => !event.locked).every(event => event.points === 0 && event.required === null));
+  });
+
+  it('rejects an invalid target', async () => {
+    assert.throws(() => planTarget(0, []), /whole number/);
+  });
+});
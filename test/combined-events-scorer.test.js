@@ -0,0 +1,182 @@
+/**
+ * Combined Events Scorer Tests
+ * Golden values are the official event-by-event scores of the decathlon and heptathlon world records
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLocalData } from '../cli/local-data.js';
+import { combinedEventsConfigLoader } from '../web/src/js/data/combined-events-config-loader.js';
+import {
+  calculateEventScore,
+  calculateRequiredPerformance,
+  convertPerformanceToValue
+} from '../web/src/js/utils/combined-events-scorer.js';
+
+// Kevin Mayer, Talence 2018 - 9126 points
+const DECATHLON_WORLD_RECORD = [
+  ['100m', '10.55', 963],
+  ['lj', '7.80', 1010],
+  ['sp', '16.00', 851],
+  ['hj', '2.05', 850],
+  ['400m', '48.42', 889],
+  ['110mh', '13.75', 1007],
+  ['dt', '50.54', 882],
+  ['pv', '5.45', 1051],
+  ['jt', '71.90', 918],
+  ['1500m', '4:36.11', 705]
+];
+
+// Jackie Joyner-Kersee, Seoul 1988 - 7291 points
+const HEPTATHLON_WORLD_RECORD = [
+  ['100mh', '12.69', 1172],
+  ['hj', '1.86', 1054],
+  ['sp', '15.80', 915],
+  ['200m', '22.56', 1123],
+  ['lj', '7.27', 1264],
+  ['jt', '45.66', 776],
+  ['800m', '2:08.51', 987]
+];
+
+/**
+ * Score a single event from the published combined events config
+ * @param {string} gender
+ * @param {string} eventKey
+ * @param {string} mark - Performance as entered by a user
+ * @returns {Promise<number>}
+ */
+async function scoreEvent(gender, eventKey, mark) {
+  const { measurement, parameters } = await combinedEventsConfigLoader.getEventParameters(gender, eventKey);
+  const value = convertPerformanceToValue(mark, measurement, eventKey);
+  return calculateEventScore(value, parameters, measurement);
+}
+
+before(async () => {
+  await loadLocalData();
+});
+
+describe('calculateEventScore', () => {
+  it('reproduces the decathlon world record', async () => {
+    let total = 0;
+    for (const [eventKey, mark, points] of DECATHLON_WORLD_RECORD) {
+      const score = await scoreEvent('men', eventKey, mark);
+      assert.equal(score, points, `${eventKey} ${mark}`);
+      total += score;
+    }
+    assert.equal(total, 9126);
+  });
+
+  it('reproduces the heptathlon world record', async () => {
+    let total = 0;
+    for (const [eventKey, mark, points] of HEPTATHLON_WORLD_RECORD) {
+      const score = await scoreEvent('women', eventKey, mark);
+      assert.equal(score, points, `${eventKey} ${mark}`);
+      total += score;
+    }
+    assert.equal(total, 7291);
+  });
+
+  it('rounds points down', () => {
+    // 25.4347 × (18 - 10.395)^1.81 = 1000.0x, 10.40 = 999.x
+    const parameters = { a: 25.4347, b: 18, c: 1.81 };
+    assert.equal(calculateEventScore(10.395, parameters, 'time'), 1000);
+    assert.equal(calculateEventScore(10.40, parameters, 'time'), 999);
+  });
+
+  it('scores zero at or beyond the base value', () => {
+    assert.equal(calculateEventScore(18, { a: 25.4347, b: 18, c: 1.81 }, 'time'), 0);
+    assert.equal(calculateEventScore(19.5, { a: 25.4347, b: 18, c: 1.81 }, 'time'), 0);
+    assert.equal(calculateEventScore(75, { a: 0.8465, b: 75, c: 1.42 }, 'height'), 0);
+    assert.equal(calculateEventScore(1.2, { a: 51.39, b: 1.5, c: 1.05 }, 'distance'), 0);
+  });
+});
+
+describe('convertPerformanceToValue', () => {
+  it('converts times to seconds', () => {
+    assert.equal(convertPerformanceToValue('10.55', 'time', '100m'), 10.55);
+    assert.equal(convertPerformanceToValue('4:36.11', 'time', '1500m'), 276.11);
+    assert.equal(convertPerformanceToValue('1:00:00.5', 'time', '1500m'), 3600.5);
+  });
+
+  it('converts jumps to centimetres and keeps throws in metres', () => {
+    assert.equal(convertPerformanceToValue('7.80', 'distance', 'lj'), 780);
+    assert.equal(convertPerformanceToValue('2.05', 'height', 'hj'), 205);
+    assert.equal(convertPerformanceToValue('16.00', 'distance', 'sp'), 16);
+  });
+
+  it('returns null for empty or invalid input', () => {
+    assert.equal(convertPerformanceToValue('', 'time', '100m'), null);
+    assert.equal(convertPerformanceToValue('abc', 'time', '100m'), null);
+    assert.equal(convertPerformanceToValue(null, 'distance', 'sp'), null);
+  });
+});
+
+describe('calculateRequiredPerformance', () => {
+  it('returns the world record marks for their scores', async () => {
+    for (const [eventKey, mark, points] of HEPTATHLON_WORLD_RECORD) {
+      const { measurement, parameters } = await combinedEventsConfigLoader.getEventParameters('women', eventKey);
+      const required = calculateRequiredPerformance(points, parameters, measurement, eventKey);
+      const value = convertPerformanceToValue(mark, measurement, eventKey);
+      assert.equal(calculateEventScore(required, parameters, measurement), points, eventKey);
+      // No worse than the record mark, as that scores exactly these points
+      assert.ok(measurement === 'time' ? required >= value : required <= value, eventKey);
+    }
+  });
+
+  it('returns the worst mark that still scores the points', async () => {
+    const cases = [
+      ['800m', 'time', 0.01],
+      ['hj', 'height', 1],
+      ['lj', 'distance', 1],
+      ['jt', 'distance', 0.01]
+    ];
+    for (const [eventKey, measurement, step] of cases) {
+      const { parameters } = await combinedEventsConfigLoader.getEventParameters('women', eventKey);
+      for (const points of [1, 500, 900, 1200]) {
+        const required = calculateRequiredPerformance(points, parameters, measurement, eventKey);
+        const worse = measurement === 'time' ? required + step : required - step;
+        assert.ok(calculateEventScore(required, parameters, measurement) >= points, `${eventKey} ${points}`);
+        assert.ok(calculateEventScore(worse, parameters, measurement) < points, `${eventKey} ${points}`);
+      }
+    }
+  });
+
+  it('answers "what 800m time gives 900 points in the heptathlon?"', async () => {
+    const { measurement, parameters } = await combinedEventsConfigLoader.getEventParameters('women', '800m');
+    assert.equal(calculateRequiredPerformance(900, parameters, measurement, '800m'), 134.52);
+  });
+
+  it('returns null when any mark scores the points', () => {
+    assert.equal(calculateRequiredPerformance(0, { a: 0.11193, b: 254, c: 1.88 }, 'time', '800m'), null);
+  });
+});
+
+describe('combined events config', () => {
+  it('has scoring parameters for every event in every combined event', async () => {
+    for (const gender of ['men', 'women']) {
+      for (const [key, combinedEvent] of Object.entries(await combinedEventsConfigLoader.getCombinedEvents(gender))) {
+        for (const ageGroup of combinedEvent.ageGroups) {
+          const { events } = await combinedEventsConfigLoader.getCombinedEvent(gender, key, ageGroup);
+          const details = await combinedEventsConfigLoader.getCombinedEventDetails(gender, key, ageGroup);
+          assert.equal(details.length, events.flat().length, `${gender} ${key} ${ageGroup}`);
+        }
+      }
+    }
+  });
+
+  it('defines the youth octathlon over two days', async () => {
+    const octathlon = await combinedEventsConfigLoader.getCombinedEvent('men', 'octathlon', 'U18');
+    assert.deepEqual(octathlon.events, [['100m', 'lj', 'sp', '400m'], ['110mh', 'hj', 'jt', '1000m']]);
+  });
+
+  it('scores the throws pentathlon hammer and weight throw', async () => {
+    // 47.8338 × (15.00 - 1.5)^1.05 = 735.5, 13.0449 × (50.00 - 7)^1.05 = 676.99
+    assert.equal(await scoreEvent('men', 'wt', '15.00'), 735);
+    assert.equal(await scoreEvent('men', 'ht', '50.00'), 676);
+    assert.equal(await scoreEvent('women', 'wt', '12.00'), 522);
+
+    const throwsPentathlon = await combinedEventsConfigLoader.getCombinedEvent('women', 'throws pentathlon', 'Masters');
+    assert.equal(throwsPentathlon.ageGraded, true);
+    assert.deepEqual(throwsPentathlon.events, [['ht', 'sp', 'dt', 'jt', 'wt']]);
+  });
+});
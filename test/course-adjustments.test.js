@@ -0,0 +1,129 @@
+/**
+ * Course Adjustments Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getGradeCostFactor,
+  getGradeTimeFactor,
+  getHeatAdjustment,
+  parseElevationProfile,
+  getProfileSummary,
+  getProfileTimeFactor,
+  getClimbTimeFactor,
+  applyCourseAdjustments
+} from '../web/src/js/calculators/course-adjustments.js';
+
+const evenSplits = [
+  { distance: 5000, time: 1200 },
+  { distance: 10000, time: 2400 }
+];
+
+describe('getGradeCostFactor', () => {
+  it('follows the Minetti cost curve', () => {
+    assert.equal(getGradeCostFactor(0), 1);
+    // 10% uphill: 3.6 + 1.95 + 0.463 - 0.0433 - 0.00304 + 0.001554 = 5.9682 J/kg/m
+    assert.equal(getGradeCostFactor(0.1).toFixed(3), (5.968214 / 3.6).toFixed(3));
+    assert.ok(getGradeCostFactor(-0.05) < 1);
+  });
+
+  it('clamps gradients beyond ±45%', () => {
+    assert.equal(getGradeCostFactor(0.6), getGradeCostFactor(0.45));
+  });
+});
+
+describe('getGradeTimeFactor', () => {
+  it('loses half the extra energy cost as time', () => {
+    assert.equal(getGradeTimeFactor(0), 1);
+    // 1% uphill: 3.6 + 0.195 + 0.00463 - 0.0000433 = 3.79959 J/kg/m, 5.54% more energy, 2.77% more time
+    assert.equal(getGradeTimeFactor(0.01).toFixed(4), '1.0277');
+    assert.equal(getGradeTimeFactor(0.1).toFixed(3), (1 + (5.968214 / 3.6 - 1) / 2).toFixed(3));
+    assert.ok(getGradeTimeFactor(-0.01) < 1);
+  });
+});
+
+describe('getHeatAdjustment', () => {
+  it('has no slowdown up to 100°F combined', () => {
+    // 10°C (50°F) + 0°C (32°F) dew point = 82°F
+    assert.equal(getHeatAdjustment(10, 0).slowdown, 0);
+  });
+
+  it('interpolates the guideline', () => {
+    // 25°C (77°F) + 20°C (68°F) = 145°F -> halfway between 3% and 4.5%
+    const heat = getHeatAdjustment(25, 20);
+    assert.equal(heat.score, 145);
+    assert.equal(heat.slowdown.toFixed(4), '0.0375');
+    assert.equal(heat.tooHot, false);
+  });
+
+  it('caps the slowdown and flags conditions above 180°F', () => {
+    const heat = getHeatAdjustment(35, 30);
+    assert.equal(heat.slowdown, 0.1);
+    assert.equal(heat.tooHot, true);
+  });
+});
+
+describe('elevation profiles', () => {
+  const profile = parseElevationProfile('distance_km,elevation_m\n0,100\n5,150\n10,100\n');
+
+  it('parses distance (km) and elevation (m) rows', () => {
+    assert.deepEqual(profile[1], { distance: 5000, elevation: 150 });
+    assert.deepEqual(getProfileSummary(profile), { distance: 10000, ascent: 50, descent: 50 });
+  });
+
+  it('rejects invalid rows and short profiles', () => {
+    assert.throws(() => parseElevationProfile('0,100\nfive,120'), /Line 2/);
+    assert.throws(() => parseElevationProfile('0,100'), /at least two points/);
+  });
+
+  it('costs the climb and refunds part of the descent', () => {
+    assert.equal(getProfileTimeFactor(profile, 10000, 0, 5000).toFixed(9), getGradeTimeFactor(0.01).toFixed(9));
+    assert.equal(getProfileTimeFactor(profile, 10000, 5000, 10000).toFixed(9), getGradeTimeFactor(-0.01).toFixed(9));
+  });
+
+  it('stretches the profile to the race distance', () => {
+    assert.equal(getProfileTimeFactor(profile, 20000, 0, 10000).toFixed(9), getGradeTimeFactor(0.005).toFixed(9));
+  });
+});
+
+describe('getClimbTimeFactor', () => {
+  it('is flat without climbing', () => {
+    assert.equal(getClimbTimeFactor(10000, 0, 0), 1);
+  });
+
+  it('makes a hilly loop slower and a net downhill course faster', () => {
+    assert.ok(getClimbTimeFactor(10000, 100, 100) > 1);
+    assert.ok(getClimbTimeFactor(10000, 0, 100) < 1);
+  });
+});
+
+describe('applyCourseAdjustments', () => {
+  it('leaves the splits unchanged without adjustments', () => {
+    const { finishTime, heat } = applyCourseAdjustments(evenSplits);
+    assert.equal(finishTime, 2400);
+    assert.equal(heat, null);
+  });
+
+  it('adds about 67 seconds to a 40:00 10km on a steady 1% climb', () => {
+    const profile = [{ distance: 0, elevation: 0 }, { distance: 10000, elevation: 100 }];
+    assert.equal(applyCourseAdjustments(evenSplits, { profile }).finishTime.toFixed(1), '2466.5');
+  });
+
+  it('slows the climb and speeds the descent from a profile', () => {
+    const profile = [{ distance: 0, elevation: 0 }, { distance: 5000, elevation: 50 }, { distance: 10000, elevation: 0 }];
+    const { splits, finishTime } = applyCourseAdjustments(evenSplits, { profile });
+
+    assert.ok(splits[0].segmentTime > 1200);
+    assert.ok(splits[1].segmentTime < 1200);
+    assert.equal(splits[1].time, finishTime);
+  });
+
+  it('combines hills and heat', () => {
+    const result = applyCourseAdjustments(evenSplits, { ascent: 100, descent: 100, temperature: 25, dewPoint: 20 });
+    const expected = 2400 * getClimbTimeFactor(10000, 100, 100) * 1.0375;
+
+    assert.equal(result.finishTime.toFixed(6), expected.toFixed(6));
+    assert.equal(result.elevationFactor.toFixed(6), getClimbTimeFactor(10000, 100, 100).toFixed(6));
+  });
+});
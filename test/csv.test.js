@@ -0,0 +1,64 @@
+/**
+ * CSV Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, toCSV } from '../web/src/js/utils/csv.js';
+
+const fieldsOf = records => records.map(record => record.fields);
+
+describe('parseCSV', () => {
+  it('splits plain records and trims fields', () => {
+    assert.deepEqual(fieldsOf(parseCSV('a, b ,c\n1,2,3')), [['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  it('keeps commas, escaped quotes and line breaks inside quoted fields', () => {
+    const records = parseCSV('name,note\n"Smith, Jo","said ""hi""\nthen left"\nLee,ok');
+    assert.deepEqual(fieldsOf(records), [
+      ['name', 'note'],
+      ['Smith, Jo', 'said "hi"\nthen left'],
+      ['Lee', 'ok']
+    ]);
+  });
+
+  it('numbers records by the line they start on', () => {
+    const records = parseCSV('a\n"multi\nline"\nb');
+    assert.deepEqual(records.map(record => record.line), [1, 2, 4]);
+  });
+
+  it('treats CRLF as a single line break', () => {
+    const records = parseCSV('a,b\r\n1,2\r\n');
+    assert.deepEqual(fieldsOf(records), [['a', 'b'], ['1', '2']]);
+    assert.deepEqual(records.map(record => record.line), [1, 2]);
+  });
+
+  it('skips blank lines', () => {
+    const records = parseCSV('a\n\n  \nb\n');
+    assert.deepEqual(fieldsOf(records), [['a'], ['b']]);
+    assert.deepEqual(records.map(record => record.line), [1, 4]);
+  });
+
+  it('detects tab-separated text', () => {
+    assert.deepEqual(fieldsOf(parseCSV('a\tb\n1\t2,5')), [['a', 'b'], ['1', '2,5']]);
+  });
+
+  it('returns no records for empty input', () => {
+    assert.deepEqual(parseCSV(''), []);
+    assert.deepEqual(parseCSV(null), []);
+  });
+});
+
+describe('toCSV', () => {
+  it('quotes fields with delimiters, quotes or line breaks', () => {
+    assert.equal(
+      toCSV([['a', 'b,c', 'say "x"'], [1, null, 'two\nlines']]),
+      'a,"b,c","say ""x"""\r\n1,,"two\nlines"'
+    );
+  });
+
+  it('round-trips through parseCSV', () => {
+    const rows = [['Smith, Jo', '10.05', 'a "quote"'], ['Lee', '', 'line\nbreak']];
+    assert.deepEqual(fieldsOf(parseCSV(toCSV(rows))), rows);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Pace Calculation Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateSplits,
+  getCumulativeTimeFraction,
+  convertPaceToSpeed,
+  convertSpeedToPace
+} from '../web/src/js/calculators/pace-calculations.js';
+
+const tenK = { displayName: '10km' };
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+describe('getCumulativeTimeFraction', () => {
+  it('is linear for even pacing', () => {
+    assert.equal(getCumulativeTimeFraction(0.3), 0.3);
+  });
+
+  it('runs the second half faster for a negative split', () => {
+    // 2% negative: halves in the ratio 1 : 0.98
+    const half = getCumulativeTimeFraction(0.5, { strategy: 'negative', percent: 2 });
+    assert.equal(half.toFixed(6), (1 / 1.98).toFixed(6));
+  });
+
+  it('slows steadily for a positive fade', () => {
+    const pacing = { strategy: 'positive', percent: 10 };
+    const firstQuarter = getCumulativeTimeFraction(0.25, pacing);
+    const lastQuarter = 1 - getCumulativeTimeFraction(0.75, pacing);
+    assert.ok(lastQuarter > firstQuarter);
+  });
+
+  it('spreads a custom curve over equal parts of the race', () => {
+    const pacing = { strategy: 'custom', curve: [110, 90] };
+    assert.equal(getCumulativeTimeFraction(0.5, pacing).toFixed(6), '0.550000');
+    assert.equal(getCumulativeTimeFraction(0.25, pacing).toFixed(6), '0.275000');
+    assert.equal(getCumulativeTimeFraction(1, pacing), 1);
+  });
+
+  it('rejects unknown strategies', () => {
+    assert.throws(() => getCumulativeTimeFraction(0.5, { strategy: 'surge' }), /Unknown pacing strategy/);
+  });
+});
+
+describe('calculateSplits', () => {
+  it('keeps even splits unchanged', () => {
+    const splits = calculateSplits(10000, 240, tenK);
+    assert.deepEqual(splits.map(split => split.time), [1200, 2400]);
+    assert.deepEqual(splits.map(split => split.pace), [240, 240]);
+    assert.equal(splits[1].isFinal, true);
+  });
+
+  for (const pacing of [
+    { strategy: 'negative', percent: 3 },
+    { strategy: 'positive', percent: 5 },
+    { strategy: 'custom', curve: [103, 101, 99, 97] }
+  ]) {
+    it(`sums the segments to the finish time (${pacing.strategy})`, () => {
+      const splits = calculateSplits(10000, 240, tenK, pacing);
+      assert.equal(splits[splits.length - 1].time, 2400);
+      assert.equal(sum(splits.map(split => split.segmentTime)).toFixed(6), '2400.000000');
+    });
+  }
+
+  it('gives the second half of a negative split the faster pace', () => {
+    const [first, second] = calculateSplits(10000, 240, tenK, { strategy: 'negative', percent: 2 });
+    assert.equal((second.segmentTime / first.segmentTime).toFixed(6), '0.980000');
+    assert.ok(second.pace < first.pace);
+  });
+});
+
+describe('convertSpeedToPace', () => {
+  it('inverts convertPaceToSpeed', () => {
+    assert.equal(convertSpeedToPace(12, 'kmh'), 300);
+    assert.equal(convertSpeedToPace(convertPaceToSpeed(300, 'km').mph, 'mph').toFixed(3), '300.000');
+    assert.equal(convertSpeedToPace(6, 'mph').toFixed(2), (600 / 1.609344).toFixed(2));
+  });
+
+  it('has no pace at a standstill', () => {
+    assert.equal(convertSpeedToPace(0, 'kmh'), Infinity);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Pace Formatter Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTimeInput, formatTotalTime } from '../web/src/js/utils/pace-formatter.js';
+
+describe('parseTimeInput', () => {
+  it('parses HH:MM:SS with and without hundredths', () => {
+    assert.equal(parseTimeInput('1:02:03.45'), 3723.45);
+    assert.equal(parseTimeInput('1:02:03'), 3723);
+    assert.equal(parseTimeInput('3:05:00'), 11100);
+  });
+
+  it('parses MM:SS', () => {
+    assert.equal(parseTimeInput('25:00'), 1500);
+    assert.equal(parseTimeInput('25:00.5'), 1500.5);
+  });
+
+  it('parses plain seconds', () => {
+    assert.equal(parseTimeInput('45.3'), 45.3);
+  });
+
+  it('rejects out-of-range minutes and extra precision', () => {
+    assert.equal(parseTimeInput('1:60:00'), null);
+    assert.equal(parseTimeInput('1:02:03.456'), null);
+  });
+
+  it('returns null for empty or invalid input', () => {
+    assert.equal(parseTimeInput(''), null);
+    assert.equal(parseTimeInput('abc'), null);
+    assert.equal(parseTimeInput(null), null);
+  });
+});
+
+describe('formatTotalTime', () => {
+  it('carries rounded seconds into the minute and hour', () => {
+    assert.equal(formatTotalTime(119.6), '2:00');
+    assert.equal(formatTotalTime(3599.5), '1:00:00');
+    assert.equal(formatTotalTime(1500.4), '25:00');
+  });
+});
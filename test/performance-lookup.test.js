@@ -0,0 +1,127 @@
+/**
+ * Performance Lookup Tests
+ * Golden values from the World Athletics Scoring Tables (2025 edition), as published in web/public/data
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLocalData } from '../cli/local-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { lookupPoints, lookupPerformance } from '../web/src/js/calculators/performance-lookup.js';
+import { parsePerformance } from '../web/src/js/utils/performance-parser.js';
+
+before(async () => {
+  await loadLocalData();
+  await Promise.all([
+    scoringDataLoader.loadEvents('men', ['100m', '400m', '110m h', 'marathon', 'dec']),
+    scoringDataLoader.loadEvents('women', ['lj', '800m'])
+  ]);
+});
+
+describe('lookupPoints', () => {
+  it('matches table entries exactly', () => {
+    const cases = [
+      ['men', '100m', '10.00', 1206],
+      ['men', '400m', '45.32', 1158],
+      ['men', '110m h', '13.25', 1206],
+      ['women', 'lj', '6.92', 1200],
+      ['women', '800m', '129.43', 1000],
+      ['men', 'dec', '8511', 1206]
+    ];
+
+    for (const [gender, event, performance, points] of cases) {
+      const result = lookupPoints(gender, event, performance);
+      assert.equal(result.points, points, `${gender} ${event} ${performance}`);
+      assert.equal(result.exactMatch, true);
+      assert.equal(result.closestPerformance, performance);
+    }
+  });
+
+  it('scores road times parsed from HH:MM:SS', () => {
+    const result = lookupPoints('men', 'marathon', parsePerformance('2:05:54', 'marathon'));
+    assert.equal(result.points, 1206);
+    assert.equal(result.exactMatch, true);
+  });
+
+  it('assigns the lower score when a mark falls between two entries', () => {
+    // 45.33 = 1157, 45.35 = 1156
+    const track = lookupPoints('men', '400m', '45.34');
+    assert.equal(track.points, 1156);
+    assert.equal(track.exactMatch, false);
+    assert.equal(track.closestPerformance, '45.35');
+
+    // 7554 = 1206, 7557 = 1205
+    assert.equal(lookupPoints('men', 'marathon', '7555').points, 1205);
+
+    // 7996 = 1126 is the closest lower-scoring total
+    const combined = lookupPoints('men', 'dec', '8000');
+    assert.equal(combined.points, 1126);
+    assert.equal(combined.closestPerformance, '7996');
+  });
+
+  it('uses the best entry for marks better than the table', () => {
+    const result = lookupPoints('men', '100m', '9.00');
+    assert.equal(result.points, 1400);
+    assert.equal(result.exactMatch, false);
+    assert.equal(result.closestPerformance, '9.46');
+  });
+
+  it('uses the worst entry for marks worse than the table', () => {
+    assert.equal(lookupPoints('men', '100m', '20.00').points, 1);
+    assert.equal(lookupPoints('women', 'lj', '1.00').points, 1);
+  });
+
+  it('adds 0.24s to hand times up to 200m', () => {
+    const result = lookupPoints('men', '100m', '10.8', true);
+    assert.equal(result.points, lookupPoints('men', '100m', '11.04').points);
+    assert.equal(result.appliedOffset, 0.24);
+    assert.equal(result.originalPerformance, 10.8);
+    assert.equal(result.closestPerformance, '11.04');
+
+    assert.equal(lookupPoints('men', '110m h', '13.0', true).closestPerformance, '13.24');
+  });
+
+  it('adds 0.14s to hand times over 300m and 400m', () => {
+    const result = lookupPoints('men', '400m', '45.2', true);
+    assert.equal(result.appliedOffset, 0.14);
+    assert.equal(result.points, 1156);
+  });
+
+  it('ignores hand timing for events without an offset', () => {
+    const result = lookupPoints('women', 'lj', '6.92', true);
+    assert.equal(result.points, 1200);
+    assert.equal(result.appliedOffset, undefined);
+  });
+
+  it('returns null for unknown events and invalid marks', () => {
+    assert.equal(lookupPoints('men', 'not an event', '10.00'), null);
+    assert.equal(lookupPoints('men', '100m', 'abc'), null);
+  });
+});
+
+describe('lookupPerformance', () => {
+  it('finds the mark for a score in the table', () => {
+    const result = lookupPerformance('men', '400m', 1158);
+    assert.equal(result.performance, '45.32');
+    assert.equal(result.exactMatch, true);
+  });
+
+  it('uses the lower score when the score falls between entries', () => {
+    // 100m jumps from 1206 (10.00) to 1203 (10.01)
+    const result = lookupPerformance('men', '100m', 1205);
+    assert.equal(result.performance, '10.01');
+    assert.equal(result.points, 1203);
+    assert.equal(result.exactMatch, false);
+  });
+
+  it('clamps scores outside the table', () => {
+    assert.equal(lookupPerformance('men', '100m', 2000).performance, '9.46');
+    assert.equal(lookupPerformance('men', '100m', 0).performance, '16.79');
+  });
+
+  it('subtracts the hand timing offset', () => {
+    const result = lookupPerformance('men', '100m', 1206, true);
+    assert.equal(result.performance, '9.76');
+    assert.equal(result.appliedOffset, -0.24);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Performance Parser Tests
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLocalData } from '../cli/local-data.js';
+import { parsePerformance } from '../web/src/js/utils/performance-parser.js';
+
+before(async () => {
+  await loadLocalData();
+});
+
+describe('parsePerformance', () => {
+  it('normalizes sprint times to two decimals', () => {
+    assert.equal(parsePerformance('10.5', '100m'), '10.50');
+    assert.equal(parsePerformance('10.50s', '100m'), '10.50');
+    assert.equal(parsePerformance(' 9.58 ', '100m'), '9.58');
+  });
+
+  it('keeps whole-second times as integers', () => {
+    assert.equal(parsePerformance('10', '100m'), '10');
+  });
+
+  it('converts MM:SS.ss to seconds', () => {
+    assert.equal(parsePerformance('1:45.2', '800m'), '105.20');
+  });
+
+  it('converts HH:MM:SS to seconds', () => {
+    assert.equal(parsePerformance('2:05:54', 'marathon'), '7554');
+    assert.equal(parsePerformance('2:05:54.5', 'marathon'), '7554.50');
+  });
+
+  it('rejects out-of-range minutes and seconds', () => {
+    assert.equal(parsePerformance('1:60', '800m'), null);
+    assert.equal(parsePerformance('2:60:00', 'marathon'), null);
+  });
+
+  it('parses distances in metres with or without units', () => {
+    assert.equal(parsePerformance('7.5', 'lj'), '7.50');
+    assert.equal(parsePerformance('7.50m', 'lj'), '7.50');
+  });
+
+  it('parses combined events totals as points', () => {
+    assert.equal(parsePerformance('8000', 'dec'), '8000');
+  });
+
+  it('returns null for empty or invalid input', () => {
+    assert.equal(parsePerformance('', '100m'), null);
+    assert.equal(parsePerformance('abc', '100m'), null);
+    assert.equal(parsePerformance('-7.5', 'lj'), null);
+    assert.equal(parsePerformance(null, '100m'), null);
+  });
+});
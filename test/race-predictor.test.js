@@ -0,0 +1,69 @@
+/**
+ * Race Predictor Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  predictRiegel,
+  predictCameron,
+  calculateVdot,
+  timeForVdot,
+  predictRaceTime
+} from '../web/src/js/calculators/race-predictor.js';
+
+const minutes = seconds => seconds / 60;
+
+describe('predictRiegel', () => {
+  it('scales the time by the distance ratio to the exponent', () => {
+    // 20:00 5K -> 1200 × (10000 / 5000)^1.06 = 2501.9 s
+    assert.equal(predictRiegel(1200, 5000, 10000).toFixed(1), '2501.9');
+    assert.equal(predictRiegel(1200, 5000, 10000, 1).toFixed(1), '2400.0');
+  });
+
+  it('is reversible', () => {
+    const tenK = predictRiegel(1200, 5000, 10000, 1.08);
+    assert.equal(predictRiegel(tenK, 10000, 5000, 1.08).toFixed(6), '1200.000000');
+  });
+});
+
+describe('predictCameron', () => {
+  it('predicts slower than even pace over longer distances', () => {
+    const marathon = predictCameron(1200, 5000, 42195);
+    assert.ok(marathon > 1200 * 42195 / 5000);
+    assert.equal(Math.round(minutes(marathon)), 195);
+  });
+
+  it('is reversible', () => {
+    const half = predictCameron(1200, 5000, 21097.5);
+    assert.equal(predictCameron(half, 21097.5, 5000).toFixed(6), '1200.000000');
+  });
+});
+
+describe('VDOT', () => {
+  it('matches the Daniels tables', () => {
+    // VDOT 50: 5K 19:57, half marathon 1:31:35, marathon 3:10:49
+    assert.equal(calculateVdot(5000, 19 * 60 + 57).toFixed(1), '50.0');
+    assert.equal(Math.round(minutes(timeForVdot(50, 21097.5))), 92);
+    assert.equal(Math.round(minutes(timeForVdot(50, 42195))), 191);
+  });
+
+  it('round-trips a performance through its VDOT', () => {
+    const vdot = calculateVdot(10000, 2400);
+    assert.ok(Math.abs(timeForVdot(vdot, 10000) - 2400) < 0.01);
+  });
+});
+
+describe('predictRaceTime', () => {
+  it('returns the known time for the same distance', () => {
+    assert.equal(predictRaceTime('vdot', 1200, 5000, 5000), 1200);
+  });
+
+  it('passes the Riegel exponent through', () => {
+    assert.equal(predictRaceTime('riegel', 1200, 5000, 10000, { riegelExponent: 1 }), 2400);
+  });
+
+  it('rejects unknown models', () => {
+    assert.throws(() => predictRaceTime('purdy', 1200, 5000, 10000), /Unknown prediction model/);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Ranking Score Tests
+ * Placing scores from the World Athletics Rankings Rules, as published in web/public/data
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLocalData } from '../cli/local-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { rankingPlacingLoader } from '../web/src/js/data/ranking-placing-loader.js';
+import { calculateRankingScore, formatPlace } from '../web/src/js/calculators/ranking-score.js';
+
+before(async () => {
+  await loadLocalData();
+  await Promise.all([
+    rankingPlacingLoader.load(),
+    scoringDataLoader.loadEvents('men', ['100m'])
+  ]);
+});
+
+describe('rankingPlacingLoader', () => {
+  it('records where the placing tables come from', () => {
+    assert.match(rankingPlacingLoader.data.source, /World Athletics Rankings Rules/);
+    assert.match(rankingPlacingLoader.data.effectiveDate, /^\d{4}-\d{2}-\d{2}$/);
+  });
+
+  it('matches the published placing scores', () => {
+    assert.equal(rankingPlacingLoader.getPlacingScore('OW', 'final', 1), 375);
+    assert.equal(rankingPlacingLoader.getPlacingScore('OW', 'final', 8), 200);
+    assert.equal(rankingPlacingLoader.getPlacingScore('OW', 'semifinal', 1), 150);
+    assert.equal(rankingPlacingLoader.getPlacingScore('GW', 'final', 1), 200);
+  });
+
+  it('scores nothing for places outside the scoring positions', () => {
+    assert.equal(rankingPlacingLoader.getPlacingScore('OW', 'final', 9), 0);
+    assert.equal(rankingPlacingLoader.getPlacingScore('F', 'final', 7), 0);
+  });
+
+  it('returns null for rounds the category does not hold', () => {
+    assert.equal(rankingPlacingLoader.hasRound('GW', 'semifinal'), false);
+    assert.equal(rankingPlacingLoader.getPlacingScore('GW', 'semifinal', 1), null);
+    assert.equal(rankingPlacingLoader.getPlacingScore('DF', 'heat', 1), null);
+  });
+
+  it('returns null for unknown categories and invalid places', () => {
+    assert.equal(rankingPlacingLoader.getPlacingScore('Z', 'final', 1), null);
+    assert.equal(rankingPlacingLoader.getPlacingScore('OW', 'final', 0), null);
+    assert.equal(rankingPlacingLoader.getPlacingScore('OW', 'final', 1.5), null);
+  });
+});
+
+describe('calculateRankingScore', () => {
+  it('adds the placing score to the performance score', () => {
+    const result = calculateRankingScore('men', '100m', '10.00', { place: 1, round: 'final', category: 'OW' });
+    assert.equal(result.performanceScore, 1206);
+    assert.equal(result.placingScore, 375);
+    assert.equal(result.resultScore, 1581);
+  });
+
+  it('keeps the performance score when the place scores nothing', () => {
+    const result = calculateRankingScore('men', '100m', '10.00', { place: 12, round: 'heat', category: 'OW' });
+    assert.equal(result.placingScore, 0);
+    assert.equal(result.resultScore, 1206);
+  });
+
+  it('returns null for a round the category does not hold', () => {
+    assert.equal(calculateRankingScore('men', '100m', '10.00', { place: 1, round: 'heat', category: 'GW' }), null);
+  });
+
+  it('returns null for an invalid place', () => {
+    assert.equal(calculateRankingScore('men', '100m', '10.00', { place: 0, round: 'final', category: 'OW' }), null);
+  });
+});
+
+describe('formatPlace', () => {
+  it('uses English ordinals', () => {
+    assert.deepEqual([1, 2, 3, 4, 11, 12, 13, 21, 22, 101].map(formatPlace),
+      ['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '101st']);
+  });
+});
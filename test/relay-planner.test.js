@@ -0,0 +1,129 @@
+/**
+ * Relay Planner Tests
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLocalData } from '../cli/local-data.js';
+import { lookupPoints } from '../web/src/js/calculators/performance-lookup.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import {
+  parseRelaySquad,
+  getLegTime,
+  roundUpToHundredths,
+  predictRelayTime,
+  rankLegOrders,
+  LEG_ORDER_CANDIDATES
+} from '../web/src/js/calculators/relay-planner.js';
+
+const sprintSquad = `athlete,gender,pb,split
+Ava,women,11.20,10.30
+Bea,women,11.40,
+Cat,women,11.10,10.40
+Dee,women,11.60,10.60
+Eve,women,12.50,`;
+
+describe('parseRelaySquad', () => {
+  it('reads names, genders and times with a header row', () => {
+    const squad = parseRelaySquad(sprintSquad);
+    assert.equal(squad.length, 5);
+    assert.deepEqual(squad[0], { line: 2, athlete: 'Ava', gender: 'women', pb: 11.2, split: 10.3, error: null });
+    assert.equal(squad[1].split, null);
+  });
+
+  it('reads columns in order without a header row', () => {
+    const [athlete] = parseRelaySquad('John Doe,M,1:45.90,44.8');
+    assert.equal(athlete.gender, 'men');
+    assert.equal(athlete.pb, 105.9);
+    assert.equal(athlete.split, 44.8);
+  });
+
+  it('flags rows it cannot use', () => {
+    const squad = parseRelaySquad('A,women,,\nB,women,abc,\nC,robot,11.2,');
+    assert.match(squad[0].error, /flat-start PB or a flying split/);
+    assert.equal(squad[1].error, 'Invalid time');
+    assert.match(squad[2].error, /Unknown gender/);
+  });
+});
+
+describe('getLegTime', () => {
+  it('runs leg 1 from a flat start', () => {
+    assert.equal(getLegTime({ pb: 11.2, split: 10.3 }, 1, 0.8), 11.2);
+    assert.equal(getLegTime({ pb: null, split: 10.3 }, 1, 0.8), 10.3 + 0.8);
+  });
+
+  it('uses the flying split on later legs, or the PB less the flying-start gain', () => {
+    assert.equal(getLegTime({ pb: 11.2, split: 10.3 }, 2, 0.8), 10.3);
+    assert.equal(getLegTime({ pb: 11.4, split: null }, 3, 0.8), 11.4 - 0.8);
+  });
+});
+
+describe('predictRelayTime', () => {
+  it('adds the legs and an allowance for each exchange, rounded up', () => {
+    const order = parseRelaySquad(sprintSquad).slice(0, 4);
+    const prediction = predictRelayTime(order, { flyingStart: 0.8, exchangeAllowance: 0.05 });
+    // 11.20 + 10.60 + 10.40 + 10.60 + 3 × 0.05
+    assert.equal(prediction.time, 42.95);
+    assert.equal(prediction.legs.length, 4);
+    assert.equal(roundUpToHundredths(42.801), 42.81);
+    assert.equal(roundUpToHundredths(42.8), 42.8);
+  });
+});
+
+describe('rankLegOrders', () => {
+  it('picks the fastest four and the best order', () => {
+    const [best] = rankLegOrders(parseRelaySquad(sprintSquad), '4x100m');
+    // Cat has the best flat start; Ava, Bea and Dee are the fastest flying
+    assert.equal(best.order[0].athlete, 'Cat');
+    assert.deepEqual(best.order.map(athlete => athlete.athlete).slice(1).sort(), ['Ava', 'Bea', 'Dee']);
+    assert.equal(best.time, 42.6);
+  });
+
+  it('lists each team once when only flat-start PBs are known', () => {
+    const squad = parseRelaySquad('A,,11.0,\nB,,11.1,\nC,,11.2,\nD,,11.3,\nE,,11.4,');
+    const orders = rankLegOrders(squad, '4x100m');
+    // Every order of the same four ties, so one per choice of four from 5
+    assert.equal(orders.length, 5);
+    assert.deepEqual(orders[0].order.map(athlete => athlete.athlete), ['A', 'B', 'C', 'D']);
+    assert.equal(orders[0].time, 42.2);
+  });
+
+  it('only orders the fastest athletes from a large squad', () => {
+    const lines = Array.from({ length: 50 }, (_, i) => `R${i},,${(11 + i * 0.1).toFixed(2)},${(10.5 - i * 0.01).toFixed(2)}`);
+    const orders = rankLegOrders(parseRelaySquad(lines.join('\n')), '4x100m');
+    const used = new Set(orders.flatMap(({ order }) => order.map(athlete => athlete.athlete)));
+    assert.ok(used.size <= 2 * LEG_ORDER_CANDIDATES);
+    // R0 is fastest from blocks, R49-R47 the fastest flying
+    const [first, ...flying] = orders[0].order.map(athlete => athlete.athlete);
+    assert.equal(first, 'R0');
+    assert.deepEqual(flying.sort(), ['R47', 'R48', 'R49']);
+  });
+
+  it('keeps mixed teams to two men and two women', () => {
+    const squad = parseRelaySquad('A,men,45.5,\nB,men,46.0,\nC,men,46.2,\nD,women,51.0,\nE,women,52.0,');
+    const orders = rankLegOrders(squad, 'mixed 4x400m');
+    // 3 pairs of men × 1 pair of women, their orders tying without flying splits
+    assert.equal(orders.length, 3);
+    for (const { order } of orders) {
+      assert.equal(order.filter(athlete => athlete.gender === 'women').length, 2);
+    }
+    assert.throws(() => rankLegOrders(squad.slice(0, 4), 'mixed 4x400m'), /needs 2 women/);
+  });
+
+  it('needs at least four athletes', () => {
+    assert.throws(() => rankLegOrders(parseRelaySquad(sprintSquad).slice(0, 3), '4x100m'), /at least 4 athletes/);
+  });
+});
+
+describe('relay points', () => {
+  before(async () => {
+    await loadLocalData();
+    await scoringDataLoader.loadEvent('women', '4x100m');
+  });
+
+  it('scores the predicted team time on the relay table', () => {
+    const [best] = rankLegOrders(parseRelaySquad(sprintSquad), '4x100m');
+    const points = lookupPoints('women', '4x100m', best.time.toFixed(2))?.points;
+    assert.ok(points > 1000);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Scoring Data Loader Tests
+ * Edition handling, against small in-memory tables
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryDataSource, setDataSource } from '../web/src/js/data/data-source.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { lookupPoints } from '../web/src/js/calculators/performance-lookup.js';
+import { compareEditions } from '../web/src/js/calculators/edition-comparison.js';
+
+const MANIFEST = { men: { sprints: { '100m': 'men/100m.json' } } };
+
+beforeEach(() => {
+  setDataSource(new MemoryDataSource({
+    'scoring_tables/editions.json': {
+      default: '2025',
+      editions: [
+        { id: '2025', name: '2025 Edition' },
+        { id: '2017', name: '2017 Edition' }
+      ]
+    },
+    'scoring_tables/2025/manifest.json': MANIFEST,
+    'scoring_tables/2025/men/100m.json': [[1210, '9.99'], [1206, '10.00'], [1203, '10.01']],
+    'scoring_tables/2017/manifest.json': MANIFEST,
+    'scoring_tables/2017/men/100m.json': [[1215, '9.99'], [1211, '10.00'], [1207, '10.01']]
+  }));
+  scoringDataLoader.clear();
+  scoringDataLoader.edition = null;
+});
+
+describe('scoringDataLoader editions', () => {
+  it('loads the default edition', async () => {
+    await scoringDataLoader.loadEvent('men', '100m');
+
+    assert.equal(scoringDataLoader.getEdition(), '2025');
+    assert.deepEqual(scoringDataLoader.getEditions().map(edition => edition.id), ['2025', '2017']);
+    assert.equal(lookupPoints('men', '100m', '10.00').points, 1206);
+  });
+
+  it('switches edition and drops the previous tables', async () => {
+    await scoringDataLoader.loadEvent('men', '100m');
+    await scoringDataLoader.setEdition('2017');
+
+    assert.equal(scoringDataLoader.isEventLoaded('men', '100m'), false);
+
+    await scoringDataLoader.loadEvent('men', '100m');
+    assert.equal(lookupPoints('men', '100m', '10.00').points, 1211);
+  });
+
+  it('rejects unknown editions', async () => {
+    await assert.rejects(scoringDataLoader.setEdition('1999'), /Unknown scoring table edition/);
+    assert.equal(scoringDataLoader.getEdition(), '2025');
+  });
+
+  it('loads another edition without changing the selected one', async () => {
+    const loader = scoringDataLoader.forEdition('2017');
+    await loader.loadEvent('men', '100m');
+
+    assert.equal(lookupPoints('men', '100m', '10.00', false, loader).points, 1211);
+    assert.equal(scoringDataLoader.isEventLoaded('men', '100m'), false);
+    assert.equal(scoringDataLoader.forEdition('2017'), loader);
+  });
+});
+
+describe('compareEditions', () => {
+  it('scores a mark in every edition relative to the selected one', async () => {
+    const comparison = await compareEditions('men', '100m', '10.00');
+
+    assert.deepEqual(
+      comparison.map(({ edition, points, difference, isSelected }) => ({ edition, points, difference, isSelected })),
+      [
+        { edition: '2025', points: 1206, difference: 0, isSelected: true },
+        { edition: '2017', points: 1211, difference: 5, isSelected: false }
+      ]
+    );
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Team Selection Optimizer Tests
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLocalData } from '../cli/local-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import {
+  getRosterEntries,
+  assignEntries,
+  getRelayTeams,
+  selectTeam
+} from '../web/src/js/calculators/team-selection.js';
+
+const entry = (athlete, event, points, performance = '0', gender = 'women') =>
+  ({ athlete, gender, event, eventDisplayName: event, performance, normalizedPerformance: performance, points });
+
+describe('getRosterEntries', () => {
+  it('keeps each athlete\'s best scored mark per event', () => {
+    const entries = getRosterEntries([
+      { athlete: 'Ava', genderKey: 'women', eventKey: '100m', performance: '11.40', points: 1100 },
+      { athlete: 'Ava', genderKey: 'women', eventKey: '100m', performance: '11.20', points: 1150 },
+      { athlete: 'Bea', genderKey: 'women', eventKey: '200m', points: null, error: 'Invalid mark' }
+    ]);
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].performance, '11.20');
+  });
+});
+
+describe('assignEntries', () => {
+  it('gives each event its best athletes when nobody is over the limit', () => {
+    const { entries, points } = assignEntries([
+      entry('Ava', '100m', 1100),
+      entry('Bea', '100m', 1000),
+      entry('Cat', '100m', 900)
+    ], { maxEvents: 2, perEvent: 2 });
+    assert.equal(points, 2100);
+    assert.deepEqual(entries.map(e => [e.athlete, e.string]), [['Ava', 'A'], ['Bea', 'B']]);
+  });
+
+  it('trades a higher score for a better team total', () => {
+    // Greedy would give Ava the 100m (1100) and leave the 200m to Cat (700)
+    const { entries, points } = assignEntries([
+      entry('Ava', '100m', 1100),
+      entry('Ava', '200m', 1050),
+      entry('Bea', '100m', 1080),
+      entry('Cat', '200m', 700)
+    ], { maxEvents: 1, perEvent: 1 });
+    assert.equal(points, 1050 + 1080);
+    assert.deepEqual(entries.map(e => `${e.athlete} ${e.event}`).sort(), ['Ava 200m', 'Bea 100m']);
+  });
+
+  it('takes events already used by relays off the limit', () => {
+    const { entries } = assignEntries([entry('Ava', '100m', 1100)], { maxEvents: 1, perEvent: 2 }, new Map([['Ava', 1]]));
+    assert.equal(entries.length, 0);
+  });
+
+  it('keeps genders apart in the same event', () => {
+    const { entries } = assignEntries([
+      entry('Ava', '100m', 1100),
+      entry('Bea', '100m', 1000),
+      entry('Dan', '100m', 900, '0', 'men')
+    ], { maxEvents: 1, perEvent: 1 });
+    assert.deepEqual(entries.map(e => e.athlete).sort(), ['Ava', 'Dan']);
+  });
+});
+
+describe('selectTeam with relays', () => {
+  const roster = [
+    entry('Ava', '100m', 1150, '11.20'),
+    entry('Bea', '100m', 1100, '11.40'),
+    entry('Cat', '100m', 1180, '11.10'),
+    entry('Dee', '100m', 1050, '11.60'),
+    entry('Eve', '100m', 900, '12.50'),
+    entry('Ava', '200m', 1140, '23.00')
+  ];
+
+  before(async () => {
+    await loadLocalData();
+    await scoringDataLoader.loadEvent('women', '4x100m');
+    await scoringDataLoader.loadEvent('women', '4x400m');
+  });
+
+  it('builds relay teams from the fastest athletes at the leg distance', () => {
+    const [fastest] = getRelayTeams(roster, '4x100m', 'women');
+    assert.deepEqual(fastest.order.map(a => a.athlete).sort(), ['Ava', 'Bea', 'Cat', 'Dee']);
+    // 11.10 + (11.20 + 11.40 + 11.60) - 3 × 0.8
+    assert.equal(fastest.time, 42.9);
+    assert.ok(fastest.points > 1000);
+  });
+
+  it('reads leg PBs over a minute in seconds', () => {
+    // Formatted marks as they come from scoreResults: "1:01.20" is 61.20 seconds, not 1
+    const longRoster = getRosterEntries([
+      ['Ava', '58.10', '58.10', 1100],
+      ['Bea', '59.00', '59.00', 1050],
+      ['Cat', '1:01.20', '61.20', 950],
+      ['Dee', '1:02.50', '62.50', 900],
+      ['Eve', '1:03.00', '63.00', 880]
+    ].map(([athlete, performance, normalizedPerformance, points]) =>
+      ({ athlete, genderKey: 'women', eventKey: '400m', performance, normalizedPerformance, points })));
+
+    const [fastest] = getRelayTeams(longRoster, '4x400m', 'women');
+    assert.deepEqual(fastest.order.map(a => a.athlete).sort(), ['Ava', 'Bea', 'Cat', 'Dee']);
+    // 58.10 + (59.00 + 61.20 + 62.50) - 3 × 0.7
+    assert.equal(fastest.time, 238.7);
+  });
+
+  it('adds the relay to the team total', () => {
+    const team = selectTeam(roster, { relays: ['4x100m'] });
+    assert.equal(team.relays.length, 1);
+    assert.equal(team.totalPoints, team.relays[0].points + team.entries.reduce((sum, e) => sum + e.points, 0));
+  });
+
+  it('counts relay legs towards the limit when asked', () => {
+    const team = selectTeam(roster, { maxEvents: 1, perEvent: 2, relays: ['4x100m'], relaysCount: true });
+    const relayRunners = new Set(team.relays.flatMap(relay => relay.order.map(a => a.athlete)));
+    for (const { athlete } of team.entries) {
+      assert.ok(!relayRunners.has(athlete), `${athlete} is entered twice`);
+    }
+  });
+
+  it('rejects invalid limits', () => {
+    assert.throws(() => selectTeam(roster, { maxEvents: 0 }), /at least 1/);
+  });
+});
+
+describe('selectTeam with a full squad', () => {
+  // 12 men and 12 women, each with a 100m, 200m and 400m PB; the faster athletes score more
+  const events = { '100m': [10.4, 11.5], '200m': [21.0, 23.3], '400m': [46.5, 52.5] };
+  const squad = ['men', 'women'].flatMap((gender, g) => Array.from({ length: 12 }, (_, i) =>
+    Object.entries(events).map(([event, bests], e) => {
+      const mark = (bests[g] * (1 + 0.006 * i + 0.004 * ((i + e) % 3))).toFixed(2);
+      return entry(`${gender[0].toUpperCase()}${i + 1}`, event, 1200 - 12 * i - 25 * ((i + e) % 3), mark, gender);
+    })).flat());
+  const relays = ['4x100m', '4x200m', '4x400m', 'mixed 4x400m'];
+
+  before(async () => {
+    await loadLocalData();
+    await Promise.all([
+      scoringDataLoader.loadEvents('men', ['4x100m', '4x200m', '4x400m']),
+      scoringDataLoader.loadEvents('women', ['4x100m', '4x200m', '4x400m']),
+      scoringDataLoader.loadEvent('mixed', '4x400m')
+    ]);
+  });
+
+  it('finds the best total when every relay counts towards the limit', () => {
+    const team = selectTeam(squad, { maxEvents: 2, perEvent: 2, relays, relaysCount: true });
+
+    // Checked against trying every combination of the seven relay teams
+    assert.equal(team.totalPoints, 19042);
+    assert.deepEqual(team.relays.map(relay => `${relay.name} ${relay.gender}`), [
+      '4x200m men', '4x200m women', '4x400m men', '4x400m women', 'Mixed 4x400m mixed'
+    ]);
+
+    const used = new Map();
+    [...team.entries, ...team.relays.flatMap(relay => relay.order)].forEach(({ athlete }) =>
+      used.set(athlete, (used.get(athlete) || 0) + 1));
+    assert.ok([...used.values()].every(count => count <= 2));
+
+    const perEvent = new Map();
+    team.entries.forEach(e => perEvent.set(`${e.gender}/${e.event}`, (perEvent.get(`${e.gender}/${e.event}`) || 0) + 1));
+    assert.ok([...perEvent.values()].every(count => count <= 2));
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Track Lap Splits Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLaneLapMetres, calculateLapSplits } from '../web/src/js/calculators/track-splits.js';
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+describe('getLaneLapMetres', () => {
+  it('matches the standard lane lengths', () => {
+    assert.equal(getLaneLapMetres('outdoor', 1), 400);
+    assert.equal(getLaneLapMetres('outdoor', 2).toFixed(2), '407.04');
+    assert.equal(getLaneLapMetres('outdoor', 8).toFixed(2), '453.03');
+  });
+
+  it('rejects lanes the track does not have', () => {
+    assert.throws(() => getLaneLapMetres('outdoor', 9), /Invalid lane/);
+    assert.throws(() => getLaneLapMetres('indoor', 2), /Invalid lane/);
+  });
+});
+
+describe('calculateLapSplits', () => {
+  it('starts the 1500m with a 300m partial lap', () => {
+    const { laps, finishTime } = calculateLapSplits(1500, 240);
+
+    assert.deepEqual(laps.map(lap => lap.distance), [300, 700, 1100, 1500]);
+    assert.deepEqual(laps.map(lap => lap.isPartial), [true, false, false, false]);
+    assert.equal(laps[0].lapTime, 48);
+    assert.equal(laps[1].lapTime, 64);
+    assert.equal(finishTime, 240);
+  });
+
+  it('runs the 10000m as 25 full laps', () => {
+    const { laps } = calculateLapSplits(10000, 1800);
+
+    assert.equal(laps.length, 25);
+    assert.ok(laps.every(lap => !lap.isPartial && Math.abs(lap.lapTime - 72) < 1e-9));
+  });
+
+  it('splits the mile with a 9.34m partial lap', () => {
+    const { laps } = calculateLapSplits(1609.344, 240);
+
+    assert.equal(laps.length, 5);
+    assert.equal(laps[0].distance.toFixed(2), '9.34');
+  });
+
+  it('uses 200m laps indoors', () => {
+    const { laps } = calculateLapSplits(1500, 240, { track: 'indoor' });
+
+    assert.equal(laps.length, 8);
+    assert.equal(laps[0].distance, 100);
+  });
+
+  it('lengthens every lap in an outer lane at the same pace', () => {
+    const sheet = calculateLapSplits(1600, 240, { lane: 2 });
+
+    assert.equal(sheet.distanceRun.toFixed(2), '1628.15');
+    assert.equal(sheet.finishTime.toFixed(2), (240 * 407.04 / 400).toFixed(2));
+    assert.equal(sheet.laps[0].lapDistance.toFixed(2), '407.04');
+  });
+
+  it('sums the lap times to the finish time with a pacing strategy', () => {
+    const { laps, finishTime } = calculateLapSplits(5000, 900, { pacing: { strategy: 'negative', percent: 3 } });
+
+    assert.equal(laps[0].distance, 200);
+    assert.equal(sum(laps.map(lap => lap.lapTime)).toFixed(6), finishTime.toFixed(6));
+    assert.ok(laps[laps.length - 1].lapTime < laps[1].lapTime);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Training Zones Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateTrainingZones, velocityForVo2 } from '../web/src/js/calculators/training-zones.js';
+
+describe('velocityForVo2', () => {
+  it('inverts the oxygen cost equation', () => {
+    const velocity = velocityForVo2(50);
+    const vo2 = -4.60 + 0.182258 * velocity + 0.000104 * velocity * velocity;
+    assert.equal(vo2.toFixed(6), '50.000000');
+  });
+});
+
+describe('calculateTrainingZones', () => {
+  // 19:57 for 5K is VDOT 50 in the Daniels tables:
+  // M 4:31/km, T 4:15/km, I 94s/400m, R 89s/400m
+  const { vdot, zones } = calculateTrainingZones(5000, 19 * 60 + 57);
+  const zone = key => zones.find(candidate => candidate.key === key);
+
+  it('derives VDOT from the race result', () => {
+    assert.equal(vdot.toFixed(1), '50.0');
+  });
+
+  it('matches the Daniels training paces', () => {
+    assert.equal(Math.round(zone('marathon').fastPerKm), 271);
+    assert.equal(Math.round(zone('threshold').fastPerKm), 255);
+    assert.equal(Math.round(zone('interval').fastPerKm * 0.4), 94);
+    assert.equal(Math.round(zone('repetition').fastPerKm * 0.4), 89);
+  });
+
+  it('gives Easy as a range and the other zones as a single pace', () => {
+    assert.ok(zone('easy').slowPerKm > zone('easy').fastPerKm);
+    assert.equal(zone('threshold').slowPerKm, zone('threshold').fastPerKm);
+  });
+
+  it('orders the zones from slowest to fastest', () => {
+    const paces = zones.map(candidate => candidate.fastPerKm);
+    assert.deepEqual([...paces].sort((a, b) => b - a), paces);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Treadmill Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getBeltSpeeds,
+  getDefaultInclineTable,
+  parseInclineTable,
+  getInclineEffort,
+  getTreadmillSettings
+} from '../web/src/js/calculators/treadmill.js';
+import { getGradeCostFactor } from '../web/src/js/calculators/course-adjustments.js';
+
+describe('getBeltSpeeds', () => {
+  it('rounds to the nearest setting', () => {
+    const { kmh, mph } = getBeltSpeeds(300);
+    assert.equal(kmh.setting, 12);
+    assert.equal(kmh.pacePerKm, 300);
+    // 12 km/h = 7.456 mph
+    assert.equal(mph.setting, 7.5);
+    assert.equal(mph.exact.toFixed(3), '7.456');
+  });
+
+  it('gives the settings either side', () => {
+    const { kmh } = getBeltSpeeds(300);
+    assert.equal(kmh.slower.setting, 11.9);
+    assert.equal(kmh.faster.setting, 12.1);
+    assert.ok(kmh.slower.pacePerKm > 300);
+  });
+
+  it('uses larger steps', () => {
+    // 4:50/km = 12.41 km/h = 7.71 mph
+    const { kmh, mph } = getBeltSpeeds(290, 0.5);
+    assert.equal(kmh.setting, 12.5);
+    assert.equal(mph.setting, 7.5);
+  });
+});
+
+describe('getInclineEffort', () => {
+  it('matches flat outdoor running at 1%', () => {
+    assert.equal(getInclineEffort(1), 1);
+    assert.ok(getInclineEffort(0) < 1);
+    assert.equal(getInclineEffort(5), getGradeCostFactor(0.04));
+  });
+
+  it('interpolates a custom table', () => {
+    const table = [{ incline: 1, effort: 100 }, { incline: 5, effort: 120 }];
+    assert.equal(getInclineEffort(3, table), 1.1);
+    assert.equal(getInclineEffort(0, table), 1);
+    assert.equal(getInclineEffort(8, table), 1.2);
+  });
+});
+
+describe('getDefaultInclineTable', () => {
+  it('lists whole inclines', () => {
+    const table = getDefaultInclineTable();
+    assert.equal(table.length, 11);
+    assert.deepEqual(table[1], { incline: 1, effort: 100 });
+  });
+});
+
+describe('parseInclineTable', () => {
+  it('reads rows with an optional header', () => {
+    assert.deepEqual(parseInclineTable('Incline,Effort\n5, 118\n1, 100'), [
+      { incline: 1, effort: 100 },
+      { incline: 5, effort: 118 }
+    ]);
+  });
+
+  it('rejects invalid tables', () => {
+    assert.throws(() => parseInclineTable('1, 100'), /at least two rows/);
+    assert.throws(() => parseInclineTable('1, 100\n2, fast'), /Line 2/);
+  });
+
+  it('rejects repeated inclines, which would leave no gradient between them', () => {
+    assert.throws(() => parseInclineTable('0, 96\n2, 105\n2, 106'), /Line 3: incline 2% is already on line 2/);
+  });
+});
+
+describe('getTreadmillSettings', () => {
+  it('slows the belt as the incline rises', () => {
+    const table = [{ incline: 1, effort: 100 }, { incline: 5, effort: 120 }];
+    const flat = getTreadmillSettings(300, 1, { table });
+    const uphill = getTreadmillSettings(300, 5, { table });
+    assert.equal(flat.pacePerKm, 300);
+    assert.equal(uphill.pacePerKm, 360);
+    assert.equal(uphill.speeds.kmh.setting, 10);
+  });
+});
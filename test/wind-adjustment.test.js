@@ -0,0 +1,90 @@
+/**
+ * Wind Adjustment Tests
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLocalData } from '../cli/local-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { lookupPoints } from '../web/src/js/calculators/performance-lookup.js';
+import {
+  calculateStillAirPerformance,
+  lookupWindAdjustedPoints,
+  parseWindInput,
+  formatWind
+} from '../web/src/js/calculators/wind-adjustment.js';
+
+before(async () => {
+  await loadLocalData();
+  await scoringDataLoader.loadEvents('men', ['100m', '400m']);
+});
+
+describe('calculateStillAirPerformance', () => {
+  it('slows a wind-assisted sprint to its still-air time', () => {
+    // 9.58 (+0.9): 9.58 × (1.03 - 0.03 × (1 - 0.9 × 9.58 / 100)²) = 9.627
+    assert.equal(calculateStillAirPerformance('100m', 9.58, 0.9).toFixed(2), '9.63');
+  });
+
+  it('speeds up a sprint run into a headwind', () => {
+    // 10.00 (-1.0): 10.00 × (1.03 - 0.03 × 1.1²) = 9.937
+    assert.equal(calculateStillAirPerformance('100m', 10.00, -1.0).toFixed(2), '9.94');
+  });
+
+  it('applies the smaller coefficient to the 200m', () => {
+    const straight = calculateStillAirPerformance('100m', 10.00, 2.0) - 10.00;
+    const bend = calculateStillAirPerformance('200m', 20.00, 2.0) - 20.00;
+    assert.ok(bend > 0);
+    assert.ok(bend < straight);
+  });
+
+  it('corrects jumps linearly in both directions', () => {
+    assert.equal(calculateStillAirPerformance('lj', 8.00, 2.0).toFixed(2), '7.90');
+    assert.equal(calculateStillAirPerformance('tj', 17.00, -1.0).toFixed(2), '17.06');
+  });
+
+  it('leaves still-air performances unchanged', () => {
+    assert.equal(calculateStillAirPerformance('100m', 10.00, 0), 10.00);
+    assert.equal(calculateStillAirPerformance('lj', 8.00, 0), 8.00);
+  });
+
+  it('returns null for events without wind correction', () => {
+    for (const eventKey of ['400m', '800m', 'hj', 'sp', 'marathon']) {
+      assert.equal(calculateStillAirPerformance(eventKey, 45.00, 1.5), null, eventKey);
+    }
+  });
+});
+
+describe('lookupWindAdjustedPoints', () => {
+  it('scores the still-air time', () => {
+    const result = lookupWindAdjustedPoints('men', '100m', '9.58', 0.9);
+    assert.equal(result.stillAirPerformance, '9.63');
+    assert.equal(result.windSpeed, 0.9);
+    assert.equal(result.points, lookupPoints('men', '100m', '9.63').points);
+  });
+
+  it('returns null for events without wind correction', () => {
+    assert.equal(lookupWindAdjustedPoints('men', '400m', '45.00', 1.5), null);
+  });
+});
+
+describe('parseWindInput', () => {
+  it('reads signed readings with optional units', () => {
+    assert.equal(parseWindInput('+1.8'), 1.8);
+    assert.equal(parseWindInput('-0.5 m/s'), -0.5);
+    assert.equal(parseWindInput('2,1'), 2.1);
+  });
+
+  it('rejects empty, invalid and out-of-range readings', () => {
+    assert.equal(parseWindInput(''), null);
+    assert.equal(parseWindInput('fast'), null);
+    assert.equal(parseWindInput('12.0'), null);
+  });
+});
+
+describe('formatWind', () => {
+  it('always shows the sign', () => {
+    assert.equal(formatWind(1.8), '+1.8 m/s');
+    assert.equal(formatWind(0), '+0.0 m/s');
+    assert.equal(formatWind(-0.5), '-0.5 m/s');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Interval Workout Builder Tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRepTimeFromPace, buildWorkout } from '../web/src/js/calculators/workout-builder.js';
+
+describe('getRepTimeFromPace', () => {
+  it('scales the pace to the rep distance', () => {
+    assert.equal(getRepTimeFromPace(180, 1000, 400), 72);
+    assert.equal(getRepTimeFromPace(75, 400, 1000), 187.5);
+  });
+});
+
+describe('buildWorkout', () => {
+  // 15:00 warm-up, 6 × 1000m @ 3:05 with 90s jog recoveries, 10:00 cool-down at 5:00/km
+  const session = {
+    reps: 6,
+    repDistance: 1000,
+    repTime: 185,
+    recovery: 90,
+    recoveryType: 'jog',
+    warmUp: 900,
+    coolDown: 600,
+    easyPace: 300
+  };
+
+  it('totals the session time and distance', () => {
+    const workout = buildWorkout(session);
+    // 900 + 6 × 185 + 5 × 90 + 600
+    assert.equal(workout.totalDuration, 3060);
+    // 3km warm-up + 6km of reps + 5 × 300m jogs + 2km cool-down
+    assert.equal(workout.totalDistance, 12500);
+    assert.equal(workout.repVolume, 6000);
+    assert.equal(workout.repPace, 185);
+  });
+
+  it('lists the steps with the clock at the end of each', () => {
+    const { steps } = buildWorkout(session);
+    assert.equal(steps.length, 13);
+    assert.deepEqual(steps.map(step => step.type).slice(0, 4), ['warmUp', 'rep', 'recovery', 'rep']);
+    assert.deepEqual(steps[1], { type: 'rep', rep: 1, distance: 1000, duration: 185, elapsed: 1085 });
+    assert.equal(steps[steps.length - 1].type, 'coolDown');
+    assert.equal(steps[steps.length - 1].elapsed, 3060);
+  });
+
+  it('gives standing recoveries no distance', () => {
+    const workout = buildWorkout({ ...session, recoveryType: 'stand', warmUp: 0, coolDown: 0, easyPace: null });
+    assert.equal(workout.totalDistance, 6000);
+    assert.equal(workout.totalDuration, 6 * 185 + 5 * 90);
+  });
+
+  it('needs an easy pace for jogging', () => {
+    assert.throws(() => buildWorkout({ ...session, easyPace: null }), /easy pace/);
+    assert.doesNotThrow(() => buildWorkout({ reps: 1, repDistance: 400, repTime: 60, recovery: 60 }));
+  });
+
+  it('rejects invalid reps', () => {
+    assert.throws(() => buildWorkout({ reps: 0, repDistance: 400, repTime: 60 }), /at least one rep/);
+    assert.throws(() => buildWorkout({ reps: 2, repDistance: 400, repTime: 60, recoveryType: 'walk' }), /Unknown recovery type/);
+  });
+});
@@ -0,0 +1,207 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCSV } from '../../web/src/js/utils/csv.js';
+
+// ES module equivalent of __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(path.dirname(path.dirname(__dirname)), 'web', 'public', 'data');
+const OUTPUT_DIR = path.join(DATA_DIR, 'age_factors');
+
+/**
+ * Age Factors Importer
+ * Converts the WMA age-grading factor spreadsheets (exported to CSV, one file per gender)
+ * into a versioned JSON table and registers it in age_factors/index.json.
+ *
+ * CSV layout - one row per event, ages as column headers:
+ *   event,openStandard,30,31,32,...,100
+ *   100m,9.58,1,1,0.9995,...
+ *   Marathon,2:01:09,1,1,1,...
+ *
+ * Events are matched to events_config.json by key or display name. Open standards
+ * are times (seconds, MM:SS or HH:MM:SS) or distances in metres. Blank factors are
+ * kept as null (age not covered).
+ */
+
+/**
+ * Normalize an event name for matching (case, spaces and commas ignored)
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeEventName(value) {
+  return String(value).toLowerCase().replace(/[\s,]/g, '');
+}
+
+/**
+ * Build a lookup from normalized event key/display name to event key
+ * @returns {Map<string, string>}
+ */
+function loadEventNames() {
+  const config = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'events_config.json'), 'utf8'));
+  const names = new Map();
+
+  for (const [key, event] of Object.entries(config.events)) {
+    names.set(normalizeEventName(key), key);
+    if (event.displayName) {
+      names.set(normalizeEventName(event.displayName), key);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Parse an open standard (seconds, MM:SS(.ss), HH:MM:SS(.ss) or metres) to a number
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseOpenStandard(value) {
+  const parts = value.trim().split(':');
+
+  if (parts.some(part => part === '' || isNaN(Number(part)))) {
+    return null;
+  }
+
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Convert one gender's CSV into {eventKey: {openStandard, minAge, factors}}
+ * @param {string} csvPath
+ * @param {Map<string, string>} eventNames
+ * @returns {Object}
+ */
+function importGender(csvPath, eventNames) {
+  const [header, ...rows] = parseCSV(fs.readFileSync(csvPath, 'utf8'));
+
+  if (!header || header.fields.length < 3) {
+    throw new Error(`${csvPath}: expected a header of event,openStandard,<ages...>`);
+  }
+
+  const ages = header.fields.slice(2).map(age => Number(age.trim()));
+  const minAge = ages[0];
+
+  if (ages.some((age, i) => !Number.isInteger(age) || age !== minAge + i)) {
+    throw new Error(`${csvPath}: age columns must be consecutive whole years`);
+  }
+
+  const events = {};
+
+  for (const { line, fields } of rows) {
+    const [name, standard, ...factorCells] = fields;
+    const eventKey = eventNames.get(normalizeEventName(name));
+
+    if (!eventKey) {
+      console.warn(`⚠️  ${csvPath}:${line}: skipping unknown event "${name}"`);
+      continue;
+    }
+
+    const openStandard = parseOpenStandard(standard || '');
+    if (!openStandard) {
+      throw new Error(`${csvPath}:${line}: invalid open standard "${standard}"`);
+    }
+
+    const factors = ages.map((age, i) => {
+      const cell = (factorCells[i] || '').trim();
+      if (!cell) {
+        return null;
+      }
+
+      const factor = Number(cell);
+      if (isNaN(factor) || factor <= 0 || factor > 1) {
+        throw new Error(`${csvPath}:${line}: invalid factor "${cell}" for age ${age}`);
+      }
+      return factor;
+    });
+
+    events[eventKey] = { openStandard, minAge, factors };
+  }
+
+  return events;
+}
+
+/**
+ * Add a version to index.json, newest first; the newest version becomes the default
+ * @param {Object} entry - {id, name, file}
+ * @returns {Object} The index
+ */
+function updateIndex(entry) {
+  const indexPath = path.join(OUTPUT_DIR, 'index.json');
+  const index = fs.existsSync(indexPath)
+    ? JSON.parse(fs.readFileSync(indexPath, 'utf8'))
+    : { default: null, versions: [] };
+
+  index.versions = index.versions.filter(version => version.id !== entry.id);
+  index.versions.push(entry);
+  index.versions.sort((a, b) => b.id.localeCompare(a.id));
+  index.default = index.versions[0].id;
+
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n');
+
+  return index;
+}
+
+/**
+ * Parse --name value / --name=value options
+ * @param {string[]} args
+ * @returns {Object}
+ */
+function parseOptions(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const [name, inlineValue] = args[i].replace(/^--/, '').split(/=(.*)/s);
+    options[name] = inlineValue !== undefined ? inlineValue : args[++i];
+  }
+
+  return options;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const options = parseOptions(process.argv.slice(2));
+
+  console.log('=====================================');
+  console.log('WMA Age Factors Importer');
+  console.log('=====================================\n');
+
+  if (!options.version || !/^[\w-]+$/.test(options.version) || (!options.men && !options.women)) {
+    console.error('❌ Error: --version and at least one of --men / --women are required');
+    console.log('\nUsage: node import-age-factors.js --version <id> [--name <name>] [--source <text>] [--men <csv>] [--women <csv>]');
+    console.log('Example: node import-age-factors.js --version wma-2023 --name "WMA 2023" --men men.csv --women women.csv');
+    process.exit(1);
+  }
+
+  try {
+    const eventNames = loadEventNames();
+    const table = {
+      version: options.version,
+      name: options.name || options.version,
+      source: options.source || null
+    };
+
+    for (const gender of ['men', 'women']) {
+      if (options[gender]) {
+        table[gender] = importGender(options[gender], eventNames);
+        console.log(`📖 ${gender}: ${Object.keys(table[gender]).length} events from ${options[gender]}`);
+      }
+    }
+
+    const file = `${options.version}.json`;
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    fs.writeFileSync(path.join(OUTPUT_DIR, file), JSON.stringify(table));
+    updateIndex({ id: options.version, name: table.name, file });
+
+    console.log(`📦 Published to website: web/public/data/age_factors/${file}`);
+    console.log('\n✅ Import completed successfully!');
+  } catch (error) {
+    console.error('\n❌ Error importing age factors:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
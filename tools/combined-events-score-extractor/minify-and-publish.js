@@ -6,6 +6,57 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const MEASUREMENTS = ['time', 'distance', 'height'];
+
+/**
+ * Check that every combined event can be scored
+ * @param {Object} data - Parsed configuration
+ * @returns {Array<string>} Problems found (empty if the configuration is valid)
+ */
+function validateConfig(data) {
+  const problems = [];
+
+  for (const gender of ['men', 'women']) {
+    const { combined = {}, events = {} } = data[gender] || {};
+
+    for (const [key, event] of Object.entries(events)) {
+      const { a, b, c } = event.parameters || {};
+      if (![a, b, c].every(Number.isFinite)) {
+        problems.push(`${gender} ${key}: parameters need numeric a, b and c`);
+      }
+      if (!MEASUREMENTS.includes(event.measurement)) {
+        problems.push(`${gender} ${key}: unknown measurement "${event.measurement}"`);
+      }
+    }
+
+    for (const [key, combinedEvent] of Object.entries(combined)) {
+      const ageGroups = combinedEvent.ageGroups || [];
+      const variants = combinedEvent.variants || {};
+
+      ageGroups
+        .filter(ageGroup => typeof ageGroup !== 'string' || ageGroup.includes(','))
+        .forEach(ageGroup => problems.push(`${gender} ${key}: list age groups separately, not "${ageGroup}"`));
+
+      for (const [ageGroup, variant] of [['', combinedEvent], ...Object.entries(variants)]) {
+        const label = ageGroup ? `${gender} ${key} (${ageGroup})` : `${gender} ${key}`;
+        const lineup = (variant.events || combinedEvent.events || []).flat();
+
+        if (ageGroup && !ageGroups.includes(ageGroup)) {
+          problems.push(`${label}: variant is not one of the ageGroups`);
+        }
+        lineup
+          .filter(eventKey => !events[eventKey])
+          .forEach(eventKey => problems.push(`${label}: no parameters for event "${eventKey}"`));
+        Object.keys(variant.eventOverrides || {})
+          .filter(eventKey => !lineup.includes(eventKey))
+          .forEach(eventKey => problems.push(`${label}: override for event "${eventKey}" outside the lineup`));
+      }
+    }
+  }
+
+  return problems;
+}
+
 /**
  * Minify and publish combined event configuration
  * Reads combined-event-config.json, creates a minified version,
@@ -31,6 +82,17 @@ async function main() {
     console.log(`📖 Reading ${inputFile}...`);
     const data = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
 
+    // Check every combined event can be scored before publishing
+    const problems = validateConfig(data);
+    if (problems.length > 0) {
+      console.error('❌ Error: Invalid configuration:');
+      problems.forEach(problem => console.error(`   - ${problem}`));
+      process.exit(1);
+    }
+    const combinedCount = ['men', 'women']
+      .reduce((count, gender) => count + Object.keys(data[gender]?.combined || {}).length, 0);
+    console.log(`✅ Validated ${combinedCount} combined events`);
+
     // Create minified version (no whitespace)
     const minifiedJson = JSON.stringify(data);
 
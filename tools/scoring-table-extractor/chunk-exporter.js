@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// ES module equivalent of __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Scoring Table Chunk Exporter
+ * Splits the minified scoring tables into one file per gender and event plus a manifest,
+ * so the website only downloads the tables it needs.
+ *
+ * Each edition of the tables (e.g., 2017, 2022, 2025) is published side by side.
+ *
+ * Output layout:
+ *   scoring_tables/editions.json                  {default: "2025", editions: [{id, name}]}
+ *   scoring_tables/<edition>/manifest.json        {gender: {category: {event: "gender/file.json"}}}
+ *   scoring_tables/<edition>/<gender>/<event>.json [[points, performance], ...]
+ */
+
+export const DEFAULT_CHUNK_DIR = path.join(path.dirname(path.dirname(__dirname)), 'web', 'public', 'data', 'scoring_tables');
+
+/**
+ * Convert an event name to a safe file name (e.g., "100m h" -> "100m_h", "10,000mW" -> "10000mw")
+ * @param {string} eventName
+ * @returns {string}
+ */
+export function eventFileName(eventName) {
+  return eventName
+    .toLowerCase()
+    .replace(/,/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Find the edition year in a file name (e.g., "World_Athletics_Scoring_Tables_of_Athletics_2025.pdf" -> "2025")
+ * @param {string} fileName
+ * @returns {string|null}
+ */
+export function detectEdition(fileName) {
+  const match = path.basename(fileName).match(/(?:^|[^\d])((?:19|20)\d{2})(?!\d)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Write per-gender, per-event chunk files and the manifest for one edition,
+ * then register the edition in editions.json
+ * @param {Object} data - Minified scoring data {gender: {category: {event: [[points, performance]]}}}
+ * @param {string} edition - Edition id, usually the year (e.g., "2025")
+ * @param {string} baseDir - Scoring tables directory; the edition is written to <baseDir>/<edition> (replaced if it exists)
+ * @returns {Object} The manifest
+ */
+export function exportScoringChunks(data, edition, baseDir = DEFAULT_CHUNK_DIR) {
+  if (!edition || !/^[\w-]+$/.test(edition)) {
+    throw new Error(`Invalid edition "${edition}": expected e.g. 2025`);
+  }
+
+  const outputDir = path.join(baseDir, edition);
+
+  // Start from a clean directory so renamed or removed events don't leave stale chunks
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const manifest = {};
+  let chunkCount = 0;
+
+  for (const [gender, categories] of Object.entries(data)) {
+    manifest[gender] = {};
+    fs.mkdirSync(path.join(outputDir, gender), { recursive: true });
+
+    const usedNames = new Set();
+
+    for (const [category, events] of Object.entries(categories)) {
+      manifest[gender][category] = {};
+
+      for (const [eventName, entries] of Object.entries(events)) {
+        // Keep file names unique within a gender in case two events slugify the same way
+        let fileName = eventFileName(eventName);
+        let suffix = 2;
+        while (usedNames.has(fileName)) {
+          fileName = `${eventFileName(eventName)}_${suffix++}`;
+        }
+        usedNames.add(fileName);
+
+        const relativePath = `${gender}/${fileName}.json`;
+        fs.writeFileSync(path.join(outputDir, relativePath), JSON.stringify(entries));
+        manifest[gender][category][eventName] = relativePath;
+        chunkCount++;
+      }
+    }
+  }
+
+  fs.writeFileSync(path.join(outputDir, 'manifest.json'), JSON.stringify(manifest));
+  updateEditionsIndex(baseDir, edition);
+
+  console.log(`📦 Published ${chunkCount} scoring table chunks to: ${outputDir}`);
+
+  return manifest;
+}
+
+/**
+ * Add an edition to editions.json, keeping the list newest first
+ * The newest edition becomes the website's default.
+ * @param {string} baseDir - Scoring tables directory
+ * @param {string} edition - Edition id
+ * @returns {Object} The editions index
+ */
+export function updateEditionsIndex(baseDir, edition) {
+  const indexPath = path.join(baseDir, 'editions.json');
+  const index = fs.existsSync(indexPath)
+    ? JSON.parse(fs.readFileSync(indexPath, 'utf8'))
+    : { default: null, editions: [] };
+
+  if (!index.editions.some(entry => entry.id === edition)) {
+    index.editions.push({ id: edition, name: `${edition} Edition` });
+  }
+
+  index.editions.sort((a, b) => b.id.localeCompare(a.id));
+  index.default = index.editions[0].id;
+
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n');
+
+  return index;
+}
+
+/**
+ * Split an existing minified JSON file without re-extracting from the PDF
+ * Usage: node chunk-exporter.js [athletics_scoring_tables.min.json] [edition]
+ * The edition defaults to the year in the file name, or 2025.
+ */
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const inputPath = process.argv[2] || 'athletics_scoring_tables.min.json';
+  const edition = process.argv[3] || detectEdition(inputPath) || '2025';
+
+  try {
+    const data = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+    exportScoringChunks(data, edition);
+  } catch (error) {
+    console.error('\n❌ Error exporting chunks:', error.message);
+    process.exit(1);
+  }
+}
@@ -3,6 +3,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import pdfParse from 'pdf-parse';
 import { eventsConfig, getCategoryForEvent as getCategory, isKnownEvent, getEventInfo } from './events-config.js';
+import { exportScoringChunks, detectEdition } from './chunk-exporter.js';
 
 // ES module equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -577,8 +578,11 @@ class EnhancedScoringTableExtractor {
 
   /**
    * Export to JSON
+   * @param {string} outputPath - Pretty-printed JSON path (the minified copy gets a .min suffix)
+   * @param {boolean} mergeWithExisting - Merge with the tables already in outputPath
+   * @param {string} edition - Edition id the website chunks are published under (e.g., "2025")
    */
-  exportToJSON(outputPath, mergeWithExisting = false) {
+  exportToJSON(outputPath, mergeWithExisting = false, edition = '2025') {
     // Optionally merge with existing file
     if (mergeWithExisting) {
       this.loadAndMerge(outputPath);
@@ -646,19 +650,9 @@ class EnhancedScoringTableExtractor {
     console.log(`\n💾 Data exported to: ${outputPath}`);
     console.log(`💾 Minified version: ${minifiedPath}`);
 
-    // Copy minified version to website's public/data directory
-    const websiteDataDir = path.join(path.dirname(path.dirname(__dirname)), 'web', 'public', 'data');
-    const websiteDataPath = path.join(websiteDataDir, path.basename(minifiedPath));
-
+    // Publish per-gender, per-event chunks to website's public/data directory
     try {
-      // Ensure the directory exists
-      if (!fs.existsSync(websiteDataDir)) {
-        fs.mkdirSync(websiteDataDir, { recursive: true });
-      }
-
-      // Copy minified file to website data directory
-      fs.copyFileSync(minifiedPath, websiteDataPath);
-      console.log(`📦 Published to website: ${websiteDataPath}`);
+      exportScoringChunks(minifiedData, edition);
     } catch (error) {
       console.warn(`⚠️  Warning: Could not publish to website directory: ${error.message}`);
     }
@@ -884,9 +878,12 @@ class EnhancedScoringTableExtractor {
  */
 async function main() {
   const args = process.argv.slice(2);
-  const inputPDF = args[0] || 'World_Athletics_Scoring_Tables_of_Athletics_2025.pdf';
-  const outputJSON = args[1] || 'athletics_scoring_tables.json';
-  const mergeFlag = args[2] === '--merge' || args[2] === '-m';
+  const mergeFlag = args.includes('--merge') || args.includes('-m');
+  const editionArg = args.find(arg => arg.startsWith('--edition='));
+  const positional = args.filter(arg => !arg.startsWith('-'));
+  const inputPDF = positional[0] || 'World_Athletics_Scoring_Tables_of_Athletics_2025.pdf';
+  const outputJSON = positional[1] || 'athletics_scoring_tables.json';
+  const edition = editionArg ? editionArg.slice('--edition='.length) : detectEdition(inputPDF);
 
   console.log('=====================================');
   console.log('World Athletics Scoring Table Extractor');
@@ -895,16 +892,23 @@ async function main() {
   // Check if input file exists
   if (!fs.existsSync(inputPDF)) {
     console.error(`❌ Error: PDF file not found: ${inputPDF}`);
-    console.log('\nUsage: node index.js <input-pdf> [output-json] [--merge]');
+    console.log('\nUsage: node index.js <input-pdf> [output-json] [--merge] [--edition=YYYY]');
     console.log('Example: node index.js scoring_tables.pdf output.json');
     console.log('Example (merge): node index.js field_events.pdf output.json --merge');
+    console.log('Example (edition): node index.js scoring_tables_2017.pdf tables_2017.json --edition=2017');
+    process.exit(1);
+  }
+
+  if (!edition) {
+    console.error(`❌ Error: Could not tell the edition from ${inputPDF}`);
+    console.log('\nPass it explicitly, e.g. --edition=2022');
     process.exit(1);
   }
 
   try {
     const extractor = new EnhancedScoringTableExtractor(inputPDF);
     await extractor.extract();
-    extractor.exportToJSON(outputJSON, mergeFlag);
+    extractor.exportToJSON(outputJSON, mergeFlag, edition);
 
     console.log('\n✅ Extraction completed successfully!');
   } catch (error) {
@@ -35,7 +35,9 @@ export default defineConfig({
       },
       workbox: {
         globPatterns: ['**/*.{js,css,html,ico,png,svg,json}'],
-        maximumFileSizeToCacheInBytes: 4 * 1024 * 1024, // 4 MiB for scoring tables JSON
+        // Scoring table chunks (<edition>/<gender>/<event>.json) are fetched on demand
+        // and cached at runtime (below); the editions list and manifests are precached
+        globIgnores: ['**/data/scoring_tables/*/*/*.json'],
         runtimeCaching: [
           {
             urlPattern: /^https:\/\/fonts\.googleapis\.com\/.*/i,
@@ -52,12 +54,12 @@ export default defineConfig({
             }
           },
           {
-            urlPattern: /\/data\/athletics_scoring_tables\.min\.json$/,
+            urlPattern: /\/data\/scoring_tables\/[^/]+\/[^/]+\/[^/]+\.json$/,
             handler: 'CacheFirst',
             options: {
               cacheName: 'scoring-tables-cache',
               expiration: {
-                maxEntries: 1,
+                maxEntries: 200,
                 maxAgeSeconds: 60 * 60 * 24 * 365 // 1 year
               }
             }
@@ -0,0 +1,196 @@
+/**
+ * Activity Analysis Calculator
+ * Reads a GPX or TCX file from a watch and works out distance, moving time and splits
+ *
+ * Files are parsed in the browser - nothing is uploaded. Only the track points are
+ * read (time, position, elevation and, in TCX, the watch's own distance), so a simple
+ * pattern match is enough and no XML parser is needed.
+ */
+
+// Mean Earth radius (metres) for great-circle distances
+const EARTH_RADIUS = 6371008.8;
+
+// Slower than this between two points (m/s) counts as stopped, not moving
+const MIN_MOVING_SPEED = 1;
+
+/**
+ * Read the text of the first matching child element
+ * @param {string} xml - Element content
+ * @param {string} tag - Tag name (any namespace prefix is ignored)
+ * @returns {string|null}
+ */
+function readTag(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([^<]*)</(?:\\w+:)?${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Read a numeric attribute
+ * @param {string} attributes - Attribute text of an element
+ * @param {string} name - Attribute name
+ * @returns {number}
+ */
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? parseFloat(match[1]) : NaN;
+}
+
+/**
+ * Convert an optional numeric string
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  const number = value === null ? NaN : parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Check whether a track point has a GPS position
+ * @param {Object} point
+ * @returns {boolean}
+ */
+function hasPosition(point) {
+  return Number.isFinite(point.lat) && Number.isFinite(point.lon);
+}
+
+/**
+ * Parse GPX or TCX text into track points
+ * @param {string} text - File contents
+ * @returns {Object} {format: 'gpx'|'tcx', name, points: Array<{time, lat, lon, elevation, distance}>}
+ *   - time in milliseconds; lat/lon/elevation/distance are null when missing
+ * @throws {Error} If the file isn't GPX or TCX, or has fewer than two timed points
+ */
+export function parseActivityFile(text) {
+  let format;
+  let points;
+
+  if (/<(?:\w+:)?gpx\b/.test(text)) {
+    format = 'gpx';
+    points = [...text.matchAll(/<(?:\w+:)?trkpt\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?trkpt>/g)]
+      .map(([, attributes, content]) => ({
+        time: Date.parse(readTag(content, 'time')),
+        lat: readAttribute(attributes, 'lat'),
+        lon: readAttribute(attributes, 'lon'),
+        elevation: toNumber(readTag(content, 'ele')),
+        distance: null
+      }));
+  } else if (/<(?:\w+:)?TrainingCenterDatabase\b/.test(text)) {
+    format = 'tcx';
+    points = [...text.matchAll(/<(?:\w+:)?Trackpoint\b[^>]*>([\s\S]*?)<\/(?:\w+:)?Trackpoint>/g)]
+      .map(([, content]) => ({
+        time: Date.parse(readTag(content, 'Time')),
+        lat: toNumber(readTag(content, 'LatitudeDegrees')),
+        lon: toNumber(readTag(content, 'LongitudeDegrees')),
+        elevation: toNumber(readTag(content, 'AltitudeMeters')),
+        distance: toNumber(readTag(content, 'DistanceMeters'))
+      }));
+  } else {
+    throw new Error('Not a GPX or TCX file');
+  }
+
+  // Positions are only needed when the watch didn't record the distance
+  const usable = points.filter(point => !isNaN(point.time) && (point.distance !== null || hasPosition(point)));
+
+  if (usable.length < 2) {
+    throw new Error('The file has no timed track points');
+  }
+
+  const name = readTag(text, format === 'gpx' ? 'name' : 'Id');
+
+  return { format, name, points: usable.sort((a, b) => a.time - b.time) };
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - {lat, lon} in degrees
+ * @param {Object} b - {lat, lon} in degrees
+ * @returns {number} Distance in metres
+ */
+export function haversineDistance(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Work out distance, elapsed time and moving time from track points
+ * Uses the watch's recorded distance when every point has one (TCX), otherwise the
+ * distance along the GPS track.
+ * @param {Array} allPoints - Points from parseActivityFile
+ * @returns {Object} {distance, elapsedTime, movingTime, trace: Array<{distance, time}>}
+ *   - distances in metres, times in seconds; trace times are cumulative moving time
+ */
+export function analyseActivity(allPoints) {
+  const useRecordedDistance = allPoints.every(point => point.distance !== null);
+  const points = useRecordedDistance ? allPoints : allPoints.filter(hasPosition);
+  const startDistance = useRecordedDistance ? points[0].distance : 0;
+
+  let distance = 0;
+  let movingTime = 0;
+  const trace = [{ distance: 0, time: 0 }];
+
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const point = points[i];
+
+    const nextDistance = useRecordedDistance
+      ? Math.max(point.distance - startDistance, distance)
+      : distance + haversineDistance(previous, point);
+    const seconds = (point.time - previous.time) / 1000;
+
+    if (seconds > 0 && (nextDistance - distance) / seconds >= MIN_MOVING_SPEED) {
+      movingTime += seconds;
+    }
+
+    distance = nextDistance;
+    trace.push({ distance, time: movingTime });
+  }
+
+  return {
+    distance,
+    elapsedTime: (points[points.length - 1].time - points[0].time) / 1000,
+    movingTime,
+    trace
+  };
+}
+
+/**
+ * Get the moving time at which the activity reached a distance
+ * @param {Object} activity - Result of analyseActivity
+ * @param {number} distanceMetres - Distance along the activity
+ * @returns {number} Cumulative moving time in seconds (interpolated between points)
+ */
+export function getTimeAtDistance(activity, distanceMetres) {
+  const { trace } = activity;
+
+  if (distanceMetres >= activity.distance) {
+    return activity.movingTime;
+  }
+
+  // First point at or past the distance
+  let low = 0;
+  let high = trace.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (trace[mid].distance < distanceMetres) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  const after = trace[low];
+  const before = trace[Math.max(low - 1, 0)];
+  const span = after.distance - before.distance;
+
+  if (span <= 0) {
+    return after.time;
+  }
+
+  return before.time + (after.time - before.time) * (distanceMetres - before.distance) / span;
+}
@@ -0,0 +1,74 @@
+/**
+ * Masters Age-Grading Calculator
+ * Grades a performance against the WMA age factors and open standards
+ *
+ * For time events the age factor scales the time down to its open-age equivalent
+ * (age-graded time = time × factor); for field events it scales the mark up
+ * (age-graded mark = mark ÷ factor). The age-graded percentage compares the
+ * performance with the age standard - the open standard adjusted for age.
+ * The open-age equivalent is then scored with the World Athletics tables.
+ */
+
+import { ageFactorsLoader } from '../data/age-factors-loader.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { lookupPoints } from './performance-lookup.js';
+
+/**
+ * Age-grade a performance
+ * The event's scoring table must be loaded for the points to be included.
+ * @param {string} gender - "men" or "women"
+ * @param {string} event - Event key
+ * @param {string} performance - Normalized performance value
+ * @param {number} age - Age in whole years on the day of competition
+ * @param {boolean} isHandTimed - Whether to apply the hand timing offset first
+ * @returns {Object|null} {age, ageFactor, openStandard, ageStandard, percentage, ageGradedPerformance, points, lookup},
+ *   or null if there is no factor for the event and age
+ */
+export function calculateAgeGrade(gender, event, performance, age, isHandTimed = false) {
+  const eventFactors = ageFactorsLoader.getEventFactors(gender, event);
+  const ageFactor = ageFactorsLoader.getAgeFactor(gender, event, age);
+  let perfNum = parseFloat(performance);
+
+  if (!eventFactors || ageFactor === null || isNaN(perfNum) || perfNum <= 0) {
+    return null;
+  }
+
+  if (isHandTimed) {
+    perfNum += eventConfigLoader.getHandTimingOffset(event) || 0;
+  }
+
+  const { openStandard } = eventFactors;
+  const isFieldEvent = eventConfigLoader.getEventInfo(event)?.measurementFormat === 'distance';
+
+  let ageStandard;
+  let ageGraded;
+  let percentage;
+
+  if (isFieldEvent) {
+    ageStandard = openStandard * ageFactor;
+    ageGraded = perfNum / ageFactor;
+    percentage = (perfNum / ageStandard) * 100;
+  } else {
+    ageStandard = openStandard / ageFactor;
+    ageGraded = perfNum * ageFactor;
+    percentage = (ageStandard / perfNum) * 100;
+  }
+
+  // Round towards the slower/shorter mark, as the scoring tables do between entries
+  const ageGradedPerformance = isFieldEvent
+    ? (Math.floor(ageGraded * 100 + 1e-9) / 100).toFixed(2)
+    : (Math.ceil(ageGraded * 100 - 1e-9) / 100).toFixed(2);
+
+  const lookup = lookupPoints(gender, event, ageGradedPerformance);
+
+  return {
+    age,
+    ageFactor,
+    openStandard,
+    ageStandard,
+    percentage,
+    ageGradedPerformance,
+    points: lookup ? lookup.points : null,
+    lookup
+  };
+}
@@ -0,0 +1,230 @@
+/**
+ * Bulk Scoring Calculator
+ * Score a whole results list from CSV (athlete, gender, event, mark, hand-timed flag, wind)
+ */
+
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { lookupPoints } from './performance-lookup.js';
+import { lookupWindAdjustedPoints, parseWindInput, formatWind } from './wind-adjustment.js';
+import { parsePerformance, formatPerformance } from '../utils/performance-parser.js';
+import { parseCSV, toCSV } from '../utils/csv.js';
+
+// Column order used when the CSV has no header row
+const COLUMNS = ['athlete', 'gender', 'event', 'mark', 'handTimed', 'wind'];
+
+// Accepted header names for each column
+const HEADER_ALIASES = {
+  athlete: ['athlete', 'name', 'athlete name'],
+  gender: ['gender', 'sex'],
+  event: ['event', 'discipline'],
+  mark: ['mark', 'performance', 'result', 'time', 'distance'],
+  handTimed: ['hand-timed', 'hand timed', 'handtimed', 'hand_timed', 'ht'],
+  wind: ['wind', 'wind (m/s)']
+};
+
+const GENDER_ALIASES = {
+  men: ['men', 'man', 'male', 'm'],
+  women: ['women', 'woman', 'female', 'w', 'f'],
+  mixed: ['mixed', 'x']
+};
+
+const TRUE_VALUES = ['y', 'yes', 'true', '1', 'ht', 'x', 'h'];
+
+/**
+ * Parse a CSV results list into rows
+ * A header row is optional; without one, columns are read in the order
+ * athlete, gender, event, mark, hand-timed, wind.
+ * @param {string} text - CSV text
+ * @returns {Array<{line, athlete, gender, event, mark, handTimed, wind}>} Raw (unvalidated) rows
+ */
+export function parseResultsCSV(text) {
+  const records = parseCSV(text);
+
+  if (records.length === 0) {
+    return [];
+  }
+
+  let columnIndexes = COLUMNS.map((_, index) => index);
+  const headerIndexes = findHeaderIndexes(records[0].fields);
+
+  if (headerIndexes) {
+    columnIndexes = headerIndexes;
+    records.shift();
+  }
+
+  return records.map(({ line, fields }) => {
+    const row = { line };
+    COLUMNS.forEach((column, i) => {
+      const index = columnIndexes[i];
+      row[column] = index >= 0 && index < fields.length ? fields[index] : '';
+    });
+    return row;
+  });
+}
+
+/**
+ * Score parsed CSV rows
+ * Event tables are fetched in parallel before scoring.
+ * @param {Array<Object>} rows - Rows from parseResultsCSV
+ * @returns {Promise<Array<Object>>} Scored rows: input fields plus
+ *   {genderKey, eventKey, eventDisplayName, performance, points, windSpeed, stillAirPoints, error}
+ */
+export async function scoreResults(rows) {
+  const resolved = rows.map(resolveRow);
+
+  // Load every gender/event table the list needs in one parallel batch
+  const tables = new Map();
+  for (const row of resolved) {
+    if (!row.error) {
+      tables.set(`${row.genderKey}/${row.eventKey}`, [row.genderKey, row.eventKey]);
+    }
+  }
+  await Promise.all([...tables.values()].map(([gender, event]) => scoringDataLoader.loadEvent(gender, event)));
+
+  return resolved.map(scoreRow);
+}
+
+/**
+ * Convert scored rows back to CSV
+ * @param {Array<Object>} results - Rows from scoreResults
+ * @returns {string}
+ */
+export function resultsToCSV(results) {
+  const rows = [['Athlete', 'Gender', 'Event', 'Mark', 'Hand Timed', 'Wind', 'Points', 'Still-Air Points', 'Error']];
+
+  for (const result of results) {
+    rows.push([
+      result.athlete,
+      result.genderKey || result.gender,
+      result.eventDisplayName || result.event,
+      result.mark,
+      result.handTimed ? 'Y' : '',
+      result.windSpeed !== null && result.windSpeed !== undefined ? formatWind(result.windSpeed).replace(' m/s', '') : result.wind,
+      result.points ?? '',
+      result.stillAirPoints ?? '',
+      result.error || ''
+    ]);
+  }
+
+  return toCSV(rows);
+}
+
+/**
+ * Normalize a gender value from a results list
+ * @param {string} value - e.g., "M", "Women", "female", "X"
+ * @returns {string|null} "men", "women", "mixed" or null
+ */
+export function parseGender(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+
+  for (const [gender, aliases] of Object.entries(GENDER_ALIASES)) {
+    if (aliases.includes(normalized)) {
+      return gender;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the column index for each field from a header row
+ * @param {string[]} fields
+ * @returns {number[]|null} Indexes in COLUMNS order, or null if this isn't a header row
+ */
+function findHeaderIndexes(fields) {
+  const normalized = fields.map(field => field.toLowerCase());
+  const indexes = COLUMNS.map(column =>
+    normalized.findIndex(field => HEADER_ALIASES[column].includes(field))
+  );
+
+  // A header must at least name the event and mark columns
+  const eventIndex = indexes[COLUMNS.indexOf('event')];
+  const markIndex = indexes[COLUMNS.indexOf('mark')];
+  return eventIndex >= 0 && markIndex >= 0 ? indexes : null;
+}
+
+/**
+ * Validate a row's gender, event, mark and flags
+ * @param {Object} row
+ * @returns {Object} Row with {genderKey, eventKey, normalizedPerformance, handTimed, windSpeed, error}
+ */
+function resolveRow(row) {
+  const result = {
+    ...row,
+    handTimed: TRUE_VALUES.includes(String(row.handTimed || '').trim().toLowerCase()),
+    genderKey: null,
+    eventKey: null,
+    eventDisplayName: null,
+    windSpeed: null,
+    error: null
+  };
+
+  result.genderKey = parseGender(row.gender);
+  if (!result.genderKey) {
+    result.error = `Unknown gender "${row.gender}"`;
+    return result;
+  }
+
+  result.eventKey = eventConfigLoader.findEventKey(row.event);
+  if (!result.eventKey || !scoringDataLoader.findCategory(result.genderKey, result.eventKey)) {
+    result.error = `Unknown event "${row.event}" for ${result.genderKey}`;
+    return result;
+  }
+  result.eventDisplayName = eventConfigLoader.getEventInfo(result.eventKey)?.displayName || result.eventKey;
+
+  result.normalizedPerformance = parsePerformance(row.mark, result.eventKey);
+  if (!result.normalizedPerformance) {
+    result.error = `Invalid mark "${row.mark}"`;
+    return result;
+  }
+
+  if (row.wind && eventConfigLoader.supportsWindCorrection(result.eventKey)) {
+    result.windSpeed = parseWindInput(row.wind);
+    if (result.windSpeed === null) {
+      result.error = `Invalid wind reading "${row.wind}"`;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Look up points for a resolved row
+ * @param {Object} row
+ * @returns {Object}
+ */
+function scoreRow(row) {
+  const result = {
+    ...row,
+    performance: null,
+    points: null,
+    stillAirPoints: null
+  };
+
+  if (row.error) {
+    return result;
+  }
+
+  const lookup = lookupPoints(row.genderKey, row.eventKey, row.normalizedPerformance, row.handTimed);
+  if (!lookup) {
+    result.error = `Could not find points for "${row.mark}"`;
+    return result;
+  }
+
+  result.performance = formatPerformance(row.normalizedPerformance, row.eventKey);
+  result.points = lookup.points;
+
+  if (row.windSpeed !== null) {
+    const windResult = lookupWindAdjustedPoints(
+      row.genderKey,
+      row.eventKey,
+      row.normalizedPerformance,
+      row.windSpeed,
+      row.handTimed
+    );
+    result.stillAirPoints = windResult ? windResult.points : null;
+  }
+
+  return result;
+}
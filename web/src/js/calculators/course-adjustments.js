@@ -0,0 +1,241 @@
+/**
+ * Course Adjustments Calculator
+ * Adjusts flat-course, cool-weather times for hills and heat
+ *
+ * Hills: the energy cost of running on a gradient (Minetti et al., 2002) relative to
+ * the flat, damped to the time runners actually lose - half the extra cost, so a 1% climb
+ * costs about 2.8% (the 12-15 s per mile per 1% of grade rule of thumb).
+ *   C(i) = 155.4i⁵ - 30.4i⁴ - 43.3i³ + 46.3i² + 19.5i + 3.6 J/kg/m, for gradients -45% to +45%
+ *   time factor = 1 + 0.5 × (C(i) / C(0) - 1)
+ * Heat: the temperature + dew point (°F) guideline - no slowdown up to 100, rising to
+ * 10% at 180; above 180, hard running isn't recommended.
+ */
+
+import { parseCSV } from '../utils/csv.js';
+
+const FLAT_COST = 3.6;
+const MAX_GRADE = 0.45;
+
+// Share of the extra energy cost of a gradient that shows up as extra time
+const HILL_DAMPING = 0.5;
+
+// [temperature + dew point in °F, slowdown %] - linear between the points
+const HEAT_GUIDELINE = [
+  [100, 0],
+  [110, 0.5],
+  [120, 1],
+  [130, 2],
+  [140, 3],
+  [150, 4.5],
+  [160, 6],
+  [170, 8],
+  [180, 10]
+];
+
+export const MAX_HEAT_SCORE = 180;
+
+/**
+ * Energy cost of running on a gradient relative to the flat
+ * @param {number} grade - Gradient as a fraction (0.05 = 5% uphill, negative downhill)
+ * @returns {number} Cost factor (1 on the flat)
+ */
+export function getGradeCostFactor(grade) {
+  const i = Math.min(Math.max(grade, -MAX_GRADE), MAX_GRADE);
+  const cost = 155.4 * i ** 5 - 30.4 * i ** 4 - 43.3 * i ** 3 + 46.3 * i ** 2 + 19.5 * i + FLAT_COST;
+  return cost / FLAT_COST;
+}
+
+/**
+ * Time on a gradient relative to the flat, at the same effort
+ * @param {number} grade - Gradient as a fraction (0.05 = 5% uphill, negative downhill)
+ * @returns {number} Time factor (1 on the flat, 1.028 for a 1% climb)
+ */
+export function getGradeTimeFactor(grade) {
+  return 1 + HILL_DAMPING * (getGradeCostFactor(grade) - 1);
+}
+
+/**
+ * Convert Celsius to Fahrenheit
+ * @param {number} celsius
+ * @returns {number}
+ */
+export function celsiusToFahrenheit(celsius) {
+  return celsius * 9 / 5 + 32;
+}
+
+/**
+ * Get the heat slowdown for the temperature and dew point
+ * @param {number} temperatureC - Air temperature in °C
+ * @param {number} dewPointC - Dew point in °C
+ * @returns {Object} {score, slowdown, tooHot} - score is temperature + dew point in °F,
+ *   slowdown a fraction (0.02 = 2% slower), capped at the 180 guideline
+ */
+export function getHeatAdjustment(temperatureC, dewPointC) {
+  const score = celsiusToFahrenheit(temperatureC) + celsiusToFahrenheit(dewPointC);
+  const capped = Math.min(score, MAX_HEAT_SCORE);
+
+  let slowdown = 0;
+  for (let i = 1; i < HEAT_GUIDELINE.length; i++) {
+    const [fromScore, fromPercent] = HEAT_GUIDELINE[i - 1];
+    const [toScore, toPercent] = HEAT_GUIDELINE[i];
+    if (capped > fromScore && capped <= toScore) {
+      slowdown = fromPercent + (toPercent - fromPercent) * (capped - fromScore) / (toScore - fromScore);
+    }
+  }
+
+  return { score, slowdown: slowdown / 100, tooHot: score > MAX_HEAT_SCORE };
+}
+
+/**
+ * Parse an elevation profile from CSV: distance (km), elevation (m) per line
+ * A header row is optional. Points are sorted by distance.
+ * @param {string} text - CSV text
+ * @returns {Array<{distance: number, elevation: number}>} Points in metres
+ * @throws {Error} If there are fewer than two valid points, or a line is invalid
+ */
+export function parseElevationProfile(text) {
+  const records = parseCSV(text);
+
+  // Skip a header row
+  if (records.length > 0 && isNaN(parseFloat(records[0].fields[0]))) {
+    records.shift();
+  }
+
+  const points = records.map(({ line, fields }) => {
+    const distance = parseFloat(fields[0]);
+    const elevation = parseFloat(fields[1]);
+    if (isNaN(distance) || isNaN(elevation) || distance < 0) {
+      throw new Error(`Line ${line}: expected distance (km), elevation (m)`);
+    }
+    return { distance: distance * 1000, elevation };
+  });
+
+  if (points.length < 2) {
+    throw new Error('An elevation profile needs at least two points');
+  }
+
+  return points.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Get the total ascent and descent of an elevation profile
+ * @param {Array<{distance, elevation}>} profile
+ * @returns {Object} {distance, ascent, descent} in metres
+ */
+export function getProfileSummary(profile) {
+  let ascent = 0;
+  let descent = 0;
+
+  for (let i = 1; i < profile.length; i++) {
+    const change = profile[i].elevation - profile[i - 1].elevation;
+    if (change > 0) {
+      ascent += change;
+    } else {
+      descent -= change;
+    }
+  }
+
+  return {
+    distance: profile[profile.length - 1].distance - profile[0].distance,
+    ascent,
+    descent
+  };
+}
+
+/**
+ * Get the mean time factor between two points of a race from its elevation profile
+ * The profile is stretched to the race distance, so a GPS profile that measures a
+ * little long or short still lines up with the splits.
+ * @param {Array<{distance, elevation}>} profile
+ * @param {number} raceMetres - Race distance in metres
+ * @param {number} fromMetres - Segment start
+ * @param {number} toMetres - Segment end
+ * @returns {number} Time factor (1 on the flat)
+ */
+export function getProfileTimeFactor(profile, raceMetres, fromMetres, toMetres) {
+  const start = profile[0].distance;
+  const scale = raceMetres / (profile[profile.length - 1].distance - start);
+  let weighted = 0;
+  let covered = 0;
+
+  for (let i = 1; i < profile.length; i++) {
+    const segmentFrom = (profile[i - 1].distance - start) * scale;
+    const segmentTo = (profile[i].distance - start) * scale;
+    const overlap = Math.min(segmentTo, toMetres) - Math.max(segmentFrom, fromMetres);
+
+    if (overlap <= 0 || segmentTo === segmentFrom) {
+      continue;
+    }
+
+    const grade = (profile[i].elevation - profile[i - 1].elevation) / (segmentTo - segmentFrom);
+    weighted += getGradeTimeFactor(grade) * overlap;
+    covered += overlap;
+  }
+
+  return covered > 0 ? weighted / covered : 1;
+}
+
+/**
+ * Get the time factor for a course from its total ascent and descent
+ * Without a profile, climbs and descents are taken to be equally steep and spread
+ * evenly over the race, so every split gets the same factor.
+ * @param {number} raceMetres - Race distance in metres
+ * @param {number} ascent - Total ascent in metres
+ * @param {number} descent - Total descent in metres
+ * @returns {number} Time factor (1 on the flat)
+ */
+export function getClimbTimeFactor(raceMetres, ascent, descent) {
+  const climbing = ascent + descent;
+
+  if (climbing <= 0) {
+    return 1;
+  }
+
+  const grade = climbing / raceMetres;
+  const uphillShare = ascent / climbing;
+
+  return uphillShare * getGradeTimeFactor(grade) + (1 - uphillShare) * getGradeTimeFactor(-grade);
+}
+
+/**
+ * Apply course adjustments to cumulative split times
+ * @param {Array<{distance: number, time: number}>} splits - Cumulative flat, cool split times
+ *   (distance in metres; the last split is the finish)
+ * @param {Object} adjustments - {profile?, ascent?, descent?, temperature?, dewPoint?} (metres, °C)
+ * @returns {Object} {splits: Array<{distance, time, segmentTime}>, finishTime, elevationFactor, heat}
+ *   - heat is null without a temperature and dew point
+ */
+export function applyCourseAdjustments(splits, adjustments = {}) {
+  const { profile, ascent = 0, descent = 0, temperature, dewPoint } = adjustments;
+  const raceMetres = splits[splits.length - 1].distance;
+
+  const heat = temperature != null && dewPoint != null ? getHeatAdjustment(temperature, dewPoint) : null;
+  const heatFactor = 1 + (heat ? heat.slowdown : 0);
+  const climbFactor = profile ? null : getClimbTimeFactor(raceMetres, ascent, descent);
+
+  let previousDistance = 0;
+  let previousTime = 0;
+  let adjustedTime = 0;
+
+  const adjusted = splits.map(split => {
+    const elevationFactor = profile
+      ? getProfileTimeFactor(profile, raceMetres, previousDistance, split.distance)
+      : climbFactor;
+    const segmentTime = (split.time - previousTime) * elevationFactor * heatFactor;
+
+    adjustedTime += segmentTime;
+    previousDistance = split.distance;
+    previousTime = split.time;
+
+    return { distance: split.distance, time: adjustedTime, segmentTime };
+  });
+
+  const flatTime = splits[splits.length - 1].time;
+
+  return {
+    splits: adjusted,
+    finishTime: adjustedTime,
+    elevationFactor: adjustedTime / heatFactor / flatTime,
+    heat
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Scoring Table Edition Comparison
+ * Score the same mark against every published edition of the scoring tables
+ */
+
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { lookupPoints } from './performance-lookup.js';
+
+/**
+ * Look up a performance's points in each edition of the tables
+ * Differences are relative to the selected edition (scoringDataLoader's edition).
+ * @param {string} gender
+ * @param {string} event
+ * @param {string} performance - Normalized performance value
+ * @param {boolean} isHandTimed - Whether to apply hand timing offset
+ * @returns {Promise<Array<{edition, name, points, exactMatch, closestPerformance, difference, isSelected}>>}
+ *   Newest edition first; points and difference are null where an edition has no table for the event
+ */
+export async function compareEditions(gender, event, performance, isHandTimed = false) {
+  await scoringDataLoader.loadEditions();
+
+  const selectedEdition = scoringDataLoader.getEdition();
+
+  const results = await Promise.all(scoringDataLoader.getEditions().map(async ({ id, name }) => {
+    const loader = scoringDataLoader.forEdition(id);
+    const rows = await loader.loadEvent(gender, event);
+    const lookup = rows ? lookupPoints(gender, event, performance, isHandTimed, loader) : null;
+
+    return {
+      edition: id,
+      name,
+      points: lookup ? lookup.points : null,
+      exactMatch: lookup ? lookup.exactMatch : false,
+      closestPerformance: lookup ? lookup.closestPerformance : null,
+      isSelected: id === selectedEdition
+    };
+  }));
+
+  const selected = results.find(result => result.isSelected);
+  const basePoints = selected ? selected.points : null;
+
+  for (const result of results) {
+    result.difference = result.points !== null && basePoints !== null
+      ? result.points - basePoints
+      : null;
+  }
+
+  return results;
+}
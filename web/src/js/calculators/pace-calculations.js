@@ -108,17 +108,98 @@ export function convertPaceToSpeed(paceSecondsPerUnit, paceUnit) {
   }
 }
 
+/**
+ * Convert speed to pace (the inverse of convertPaceToSpeed)
+ * @param {number} speed - Speed in km/h or mph
+ * @param {string} speedUnit - Speed unit ('kmh' or 'mph')
+ * @returns {number} Pace in seconds per kilometre
+ */
+export function convertSpeedToPace(speed, speedUnit) {
+  if (speed <= 0) {
+    return Infinity;
+  }
+
+  const kmh = speedUnit === 'mph' ? speed * 1.609344 : speed;
+  return 3600 / kmh;
+}
+
+export const PACING_STRATEGIES = {
+  even: { name: 'Even' },
+  negative: { name: 'Negative Split' },
+  positive: { name: 'Positive Fade' },
+  custom: { name: 'Custom Curve' }
+};
+
+export const EVEN_PACING = { strategy: 'even' };
+
+/**
+ * Get the share of the finish time spent reaching a point in the race
+ * Strategies describe pace relative to the average:
+ * - even: the same pace throughout
+ * - negative: the second half run `percent`% faster than the first
+ * - positive: pace fading steadily to finish `percent`% slower than the start
+ * - custom: `curve` values (relative paces, e.g. [102, 100, 98]) applied to equal parts of the race
+ * @param {number} fraction - Share of the distance covered (0 to 1)
+ * @param {Object} pacing - {strategy, percent?, curve?}
+ * @returns {number} Share of the finish time elapsed (0 to 1)
+ */
+export function getCumulativeTimeFraction(fraction, pacing = EVEN_PACING) {
+  const x = Math.min(Math.max(fraction, 0), 1);
+  const { strategy, percent = 0, curve = [] } = pacing;
+
+  // Integrate the relative pace over the distance covered, then scale by the whole race
+  let elapsed;
+  let total;
+
+  switch (strategy) {
+    case 'even':
+      return x;
+
+    case 'negative': {
+      const secondHalf = 1 - percent / 100;
+      elapsed = x <= 0.5 ? x : 0.5 + (x - 0.5) * secondHalf;
+      total = 0.5 * (1 + secondHalf);
+      break;
+    }
+
+    case 'positive': {
+      const fade = percent / 100;
+      elapsed = x + fade * x * x / 2;
+      total = 1 + fade / 2;
+      break;
+    }
+
+    case 'custom': {
+      const parts = curve.length;
+      const fullParts = Math.min(Math.floor(x * parts), parts);
+      elapsed = curve.slice(0, fullParts).reduce((sum, value) => sum + value, 0) / parts;
+      if (fullParts < parts) {
+        elapsed += curve[fullParts] * (x - fullParts / parts);
+      }
+      total = curve.reduce((sum, value) => sum + value, 0) / parts;
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown pacing strategy: ${strategy}`);
+  }
+
+  return elapsed / total;
+}
+
 /**
  * Calculate intelligent splits based on distance
  * Returns split times at appropriate intervals
  * @param {number} distanceMetres - Total distance in metres
- * @param {number} paceSecondsPerKm - Pace in seconds per kilometre
+ * @param {number} paceSecondsPerKm - Average pace in seconds per kilometre
  * @param {Object} eventConfig - Event configuration
- * @returns {Array} Array of split objects { distance, distanceLabel, time, pace }
+ * @param {Object} pacing - Pacing strategy (see getCumulativeTimeFraction), even by default
+ * @returns {Array} Array of split objects { distance, distanceLabel, time, segmentTime, pace }
  */
-export function calculateSplits(distanceMetres, paceSecondsPerKm, eventConfig) {
+export function calculateSplits(distanceMetres, paceSecondsPerKm, eventConfig, pacing = EVEN_PACING) {
   const splits = [];
   const distanceKm = distanceMetres / 1000;
+  const totalTime = paceSecondsPerKm * distanceKm;
 
   // Determine split interval based on total distance
   let splitInterval;
@@ -132,28 +213,37 @@ export function calculateSplits(distanceMetres, paceSecondsPerKm, eventConfig) {
     splitInterval = 10; // 10km splits for marathon and longer
   }
 
+  // Cumulative time and the segment since the previous split (pace is the segment's pace)
+  const addSplit = (km, distanceLabel, isFinal) => {
+    const previous = splits[splits.length - 1];
+    const previousKm = previous ? previous.distance / 1000 : 0;
+    const previousTime = previous ? previous.time : 0;
+    const elapsedTime = isFinal ? totalTime : totalTime * getCumulativeTimeFraction(km / distanceKm, pacing);
+    const segmentTime = elapsedTime - previousTime;
+
+    const split = {
+      distance: km * 1000,
+      distanceLabel,
+      time: elapsedTime,
+      segmentTime,
+      pace: segmentTime / (km - previousKm)
+    };
+    if (isFinal) {
+      split.distance = distanceMetres;
+      split.isFinal = true;
+    }
+    splits.push(split);
+  };
+
   // Generate splits at intervals
   let currentKm = splitInterval;
   while (currentKm < distanceKm) {
-    const elapsedTime = paceSecondsPerKm * currentKm;
-    splits.push({
-      distance: currentKm * 1000,
-      distanceLabel: `${currentKm}km`,
-      time: elapsedTime,
-      pace: paceSecondsPerKm
-    });
+    addSplit(currentKm, `${currentKm}km`, false);
     currentKm += splitInterval;
   }
 
   // Always add the final split (total distance)
-  const totalTime = paceSecondsPerKm * distanceKm;
-  splits.push({
-    distance: distanceMetres,
-    distanceLabel: eventConfig.displayName,
-    time: totalTime,
-    pace: paceSecondsPerKm,
-    isFinal: true
-  });
+  addSplit(distanceKm, eventConfig.displayName, true);
 
   return splits;
 }
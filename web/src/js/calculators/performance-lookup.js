@@ -1,6 +1,9 @@
 /**
  * Performance Lookup Calculator
  * Calculate points for a given performance and find equivalent performances
+ *
+ * Point and performance lookups are synchronous and need the event's scoring table
+ * to be loaded first with scoringDataLoader.loadEvent().
  */
 
 import { scoringDataLoader } from '../data/scoring-data-loader.js';
@@ -14,20 +17,13 @@ import { eventConfigLoader } from '../data/event-config-loader.js';
  * @param {string} event
  * @param {string} performance - Normalized performance value
  * @param {boolean} isHandTimed - Whether to apply hand timing offset
+ * @param {Object} loader - Scoring data loader to read from (defaults to the selected edition)
  * @returns {Object|null} {points, exactMatch, closestPerformance, appliedOffset?, originalPerformance?}
  */
-export function lookupPoints(gender, event, performance, isHandTimed = false) {
-  // Find the category for this event
-  const category = scoringDataLoader.findCategory(gender, event);
+export function lookupPoints(gender, event, performance, isHandTimed = false, loader = scoringDataLoader) {
+  const index = loader.getEventIndex(gender, event);
 
-  if (!category) {
-    return null;
-  }
-
-  // Get the event data
-  const eventData = scoringDataLoader.getEventData(gender, category, event);
-
-  if (!eventData || eventData.length === 0) {
+  if (!index) {
     return null;
   }
 
@@ -50,80 +46,31 @@ export function lookupPoints(gender, event, performance, isHandTimed = false) {
     return null;
   }
 
-  // Determine if this is a "lower is better" event (times) or "higher is better" (distances)
-  const isDistanceEvent = isFieldEvent(event);
-
-  // Find exact match or closest worse performance (per World Athletics rules)
-  let lowerPointsEntry = null;
-
-  for (const [points, perf] of eventData) {
-    const perfValue = parseFloat(perf);
-
-    // Check for exact match (within small tolerance for floating point)
-    if (Math.abs(perfValue - perfNum) < 0.005) {
-      const result = {
-        points,
-        exactMatch: true,
-        closestPerformance: perf
-      };
-      if (appliedOffset !== null) {
-        result.appliedOffset = appliedOffset;
-        result.originalPerformance = originalPerformance;
-      }
-      return result;
-    }
+  const { points, keys, performances, direction } = index;
+  const length = points.length;
+  const key = direction * perfNum;
 
-    // Track the entry that should be used based on World Athletics rules
-    // When performance falls between table entries, use the lower score
-    if (isDistanceEvent) {
-      // For distance events (higher is better):
-      // Find table entries that are worse than user's performance (shorter distance)
-      // Among these, select the one with highest points (closest worse performance)
-      if (perfNum > perfValue) {
-        // Table entry is shorter - user performed better than this entry
-        // This entry represents a worse performance, potentially applicable
-        if (!lowerPointsEntry || points > lowerPointsEntry[0]) {
-          lowerPointsEntry = [points, perf];
-        }
-      }
-    } else {
-      // For time events (lower is better):
-      // Find table entries that are worse than user's performance (slower time)
-      // Among these, select the one with highest points (closest worse performance)
-      if (perfNum < perfValue) {
-        // Table entry is slower - user performed better than this entry
-        // This entry represents a worse performance, potentially applicable
-        if (!lowerPointsEntry || points > lowerPointsEntry[0]) {
-          lowerPointsEntry = [points, perf];
-        }
-      }
-    }
-  }
+  // Keys ascend as performances get worse, so this is the first entry that matches
+  // (within a small tolerance for floating point) or, failing that, the closest worse
+  // performance - which is the lower score when the performance falls between entries
+  let row = firstIndexWhere(length, i => keys[i] > key - 0.005);
+  const exactMatch = row < length && Math.abs(keys[row] - key) < 0.005;
 
-  // If no entry found where table performance is worse than user's,
-  // the user performed worse than all table entries - return the worst (lowest points) entry
-  if (!lowerPointsEntry) {
-    for (const [points, perf] of eventData) {
-      if (!lowerPointsEntry || points < lowerPointsEntry[0]) {
-        lowerPointsEntry = [points, perf];
-      }
-    }
+  // The user performed worse than all table entries - use the worst (lowest points) entry
+  if (row === length) {
+    row = length - 1;
   }
 
-  if (lowerPointsEntry) {
-    const result = {
-      points: lowerPointsEntry[0],
-      exactMatch: false,
-      closestPerformance: lowerPointsEntry[1]
-    };
-    if (appliedOffset !== null) {
-      result.appliedOffset = appliedOffset;
-      result.originalPerformance = originalPerformance;
-    }
-    return result;
+  const result = {
+    points: points[row],
+    exactMatch,
+    closestPerformance: performances[row]
+  };
+  if (appliedOffset !== null) {
+    result.appliedOffset = appliedOffset;
+    result.originalPerformance = originalPerformance;
   }
-
-  return null;
+  return result;
 }
 
 /**
@@ -133,90 +80,32 @@ export function lookupPoints(gender, event, performance, isHandTimed = false) {
  * @param {string} event
  * @param {number} points - Score to look up (will be rounded to whole number)
  * @param {boolean} isHandTimed - Whether to subtract hand timing offset from result
+ * @param {Object} loader - Scoring data loader to read from (defaults to the selected edition)
  * @returns {Object|null} {performance, exactMatch, points, appliedOffset?, originalPerformance?}
  */
-export function lookupPerformance(gender, event, points, isHandTimed = false) {
+export function lookupPerformance(gender, event, points, isHandTimed = false, loader = scoringDataLoader) {
   // Round points to whole number
   const targetPoints = Math.round(points);
 
-  // Find the category for this event
-  const category = scoringDataLoader.findCategory(gender, event);
-
-  if (!category) {
-    return null;
-  }
-
-  // Get the event data
-  const eventData = scoringDataLoader.getEventData(gender, category, event);
+  const index = loader.getEventIndex(gender, event);
 
-  if (!eventData || eventData.length === 0) {
+  if (!index) {
     return null;
   }
 
-  // Find exact match or the entry with lower points when between two values
-  let exactMatchEntry = null;
-  let lowerPointsEntry = null;
+  const length = index.points.length;
 
-  for (const [entryPoints, perf] of eventData) {
-    // Check for exact match
-    if (entryPoints === targetPoints) {
-      exactMatchEntry = [entryPoints, perf];
-      break;
-    }
+  // Points descend through the table, so this is the exact match or the entry
+  // with lower points when the score falls between two values
+  let row = firstIndexWhere(length, i => index.points[i] <= targetPoints);
+  const exactMatch = row < length && index.points[row] === targetPoints;
 
-    // Track the entry with highest points that is still lower than target
-    // This is the entry we want when score falls between values
-    if (entryPoints < targetPoints) {
-      if (!lowerPointsEntry || entryPoints > lowerPointsEntry[0]) {
-        lowerPointsEntry = [entryPoints, perf];
-      }
-    }
+  // Score is lower than all table entries - use the lowest score entry
+  if (row === length) {
+    row = length - 1;
   }
 
-  // Use exact match if found, otherwise use lower points entry
-  const selectedEntry = exactMatchEntry || lowerPointsEntry;
-
-  // If still no entry found (score is lower than all table entries), use the lowest score entry
-  if (!selectedEntry) {
-    let lowestEntry = null;
-    for (const [entryPoints, perf] of eventData) {
-      if (!lowestEntry || entryPoints < lowestEntry[0]) {
-        lowestEntry = [entryPoints, perf];
-      }
-    }
-    if (lowestEntry) {
-      let performance = lowestEntry[1];
-      let appliedOffset = null;
-      let originalPerformance = null;
-
-      // Apply hand timing adjustment if requested
-      if (isHandTimed) {
-        const offset = eventConfigLoader.getHandTimingOffset(event);
-        if (offset) {
-          originalPerformance = performance;
-          const perfNum = parseFloat(performance);
-          // Subtract offset for hand timing (opposite of adding for FAT)
-          const adjustedPerf = perfNum - offset;
-          performance = adjustedPerf.toFixed(2);
-          appliedOffset = -offset; // Negative to indicate subtraction
-        }
-      }
-
-      const result = {
-        performance,
-        exactMatch: false,
-        points: lowestEntry[0]
-      };
-      if (appliedOffset !== null) {
-        result.appliedOffset = appliedOffset;
-        result.originalPerformance = originalPerformance;
-      }
-      return result;
-    }
-    return null;
-  }
-
-  let performance = selectedEntry[1];
+  let performance = index.performances[row];
   let appliedOffset = null;
   let originalPerformance = null;
 
@@ -235,8 +124,8 @@ export function lookupPerformance(gender, event, points, isHandTimed = false) {
 
   const result = {
     performance,
-    exactMatch: exactMatchEntry !== null,
-    points: selectedEntry[0]
+    exactMatch,
+    points: index.points[row]
   };
   if (appliedOffset !== null) {
     result.appliedOffset = appliedOffset;
@@ -247,67 +136,58 @@ export function lookupPerformance(gender, event, points, isHandTimed = false) {
 
 /**
  * Find all equivalent performances across all events for a given point value
+ * Fetches any primary event tables that haven't been loaded yet, in parallel.
  * @param {string} gender
  * @param {number} points
- * @returns {Array<{event, category, performance, points}>}
+ * @returns {Promise<Array<{event, category, performance, points}>>}
  */
-export function findEquivalentPerformances(gender, points) {
+export async function findEquivalentPerformances(gender, points) {
   const equivalents = [];
 
-  const allEvents = scoringDataLoader.getAllEvents(gender);
+  // Only primary events are shown, so only their tables are needed
+  const primaryEvents = eventConfigLoader.getPrimaryEvents();
+  const allEvents = scoringDataLoader.getAllEvents(gender)
+    .filter(({ event }) => primaryEvents.includes(event));
+
+  await scoringDataLoader.loadEvents(gender, allEvents.map(({ event }) => event));
 
   for (const { event, category } of allEvents) {
-    const eventData = scoringDataLoader.getEventData(gender, category, event);
+    const index = scoringDataLoader.getEventIndex(gender, event);
 
-    if (!eventData || eventData.length === 0) {
+    if (!index) {
       continue;
     }
 
     // Find the performance that matches these points (or closest)
-    let closestEntry = null;
-    let exactMatch = false;
-
-    for (const [eventPoints, perf] of eventData) {
-      // Check for exact match
-      if (eventPoints === points) {
-        closestEntry = [eventPoints, perf];
-        exactMatch = true;
-        break;
-      }
-
-      // Track closest entry
-      if (!closestEntry) {
-        closestEntry = [eventPoints, perf];
-      } else {
-        const currentDiff = Math.abs(eventPoints - points);
-        const closestDiff = Math.abs(closestEntry[0] - points);
-
-        if (currentDiff < closestDiff) {
-          closestEntry = [eventPoints, perf];
+    const length = index.points.length;
+    let row = firstIndexWhere(length, i => index.points[i] <= points);
+    const exactMatch = row < length && index.points[row] === points;
+
+    if (!exactMatch) {
+      if (row === length) {
+        row = length - 1;
+      } else if (row > 0) {
+        // Between two entries - take the closer one, preferring the higher score on a tie
+        const higherDiff = index.points[row - 1] - points;
+        const lowerDiff = points - index.points[row];
+        if (higherDiff <= lowerDiff) {
+          row = row - 1;
         }
       }
     }
 
-    if (closestEntry) {
-      equivalents.push({
-        event,
-        category,
-        performance: closestEntry[1],
-        points: closestEntry[0],
-        exactMatch
-      });
-    }
+    equivalents.push({
+      event,
+      category,
+      performance: index.performances[row],
+      points: index.points[row],
+      exactMatch
+    });
   }
 
-  // Filter to only include primary events
-  const primaryEvents = eventConfigLoader.getPrimaryEvents();
-  const filteredEquivalents = equivalents.filter(equiv =>
-    primaryEvents.includes(equiv.event)
-  );
-
   // Group by category
   const byCategory = {};
-  for (const equiv of filteredEquivalents) {
+  for (const equiv of equivalents) {
     const category = equiv.category || 'other';
     if (!byCategory[category]) {
       byCategory[category] = [];
@@ -357,27 +237,17 @@ export function findEquivalentPerformances(gender, points) {
  * @returns {Object|null} {min, max}
  */
 export function getPointsRange(gender, event) {
-  const category = scoringDataLoader.findCategory(gender, event);
-
-  if (!category) {
-    return null;
-  }
-
-  const eventData = scoringDataLoader.getEventData(gender, category, event);
+  const index = scoringDataLoader.getEventIndex(gender, event);
 
-  if (!eventData || eventData.length === 0) {
+  if (!index) {
     return null;
   }
 
-  let min = Infinity;
-  let max = -Infinity;
-
-  for (const [points] of eventData) {
-    min = Math.min(min, points);
-    max = Math.max(max, points);
-  }
-
-  return { min, max };
+  // Points are sorted highest first
+  return {
+    min: index.points[index.points.length - 1],
+    max: index.points[0]
+  };
 }
 
 /**
@@ -387,46 +257,42 @@ export function getPointsRange(gender, event) {
  * @returns {Object|null} {min, max, minPerformance, maxPerformance}
  */
 export function getPerformanceRange(gender, event) {
-  const category = scoringDataLoader.findCategory(gender, event);
-
-  if (!category) {
-    return null;
-  }
-
-  const eventData = scoringDataLoader.getEventData(gender, category, event);
+  const index = scoringDataLoader.getEventIndex(gender, event);
 
-  if (!eventData || eventData.length === 0) {
+  if (!index) {
     return null;
   }
 
-  const performances = eventData.map(([_, perf]) => parseFloat(perf));
-  const min = Math.min(...performances);
-  const max = Math.max(...performances);
-
-  // Find the actual performance strings for min and max
-  let minPerformance = null;
-  let maxPerformance = null;
-
-  for (const [_, perf] of eventData) {
-    const perfNum = parseFloat(perf);
-    if (perfNum === min) minPerformance = perf;
-    if (perfNum === max) maxPerformance = perf;
-  }
+  // Performances are monotonic, so the extremes are the first and last entries
+  const last = index.performances.length - 1;
+  const [minRow, maxRow] = index.direction === 1 ? [0, last] : [last, 0];
 
   return {
-    min,
-    max,
-    minPerformance,
-    maxPerformance
+    min: parseFloat(index.performances[minRow]),
+    max: parseFloat(index.performances[maxRow]),
+    minPerformance: index.performances[minRow],
+    maxPerformance: index.performances[maxRow]
   };
 }
 
 /**
- * Check if an event is a field (distance) event
- * @param {string} event
- * @returns {boolean}
+ * Binary search for the first index at which a monotonic predicate becomes true
+ * @param {number} length - Number of entries to search
+ * @param {function(number): boolean} predicate - False for a prefix of indexes, then true
+ * @returns {number} First matching index, or length if none match
  */
-function isFieldEvent(event) {
-  const distanceEvents = ['LJ', 'TJ', 'SP', 'DT', 'HT', 'JT', 'PV', 'HJ'];
-  return distanceEvents.some(code => event.toUpperCase().includes(code));
+function firstIndexWhere(length, predicate) {
+  let low = 0;
+  let high = length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (predicate(mid)) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+
+  return low;
 }
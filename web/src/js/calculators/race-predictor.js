@@ -0,0 +1,135 @@
+/**
+ * Race Time Predictor
+ * Predicts a time over one distance from a known performance over another
+ *
+ * Models:
+ * - Riegel: T2 = T1 × (D2 / D1)^exponent (1.06 by default; higher for less endurance-trained runners)
+ * - Cameron: Dave Cameron's curve fitted to world-class times, with distances in miles
+ * - VDOT: Jack Daniels and Jimmy Gilbert's oxygen-cost and drop-dead equations - the known
+ *   performance gives a VDOT, and the prediction is the time that gives the same VDOT
+ */
+
+export const DEFAULT_RIEGEL_EXPONENT = 1.06;
+
+export const PREDICTION_MODELS = {
+  riegel: { name: 'Riegel' },
+  cameron: { name: 'Cameron' },
+  vdot: { name: 'VDOT' }
+};
+
+const METRES_PER_MILE = 1609.344;
+
+/**
+ * Predict a time with Riegel's formula
+ * @param {number} timeSeconds - Known time in seconds
+ * @param {number} fromMetres - Known distance in metres
+ * @param {number} toMetres - Target distance in metres
+ * @param {number} exponent - Fatigue exponent
+ * @returns {number} Predicted time in seconds
+ */
+export function predictRiegel(timeSeconds, fromMetres, toMetres, exponent = DEFAULT_RIEGEL_EXPONENT) {
+  return timeSeconds * Math.pow(toMetres / fromMetres, exponent);
+}
+
+/**
+ * Cameron's pace factor for a distance (falls as the distance gets longer)
+ * @param {number} miles - Distance in miles
+ * @returns {number}
+ */
+function cameronFactor(miles) {
+  return 13.49681 - 0.048865 * miles + 2.438936 / Math.pow(miles, 0.7905);
+}
+
+/**
+ * Predict a time with Cameron's formula
+ * @param {number} timeSeconds - Known time in seconds
+ * @param {number} fromMetres - Known distance in metres
+ * @param {number} toMetres - Target distance in metres
+ * @returns {number} Predicted time in seconds
+ */
+export function predictCameron(timeSeconds, fromMetres, toMetres) {
+  const fromMiles = fromMetres / METRES_PER_MILE;
+  const toMiles = toMetres / METRES_PER_MILE;
+
+  return (timeSeconds / fromMiles) * (cameronFactor(fromMiles) / cameronFactor(toMiles)) * toMiles;
+}
+
+/**
+ * Calculate VDOT (effective VO2max) from a race performance
+ * @param {number} distanceMetres - Race distance in metres
+ * @param {number} timeSeconds - Race time in seconds
+ * @returns {number} VDOT in ml/kg/min
+ */
+export function calculateVdot(distanceMetres, timeSeconds) {
+  const minutes = timeSeconds / 60;
+  const velocity = distanceMetres / minutes; // metres per minute
+
+  // Oxygen cost of running at this velocity
+  const vo2 = -4.60 + 0.182258 * velocity + 0.000104 * velocity * velocity;
+
+  // Fraction of VO2max that can be sustained for this duration
+  const fraction = 0.8 + 0.1894393 * Math.exp(-0.012778 * minutes) + 0.2989558 * Math.exp(-0.1932605 * minutes);
+
+  return vo2 / fraction;
+}
+
+/**
+ * Find the race time over a distance that corresponds to a VDOT
+ * VDOT falls as the time gets longer, so the time is found by bisection.
+ * @param {number} vdot - VDOT in ml/kg/min
+ * @param {number} distanceMetres - Race distance in metres
+ * @returns {number} Time in seconds
+ */
+export function timeForVdot(vdot, distanceMetres) {
+  // Bracket from 50 km/h down to walking pace (VO2 turns negative below ~25 m/min)
+  let fast = distanceMetres / (50000 / 3600);
+  let slow = distanceMetres / (1800 / 3600);
+
+  for (let i = 0; i < 100 && slow - fast > 0.001; i++) {
+    const mid = (fast + slow) / 2;
+    if (calculateVdot(distanceMetres, mid) > vdot) {
+      fast = mid;
+    } else {
+      slow = mid;
+    }
+  }
+
+  return (fast + slow) / 2;
+}
+
+/**
+ * Predict a time with the VDOT model
+ * @param {number} timeSeconds - Known time in seconds
+ * @param {number} fromMetres - Known distance in metres
+ * @param {number} toMetres - Target distance in metres
+ * @returns {number} Predicted time in seconds
+ */
+export function predictVdot(timeSeconds, fromMetres, toMetres) {
+  return timeForVdot(calculateVdot(fromMetres, timeSeconds), toMetres);
+}
+
+/**
+ * Predict a time with a model
+ * @param {string} model - Key of PREDICTION_MODELS
+ * @param {number} timeSeconds - Known time in seconds
+ * @param {number} fromMetres - Known distance in metres
+ * @param {number} toMetres - Target distance in metres
+ * @param {Object} options - {riegelExponent}
+ * @returns {number} Predicted time in seconds
+ */
+export function predictRaceTime(model, timeSeconds, fromMetres, toMetres, options = {}) {
+  if (fromMetres === toMetres) {
+    return timeSeconds;
+  }
+
+  switch (model) {
+    case 'riegel':
+      return predictRiegel(timeSeconds, fromMetres, toMetres, options.riegelExponent ?? DEFAULT_RIEGEL_EXPONENT);
+    case 'cameron':
+      return predictCameron(timeSeconds, fromMetres, toMetres);
+    case 'vdot':
+      return predictVdot(timeSeconds, fromMetres, toMetres);
+    default:
+      throw new Error(`Unknown prediction model: ${model}`);
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * World Athletics Ranking Score Calculator
+ * Result score = performance score (scoring tables) + placing score (competition category and round)
+ */
+
+import { rankingPlacingLoader } from '../data/ranking-placing-loader.js';
+import { lookupPoints } from './performance-lookup.js';
+
+/**
+ * Calculate the ranking result score for a performance
+ * @param {string} gender
+ * @param {string} event
+ * @param {string} performance - Normalized performance value
+ * @param {Object} placing - {place, round, category}
+ * @param {boolean} isHandTimed - Whether to apply hand timing offset
+ * @returns {Object|null} {resultScore, performanceScore, placingScore, place, round, category, lookup}
+ */
+export function calculateRankingScore(gender, event, performance, placing, isHandTimed = false) {
+  const { place, round, category } = placing;
+
+  const lookup = lookupPoints(gender, event, performance, isHandTimed);
+
+  if (!lookup) {
+    return null;
+  }
+
+  const placingScore = rankingPlacingLoader.getPlacingScore(category, round, place);
+
+  if (placingScore === null) {
+    return null;
+  }
+
+  return {
+    resultScore: lookup.points + placingScore,
+    performanceScore: lookup.points,
+    placingScore,
+    place,
+    round,
+    category,
+    lookup
+  };
+}
+
+/**
+ * Format a place as an ordinal (1st, 2nd, 3rd, 4th, 11th, 21st...)
+ * @param {number} place
+ * @returns {string}
+ */
+export function formatPlace(place) {
+  const lastTwo = place % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) {
+    return `${place}th`;
+  }
+
+  switch (place % 10) {
+    case 1:
+      return `${place}st`;
+    case 2:
+      return `${place}nd`;
+    case 3:
+      return `${place}rd`;
+    default:
+      return `${place}th`;
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * Relay Planner
+ * Predicts a relay team's time from its athletes' flat-start PBs or flying splits, and
+ * ranks the possible leg orders
+ *
+ * Leg 1 starts from blocks, so it's run in the athlete's flat-start PB. Legs 2-4 are
+ * already running when they take the baton: their flying split is used when it's known,
+ * otherwise their PB less the flying-start gain. Each changeover adds the exchange-zone
+ * allowance (zero for clean exchanges). The default gains are rules of thumb - adjust
+ * them to match the squad.
+ */
+
+import { parseCSV } from '../utils/csv.js';
+import { parseTimeInput } from '../utils/pace-formatter.js';
+import { parseGender } from './bulk-scoring.js';
+
+export const RELAY_LEGS = 4;
+
+// Fastest athletes from blocks and flying (per gender for mixed relays) whose leg orders are ranked
+export const LEG_ORDER_CANDIDATES = 6;
+
+// event is the scoring table key; mixed relays need this many of each gender
+export const RELAY_TYPES = {
+  '4x100m': { name: '4x100m', event: '4x100m', legEvent: '100m', flyingStart: 0.8 },
+  '4x200m': { name: '4x200m', event: '4x200m', legEvent: '200m', flyingStart: 0.8 },
+  '4x400m': { name: '4x400m', event: '4x400m', legEvent: '400m', flyingStart: 0.7 },
+  'mixed 4x400m': { name: 'Mixed 4x400m', event: '4x400m', legEvent: '400m', flyingStart: 0.7, mixed: { men: 2, women: 2 } }
+};
+
+// Accepted header names for each squad column
+const HEADER_ALIASES = {
+  athlete: ['athlete', 'name', 'athlete name'],
+  gender: ['gender', 'sex'],
+  pb: ['pb', 'flat', 'flat-start', 'flat start', 'personal best'],
+  split: ['split', 'flying', 'flying split', 'leg', 'leg time']
+};
+
+const COLUMNS = Object.keys(HEADER_ALIASES);
+
+/**
+ * Parse a squad from CSV: athlete, gender, flat-start PB, flying split per line
+ * A header row is optional. Either time may be blank, but not both; gender is only
+ * needed for mixed relays.
+ * @param {string} text - CSV text
+ * @returns {Array<{line, athlete, gender, pb, split, error}>} Times in seconds (null when blank)
+ */
+export function parseRelaySquad(text) {
+  const records = parseCSV(text);
+  let columnIndexes = COLUMNS.map((_, index) => index);
+
+  if (records.length > 0) {
+    const normalized = records[0].fields.map(field => field.toLowerCase());
+    const indexes = COLUMNS.map(column => normalized.findIndex(field => HEADER_ALIASES[column].includes(field)));
+    if (indexes[COLUMNS.indexOf('athlete')] >= 0) {
+      columnIndexes = indexes;
+      records.shift();
+    }
+  }
+
+  return records.map(({ line, fields }) => {
+    const [athlete, gender, pb, split] = columnIndexes.map(index => (index >= 0 ? fields[index] ?? '' : ''));
+    const readTime = value => (value ? parseTimeInput(value) : null);
+
+    const row = {
+      line,
+      athlete: athlete || `Athlete ${line}`,
+      gender: parseGender(gender),
+      pb: readTime(pb),
+      split: readTime(split),
+      error: null
+    };
+
+    if ((pb && !(row.pb > 0)) || (split && !(row.split > 0))) {
+      row.error = 'Invalid time';
+    } else if (row.pb === null && row.split === null) {
+      row.error = 'Needs a flat-start PB or a flying split';
+    } else if (gender && !row.gender) {
+      row.error = `Unknown gender "${gender}"`;
+    }
+
+    return row;
+  });
+}
+
+/**
+ * Get an athlete's time on a leg
+ * @param {Object} athlete - {pb, split} in seconds (either may be null)
+ * @param {number} leg - Leg number (1 = from blocks)
+ * @param {number} flyingStart - Flying-start gain in seconds
+ * @returns {number} Leg time in seconds
+ */
+export function getLegTime(athlete, leg, flyingStart) {
+  if (leg === 1) {
+    return athlete.pb ?? athlete.split + flyingStart;
+  }
+  return athlete.split ?? athlete.pb - flyingStart;
+}
+
+/**
+ * Round a time up to the next hundredth, as for a fully automatic timed result
+ * @param {number} seconds
+ * @returns {number}
+ */
+export function roundUpToHundredths(seconds) {
+  return Math.ceil(seconds * 100 - 1e-6) / 100;
+}
+
+/**
+ * Predict a team's time for a leg order
+ * @param {Array<Object>} order - Athletes in leg order
+ * @param {Object} options - {flyingStart, exchangeAllowance} in seconds
+ * @returns {Object} {order, legs: Array<number>, time} - time rounded up to hundredths
+ */
+export function predictRelayTime(order, { flyingStart, exchangeAllowance = 0 }) {
+  const legs = order.map((athlete, index) => getLegTime(athlete, index + 1, flyingStart));
+  const raw = legs.reduce((sum, time) => sum + time, 0) + (order.length - 1) * exchangeAllowance;
+
+  return { order, legs, time: roundUpToHundredths(raw) };
+}
+
+/**
+ * Pick the athletes worth ordering: the fastest from blocks and the fastest flying
+ * The best team always comes from these - anyone slower on both is beaten by a faster
+ * athlete left out of the team - and it keeps a large squad to thousands of orders.
+ * @param {Array<Object>} athletes - Athletes without errors
+ * @param {number} flyingStart - Flying-start gain in seconds
+ * @returns {Array<Object>} Candidates
+ */
+function selectCandidates(athletes, flyingStart) {
+  const fastest = leg => [...athletes]
+    .sort((a, b) => getLegTime(a, leg, flyingStart) - getLegTime(b, leg, flyingStart))
+    .slice(0, LEG_ORDER_CANDIDATES);
+  return [...new Set([...fastest(1), ...fastest(2)])];
+}
+
+/**
+ * Rank the leg orders for a squad (four athletes from the squad, in every order)
+ * Only the LEG_ORDER_CANDIDATES fastest from blocks and flying are ordered, and orders of
+ * the same four athletes with the same time (as when only flat-start PBs are known) are
+ * listed once.
+ * @param {Array<Object>} squad - Athletes from parseRelaySquad (rows with errors are skipped)
+ * @param {string} relayType - Key of RELAY_TYPES
+ * @param {Object} options - {flyingStart, exchangeAllowance} in seconds; flyingStart defaults
+ *   to the relay's rule of thumb
+ * @returns {Array<Object>} Predictions from predictRelayTime, fastest first
+ * @throws {Error} If the squad can't make up a team
+ */
+export function rankLegOrders(squad, relayType, options = {}) {
+  const relay = RELAY_TYPES[relayType];
+  if (!relay) {
+    throw new Error(`Unknown relay: ${relayType}`);
+  }
+
+  const athletes = squad.filter(athlete => !athlete.error);
+  const settings = { flyingStart: relay.flyingStart, ...options };
+
+  if (athletes.length < RELAY_LEGS) {
+    throw new Error(`A relay needs at least ${RELAY_LEGS} athletes`);
+  }
+
+  if (relay.mixed) {
+    for (const [gender, count] of Object.entries(relay.mixed)) {
+      if (athletes.filter(athlete => athlete.gender === gender).length < count) {
+        throw new Error(`A ${relay.name} team needs ${count} ${gender}`);
+      }
+    }
+  }
+
+  const isValidTeam = order => !relay.mixed || Object.entries(relay.mixed).every(
+    ([gender, count]) => order.filter(athlete => athlete.gender === gender).length === count
+  );
+
+  const groups = relay.mixed
+    ? Object.keys(relay.mixed).map(gender => athletes.filter(athlete => athlete.gender === gender))
+    : [athletes];
+  const selected = new Set(groups.flatMap(group => selectCandidates(group, settings.flyingStart)));
+  const candidates = athletes.filter(athlete => selected.has(athlete));
+
+  const predictions = [];
+  const build = (order, remaining) => {
+    if (order.length === RELAY_LEGS) {
+      if (isValidTeam(order)) {
+        predictions.push(predictRelayTime(order, settings));
+      }
+      return;
+    }
+    remaining.forEach((athlete, index) => {
+      build([...order, athlete], remaining.filter((_, i) => i !== index));
+    });
+  };
+  build([], candidates);
+
+  // Stable sort keeps equal times in squad order, so the first of each tie is kept
+  const seen = new Set();
+  return predictions
+    .sort((a, b) => a.time - b.time)
+    .filter(({ order, time }) => {
+      const key = `${order.map(athlete => candidates.indexOf(athlete)).sort((a, b) => a - b)}@${time}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
@@ -0,0 +1,388 @@
+/**
+ * Team Selection Optimizer
+ * Chooses which athletes enter which events to score the most team points under entry limits
+ *
+ * Each athlete's PBs are scored on the World Athletics tables. Individual entries are
+ * assigned exactly, as a maximum-weight matching of athletes to event places (an athlete
+ * may take up to maxEvents places, an event up to perEvent athletes per gender). Relay teams
+ * are picked from the fastest athletes at the leg distance, with the time predicted by the
+ * relay planner; when relay legs count towards the limit, every combination of relay teams is
+ * tried against the individual assignment, separately for men and women and pruned once it
+ * cannot beat the best selection found.
+ */
+
+import { lookupPoints } from './performance-lookup.js';
+import { RELAY_TYPES, rankLegOrders } from './relay-planner.js';
+
+export const DEFAULT_CONSTRAINTS = {
+  maxEvents: 2,
+  perEvent: 2,
+  relays: [],
+  relaysCount: false
+};
+
+// Fastest athletes at the leg distance considered for each relay team
+const RELAY_CANDIDATES = 5;
+
+// Labels for the athletes in an event, best first
+const STRINGS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+/**
+ * Get the entries an athlete could make from scored roster rows
+ * Rows with errors or no points are left out, and only an athlete's best mark in each
+ * event is kept.
+ * @param {Array<Object>} results - Rows from scoreResults
+ * @returns {Array<{athlete, gender, event, eventDisplayName, performance, normalizedPerformance, points}>}
+ *   performance is the formatted mark, normalizedPerformance the mark in seconds or metres
+ */
+export function getRosterEntries(results) {
+  const best = new Map();
+
+  for (const result of results) {
+    if (result.error || !(result.points > 0)) continue;
+
+    const entry = {
+      athlete: result.athlete,
+      gender: result.genderKey,
+      event: result.eventKey,
+      eventDisplayName: result.eventDisplayName || result.eventKey,
+      performance: result.performance,
+      normalizedPerformance: result.normalizedPerformance,
+      points: result.points
+    };
+    const key = `${entry.athlete}/${entry.gender}/${entry.event}`;
+    if (!best.has(key) || best.get(key).points < entry.points) {
+      best.set(key, entry);
+    }
+  }
+
+  return [...best.values()];
+}
+
+/**
+ * Assign individual entries for the most points
+ * @param {Array<Object>} entries - Entries from getRosterEntries
+ * @param {Object} limits - {maxEvents, perEvent}
+ * @param {Map<string, number>} [used] - Events each athlete has already taken (e.g., relays)
+ * @returns {{entries: Array<Object>, points: number}} Chosen entries, each with a string
+ *   label (A, B, ...) by points within its event
+ */
+export function assignEntries(entries, { maxEvents, perEvent }, used = new Map()) {
+  const athletes = [...new Set(entries.map(entry => entry.athlete))];
+  const slots = [...new Set(entries.map(slotKey))];
+
+  // Flow network: source -> athlete -> event place -> sink
+  const SOURCE = 0;
+  const SINK = 1;
+  const athleteNode = new Map(athletes.map((athlete, i) => [athlete, 2 + i]));
+  const slotNode = new Map(slots.map((slot, i) => [slot, 2 + athletes.length + i]));
+  const graph = Array.from({ length: 2 + athletes.length + slots.length }, () => []);
+
+  const addEdge = (from, to, capacity, cost) => {
+    graph[from].push({ to, capacity, cost, reverse: graph[to].length });
+    graph[to].push({ to: from, capacity: 0, cost: -cost, reverse: graph[from].length - 1 });
+  };
+
+  athletes.forEach(athlete => {
+    const capacity = maxEvents - (used.get(athlete) || 0);
+    if (capacity > 0) addEdge(SOURCE, athleteNode.get(athlete), capacity, 0);
+  });
+  slots.forEach(slot => addEdge(slotNode.get(slot), SINK, perEvent, 0));
+  const entryEdges = entries.map(entry => {
+    addEdge(athleteNode.get(entry.athlete), slotNode.get(slotKey(entry)), 1, -entry.points);
+    const edges = graph[athleteNode.get(entry.athlete)];
+    return edges[edges.length - 1];
+  });
+
+  // Successive shortest paths: each path adds the most points still available, so stop
+  // when a path would no longer add any
+  for (;;) {
+    const path = findShortestPath(graph, SOURCE, SINK);
+    if (!path || path.cost >= 0) break;
+    for (const edge of path.edges) {
+      edge.capacity -= 1;
+      graph[edge.to][edge.reverse].capacity += 1;
+    }
+  }
+
+  const chosen = entries.filter((_, i) => entryEdges[i].capacity === 0);
+  return {
+    entries: labelStrings(chosen),
+    points: chosen.reduce((sum, entry) => sum + entry.points, 0)
+  };
+}
+
+/**
+ * Get the candidate teams for a relay from the roster
+ * @param {Array<Object>} entries - Entries from getRosterEntries
+ * @param {string} relayType - Key of RELAY_TYPES
+ * @param {string} gender - "men" or "women" (ignored for mixed relays)
+ * @returns {Array<{relayType, name, gender, order, legs, time, points}>} Fastest first
+ */
+export function getRelayTeams(entries, relayType, gender) {
+  const relay = RELAY_TYPES[relayType];
+  const teamGender = relay.mixed ? 'mixed' : gender;
+
+  const runners = entries
+    .filter(entry => entry.event === relay.legEvent && (relay.mixed || entry.gender === gender))
+    .map(entry => ({ athlete: entry.athlete, gender: entry.gender, pb: parseFloat(entry.normalizedPerformance), split: null }))
+    .sort((a, b) => a.pb - b.pb);
+
+  // The fastest candidates, with one reserve of each gender for a mixed team
+  const candidates = relay.mixed
+    ? Object.entries(relay.mixed).flatMap(([key, count]) => runners.filter(runner => runner.gender === key).slice(0, count + 1))
+    : runners.slice(0, RELAY_CANDIDATES);
+
+  const teams = [];
+  for (const team of combinations(candidates, 4)) {
+    let best;
+    try {
+      [best] = rankLegOrders(team, relayType);
+    } catch {
+      continue;
+    }
+    teams.push({
+      relayType,
+      name: relay.name,
+      gender: teamGender,
+      order: best.order,
+      legs: best.legs,
+      time: best.time,
+      points: lookupPoints(teamGender, relay.event, best.time.toFixed(2))?.points ?? 0
+    });
+  }
+
+  return teams.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Pick the team with the most points
+ * Relay tables must be loaded before calling (individual points come from the roster).
+ * @param {Array<Object>} entries - Entries from getRosterEntries
+ * @param {Object} constraints - {maxEvents, perEvent, relays: Array<relayType>, relaysCount}
+ * @returns {{entries: Array<Object>, relays: Array<Object>, totalPoints: number}}
+ * @throws {Error} If the limits are invalid
+ */
+export function selectTeam(entries, constraints = {}) {
+  const settings = { ...DEFAULT_CONSTRAINTS, ...constraints };
+
+  if (!Number.isInteger(settings.maxEvents) || settings.maxEvents < 1 ||
+      !Number.isInteger(settings.perEvent) || settings.perEvent < 1) {
+    throw new Error('Events per athlete and athletes per event must be whole numbers of at least 1');
+  }
+
+  // One team per relay, or per relay and gender for single-gender relays
+  const genders = [...new Set(entries.map(entry => entry.gender))].filter(gender => gender !== 'mixed');
+  const relaySlots = settings.relays.flatMap(relayType => (RELAY_TYPES[relayType].mixed
+    ? [getRelayTeams(entries, relayType)]
+    : genders.map(gender => getRelayTeams(entries, relayType, gender))
+  )).filter(teams => teams.length > 0);
+
+  const total = (relays, individual) => relays.reduce((sum, team) => sum + team.points, 0) + individual.points;
+
+  if (!settings.relaysCount) {
+    const relays = relaySlots.map(teams => teams.reduce((best, team) => (team.points > best.points ? team : best)));
+    const individual = assignEntries(entries, settings);
+    return { entries: individual.entries, relays, totalPoints: total(relays, individual) };
+  }
+
+  // Relay legs use up entries, so try each combination of teams (or no team). Men and women
+  // never share an event place or a single-gender relay, so each group of athletes that do
+  // is searched on its own, once for each choice of mixed relay teams.
+  const slotIndex = new Map(relaySlots.flatMap((teams, index) => teams.map(team => [team, index])));
+  const mixedSlots = relaySlots.filter(teams => teams[0].gender === 'mixed');
+  const groups = splitIndependentGroups(entries, relaySlots.filter(teams => teams[0].gender !== 'mixed'));
+
+  const searchGroup = (group, used) => {
+    // Relays only take entries away, so no branch can beat its relays, the best team for
+    // each relay still to come and the group's points with no more relay legs
+    const open = assignEntries(group.entries, settings, used);
+    const bestTeams = group.relaySlots.map(teams => Math.max(...teams.map(team => team.points)));
+    const remaining = bestTeams.map((_, index) => bestTeams.slice(index).reduce((sum, points) => sum + points, 0));
+
+    let best = null;
+    const tryRelays = (index, relays, groupUsed) => {
+      if (best && total(relays, open) + (remaining[index] ?? 0) <= best.totalPoints) {
+        return;
+      }
+      if (index === group.relaySlots.length) {
+        const individual = assignEntries(group.entries, settings, groupUsed);
+        const points = total(relays, individual);
+        if (!best || points > best.totalPoints) {
+          best = { entries: individual.entries, relays, totalPoints: points };
+        }
+        return;
+      }
+
+      for (const team of group.relaySlots[index]) {
+        const next = useEntries(groupUsed, team);
+        if (team.order.every(({ athlete }) => next.get(athlete) <= settings.maxEvents)) {
+          tryRelays(index + 1, [...relays, team], next);
+        }
+      }
+      tryRelays(index + 1, relays, groupUsed);
+    };
+    tryRelays(0, [], used);
+    return best;
+  };
+
+  // A group's best selection only depends on its own athletes' mixed relay legs
+  const groupSelections = groups.map(() => new Map());
+  const selectGroup = (groupIndex, used) => {
+    const group = groups[groupIndex];
+    const groupUsed = new Map([...used].filter(([athlete]) => group.athletes.has(athlete)));
+    const key = [...groupUsed].sort(([a], [b]) => (a < b ? -1 : 1)).join(';');
+    if (!groupSelections[groupIndex].has(key)) {
+      groupSelections[groupIndex].set(key, searchGroup(group, groupUsed));
+    }
+    return groupSelections[groupIndex].get(key);
+  };
+
+  let best = null;
+  const tryMixedRelays = (index, mixedRelays, used) => {
+    if (index === mixedSlots.length) {
+      const selections = groups.map((_, groupIndex) => selectGroup(groupIndex, used));
+      const points = mixedRelays.reduce((sum, team) => sum + team.points, 0) +
+        selections.reduce((sum, selection) => sum + selection.totalPoints, 0);
+      if (!best || points > best.totalPoints) {
+        best = {
+          entries: selections.flatMap(selection => selection.entries),
+          relays: [...mixedRelays, ...selections.flatMap(selection => selection.relays)]
+            .sort((a, b) => slotIndex.get(a) - slotIndex.get(b)),
+          totalPoints: points
+        };
+      }
+      return;
+    }
+
+    tryMixedRelays(index + 1, mixedRelays, used);
+    for (const team of mixedSlots[index]) {
+      const next = useEntries(used, team);
+      if (team.order.every(({ athlete }) => next.get(athlete) <= settings.maxEvents)) {
+        tryMixedRelays(index + 1, [...mixedRelays, team], next);
+      }
+    }
+  };
+  tryMixedRelays(0, [], new Map());
+
+  return best;
+}
+
+/**
+ * Add a relay team's legs to the entries its athletes have used
+ * @param {Map<string, number>} used
+ * @param {Object} team
+ * @returns {Map<string, number>} A new map
+ */
+function useEntries(used, team) {
+  const next = new Map(used);
+  team.order.forEach(({ athlete }) => next.set(athlete, (next.get(athlete) || 0) + 1));
+  return next;
+}
+
+/**
+ * Split the roster into groups of athletes that share no event place or relay with another
+ * group, so each group's entries can be chosen independently
+ * @param {Array<Object>} entries - Entries from getRosterEntries
+ * @param {Array<Array<Object>>} relaySlots - Candidate teams for each relay to search within a group
+ * @returns {Array<{athletes: Set<string>, entries: Array<Object>, relaySlots: Array<Array<Object>>}>}
+ */
+function splitIndependentGroups(entries, relaySlots) {
+  const parent = new Map();
+  const find = node => {
+    if (!parent.has(node)) parent.set(node, node);
+    while (parent.get(node) !== node) node = parent.get(node);
+    return node;
+  };
+  const join = (a, b) => parent.set(find(a), find(b));
+
+  entries.forEach(entry => join(`athlete:${entry.athlete}`, `event:${slotKey(entry)}`));
+  relaySlots.forEach((teams, index) => teams.forEach(team =>
+    team.order.forEach(({ athlete }) => join(`athlete:${athlete}`, `relay:${index}`))));
+
+  const groups = new Map();
+  const groupOf = node => {
+    const root = find(node);
+    if (!groups.has(root)) groups.set(root, { athletes: new Set(), entries: [], relaySlots: [] });
+    return groups.get(root);
+  };
+  entries.forEach(entry => {
+    const group = groupOf(`athlete:${entry.athlete}`);
+    group.athletes.add(entry.athlete);
+    group.entries.push(entry);
+  });
+  relaySlots.forEach((teams, index) => groupOf(`relay:${index}`).relaySlots.push(teams));
+
+  return [...groups.values()];
+}
+
+/**
+ * Key for an event place: events are contested separately by each gender
+ * @param {Object} entry
+ * @returns {string}
+ */
+function slotKey(entry) {
+  return `${entry.gender}/${entry.event}`;
+}
+
+/**
+ * Find the cheapest path with spare capacity (Bellman-Ford, as costs are negative)
+ * @returns {{cost: number, edges: Array<Object>}|null}
+ */
+function findShortestPath(graph, source, sink) {
+  const distance = graph.map(() => Infinity);
+  const via = graph.map(() => null);
+  distance[source] = 0;
+
+  for (let pass = 0; pass < graph.length - 1; pass++) {
+    let changed = false;
+    graph.forEach((edges, from) => {
+      if (distance[from] === Infinity) return;
+      for (const edge of edges) {
+        if (edge.capacity > 0 && distance[from] + edge.cost < distance[edge.to]) {
+          distance[edge.to] = distance[from] + edge.cost;
+          via[edge.to] = { from, edge };
+          changed = true;
+        }
+      }
+    });
+    if (!changed) break;
+  }
+
+  if (distance[sink] === Infinity) return null;
+
+  const edges = [];
+  for (let node = sink; node !== source; node = via[node].from) {
+    edges.push(via[node].edge);
+  }
+  return { cost: distance[sink], edges };
+}
+
+/**
+ * Label the athletes in each event A, B, ... by points
+ * @param {Array<Object>} entries
+ * @returns {Array<Object>} Entries with a string label, grouped by event
+ */
+function labelStrings(entries) {
+  const bySlot = new Map();
+  for (const entry of entries) {
+    const slot = slotKey(entry);
+    if (!bySlot.has(slot)) bySlot.set(slot, []);
+    bySlot.get(slot).push(entry);
+  }
+
+  return [...bySlot.values()].flatMap(slotEntries => slotEntries
+    .sort((a, b) => b.points - a.points)
+    .map((entry, i) => ({ ...entry, string: STRINGS[i] ?? String(i + 1) })));
+}
+
+/**
+ * Every combination of size k from a list
+ * @param {Array} items
+ * @param {number} k
+ * @returns {Array<Array>}
+ */
+function combinations(items, k) {
+  if (k === 0) return [[]];
+  return items.flatMap((item, i) => combinations(items.slice(i + 1), k - 1).map(rest => [item, ...rest]));
+}
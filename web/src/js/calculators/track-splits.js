@@ -0,0 +1,100 @@
+/**
+ * Track Lap Splits Calculator
+ * Lap-by-lap split sheets for races and sessions on a standard track
+ *
+ * Races that aren't a whole number of laps start with a partial lap, so every
+ * later split falls on the finish line (e.g., 1500m: 300m, then 3 full laps).
+ *
+ * Outdoors, lane 1 is measured 0.30m from the kerb and the outer lanes 0.20m from
+ * their inside line, with 1.22m lanes - so lane n is 2π × ((n - 1) × 1.22 - 0.10)
+ * metres longer per lap (lane 2: 407.04m, lane 8: 453.03m). Indoor tracks vary in
+ * lane width and banking, so indoor splits are for lane 1 only.
+ */
+
+import { getCumulativeTimeFraction, EVEN_PACING } from './pace-calculations.js';
+
+export const TRACKS = {
+  outdoor: { name: '400m Outdoor', lapMetres: 400, lanes: 8, laneWidth: 1.22 },
+  indoor: { name: '200m Indoor', lapMetres: 200, lanes: 1 }
+};
+
+/**
+ * Get the length of one lap in a lane
+ * @param {string} track - Key of TRACKS
+ * @param {number} lane - Lane number (1 = inside)
+ * @returns {number} Lap length in metres
+ */
+export function getLaneLapMetres(track, lane = 1) {
+  const { lapMetres, lanes, laneWidth } = TRACKS[track];
+
+  if (!Number.isInteger(lane) || lane < 1 || lane > lanes) {
+    throw new Error(`Invalid lane for ${TRACKS[track].name} track: ${lane}`);
+  }
+
+  if (lane === 1) {
+    return lapMetres;
+  }
+
+  return lapMetres + 2 * Math.PI * ((lane - 1) * laneWidth - 0.10);
+}
+
+/**
+ * Calculate lap splits for a distance and target time
+ * The target time sets the pace for the race distance in lane 1; an outer lane is run
+ * at the same pace over its longer laps, so it takes longer. Partial laps in an outer
+ * lane are lengthened in proportion.
+ * @param {number} distanceMetres - Race distance in metres (as measured in lane 1)
+ * @param {number} timeSeconds - Target time for the distance in lane 1
+ * @param {Object} options - {track: 'outdoor'|'indoor', lane, pacing}
+ * @returns {Object} {track, lane, lapMetres, distanceRun, finishTime, laps: Array<{lap, distance, lapDistance, lapTime, time, isPartial}>}
+ */
+export function calculateLapSplits(distanceMetres, timeSeconds, { track = 'outdoor', lane = 1, pacing = EVEN_PACING } = {}) {
+  if (!TRACKS[track]) {
+    throw new Error(`Unknown track: ${track}`);
+  }
+
+  const { lapMetres } = TRACKS[track];
+  const laneScale = getLaneLapMetres(track, lane) / lapMetres;
+  const finishTime = timeSeconds * laneScale;
+
+  // Split positions measured along lane 1, starting with any partial lap
+  const partialMetres = distanceMetres % lapMetres;
+  const positions = [];
+  let position = partialMetres > 0.001 ? partialMetres : lapMetres;
+  while (position < distanceMetres - 0.001) {
+    positions.push(position);
+    position += lapMetres;
+  }
+  positions.push(distanceMetres);
+
+  let previousPosition = 0;
+  let previousTime = 0;
+
+  const laps = positions.map((position, index) => {
+    const isFinal = index === positions.length - 1;
+    const time = isFinal ? finishTime : finishTime * getCumulativeTimeFraction(position / distanceMetres, pacing);
+    const lapDistance = (position - previousPosition) * laneScale;
+
+    const lap = {
+      lap: index + 1,
+      distance: position,
+      lapDistance,
+      lapTime: time - previousTime,
+      time,
+      isPartial: position - previousPosition < lapMetres - 0.001
+    };
+
+    previousPosition = position;
+    previousTime = time;
+    return lap;
+  });
+
+  return {
+    track,
+    lane,
+    lapMetres: lapMetres * laneScale,
+    distanceRun: distanceMetres * laneScale,
+    finishTime,
+    laps
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Training Zones Calculator
+ * Jack Daniels' training paces from a race result's VDOT
+ *
+ * Each zone is run at a share of VDOT (the oxygen uptake the race implies); the
+ * pace for that uptake comes from inverting the Daniels-Gilbert oxygen-cost equation.
+ * Marathon pace is the VDOT's predicted marathon time instead.
+ */
+
+import { calculateVdot, timeForVdot } from './race-predictor.js';
+
+const MARATHON_METRES = 42195;
+
+// Shares of VDOT - a range for Easy running, a single intensity for the rest
+export const TRAINING_ZONES = [
+  { key: 'easy', name: 'Easy', intensity: [0.59, 0.74] },
+  { key: 'marathon', name: 'Marathon', raceMetres: MARATHON_METRES },
+  { key: 'threshold', name: 'Threshold', intensity: [0.88] },
+  { key: 'interval', name: 'Interval', intensity: [0.975] },
+  { key: 'repetition', name: 'Repetition', intensity: [1.05] }
+];
+
+/**
+ * Running velocity at which the oxygen cost equals a VO2
+ * @param {number} vo2 - Oxygen uptake in ml/kg/min
+ * @returns {number} Velocity in metres per minute
+ */
+export function velocityForVo2(vo2) {
+  // Solve 0.000104v² + 0.182258v - 4.60 = VO2 for v
+  const a = 0.000104;
+  const b = 0.182258;
+  const c = -4.60 - vo2;
+
+  return (-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+}
+
+/**
+ * Calculate the training paces for a race result
+ * @param {number} distanceMetres - Race distance in metres
+ * @param {number} timeSeconds - Race time in seconds
+ * @returns {Object} {vdot, zones: Array<{key, name, fastPerKm, slowPerKm}>} with paces in seconds per km
+ */
+export function calculateTrainingZones(distanceMetres, timeSeconds) {
+  const vdot = calculateVdot(distanceMetres, timeSeconds);
+
+  const zones = TRAINING_ZONES.map(({ key, name, intensity, raceMetres }) => {
+    const paces = raceMetres
+      ? [timeForVdot(vdot, raceMetres) / (raceMetres / 1000)]
+      : intensity.map(share => 60000 / velocityForVo2(vdot * share));
+
+    return {
+      key,
+      name,
+      fastPerKm: Math.min(...paces),
+      slowPerKm: Math.max(...paces)
+    };
+  });
+
+  return { vdot, zones };
+}
@@ -0,0 +1,161 @@
+/**
+ * Treadmill Calculator
+ * Belt speed settings for a target pace, and the belt pace that matches outdoor effort
+ * on an incline
+ *
+ * Treadmills set speed in steps (usually 0.1 km/h or 0.1 mph), so a target pace is shown
+ * as the nearest settings and the pace each one actually gives.
+ *
+ * Incline: without air resistance, running on a treadmill at a 1% incline is taken to
+ * match running on the flat outdoors. By default the effort of other inclines comes from
+ * the energy cost of running on a gradient (Minetti et al., 2002) relative to that 1%;
+ * a table of incline (%) and effort (%, 100 = flat outdoors) can be used instead.
+ * At the same effort, belt speed falls as the cost per metre rises.
+ */
+
+import { convertPaceToSpeed, convertSpeedToPace } from './pace-calculations.js';
+import { getGradeCostFactor } from './course-adjustments.js';
+import { parseCSV } from '../utils/csv.js';
+
+// Incline (%) that matches flat outdoor running
+export const FLAT_EQUIVALENT_INCLINE = 1;
+
+export const SPEED_INCREMENTS = [0.1, 0.5];
+
+export const SPEED_UNITS = {
+  kmh: { name: 'km/h', paceUnit: 'km' },
+  mph: { name: 'mph', paceUnit: 'mile' }
+};
+
+/**
+ * Round a speed to a belt setting
+ * @param {number} speed
+ * @param {number} increment - Step between settings
+ * @returns {number}
+ */
+function roundToIncrement(speed, increment) {
+  return Number((Math.round(speed / increment) * increment).toFixed(2));
+}
+
+/**
+ * Get the belt settings for a pace
+ * @param {number} paceSecondsPerKm - Target pace in seconds per km
+ * @param {number} increment - Step between settings (e.g., 0.1)
+ * @returns {Object} {kmh, mph} - each {exact, setting, pacePerKm, slower, faster}, where
+ *   slower/faster are the neighbouring settings {setting, pacePerKm}
+ */
+export function getBeltSpeeds(paceSecondsPerKm, increment = SPEED_INCREMENTS[0]) {
+  const speeds = convertPaceToSpeed(paceSecondsPerKm, 'km');
+  const result = {};
+
+  Object.keys(SPEED_UNITS).forEach(unit => {
+    const exact = speeds[unit];
+    const setting = roundToIncrement(exact, increment);
+    const atSetting = value => ({ setting: value, pacePerKm: convertSpeedToPace(value, unit) });
+
+    result[unit] = {
+      exact,
+      ...atSetting(setting),
+      slower: atSetting(Number((setting - increment).toFixed(2))),
+      faster: atSetting(Number((setting + increment).toFixed(2)))
+    };
+  });
+
+  return result;
+}
+
+/**
+ * Get the default incline table (whole inclines from 0% to maxIncline)
+ * @param {number} maxIncline - Highest incline in %
+ * @returns {Array<{incline: number, effort: number}>} Effort in % of flat outdoor running
+ */
+export function getDefaultInclineTable(maxIncline = 10) {
+  const table = [];
+  for (let incline = 0; incline <= maxIncline; incline++) {
+    table.push({ incline, effort: getInclineEffort(incline) * 100 });
+  }
+  return table;
+}
+
+/**
+ * Parse an incline table from CSV: incline (%), effort (%) per line
+ * A header row is optional. Rows are sorted by incline.
+ * @param {string} text - CSV text
+ * @returns {Array<{incline: number, effort: number}>}
+ * @throws {Error} If there are fewer than two valid rows, or a line is invalid or repeats an incline
+ */
+export function parseInclineTable(text) {
+  const records = parseCSV(text);
+
+  // Skip a header row
+  if (records.length > 0 && isNaN(parseFloat(records[0].fields[0]))) {
+    records.shift();
+  }
+
+  const lines = new Map(); // incline -> line it was first given on
+  const table = records.map(({ line, fields }) => {
+    const incline = parseFloat(fields[0]);
+    const effort = parseFloat(fields[1]);
+    if (isNaN(incline) || isNaN(effort) || effort <= 0) {
+      throw new Error(`Line ${line}: expected incline (%), effort (%)`);
+    }
+    if (lines.has(incline)) {
+      throw new Error(`Line ${line}: incline ${incline}% is already on line ${lines.get(incline)}`);
+    }
+    lines.set(incline, line);
+    return { incline, effort };
+  });
+
+  if (table.length < 2) {
+    throw new Error('An incline table needs at least two rows');
+  }
+
+  return table.sort((a, b) => a.incline - b.incline);
+}
+
+/**
+ * Get the effort of running at an incline relative to flat outdoor running
+ * @param {number} incline - Treadmill incline in %
+ * @param {Array|null} table - Incline table, or null for the default gradient cost
+ * @returns {number} Effort factor (1 = flat outdoors), interpolated between table rows and
+ *   held at the first and last rows beyond them
+ */
+export function getInclineEffort(incline, table = null) {
+  if (!table) {
+    return getGradeCostFactor((incline - FLAT_EQUIVALENT_INCLINE) / 100);
+  }
+
+  if (incline <= table[0].incline) {
+    return table[0].effort / 100;
+  }
+
+  for (let i = 1; i < table.length; i++) {
+    const from = table[i - 1];
+    const to = table[i];
+    if (incline <= to.incline) {
+      return (from.effort + (to.effort - from.effort) * (incline - from.incline) / (to.incline - from.incline)) / 100;
+    }
+  }
+
+  return table[table.length - 1].effort / 100;
+}
+
+/**
+ * Get the treadmill settings that match an outdoor pace at an incline
+ * @param {number} outdoorPacePerKm - Flat outdoor pace in seconds per km
+ * @param {number} incline - Treadmill incline in %
+ * @param {Object} options - {table, increment}
+ * @returns {Object} {incline, effort, pacePerKm, speeds} - the belt pace and its settings
+ *   (see getBeltSpeeds)
+ */
+export function getTreadmillSettings(outdoorPacePerKm, incline, { table = null, increment = SPEED_INCREMENTS[0] } = {}) {
+  const effort = getInclineEffort(incline, table);
+  const pacePerKm = outdoorPacePerKm * effort;
+
+  return {
+    incline,
+    effort,
+    pacePerKm,
+    speeds: getBeltSpeeds(pacePerKm, increment)
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Wind Adjustment Calculator
+ * Convert wind-affected performances to their still-air equivalents
+ *
+ * Two models are used, selected per event in events_config.json (windCorrections):
+ * - sprint: t0 = tw × (1 + k - k × (1 - w × tw / d)²)
+ *   Mureika's drag model; d is the race distance and k the coefficient
+ *   (0.03 for straight races, roughly half that for the 200m where only part of the race is wind-exposed)
+ * - jump: d0 = dw - k × w
+ *   Linear correction; k is metres gained per m/s of tailwind
+ *
+ * Positive wind is a tailwind, negative a headwind (as shown on official results).
+ */
+
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { lookupPoints } from './performance-lookup.js';
+
+const MAX_WIND_READING = 9.9;
+
+/**
+ * Calculate the still-air equivalent of a performance
+ * @param {string} eventKey - Event key (e.g., "100m", "lj")
+ * @param {number} performance - Performance in seconds (times) or metres (jumps)
+ * @param {number} windSpeed - Wind reading in m/s (positive = tailwind)
+ * @returns {number|null} Still-air performance, or null if the event has no wind model
+ */
+export function calculateStillAirPerformance(eventKey, performance, windSpeed) {
+  const correction = eventConfigLoader.getWindCorrection(eventKey);
+
+  if (!correction || isNaN(performance) || isNaN(windSpeed)) {
+    return null;
+  }
+
+  const { model, coefficient } = correction;
+
+  if (model === 'sprint') {
+    const distance = eventConfigLoader.getEventInfo(eventKey)?.distance;
+    if (!distance) {
+      return null;
+    }
+    const windFactor = 1 - (windSpeed * performance) / distance;
+    return performance * (1 + coefficient - coefficient * windFactor * windFactor);
+  }
+
+  if (model === 'jump') {
+    return performance - coefficient * windSpeed;
+  }
+
+  return null;
+}
+
+/**
+ * Find points for the still-air equivalent of a wind-affected performance
+ * Hand timing offsets are applied before the wind correction.
+ * @param {string} gender
+ * @param {string} event
+ * @param {string} performance - Normalized performance value
+ * @param {number} windSpeed - Wind reading in m/s (positive = tailwind)
+ * @param {boolean} isHandTimed - Whether to apply hand timing offset
+ * @returns {Object|null} lookupPoints result plus {windSpeed, stillAirPerformance}
+ */
+export function lookupWindAdjustedPoints(gender, event, performance, windSpeed, isHandTimed = false) {
+  let perfNum = parseFloat(performance);
+
+  if (isHandTimed) {
+    const offset = eventConfigLoader.getHandTimingOffset(event);
+    if (offset) {
+      perfNum += offset;
+    }
+  }
+
+  const stillAir = calculateStillAirPerformance(event, perfNum, windSpeed);
+
+  if (stillAir === null || stillAir <= 0) {
+    return null;
+  }
+
+  const stillAirPerformance = stillAir.toFixed(2);
+  const result = lookupPoints(gender, event, stillAirPerformance);
+
+  if (!result) {
+    return null;
+  }
+
+  return {
+    ...result,
+    windSpeed,
+    stillAirPerformance
+  };
+}
+
+/**
+ * Parse a wind reading entered by the user
+ * @param {string} input - Raw input (e.g., "+1.8", "-0.5", "2.1 m/s")
+ * @returns {number|null} Wind speed in m/s, or null if empty or invalid
+ */
+export function parseWindInput(input) {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+
+  const cleaned = input.trim().replace(/\s*m\/s$/i, '').replace(',', '.');
+  const match = cleaned.match(/^([+-]?)(\d+(?:\.\d+)?)$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const wind = parseFloat(match[2]) * (match[1] === '-' ? -1 : 1);
+
+  if (Math.abs(wind) > MAX_WIND_READING) {
+    return null;
+  }
+
+  return wind;
+}
+
+/**
+ * Format a wind reading for display
+ * @param {number} windSpeed - Wind speed in m/s
+ * @returns {string} Formatted wind (e.g., "+1.8 m/s", "-0.5 m/s")
+ */
+export function formatWind(windSpeed) {
+  if (windSpeed == null || isNaN(windSpeed)) {
+    return '';
+  }
+
+  const sign = windSpeed < 0 ? '-' : '+';
+  return `${sign}${Math.abs(windSpeed).toFixed(1)} m/s`;
+}
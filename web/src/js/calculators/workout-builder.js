@@ -0,0 +1,97 @@
+/**
+ * Interval Workout Builder
+ * Session totals for reps and recoveries with a warm-up and cool-down
+ * (e.g., 15:00 warm-up, 6 × 1000m @ 3:05 with 90s jog recoveries, 10:00 cool-down)
+ *
+ * The warm-up, cool-down and jog recoveries are run at an easy pace, so their distance
+ * follows from their duration. Standing recoveries cover no distance. Recoveries come
+ * between reps, so there is one fewer recovery than reps.
+ */
+
+export const RECOVERY_TYPES = {
+  jog: { name: 'Jog' },
+  stand: { name: 'Standing' }
+};
+
+/**
+ * Get the target time for one rep from a pace
+ * @param {number} paceSeconds - Pace in seconds per pace unit
+ * @param {number} paceUnitMetres - Length of the pace unit in metres (1000 for /km)
+ * @param {number} repMetres - Rep distance in metres
+ * @returns {number} Rep time in seconds
+ */
+export function getRepTimeFromPace(paceSeconds, paceUnitMetres, repMetres) {
+  return paceSeconds * repMetres / paceUnitMetres;
+}
+
+/**
+ * Build a workout and work out its totals
+ * @param {Object} workout
+ * @param {number} workout.reps - Number of reps
+ * @param {number} workout.repDistance - Rep distance in metres
+ * @param {number} workout.repTime - Target time per rep in seconds
+ * @param {number} [workout.recovery] - Recovery between reps in seconds
+ * @param {string} [workout.recoveryType] - Key of RECOVERY_TYPES
+ * @param {number} [workout.warmUp] - Warm-up in seconds
+ * @param {number} [workout.coolDown] - Cool-down in seconds
+ * @param {number|null} [workout.easyPace] - Easy pace in seconds per km (needed for a
+ *   warm-up, cool-down or jog recoveries)
+ * @returns {Object} {steps: Array<{type, rep, distance, duration, elapsed}>, repPace, repVolume,
+ *   totalDistance, totalDuration} - distances in metres, times in seconds, repPace per km
+ * @throws {Error} If the reps are invalid or the easy pace is missing
+ */
+export function buildWorkout({
+  reps,
+  repDistance,
+  repTime,
+  recovery = 0,
+  recoveryType = 'jog',
+  warmUp = 0,
+  coolDown = 0,
+  easyPace = null
+}) {
+  if (!Number.isInteger(reps) || reps < 1 || !(repDistance > 0) || !(repTime > 0)) {
+    throw new Error('A workout needs at least one rep with a distance and target time');
+  }
+
+  if (!RECOVERY_TYPES[recoveryType]) {
+    throw new Error(`Unknown recovery type: ${recoveryType}`);
+  }
+
+  const jogRecovery = recoveryType === 'jog' && reps > 1 && recovery > 0;
+  if (!(easyPace > 0) && (warmUp > 0 || coolDown > 0 || jogRecovery)) {
+    throw new Error('An easy pace is needed for the warm-up, cool-down and jog recoveries');
+  }
+
+  const easyDistance = duration => duration / easyPace * 1000;
+  const steps = [];
+  let elapsed = 0;
+
+  const addStep = (type, distance, duration, rep = null) => {
+    elapsed += duration;
+    steps.push({ type, rep, distance, duration, elapsed });
+  };
+
+  if (warmUp > 0) {
+    addStep('warmUp', easyDistance(warmUp), warmUp);
+  }
+
+  for (let rep = 1; rep <= reps; rep++) {
+    addStep('rep', repDistance, repTime, rep);
+    if (rep < reps && recovery > 0) {
+      addStep('recovery', recoveryType === 'jog' ? easyDistance(recovery) : 0, recovery, rep);
+    }
+  }
+
+  if (coolDown > 0) {
+    addStep('coolDown', easyDistance(coolDown), coolDown);
+  }
+
+  return {
+    steps,
+    repPace: repTime / repDistance * 1000,
+    repVolume: reps * repDistance,
+    totalDistance: steps.reduce((sum, step) => sum + step.distance, 0),
+    totalDuration: elapsed
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * Activity Analysis Panel
+ * Read a GPX or TCX file on this device and compare the run's actual splits with the
+ * pace calculator's plan
+ */
+
+import { getEquivalentPaces } from '../calculators/pace-calculations.js';
+import { parseTimeInput, formatPaceTime, formatTotalTime, formatDistance } from '../utils/pace-formatter.js';
+import { makeCollapsible } from '../utils/collapsible-section.js';
+import { parseActivityFile, analyseActivity, getTimeAtDistance } from '../calculators/activity-analysis.js';
+
+export class ActivityAnalysisPanel {
+  /**
+   * @param {Object} selectors - Selectors for the panel's inputs
+   * @param {Object} calculator - Pace calculator whose results, errors and history the panel uses
+   */
+  constructor(selectors, calculator) {
+    this.selectors = selectors;
+    this.calculator = calculator;
+
+    // Imported activity ({name, ...analyseActivity result})
+    this.activity = null;
+  }
+
+  initialize() {
+    this.fileInput = document.querySelector(this.selectors.fileInput);
+    this.fileHelp = document.querySelector(this.selectors.fileHelp);
+    this.planInput = document.querySelector(this.selectors.planInput);
+    this.splitUnitSelect = document.querySelector(this.selectors.splitUnitSelect);
+    this.calculateBtn = document.querySelector(this.selectors.calculateBtn);
+
+    if (!this.fileInput) return;
+
+    // Open a file, or drop one anywhere on the page
+    this.fileInput.addEventListener('change', (e) => this.handleFile(e.target.files?.[0]));
+    this.calculateBtn.addEventListener('click', () => this.handleCalculate());
+    document.addEventListener('dragover', (e) => {
+      if (e.dataTransfer?.types.includes('Files')) {
+        e.preventDefault();
+      }
+    });
+    document.addEventListener('drop', (e) => {
+      const file = e.dataTransfer?.files?.[0];
+      if (file && /\.(gpx|tcx)$/i.test(file.name)) {
+        e.preventDefault();
+        if (this.calculator.currentMode !== 'analyse') {
+          this.calculator.switchMode('analyse');
+        }
+        this.handleFile(file);
+      }
+    });
+  }
+
+  /**
+   * Read a GPX or TCX activity file and compare it with the plan
+   * @param {File|undefined} file
+   */
+  async handleFile(file) {
+    if (!file) return;
+
+    try {
+      const { name, points } = parseActivityFile(await file.text());
+      const activity = analyseActivity(points);
+
+      if (activity.distance <= 0 || activity.movingTime <= 0) {
+        throw new Error('The activity has no moving time');
+      }
+
+      // Names are shown in the results and history (file names can hold any character)
+      const fileName = file.name.replace(/\.\w+$/, '').replace(/[<>&"]/g, '');
+      this.activity = { name: name || fileName, ...activity };
+      this.fileHelp.textContent =
+        `${this.activity.name}: ${formatDistance(activity.distance / 1000, 'km')} in ${formatTotalTime(activity.movingTime)}`;
+      this.calculator.hideError();
+      this.handleCalculate();
+    } catch (error) {
+      console.error('Error reading activity:', error);
+      this.activity = null;
+      this.fileHelp.textContent = 'Or drop the file onto the page - it is read on this device, never uploaded';
+      this.calculator.showError(`Could not read the activity: ${error.message}`);
+      this.calculator.hideResults();
+    } finally {
+      this.fileInput.value = '';
+    }
+  }
+
+  /**
+   * Handle activity analysis (Activity + Planned Time → Actual vs planned splits)
+   */
+  handleCalculate() {
+    try {
+      this.calculator.hideError();
+
+      if (!this.activity) {
+        this.calculator.showError('Please open or drop a GPX or TCX file first');
+        this.calculator.hideResults();
+        return;
+      }
+
+      const pacing = this.calculator.pacingPanel.getPacing();
+      if (!pacing) {
+        this.calculator.hideResults();
+        return;
+      }
+
+      this.planInput.classList.remove('input-error');
+
+      // Without a planned time, plan at the activity's own average pace
+      let plannedTime = this.activity.movingTime;
+      const planInputValue = this.planInput.value.trim();
+      if (planInputValue) {
+        plannedTime = parseTimeInput(planInputValue);
+        if (!this.calculator.validateTime(plannedTime)) {
+          this.planInput.classList.add('input-error');
+          this.calculator.showError('Please enter a valid time (e.g., 25:00 or 1:23:45)');
+          this.calculator.hideResults();
+          return;
+        }
+      }
+
+      const unit = this.splitUnitSelect.value;
+      const paceIntervalInfo = { value: 1, unit, metres: unit === 'mile' ? 1609.344 : 1000 };
+      const { distance } = this.activity;
+
+      const plannedSplits = this.calculator.calculateCustomSplits(
+        distance,
+        plannedTime / (distance / 1000),
+        { displayName: formatDistance(distance / 1000, 'km') },
+        paceIntervalInfo.metres,
+        paceIntervalInfo,
+        pacing
+      );
+      this.displayResults(this.activity, plannedSplits);
+
+      this.calculator.saveToHistory({
+        mode: 'activity',
+        distance: `${this.activity.name} (${formatDistance(distance / 1000, 'km')})`,
+        totalTime: formatTotalTime(this.activity.movingTime),
+        pace: `${formatPaceTime(this.activity.movingTime / (distance / 1000))}/km`,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Calculation error:', error);
+      this.calculator.showError('Unable to analyse the activity. Please check your inputs.');
+      this.calculator.hideResults();
+    }
+  }
+
+  /**
+   * Display an activity summary and its actual splits next to the planned ones
+   * @param {Object} activity - Imported activity
+   * @param {Array} plannedSplits - Splits from calculateCustomSplits over the activity's distance
+   */
+  displayResults(activity, plannedSplits) {
+    this.calculator.resultsContent.innerHTML = '';
+
+    const distanceKm = activity.distance / 1000;
+    const pacePerKm = activity.movingTime / distanceKm;
+
+    // Main result card
+    const mainCard = document.createElement('div');
+    mainCard.className = 'result-card';
+    mainCard.innerHTML = `
+      <h3 class="result-card__title">Moving Time</h3>
+      <div class="result-card__points">${formatTotalTime(activity.movingTime)}</div>
+      <p class="result-card__content">${activity.name}: ${formatDistance(distanceKm, 'km')} at ${formatPaceTime(pacePerKm)}/km (${formatPaceTime(getEquivalentPaces(pacePerKm).perMile)}/mile)</p>
+      <p class="result-card__content">Elapsed time ${formatTotalTime(activity.elapsedTime)}</p>
+    `;
+    this.calculator.resultsContent.appendChild(mainCard);
+
+    // Actual vs planned splits
+    const splitsCard = document.createElement('div');
+    splitsCard.className = 'result-card';
+
+    const splitsTitle = document.createElement('h3');
+    splitsTitle.className = 'result-card__title';
+    splitsTitle.textContent = 'Actual vs Planned Splits';
+
+    const splitsContent = document.createElement('div');
+    splitsContent.className = 'history-table-container';
+
+    let tableHTML = `
+      <table class="history-table history-table--splits">
+        <thead>
+          <tr>
+            <th>Distance</th>
+            <th>Actual Split</th>
+            <th>Actual Time</th>
+            <th>Planned Split</th>
+            <th>Planned Time</th>
+            <th>+/-</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    // As in the split table, segment times come from the displayed cumulative times
+    const displayedTime = time => (time < 60 ? time : Math.round(time));
+    let previousActual = 0;
+    let previousPlanned = 0;
+
+    plannedSplits.forEach(split => {
+      const actual = displayedTime(getTimeAtDistance(activity, split.distance));
+      const planned = displayedTime(split.time);
+      const difference = actual - planned;
+      const differenceClass = difference > 0 ? 'activity-diff--behind' : 'activity-diff--ahead';
+
+      tableHTML += `
+        <tr class="history-row">
+          <td>${split.distanceLabel}</td>
+          <td class="history-row__performance">${formatTotalTime(actual - previousActual)}</td>
+          <td class="history-row__performance">${formatTotalTime(actual)}</td>
+          <td class="history-row__performance">${formatTotalTime(planned - previousPlanned)}</td>
+          <td class="history-row__performance">${formatTotalTime(planned)}</td>
+          <td class="history-row__performance ${differenceClass}">${difference < 0 ? '-' : '+'}${formatTotalTime(Math.abs(difference))}</td>
+        </tr>
+      `;
+
+      previousActual = actual;
+      previousPlanned = planned;
+    });
+
+    tableHTML += `
+        </tbody>
+      </table>
+    `;
+
+    splitsContent.innerHTML = tableHTML;
+    splitsCard.appendChild(splitsTitle);
+    splitsCard.appendChild(splitsContent);
+    this.calculator.resultsContent.appendChild(splitsCard);
+
+    makeCollapsible(splitsTitle, splitsContent, 'paceCalculator.activitySplits.collapsed', false);
+
+    this.calculator.showResults();
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Bulk Scoring Panel
+ * Paste or upload a CSV results list, score every row and export the results
+ */
+
+import { parseResultsCSV, scoreResults, resultsToCSV } from '../calculators/bulk-scoring.js';
+import { formatWind } from '../calculators/wind-adjustment.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+
+export class BulkScoringPanel {
+  constructor(selectors) {
+    this.selectors = selectors;
+    this.results = [];
+    this.sortKey = 'line';
+    this.sortAscending = true;
+  }
+
+  initialize() {
+    this.csvInput = document.querySelector(this.selectors.csvInput);
+    this.fileInput = document.querySelector(this.selectors.fileInput);
+    this.scoreBtn = document.querySelector(this.selectors.scoreBtn);
+    this.exportBtn = document.querySelector(this.selectors.exportBtn);
+    this.summary = document.querySelector(this.selectors.summary);
+    this.resultsContainer = document.querySelector(this.selectors.resultsContainer);
+    this.tableHead = document.querySelector(this.selectors.tableHead);
+    this.tableBody = document.querySelector(this.selectors.tableBody);
+    this.errorMessage = document.querySelector(this.selectors.errorMessage);
+
+    this.scoreBtn?.addEventListener('click', () => this.handleScore());
+    this.exportBtn?.addEventListener('click', () => this.handleExport());
+    this.fileInput?.addEventListener('change', (e) => this.handleFileUpload(e));
+    this.tableHead?.addEventListener('click', (e) => {
+      const header = e.target.closest('[data-sort-key]');
+      if (header) {
+        this.sortBy(header.dataset.sortKey);
+      }
+    });
+  }
+
+  async handleFileUpload(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      this.csvInput.value = await file.text();
+      this.hideError();
+    } catch (error) {
+      console.error('Error reading CSV file:', error);
+      this.showError('Could not read the selected file.');
+    }
+  }
+
+  async handleScore() {
+    const rows = parseResultsCSV(this.csvInput.value);
+
+    if (rows.length === 0) {
+      this.showError('Please paste or upload a CSV results list.');
+      return;
+    }
+
+    this.hideError();
+    this.scoreBtn.disabled = true;
+
+    try {
+      await Promise.all([
+        scoringDataLoader.load(),
+        eventConfigLoader.load()
+      ]);
+      this.results = await scoreResults(rows);
+      this.sortKey = 'line';
+      this.sortAscending = true;
+      this.renderResults();
+    } catch (error) {
+      console.error('Bulk scoring error:', error);
+      this.showError('Failed to load scoring tables. Please check your connection and try again.');
+    } finally {
+      this.scoreBtn.disabled = false;
+    }
+  }
+
+  handleExport() {
+    if (this.results.length === 0) return;
+
+    const blob = new Blob([resultsToCSV(this.sortedResults())], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'scored-results.csv';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  sortBy(key) {
+    if (this.sortKey === key) {
+      this.sortAscending = !this.sortAscending;
+    } else {
+      this.sortKey = key;
+      // Scores read best-first by default
+      this.sortAscending = key !== 'points' && key !== 'stillAirPoints';
+    }
+    this.renderResults();
+  }
+
+  sortedResults() {
+    const direction = this.sortAscending ? 1 : -1;
+    const key = this.sortKey;
+
+    return [...this.results].sort((a, b) => {
+      const valueA = this.sortValue(a, key);
+      const valueB = this.sortValue(b, key);
+
+      // Empty values (e.g. rows with errors) always sort last
+      if (valueA === null && valueB === null) return a.line - b.line;
+      if (valueA === null) return 1;
+      if (valueB === null) return -1;
+
+      if (typeof valueA === 'number' && typeof valueB === 'number') {
+        return (valueA - valueB) * direction || a.line - b.line;
+      }
+      return String(valueA).localeCompare(String(valueB)) * direction || a.line - b.line;
+    });
+  }
+
+  sortValue(result, key) {
+    switch (key) {
+      case 'line':
+        return result.line;
+      case 'event':
+        return result.eventDisplayName || result.event || null;
+      case 'gender':
+        return result.genderKey || result.gender || null;
+      case 'mark':
+        return result.performance || result.mark || null;
+      default:
+        return result[key] ?? null;
+    }
+  }
+
+  renderResults() {
+    const scored = this.results.filter(result => !result.error).length;
+    const failed = this.results.length - scored;
+    this.summary.textContent = failed > 0
+      ? `${scored} of ${this.results.length} results scored, ${failed} with errors`
+      : `${scored} results scored`;
+
+    // Update sort indicators
+    this.tableHead.querySelectorAll('[data-sort-key]').forEach(header => {
+      header.classList.remove('bulk-table__sort--asc', 'bulk-table__sort--desc');
+      if (header.dataset.sortKey === this.sortKey) {
+        header.classList.add(this.sortAscending ? 'bulk-table__sort--asc' : 'bulk-table__sort--desc');
+      }
+    });
+
+    this.tableBody.innerHTML = '';
+    for (const result of this.sortedResults()) {
+      this.tableBody.appendChild(this.createResultRow(result));
+    }
+
+    this.exportBtn.disabled = scored === 0;
+    this.resultsContainer.classList.remove('hidden');
+  }
+
+  createResultRow(result) {
+    const row = document.createElement('tr');
+    row.className = result.error ? 'bulk-table__row bulk-table__row--error' : 'bulk-table__row';
+
+    const wind = result.windSpeed !== null ? formatWind(result.windSpeed) : result.wind;
+    const cells = [
+      result.line,
+      result.athlete,
+      result.genderKey || result.gender,
+      result.eventDisplayName || result.event,
+      result.performance || result.mark,
+      result.handTimed ? 'HT' : '',
+      wind,
+      result.error ? `Line ${result.line}: ${result.error}` : result.points,
+      result.stillAirPoints ?? ''
+    ];
+
+    for (const value of cells) {
+      const cell = document.createElement('td');
+      cell.textContent = value ?? '';
+      row.appendChild(cell);
+    }
+
+    // Let the error message span the points columns
+    if (result.error) {
+      row.lastChild.remove();
+      row.lastChild.colSpan = 2;
+      row.lastChild.className = 'bulk-table__error';
+    }
+
+    return row;
+  }
+
+  showError(message) {
+    this.errorMessage.textContent = message;
+    this.errorMessage.classList.remove('hidden');
+  }
+
+  hideError() {
+    this.errorMessage.classList.add('hidden');
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Course Adjustment Panel
+ * Adjust the pace calculator's flat, cool-weather result for a course's hills (total
+ * climb and drop, or an elevation profile) and for heat (temperature and dew point)
+ */
+
+import { formatPaceTime, formatTotalTime, formatDistance } from '../utils/pace-formatter.js';
+import {
+  parseElevationProfile,
+  getProfileSummary,
+  applyCourseAdjustments
+} from '../calculators/course-adjustments.js';
+
+export class CourseAdjustmentPanel {
+  /**
+   * @param {Object} selectors - Selectors for the panel's inputs
+   * @param {Object} calculator - Pace calculator whose results and errors the panel uses
+   */
+  constructor(selectors, calculator) {
+    this.selectors = selectors;
+    this.calculator = calculator;
+
+    // Imported elevation profile, used in place of the ascent and descent inputs
+    this.profile = null;
+  }
+
+  initialize() {
+    this.ascentInput = document.querySelector(this.selectors.ascentInput);
+    this.descentInput = document.querySelector(this.selectors.descentInput);
+    this.profileHelp = document.querySelector(this.selectors.profileHelp);
+    this.profileInput = document.querySelector(this.selectors.profileInput);
+    this.profileClear = document.querySelector(this.selectors.profileClear);
+    this.temperatureInput = document.querySelector(this.selectors.temperatureInput);
+    this.dewPointInput = document.querySelector(this.selectors.dewPointInput);
+    this.temperatureUnitSelect = document.querySelector(this.selectors.temperatureUnitSelect);
+
+    if (!this.ascentInput) return;
+
+    this.profileInput.addEventListener('change', (e) => this.handleProfileUpload(e));
+    this.profileClear.addEventListener('click', () => this.setProfile(null));
+  }
+
+  /**
+   * Read an elevation profile CSV
+   */
+  async handleProfileUpload(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      this.setProfile(parseElevationProfile(await file.text()));
+      this.calculator.hideError();
+    } catch (error) {
+      console.error('Error reading elevation profile:', error);
+      this.setProfile(null);
+      this.calculator.showError(`Could not read the elevation profile: ${error.message}`);
+    }
+  }
+
+  /**
+   * Use an elevation profile in place of the ascent and descent inputs
+   * @param {Array|null} profile - Profile points, or null to clear
+   */
+  setProfile(profile) {
+    this.profile = profile;
+    this.profileInput.value = '';
+    this.profileClear.classList.toggle('hidden', !profile);
+    this.ascentInput.disabled = !!profile;
+    this.descentInput.disabled = !!profile;
+
+    if (profile) {
+      const { distance, ascent, descent } = getProfileSummary(profile);
+      this.profileHelp.textContent =
+        `Profile: ${formatDistance(distance / 1000, 'km')}, +${Math.round(ascent)}m / -${Math.round(descent)}m`;
+    } else {
+      this.profileHelp.textContent = 'Total climb and drop over the course';
+    }
+  }
+
+  /**
+   * Read the course adjustments from the inputs
+   * @returns {Object|null} Adjustments ({} if none are entered), or null if the inputs are invalid (error shown)
+   */
+  getAdjustments() {
+    const adjustments = {};
+    const inputs = [this.ascentInput, this.descentInput, this.temperatureInput, this.dewPointInput];
+    inputs.forEach(input => input.classList.remove('input-error'));
+
+    const invalid = (input, message) => {
+      input.classList.add('input-error');
+      this.calculator.showError(message);
+      return null;
+    };
+
+    if (this.profile) {
+      adjustments.profile = this.profile;
+    } else if (this.ascentInput.value.trim() || this.descentInput.value.trim()) {
+      for (const [key, input] of [['ascent', this.ascentInput], ['descent', this.descentInput]]) {
+        const value = input.value.trim() ? parseFloat(input.value) : 0;
+        if (isNaN(value) || value < 0) {
+          return invalid(input, 'Please enter the ascent and descent in metres (zero or more)');
+        }
+        adjustments[key] = value;
+      }
+    }
+
+    const temperatureValue = this.temperatureInput.value.trim();
+    const dewPointValue = this.dewPointInput.value.trim();
+
+    if (temperatureValue || dewPointValue) {
+      if (!temperatureValue || !dewPointValue) {
+        return invalid(temperatureValue ? this.dewPointInput : this.temperatureInput,
+          'Please enter both the temperature and the dew point');
+      }
+
+      // Work in °C
+      const toCelsius = value => (this.temperatureUnitSelect.value === 'F' ? (value - 32) * 5 / 9 : value);
+      const temperature = toCelsius(parseFloat(temperatureValue));
+      const dewPoint = toCelsius(parseFloat(dewPointValue));
+
+      if (isNaN(temperature)) {
+        return invalid(this.temperatureInput, 'Please enter a valid temperature');
+      }
+      if (isNaN(dewPoint) || dewPoint > temperature) {
+        return invalid(this.dewPointInput, 'Please enter a dew point no higher than the temperature');
+      }
+
+      adjustments.temperature = temperature;
+      adjustments.dewPoint = dewPoint;
+    }
+
+    return adjustments;
+  }
+
+  /**
+   * Display the flat, cool-weather result side by side with the course-adjusted one
+   * @param {Array} splits - Splits from calculateCustomSplits
+   * @param {Object} courseAdjustments - Adjustments from getAdjustments
+   * @param {Object|null} paceIntervalInfo - Custom pace interval (Advanced mode)
+   * @param {string|null} paceUnit - 'km' or 'mile' (Standard mode)
+   * @returns {Object|null} Adjusted result from applyCourseAdjustments, or null without adjustments
+   */
+  render(splits, courseAdjustments, paceIntervalInfo, paceUnit) {
+    if (Object.keys(courseAdjustments).length === 0 || splits.length === 0) {
+      return null;
+    }
+
+    const adjusted = applyCourseAdjustments(splits, courseAdjustments);
+    const finish = splits[splits.length - 1];
+
+    // Average pace in the units the result is shown in
+    const intervalMetres = paceIntervalInfo ? paceIntervalInfo.metres : (paceUnit === 'mile' ? 1609.344 : 1000);
+    const intervalText = paceIntervalInfo
+      ? `${paceIntervalInfo.value === 1 ? '' : paceIntervalInfo.value}${paceIntervalInfo.unit}`
+      : paceUnit;
+    const formatAveragePace = time => `${formatPaceTime(time / finish.distance * intervalMetres)}/${intervalText}`;
+    const formatChange = factor => `${factor >= 1 ? '+' : ''}${((factor - 1) * 100).toFixed(1)}%`;
+
+    const notes = [];
+    if (courseAdjustments.profile || courseAdjustments.ascent || courseAdjustments.descent) {
+      notes.push(`Hills: ${formatChange(adjusted.elevationFactor)}`);
+    }
+    if (adjusted.heat) {
+      notes.push(`Heat: ${formatChange(1 + adjusted.heat.slowdown)} (temperature + dew point ${Math.round(adjusted.heat.score)}°F)`);
+    }
+
+    const courseCard = document.createElement('div');
+    courseCard.className = 'result-card';
+    courseCard.innerHTML = `
+      <h3 class="result-card__title">Course Adjusted</h3>
+      <div class="history-table-container">
+        <table class="history-table history-table--splits">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Flat &amp; Cool</th>
+              <th>This Course</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr class="history-row">
+              <td>Finish Time</td>
+              <td class="history-row__performance">${formatTotalTime(finish.time)}</td>
+              <td class="history-row__performance">${formatTotalTime(adjusted.finishTime)}</td>
+            </tr>
+            <tr class="history-row">
+              <td>Average Pace</td>
+              <td class="history-row__performance">${formatAveragePace(finish.time)}</td>
+              <td class="history-row__performance">${formatAveragePace(adjusted.finishTime)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <p class="result-card__content">${notes.join(' · ')}</p>
+    `;
+
+    if (adjusted.heat?.tooHot) {
+      const warning = document.createElement('p');
+      warning.className = 'result-card__content course-warning';
+      warning.textContent = 'Temperature + dew point is above 180°F - hard running is not recommended in these conditions.';
+      courseCard.appendChild(warning);
+    }
+
+    this.calculator.resultsContent.appendChild(courseCard);
+
+    return adjusted;
+  }
+}
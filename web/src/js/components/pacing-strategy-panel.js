@@ -0,0 +1,72 @@
+/**
+ * Pacing Strategy Panel
+ * Choose even, negative, positive-fade or custom pacing for the pace calculator's splits
+ */
+
+import { EVEN_PACING } from '../calculators/pace-calculations.js';
+
+export class PacingStrategyPanel {
+  /**
+   * @param {Object} selectors - Selectors for the panel's inputs
+   * @param {Object} calculator - Pace calculator whose errors the panel shows
+   */
+  constructor(selectors, calculator) {
+    this.selectors = selectors;
+    this.calculator = calculator;
+  }
+
+  initialize() {
+    this.strategySelect = document.querySelector(this.selectors.strategySelect);
+    this.percentGroup = document.querySelector(this.selectors.percentGroup);
+    this.percentInput = document.querySelector(this.selectors.percentInput);
+    this.curveGroup = document.querySelector(this.selectors.curveGroup);
+    this.curveInput = document.querySelector(this.selectors.curveInput);
+
+    if (!this.strategySelect) return;
+
+    this.strategySelect.addEventListener('change', () => this.updateControls());
+    this.updateControls();
+  }
+
+  /**
+   * Show the percentage or curve input for the selected pacing strategy
+   */
+  updateControls() {
+    const strategy = this.strategySelect.value;
+    this.percentGroup.classList.toggle('hidden', strategy !== 'negative' && strategy !== 'positive');
+    this.curveGroup.classList.toggle('hidden', strategy !== 'custom');
+  }
+
+  /**
+   * Read the pacing strategy from the inputs
+   * @returns {Object|null} Pacing strategy, or null if the inputs are invalid (error shown)
+   */
+  getPacing() {
+    const strategy = this.strategySelect.value;
+
+    this.percentInput.classList.remove('input-error');
+    this.curveInput.classList.remove('input-error');
+
+    if (strategy === 'negative' || strategy === 'positive') {
+      const percent = parseFloat(this.percentInput.value);
+      if (isNaN(percent) || percent <= 0 || percent >= 50) {
+        this.percentInput.classList.add('input-error');
+        this.calculator.showError('Please enter a split percentage between 0 and 50');
+        return null;
+      }
+      return { strategy, percent };
+    }
+
+    if (strategy === 'custom') {
+      const curve = this.curveInput.value.split(',').map(value => parseFloat(value));
+      if (curve.length === 0 || curve.some(value => isNaN(value) || value <= 0)) {
+        this.curveInput.classList.add('input-error');
+        this.calculator.showError('Please enter the pace curve as comma-separated percentages (e.g., 102, 100, 98)');
+        return null;
+      }
+      return { strategy, curve };
+    }
+
+    return EVEN_PACING;
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Race Prediction Panel
+ * Predict times at the other pace calculator distances from a race result with the
+ * Riegel, Cameron and VDOT models, and score them on the World Athletics tables
+ */
+
+import { getDistanceInMetres } from '../calculators/pace-calculations.js';
+import { parseTimeInput, formatTotalTime } from '../utils/pace-formatter.js';
+import {
+  PREDICTION_MODELS,
+  DEFAULT_RIEGEL_EXPONENT,
+  calculateVdot,
+  predictRaceTime
+} from '../calculators/race-predictor.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { lookupPoints } from '../calculators/performance-lookup.js';
+
+export class RacePredictionPanel {
+  /**
+   * @param {Object} selectors - Selectors for the panel's inputs
+   * @param {Object} calculator - Pace calculator whose results, errors and history the panel uses
+   */
+  constructor(selectors, calculator) {
+    this.selectors = selectors;
+    this.calculator = calculator;
+  }
+
+  initialize() {
+    this.distanceSelect = document.querySelector(this.selectors.distanceSelect);
+    this.timeInput = document.querySelector(this.selectors.timeInput);
+    this.genderSelect = document.querySelector(this.selectors.genderSelect);
+    this.riegelExponentInput = document.querySelector(this.selectors.riegelExponentInput);
+    this.modelCheckboxes = [...document.querySelectorAll(this.selectors.modelCheckboxes)];
+    this.calculateBtn = document.querySelector(this.selectors.calculateBtn);
+
+    if (!this.distanceSelect) return;
+
+    this.calculator.getPaceDistances().forEach(event => {
+      const option = document.createElement('option');
+      option.value = event.key;
+      option.textContent = event.displayName;
+      this.distanceSelect.appendChild(option);
+    });
+    this.distanceSelect.value = '5km';
+
+    this.calculateBtn.addEventListener('click', () => this.handleCalculate());
+  }
+
+  /**
+   * Handle race prediction (Known Distance + Time → Times for the other distances)
+   */
+  async handleCalculate() {
+    try {
+      this.calculator.hideError();
+
+      this.timeInput.classList.remove('input-error');
+      this.riegelExponentInput.classList.remove('input-error');
+
+      const timeInputValue = this.timeInput.value.trim();
+      const distanceKey = this.distanceSelect.value;
+
+      if (!timeInputValue || !distanceKey) {
+        this.calculator.hideResults();
+        return;
+      }
+
+      const totalTimeSeconds = parseTimeInput(timeInputValue);
+      if (!this.calculator.validateTime(totalTimeSeconds)) {
+        this.timeInput.classList.add('input-error');
+        this.calculator.showError('Please enter a valid time (e.g., 25:00 or 1:23:45)');
+        this.calculator.hideResults();
+        return;
+      }
+
+      const exponentValue = this.riegelExponentInput.value.trim();
+      const riegelExponent = exponentValue ? parseFloat(exponentValue) : DEFAULT_RIEGEL_EXPONENT;
+      if (isNaN(riegelExponent) || riegelExponent < 1 || riegelExponent > 1.3) {
+        this.riegelExponentInput.classList.add('input-error');
+        this.calculator.showError('Please enter a Riegel exponent between 1.00 and 1.30');
+        this.calculator.hideResults();
+        return;
+      }
+
+      const models = this.modelCheckboxes
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value);
+      if (models.length === 0) {
+        this.calculator.showError('Please select at least one prediction model');
+        this.calculator.hideResults();
+        return;
+      }
+
+      const gender = this.genderSelect.value;
+      const distances = this.calculator.getPaceDistances();
+      const fromMetres = getDistanceInMetres(distanceKey, this.calculator.eventsConfig);
+
+      const predictions = distances
+        .filter(event => event.key !== distanceKey)
+        .map(event => {
+          const toMetres = getDistanceInMetres(event.key, this.calculator.eventsConfig);
+          const times = {};
+          models.forEach(model => {
+            // Whole seconds, rounded towards the slower time
+            times[model] = Math.ceil(predictRaceTime(model, totalTimeSeconds, fromMetres, toMetres, { riegelExponent }) - 1e-9);
+          });
+          return { event, times };
+        });
+
+      // Score the known time and every prediction with the World Athletics tables
+      await scoringDataLoader.loadEvents(gender, distances.map(event => event.key));
+      const scoreTime = (eventKey, seconds) => lookupPoints(gender, eventKey, seconds.toFixed(2))?.points ?? null;
+
+      this.displayResults({
+        eventConfig: this.calculator.getEventConfig(distanceKey),
+        fromMetres,
+        totalTimeSeconds,
+        points: scoreTime(distanceKey, totalTimeSeconds),
+        vdot: calculateVdot(fromMetres, totalTimeSeconds),
+        models,
+        riegelExponent,
+        predictions: predictions.map(({ event, times }) => ({
+          event,
+          results: models.map(model => ({ time: times[model], points: scoreTime(event.key, times[model]) }))
+        }))
+      });
+
+    } catch (error) {
+      console.error('Prediction error:', error);
+      this.calculator.showError('Unable to predict race times. Please check your inputs.');
+      this.calculator.hideResults();
+    }
+  }
+
+  /**
+   * Display race predictions, one column per model
+   */
+  displayResults({ eventConfig, fromMetres, totalTimeSeconds, points, vdot, models, riegelExponent, predictions }) {
+    const resultsContent = this.calculator.resultsContent;
+    resultsContent.innerHTML = '';
+
+    const pointsText = points !== null ? ` · ${points} points` : '';
+
+    // Main result card
+    const mainCard = document.createElement('div');
+    mainCard.className = 'result-card';
+    mainCard.innerHTML = `
+      <h3 class="result-card__title">Race Predictions</h3>
+      <div class="result-card__points">VDOT ${vdot.toFixed(1)}</div>
+      <p class="result-card__content">From ${eventConfig.displayName} in ${formatTotalTime(totalTimeSeconds)}${pointsText}</p>
+    `;
+    resultsContent.appendChild(mainCard);
+
+    const modelHeader = model => model === 'riegel'
+      ? `${PREDICTION_MODELS.riegel.name} (${riegelExponent.toFixed(2)})`
+      : PREDICTION_MODELS[model].name;
+
+    const predictionsCard = document.createElement('div');
+    predictionsCard.className = 'result-card';
+
+    let tableHTML = `
+      <h3 class="result-card__title">Predicted Times</h3>
+      <div class="history-table-container">
+        <table class="history-table history-table--predictions">
+          <thead>
+            <tr>
+              <th>Distance</th>
+              ${models.map(model => `<th>${modelHeader(model)}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+    `;
+
+    predictions.forEach(({ event, results }) => {
+      tableHTML += `
+        <tr class="history-row">
+          <td>${event.displayName}</td>
+          ${results.map(result => `
+            <td class="history-row__performance">
+              ${formatTotalTime(result.time)}
+              <span class="prediction-points">${result.points !== null ? `${result.points} pts` : '-'}</span>
+            </td>
+          `).join('')}
+        </tr>
+      `;
+    });
+
+    tableHTML += `
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    predictionsCard.innerHTML = tableHTML;
+    resultsContent.appendChild(predictionsCard);
+
+    this.calculator.trainingZonesPanel.render(fromMetres, totalTimeSeconds);
+
+    this.calculator.showResults();
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Relay Planner Panel
+ * Enter a relay squad's flat-start PBs or flying splits, predict the team time and its
+ * score, and rank the leg orders
+ */
+
+import { RELAY_TYPES, parseRelaySquad, rankLegOrders } from '../calculators/relay-planner.js';
+import { lookupPoints } from '../calculators/performance-lookup.js';
+import { formatPerformance } from '../utils/performance-parser.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+
+// Leg orders shown in the ranking table
+const MAX_ORDERS = 10;
+
+export class RelayPlannerPanel {
+  constructor(selectors) {
+    this.selectors = selectors;
+  }
+
+  initialize() {
+    this.relaySelect = document.querySelector(this.selectors.relaySelect);
+    this.genderSelect = document.querySelector(this.selectors.genderSelect);
+    this.squadInput = document.querySelector(this.selectors.squadInput);
+    this.flyingStartInput = document.querySelector(this.selectors.flyingStartInput);
+    this.exchangeInput = document.querySelector(this.selectors.exchangeInput);
+    this.planBtn = document.querySelector(this.selectors.planBtn);
+    this.summary = document.querySelector(this.selectors.summary);
+    this.resultsContainer = document.querySelector(this.selectors.resultsContainer);
+    this.tableBody = document.querySelector(this.selectors.tableBody);
+    this.note = document.querySelector(this.selectors.note);
+    this.errorMessage = document.querySelector(this.selectors.errorMessage);
+
+    if (!this.relaySelect) return;
+
+    this.relaySelect.innerHTML = Object.entries(RELAY_TYPES)
+      .map(([key, relay]) => `<option value="${key}">${relay.name}</option>`)
+      .join('');
+
+    this.relaySelect.addEventListener('change', () => this.handleRelayChange());
+    this.planBtn?.addEventListener('click', () => this.handlePlan());
+    this.handleRelayChange();
+  }
+
+  handleRelayChange() {
+    const relay = RELAY_TYPES[this.relaySelect.value];
+
+    // Mixed teams take each athlete's gender from the squad
+    this.genderSelect.disabled = Boolean(relay.mixed);
+    this.flyingStartInput.value = relay.flyingStart;
+  }
+
+  async handlePlan() {
+    const relayType = this.relaySelect.value;
+    const relay = RELAY_TYPES[relayType];
+    const squad = parseRelaySquad(this.squadInput.value);
+
+    if (squad.length === 0) {
+      this.showError('Please enter the squad, one athlete per line.');
+      return;
+    }
+
+    const invalid = squad.find(athlete => athlete.error);
+    if (invalid) {
+      this.showError(`Line ${invalid.line}: ${invalid.error}`);
+      return;
+    }
+
+    const flyingStart = parseFloat(this.flyingStartInput.value);
+    const exchangeAllowance = parseFloat(this.exchangeInput.value) || 0;
+    if (isNaN(flyingStart) || flyingStart < 0 || exchangeAllowance < 0) {
+      this.showError('The flying-start gain and exchange allowance must be zero or more seconds.');
+      return;
+    }
+
+    let orders;
+    try {
+      orders = rankLegOrders(squad, relayType, { flyingStart, exchangeAllowance });
+    } catch (error) {
+      this.showError(error.message);
+      return;
+    }
+
+    this.hideError();
+    this.planBtn.disabled = true;
+
+    try {
+      const gender = relay.mixed ? 'mixed' : this.genderSelect.value;
+      await Promise.all([
+        scoringDataLoader.load(),
+        eventConfigLoader.load()
+      ]);
+      await scoringDataLoader.loadEvent(gender, relay.event);
+      this.renderResults(relay, gender, orders);
+    } catch (error) {
+      console.error('Relay planner error:', error);
+      this.showError('Failed to load scoring tables. Please check your connection and try again.');
+    } finally {
+      this.planBtn.disabled = false;
+    }
+  }
+
+  renderResults(relay, gender, orders) {
+    const best = orders[0];
+    const points = lookupPoints(gender, relay.event, best.time.toFixed(2))?.points;
+    const time = formatPerformance(best.time.toFixed(2), relay.event);
+    this.summary.textContent = points !== undefined
+      ? `${relay.name}: ${time} (${points} points)`
+      : `${relay.name}: ${time}`;
+
+    this.tableBody.innerHTML = '';
+    orders.slice(0, MAX_ORDERS).forEach((prediction, index) => {
+      this.tableBody.appendChild(this.createOrderRow(relay, gender, prediction, index + 1));
+    });
+
+    // Without flying splits every order of the same four athletes adds up the same, so each team is listed once
+    this.note.classList.toggle('hidden', best.order.some(athlete => athlete.split !== null));
+
+    this.resultsContainer.classList.remove('hidden');
+  }
+
+  createOrderRow(relay, gender, prediction, rank) {
+    const row = document.createElement('tr');
+    row.className = 'bulk-table__row';
+
+    const cells = [
+      rank,
+      ...prediction.order.map((athlete, index) =>
+        `${athlete.athlete} (${formatPerformance(prediction.legs[index].toFixed(2), relay.legEvent)})`),
+      formatPerformance(prediction.time.toFixed(2), relay.event),
+      lookupPoints(gender, relay.event, prediction.time.toFixed(2))?.points ?? '-'
+    ];
+
+    for (const value of cells) {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+
+    return row;
+  }
+
+  showError(message) {
+    this.errorMessage.textContent = message;
+    this.errorMessage.classList.remove('hidden');
+  }
+
+  hideError() {
+    this.errorMessage.classList.add('hidden');
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Team Selection Panel
+ * Paste a roster of PBs and pick the entries that score the most team points
+ */
+
+import { parseResultsCSV, scoreResults } from '../calculators/bulk-scoring.js';
+import { getRosterEntries, selectTeam } from '../calculators/team-selection.js';
+import { RELAY_TYPES } from '../calculators/relay-planner.js';
+import { formatPerformance } from '../utils/performance-parser.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+
+export class TeamSelectionPanel {
+  constructor(selectors) {
+    this.selectors = selectors;
+  }
+
+  initialize() {
+    this.rosterInput = document.querySelector(this.selectors.rosterInput);
+    this.maxEventsInput = document.querySelector(this.selectors.maxEventsInput);
+    this.perEventInput = document.querySelector(this.selectors.perEventInput);
+    this.relayOptions = document.querySelector(this.selectors.relayOptions);
+    this.relaysCountCheckbox = document.querySelector(this.selectors.relaysCountCheckbox);
+    this.selectBtn = document.querySelector(this.selectors.selectBtn);
+    this.summary = document.querySelector(this.selectors.summary);
+    this.resultsContainer = document.querySelector(this.selectors.resultsContainer);
+    this.tableBody = document.querySelector(this.selectors.tableBody);
+    this.skipped = document.querySelector(this.selectors.skipped);
+    this.errorMessage = document.querySelector(this.selectors.errorMessage);
+
+    if (!this.relayOptions) return;
+
+    this.relayOptions.innerHTML = Object.entries(RELAY_TYPES)
+      .map(([key, relay]) => `
+        <label class="checkbox-label">
+          <input type="checkbox" value="${key}">
+          ${relay.name}
+        </label>`)
+      .join('');
+
+    this.selectBtn?.addEventListener('click', () => this.handleSelect());
+  }
+
+  async handleSelect() {
+    const rows = parseResultsCSV(this.rosterInput.value);
+
+    if (rows.length === 0) {
+      this.showError('Please paste a roster with each athlete\'s PBs.');
+      return;
+    }
+
+    const constraints = {
+      maxEvents: parseInt(this.maxEventsInput.value, 10),
+      perEvent: parseInt(this.perEventInput.value, 10),
+      relays: [...this.relayOptions.querySelectorAll('input:checked')].map(input => input.value),
+      relaysCount: this.relaysCountCheckbox.checked
+    };
+
+    if (!(constraints.maxEvents >= 1) || !(constraints.perEvent >= 1)) {
+      this.showError('Events per athlete and athletes per event must be at least 1.');
+      return;
+    }
+
+    this.hideError();
+    this.selectBtn.disabled = true;
+
+    try {
+      await Promise.all([
+        scoringDataLoader.load(),
+        eventConfigLoader.load()
+      ]);
+      const results = await scoreResults(rows);
+      const entries = getRosterEntries(results);
+      await this.loadRelayTables(constraints.relays, entries);
+
+      const team = selectTeam(entries, constraints);
+      this.renderResults(team, results.filter(result => result.error));
+    } catch (error) {
+      console.error('Team selection error:', error);
+      this.showError('Failed to load scoring tables. Please check your connection and try again.');
+    } finally {
+      this.selectBtn.disabled = false;
+    }
+  }
+
+  async loadRelayTables(relays, entries) {
+    const genders = [...new Set(entries.map(entry => entry.gender))].filter(gender => gender !== 'mixed');
+
+    await Promise.all(relays.flatMap(relayType => {
+      const relay = RELAY_TYPES[relayType];
+      return (relay.mixed ? ['mixed'] : genders).map(gender => scoringDataLoader.loadEvent(gender, relay.event));
+    }));
+  }
+
+  renderResults(team, failed) {
+    const athletes = new Set([
+      ...team.entries.map(entry => entry.athlete),
+      ...team.relays.flatMap(relay => relay.order.map(runner => runner.athlete))
+    ]);
+    this.summary.textContent = `${team.totalPoints} points from ${athletes.size} athletes`;
+
+    this.tableBody.innerHTML = '';
+    const entries = [...team.entries].sort((a, b) =>
+      a.gender.localeCompare(b.gender) ||
+      a.eventDisplayName.localeCompare(b.eventDisplayName) ||
+      a.string.localeCompare(b.string));
+
+    for (const entry of entries) {
+      this.tableBody.appendChild(this.createRow([
+        entry.eventDisplayName,
+        entry.gender,
+        entry.string,
+        entry.athlete,
+        formatPerformance(entry.normalizedPerformance, entry.event),
+        entry.points
+      ]));
+    }
+
+    for (const relay of team.relays) {
+      this.tableBody.appendChild(this.createRow([
+        relay.name,
+        relay.gender,
+        'A',
+        relay.order.map(runner => runner.athlete).join(', '),
+        formatPerformance(relay.time.toFixed(2), RELAY_TYPES[relay.relayType].event),
+        relay.points
+      ]));
+    }
+
+    this.skipped.classList.toggle('hidden', failed.length === 0);
+    this.skipped.textContent = failed.length > 0
+      ? `Left out: ${failed.map(result => `line ${result.line} (${result.error})`).join(', ')}`
+      : '';
+
+    this.resultsContainer.classList.remove('hidden');
+  }
+
+  createRow(values) {
+    const row = document.createElement('tr');
+    row.className = 'bulk-table__row';
+
+    for (const value of values) {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+
+    return row;
+  }
+
+  showError(message) {
+    this.errorMessage.textContent = message;
+    this.errorMessage.classList.remove('hidden');
+  }
+
+  hideError() {
+    this.errorMessage.classList.add('hidden');
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * Track Splits Panel
+ * Lap-by-lap, lane-adjusted split sheets for a target time on a 400m outdoor or 200m
+ * indoor track, with a printable split card
+ */
+
+import { getDistanceInMetres } from '../calculators/pace-calculations.js';
+import { parseTimeInput, formatPaceTime, formatTotalTime } from '../utils/pace-formatter.js';
+import { TRACKS, getLaneLapMetres, calculateLapSplits } from '../calculators/track-splits.js';
+
+export class TrackSplitsPanel {
+  /**
+   * @param {Object} selectors - Selectors for the panel's inputs
+   * @param {Object} calculator - Pace calculator whose results, errors and history the panel uses
+   */
+  constructor(selectors, calculator) {
+    this.selectors = selectors;
+    this.calculator = calculator;
+  }
+
+  initialize() {
+    this.trackSelect = document.querySelector(this.selectors.trackSelect);
+    this.distanceSelect = document.querySelector(this.selectors.distanceSelect);
+    this.distanceInput = document.querySelector(this.selectors.distanceInput);
+    this.timeInput = document.querySelector(this.selectors.timeInput);
+    this.laneSelect = document.querySelector(this.selectors.laneSelect);
+    this.laneHelp = document.querySelector(this.selectors.laneHelp);
+    this.calculateBtn = document.querySelector(this.selectors.calculateBtn);
+
+    if (!this.trackSelect) return;
+
+    this.populateOptions();
+
+    this.calculateBtn.addEventListener('click', () => this.handleCalculate());
+    this.trackSelect.addEventListener('change', () => this.populateOptions());
+    this.distanceSelect.addEventListener('change', () => {
+      this.distanceInput.classList.toggle('hidden', this.distanceSelect.value !== 'custom');
+    });
+  }
+
+  /**
+   * Populate the track distance and lane dropdowns for the selected track
+   * Keeps the selected distance when the other track has the same distance (1500m by default).
+   */
+  populateOptions() {
+    const track = this.trackSelect.value;
+    const { lapMetres, lanes } = TRACKS[track];
+    const shortTrack = track === 'indoor';
+    const previousKey = this.distanceSelect.value;
+    const previousMetres = previousKey && previousKey !== 'custom'
+      ? getDistanceInMetres(previousKey, this.calculator.eventsConfig)
+      : 1500;
+
+    // Flat races of at least one lap, run on this kind of track
+    const distances = Object.entries(this.calculator.eventsConfig.events)
+      .filter(([key, event]) => (
+        this.calculator.trackCategories.includes(event.category) &&
+        (event.unit === 'metres' || event.unit === 'miles') &&
+        !!event.shortTrack === shortTrack &&
+        !/ (h|sc)$/.test(key)
+      ))
+      .map(([key, event]) => ({ key, displayName: event.displayName, metres: getDistanceInMetres(key, this.calculator.eventsConfig) }))
+      .filter(event => event.metres >= lapMetres);
+
+    this.distanceSelect.innerHTML = '<option value="">Select distance...</option>';
+    distances.forEach(event => {
+      const option = document.createElement('option');
+      option.value = event.key;
+      option.textContent = event.displayName;
+      this.distanceSelect.appendChild(option);
+    });
+
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom distance...';
+    this.distanceSelect.appendChild(customOption);
+
+    if (previousKey === 'custom') {
+      this.distanceSelect.value = 'custom';
+    } else {
+      const match = distances.find(event => event.metres === previousMetres);
+      this.distanceSelect.value = match ? match.key : '';
+    }
+
+    // Lanes (outdoors only)
+    this.laneSelect.innerHTML = '';
+    for (let lane = 1; lane <= lanes; lane++) {
+      const option = document.createElement('option');
+      option.value = lane;
+      option.textContent = lane === 1
+        ? `Lane 1 (${lapMetres}m)`
+        : `Lane ${lane} (${getLaneLapMetres(track, lane).toFixed(2)}m)`;
+      this.laneSelect.appendChild(option);
+    }
+    this.laneSelect.disabled = lanes === 1;
+    this.laneHelp.textContent = lanes === 1
+      ? 'Indoor splits are for lane 1 - lane lengths vary between tracks'
+      : 'Distance per lap in each lane';
+  }
+
+  /**
+   * Get the selected track distance in metres
+   * @returns {number|null} Distance, or null if none is selected or the custom distance is invalid
+   */
+  getDistanceMetres() {
+    const distanceKey = this.distanceSelect.value;
+
+    if (distanceKey === 'custom') {
+      const metres = parseFloat(this.distanceInput.value);
+      return this.calculator.validateDistance(this.distanceInput.value) ? metres : null;
+    }
+
+    return distanceKey ? getDistanceInMetres(distanceKey, this.calculator.eventsConfig) : null;
+  }
+
+  /**
+   * Handle track lap splits (Distance + Target Time → Lap-by-lap split sheet)
+   */
+  handleCalculate() {
+    try {
+      this.calculator.hideError();
+
+      const pacing = this.calculator.pacingPanel.getPacing();
+      if (!pacing) {
+        this.calculator.hideResults();
+        return;
+      }
+
+      this.timeInput.classList.remove('input-error');
+      this.distanceInput.classList.remove('input-error');
+
+      const timeInputValue = this.timeInput.value.trim();
+      const distanceKey = this.distanceSelect.value;
+
+      if (!timeInputValue || !distanceKey || (distanceKey === 'custom' && !this.distanceInput.value.trim())) {
+        this.calculator.hideResults();
+        return;
+      }
+
+      const distanceMetres = this.getDistanceMetres();
+      if (distanceMetres === null) {
+        this.distanceInput.classList.add('input-error');
+        this.calculator.showError('Please enter a valid distance greater than zero');
+        this.calculator.hideResults();
+        return;
+      }
+
+      const totalTimeSeconds = parseTimeInput(timeInputValue);
+      if (!this.calculator.validateTime(totalTimeSeconds)) {
+        this.timeInput.classList.add('input-error');
+        this.calculator.showError('Please enter a valid time (e.g., 25:00 or 1:23:45)');
+        this.calculator.hideResults();
+        return;
+      }
+
+      const track = this.trackSelect.value;
+      const lane = parseInt(this.laneSelect.value, 10) || 1;
+      const distanceDisplayName = distanceKey === 'custom'
+        ? this.formatMetres(distanceMetres)
+        : this.calculator.getEventConfig(distanceKey).displayName;
+
+      const sheet = calculateLapSplits(distanceMetres, totalTimeSeconds, { track, lane, pacing });
+      this.displayResults(sheet, distanceDisplayName, totalTimeSeconds);
+
+      const laneText = lane === 1 ? '' : `, lane ${lane}`;
+      const lapSeconds = sheet.finishTime / sheet.distanceRun * sheet.lapMetres;
+      this.calculator.saveToHistory({
+        mode: 'track',
+        distance: `${distanceDisplayName} (${TRACKS[track].name}${laneText})`,
+        totalTime: formatTotalTime(sheet.finishTime),
+        pace: `${formatPaceTime(lapSeconds)}/lap`,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Calculation error:', error);
+      this.calculator.showError('Unable to calculate lap splits. Please check your inputs.');
+      this.calculator.hideResults();
+    }
+  }
+
+  /**
+   * Display a lap-by-lap split sheet with a printable split card
+   */
+  displayResults(sheet, distanceDisplayName, totalTimeSeconds) {
+    this.calculator.resultsContent.innerHTML = '';
+
+    const { name: trackName, lapMetres } = TRACKS[sheet.track];
+    const laneText = sheet.lane === 1
+      ? ''
+      : ` in lane ${sheet.lane} (${this.formatMetres(sheet.distanceRun)} run)`;
+
+    // Main result card
+    const mainCard = document.createElement('div');
+    mainCard.className = 'result-card';
+    mainCard.innerHTML = `
+      <h3 class="result-card__title">Finish Time</h3>
+      <div class="result-card__points">${formatTotalTime(sheet.finishTime)}</div>
+      <p class="result-card__content">${distanceDisplayName} on a ${trackName} track${laneText}</p>
+    `;
+    if (sheet.lane !== 1) {
+      mainCard.innerHTML += `
+        <p class="result-card__content">${formatTotalTime(totalTimeSeconds)} in lane 1</p>
+      `;
+    }
+    this.calculator.resultsContent.appendChild(mainCard);
+
+    // Split card - the part of the page that is printed
+    const splitCard = document.createElement('div');
+    splitCard.className = 'result-card split-card';
+
+    let tableHTML = `
+      <h3 class="result-card__title">Lap Splits</h3>
+      <p class="split-card__heading">${distanceDisplayName} in ${formatTotalTime(sheet.finishTime)} · ${trackName}${sheet.lane === 1 ? '' : ` · Lane ${sheet.lane}`}</p>
+      <div class="history-table-container">
+        <table class="history-table history-table--splits">
+          <thead>
+            <tr>
+              <th>Lap</th>
+              <th>Distance</th>
+              <th>Lap Time</th>
+              <th>Cumulative Time</th>
+            </tr>
+          </thead>
+          <tbody>
+    `;
+
+    // Lap times come from the displayed cumulative times, as in the split table
+    let previousTime = 0;
+    sheet.laps.forEach(lap => {
+      const time = lap.time < 60 ? lap.time : Math.round(lap.time);
+      const lapTime = time - previousTime;
+      previousTime = time;
+      // Only the first lap can be partial
+      const lapLabel = lap.isPartial ? `${lap.lap} (${this.formatMetres(lap.distance)})` : lap.lap;
+
+      tableHTML += `
+        <tr class="history-row">
+          <td>${lapLabel}</td>
+          <td>${this.formatMetres(lap.distance)}</td>
+          <td class="history-row__performance">${formatTotalTime(lapTime)}</td>
+          <td class="history-row__performance">${formatTotalTime(time)}</td>
+        </tr>
+      `;
+    });
+
+    tableHTML += `
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    splitCard.innerHTML = tableHTML;
+
+    const printButton = document.createElement('button');
+    printButton.type = 'button';
+    printButton.className = 'btn btn-secondary split-card__print';
+    printButton.textContent = 'Print Split Card';
+    printButton.addEventListener('click', () => this.printSplitCard());
+    splitCard.appendChild(printButton);
+
+    this.calculator.resultsContent.appendChild(splitCard);
+
+    // Lap distances in an outer lane
+    if (sheet.lane !== 1) {
+      const laneNote = document.createElement('p');
+      laneNote.className = 'form-help';
+      laneNote.textContent = `Each full lap in lane ${sheet.lane} is ${sheet.lapMetres.toFixed(2)}m instead of ${lapMetres}m.`;
+      splitCard.insertBefore(laneNote, printButton);
+    }
+
+    this.calculator.showResults();
+  }
+
+  /**
+   * Format a track distance in metres (e.g., "1500m", "1609.34m")
+   * @param {number} metres
+   * @returns {string}
+   */
+  formatMetres(metres) {
+    return `${Number(metres.toFixed(2))}m`;
+  }
+
+  /**
+   * Print only the split card
+   */
+  printSplitCard() {
+    document.body.classList.add('print-split-card');
+    window.addEventListener('afterprint', () => {
+      document.body.classList.remove('print-split-card');
+    }, { once: true });
+    window.print();
+  }
+}
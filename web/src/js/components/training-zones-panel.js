@@ -0,0 +1,115 @@
+/**
+ * Training Zones Panel
+ * Show Jack Daniels' training paces for a race result alongside the pace calculator's
+ * results, each zone saveable to the history
+ */
+
+import { formatPaceTime, formatSpeed } from '../utils/pace-formatter.js';
+import { makeCollapsible } from '../utils/collapsible-section.js';
+import { calculateTrainingZones } from '../calculators/training-zones.js';
+
+// VDOT equations are only meaningful for races from 1500m upwards
+const MIN_TRAINING_ZONE_DISTANCE = 1500;
+
+export class TrainingZonesPanel {
+  /**
+   * @param {Object} calculator - Pace calculator whose results and history the panel uses
+   */
+  constructor(calculator) {
+    this.calculator = calculator;
+  }
+
+  /**
+   * Display Daniels training paces for a race result
+   * @param {number} distanceMetres - Race distance in metres
+   * @param {number} totalTimeSeconds - Race time in seconds
+   */
+  render(distanceMetres, totalTimeSeconds) {
+    if (distanceMetres < MIN_TRAINING_ZONE_DISTANCE) {
+      return;
+    }
+
+    const { vdot, zones } = calculateTrainingZones(distanceMetres, totalTimeSeconds);
+    const vdotText = vdot.toFixed(1);
+
+    // Paces rounded to whole seconds, as a single value or a fast-slow range
+    const formatPaceRange = (zone, metres) => {
+      const fast = formatPaceTime(Math.round(zone.fastPerKm * metres / 1000));
+      const slow = formatPaceTime(Math.round(zone.slowPerKm * metres / 1000));
+      return fast === slow ? fast : `${fast}–${slow}`;
+    };
+    const formatSpeedRange = zone => {
+      const fast = formatSpeed(3600 / zone.fastPerKm, 'km/h');
+      const slow = formatSpeed(3600 / zone.slowPerKm, 'km/h');
+      return fast === slow ? fast : `${slow.replace(' km/h', '')}–${fast}`;
+    };
+
+    const zonesCard = document.createElement('div');
+    zonesCard.className = 'result-card';
+
+    const zonesTitle = document.createElement('h3');
+    zonesTitle.className = 'result-card__title';
+    zonesTitle.textContent = `Training Paces (VDOT ${vdotText})`;
+
+    const zonesContent = document.createElement('div');
+    zonesContent.className = 'history-table-container';
+
+    const rows = zones.map(zone => ({
+      zone,
+      perKm: formatPaceRange(zone, 1000),
+      perMile: formatPaceRange(zone, 1609.344),
+      per400: formatPaceRange(zone, 400),
+      speed: formatSpeedRange(zone)
+    }));
+
+    zonesContent.innerHTML = `
+      <table class="history-table history-table--zones">
+        <thead>
+          <tr>
+            <th>Zone</th>
+            <th>Per km</th>
+            <th>Per mile</th>
+            <th>Per 400m</th>
+            <th>Speed</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr class="history-row">
+              <td>${row.zone.name}</td>
+              <td class="history-row__performance">${row.perKm}</td>
+              <td class="history-row__performance">${row.perMile}</td>
+              <td class="history-row__performance">${row.per400}</td>
+              <td>${row.speed}</td>
+              <td>
+                <button type="button" class="btn btn-secondary zone-save-btn" data-zone="${row.zone.key}">Save</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    zonesContent.querySelectorAll('.zone-save-btn').forEach((button, index) => {
+      const row = rows[index];
+      button.addEventListener('click', () => {
+        this.calculator.saveToHistory({
+          mode: 'zone',
+          distance: `${row.zone.name} (VDOT ${vdotText})`,
+          totalTime: `${row.per400}/400m`,
+          pace: `${row.perKm}/km`,
+          timestamp: Date.now()
+        });
+        button.disabled = true;
+        button.textContent = 'Saved';
+      });
+    });
+
+    zonesCard.appendChild(zonesTitle);
+    zonesCard.appendChild(zonesContent);
+    this.calculator.resultsContent.appendChild(zonesCard);
+
+    makeCollapsible(zonesTitle, zonesContent, 'paceCalculator.trainingZones.collapsed', false);
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Treadmill Panel
+ * Belt speed settings in km/h and mph for the effort of an outdoor pace at an incline,
+ * from the default incline table or one entered by the user
+ */
+
+import { convertPaceUnit } from '../calculators/pace-calculations.js';
+import { parsePaceInput, formatPaceTime, formatSpeed } from '../utils/pace-formatter.js';
+import { makeCollapsible } from '../utils/collapsible-section.js';
+import {
+  SPEED_UNITS,
+  getDefaultInclineTable,
+  parseInclineTable,
+  getTreadmillSettings
+} from '../calculators/treadmill.js';
+
+// Custom incline table (CSV text), kept between visits
+const INCLINE_TABLE_STORAGE_KEY = 'athleticsUtils.treadmillInclineTable';
+
+export class TreadmillPanel {
+  /**
+   * @param {Object} selectors - Selectors for the panel's inputs
+   * @param {Object} calculator - Pace calculator whose results, errors and history the panel uses
+   */
+  constructor(selectors, calculator) {
+    this.selectors = selectors;
+    this.calculator = calculator;
+  }
+
+  initialize() {
+    this.paceInput = document.querySelector(this.selectors.paceInput);
+    this.paceUnitSelect = document.querySelector(this.selectors.paceUnitSelect);
+    this.inclineInput = document.querySelector(this.selectors.inclineInput);
+    this.speedIncrementSelect = document.querySelector(this.selectors.speedIncrementSelect);
+    this.inclineTableInput = document.querySelector(this.selectors.inclineTableInput);
+    this.calculateBtn = document.querySelector(this.selectors.calculateBtn);
+
+    if (!this.calculateBtn) return;
+
+    // Restore the saved incline table
+    this.inclineTableInput.value = localStorage.getItem(INCLINE_TABLE_STORAGE_KEY) || '';
+
+    this.calculateBtn.addEventListener('click', () => this.handleCalculate());
+  }
+
+  /**
+   * Handle treadmill settings (Outdoor Pace + Incline → Belt speed settings)
+   */
+  handleCalculate() {
+    try {
+      this.calculator.hideError();
+
+      this.paceInput.classList.remove('input-error');
+      this.inclineInput.classList.remove('input-error');
+      this.inclineTableInput.classList.remove('input-error');
+
+      const paceInputValue = this.paceInput.value.trim();
+      if (!paceInputValue) {
+        this.calculator.hideResults();
+        return;
+      }
+
+      const paceSeconds = parsePaceInput(paceInputValue);
+      if (!this.calculator.validatePace(paceSeconds)) {
+        this.paceInput.classList.add('input-error');
+        this.calculator.showError('Please enter a valid pace (e.g., 5:00)');
+        this.calculator.hideResults();
+        return;
+      }
+
+      const incline = parseFloat(this.inclineInput.value);
+      if (isNaN(incline) || incline < -5 || incline > 40) {
+        this.inclineInput.classList.add('input-error');
+        this.calculator.showError('Please enter an incline between -5% and 40%');
+        this.calculator.hideResults();
+        return;
+      }
+
+      // A custom incline table replaces the default and is kept for next time
+      const tableText = this.inclineTableInput.value.trim();
+      let table = null;
+      if (tableText) {
+        try {
+          table = parseInclineTable(tableText);
+        } catch (error) {
+          this.inclineTableInput.classList.add('input-error');
+          this.calculator.showError(`Could not read the incline table: ${error.message}`);
+          this.calculator.hideResults();
+          return;
+        }
+        localStorage.setItem(INCLINE_TABLE_STORAGE_KEY, tableText);
+      } else {
+        localStorage.removeItem(INCLINE_TABLE_STORAGE_KEY);
+      }
+
+      const paceUnit = this.paceUnitSelect.value;
+      const outdoorPacePerKm = convertPaceUnit(paceSeconds, paceUnit, 'km');
+      const increment = parseFloat(this.speedIncrementSelect.value);
+
+      const settings = getTreadmillSettings(outdoorPacePerKm, incline, { table, increment });
+      const inclines = (table || getDefaultInclineTable()).map(row => row.incline);
+      const equivalents = inclines.map(value => getTreadmillSettings(outdoorPacePerKm, value, { table, increment }));
+
+      this.displayResults({ settings, equivalents, outdoorPacePerKm, paceUnit, increment, customTable: !!table });
+
+      const { kmh, mph } = settings.speeds;
+      this.calculator.saveToHistory({
+        mode: 'treadmill',
+        distance: `Treadmill (${incline}% incline)`,
+        totalTime: `${formatSpeed(kmh.setting, SPEED_UNITS.kmh.name)} / ${formatSpeed(mph.setting, SPEED_UNITS.mph.name)}`,
+        pace: `${formatPaceTime(convertPaceUnit(settings.pacePerKm, 'km', paceUnit))}/${paceUnit}`,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Calculation error:', error);
+      this.calculator.showError('Unable to calculate treadmill settings. Please check your inputs.');
+      this.calculator.hideResults();
+    }
+  }
+
+  /**
+   * Display belt settings for the incline and the equivalent belt pace at other inclines
+   */
+  displayResults({ settings, equivalents, outdoorPacePerKm, paceUnit, increment, customTable }) {
+    this.calculator.resultsContent.innerHTML = '';
+
+    const { kmh, mph } = settings.speeds;
+    const formatPace = pacePerKm => `${formatPaceTime(convertPaceUnit(pacePerKm, 'km', paceUnit))}/${paceUnit}`;
+    const formatEffort = effort => `${effort >= 1 ? '+' : ''}${((effort - 1) * 100).toFixed(1)}%`;
+
+    // Main result card
+    const mainCard = document.createElement('div');
+    mainCard.className = 'result-card';
+    mainCard.innerHTML = `
+      <h3 class="result-card__title">Belt Speed</h3>
+      <div class="result-card__points">${formatSpeed(kmh.setting, SPEED_UNITS.kmh.name)} · ${formatSpeed(mph.setting, SPEED_UNITS.mph.name)}</div>
+      <p class="result-card__content">At ${settings.incline}% incline for the effort of ${formatPace(outdoorPacePerKm)} on the flat outdoors</p>
+      <p class="result-card__content">Belt pace ${formatPace(settings.pacePerKm)} (${formatEffort(settings.effort)} effort per km vs. flat outdoors)</p>
+    `;
+    this.calculator.resultsContent.appendChild(mainCard);
+
+    // Nearest settings and the ones either side, with the pace each gives
+    const settingsCard = document.createElement('div');
+    settingsCard.className = 'result-card';
+
+    const settingRow = (km, mile, nearest) => `
+      <tr class="history-row${nearest ? ' treadmill-setting--nearest' : ''}">
+        <td class="history-row__performance">${formatSpeed(km.setting, SPEED_UNITS.kmh.name)}</td>
+        <td class="history-row__performance">${formatPace(km.pacePerKm)}</td>
+        <td class="history-row__performance">${formatSpeed(mile.setting, SPEED_UNITS.mph.name)}</td>
+        <td class="history-row__performance">${formatPace(mile.pacePerKm)}</td>
+      </tr>
+    `;
+
+    settingsCard.innerHTML = `
+      <h3 class="result-card__title">Belt Settings</h3>
+      <div class="history-table-container">
+        <table class="history-table history-table--splits">
+          <thead>
+            <tr>
+              <th>km/h</th>
+              <th>Pace</th>
+              <th>mph</th>
+              <th>Pace</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${settingRow(kmh.slower, mph.slower, false)}
+            ${settingRow(kmh, mph, true)}
+            ${settingRow(kmh.faster, mph.faster, false)}
+          </tbody>
+        </table>
+      </div>
+      <p class="result-card__content">Settings in steps of ${increment}; the exact speed is ${kmh.exact.toFixed(2)} km/h or ${mph.exact.toFixed(2)} mph.</p>
+    `;
+    this.calculator.resultsContent.appendChild(settingsCard);
+
+    // The same effort at other inclines
+    const inclineCard = document.createElement('div');
+    inclineCard.className = 'result-card';
+
+    const inclineTitle = document.createElement('h3');
+    inclineTitle.className = 'result-card__title';
+    inclineTitle.textContent = 'Incline Equivalents';
+
+    const inclineContent = document.createElement('div');
+
+    let tableHTML = `
+      <div class="history-table-container">
+        <table class="history-table history-table--splits">
+          <thead>
+            <tr>
+              <th>Incline</th>
+              <th>Effort</th>
+              <th>Belt Pace</th>
+              <th>km/h</th>
+              <th>mph</th>
+            </tr>
+          </thead>
+          <tbody>
+    `;
+
+    equivalents.forEach(equivalent => {
+      tableHTML += `
+        <tr class="history-row${equivalent.incline === settings.incline ? ' treadmill-setting--nearest' : ''}">
+          <td>${equivalent.incline}%</td>
+          <td>${formatEffort(equivalent.effort)}</td>
+          <td class="history-row__performance">${formatPace(equivalent.pacePerKm)}</td>
+          <td class="history-row__performance">${formatSpeed(equivalent.speeds.kmh.setting, SPEED_UNITS.kmh.name)}</td>
+          <td class="history-row__performance">${formatSpeed(equivalent.speeds.mph.setting, SPEED_UNITS.mph.name)}</td>
+        </tr>
+      `;
+    });
+
+    tableHTML += `
+          </tbody>
+        </table>
+      </div>
+      <p class="result-card__content">${customTable
+        ? 'From your incline table.'
+        : '1% incline matches flat outdoor running; other inclines follow the energy cost of running on a gradient (Minetti et al., 2002).'}</p>
+    `;
+
+    inclineContent.innerHTML = tableHTML;
+    inclineCard.appendChild(inclineTitle);
+    inclineCard.appendChild(inclineContent);
+    this.calculator.resultsContent.appendChild(inclineCard);
+
+    makeCollapsible(inclineTitle, inclineContent, 'paceCalculator.inclineEquivalents.collapsed', false);
+
+    this.calculator.showResults();
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * Workout Builder Panel
+ * Build an interval session from reps, recoveries, warm-up and cool-down, with the
+ * session's total time and volume and World Athletics points for the rep time
+ */
+
+import { getDistanceInMetres } from '../calculators/pace-calculations.js';
+import {
+  parseTimeInput,
+  parsePaceInput,
+  formatPaceTime,
+  formatTotalTime,
+  formatDistance,
+  convertDistance
+} from '../utils/pace-formatter.js';
+import { makeCollapsible } from '../utils/collapsible-section.js';
+import { RECOVERY_TYPES, getRepTimeFromPace, buildWorkout } from '../calculators/workout-builder.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { lookupPoints } from '../calculators/performance-lookup.js';
+
+export class WorkoutBuilderPanel {
+  /**
+   * @param {Object} selectors - Selectors for the panel's inputs
+   * @param {Object} calculator - Pace calculator whose results, errors and history the panel uses
+   */
+  constructor(selectors, calculator) {
+    this.selectors = selectors;
+    this.calculator = calculator;
+  }
+
+  initialize() {
+    this.repsInput = document.querySelector(this.selectors.repsInput);
+    this.distanceInput = document.querySelector(this.selectors.distanceInput);
+    this.distanceUnitSelect = document.querySelector(this.selectors.distanceUnitSelect);
+    this.targetInput = document.querySelector(this.selectors.targetInput);
+    this.targetUnitSelect = document.querySelector(this.selectors.targetUnitSelect);
+    this.recoveryInput = document.querySelector(this.selectors.recoveryInput);
+    this.recoveryTypeSelect = document.querySelector(this.selectors.recoveryTypeSelect);
+    this.warmUpInput = document.querySelector(this.selectors.warmUpInput);
+    this.coolDownInput = document.querySelector(this.selectors.coolDownInput);
+    this.easyPaceInput = document.querySelector(this.selectors.easyPaceInput);
+    this.easyPaceUnitSelect = document.querySelector(this.selectors.easyPaceUnitSelect);
+    this.genderSelect = document.querySelector(this.selectors.genderSelect);
+    this.calculateBtn = document.querySelector(this.selectors.calculateBtn);
+
+    if (!this.calculateBtn) return;
+
+    this.calculateBtn.addEventListener('click', () => this.handleCalculate());
+  }
+
+  /**
+   * Handle the interval workout builder (Reps + Recoveries + Warm-up/Cool-down → Session totals)
+   */
+  async handleCalculate() {
+    const inputs = [
+      this.repsInput,
+      this.distanceInput,
+      this.targetInput,
+      this.recoveryInput,
+      this.warmUpInput,
+      this.coolDownInput,
+      this.easyPaceInput
+    ];
+
+    const invalid = (input, message) => {
+      input.classList.add('input-error');
+      this.calculator.showError(message);
+      this.calculator.hideResults();
+    };
+
+    try {
+      this.calculator.hideError();
+      inputs.forEach(input => input.classList.remove('input-error'));
+
+      const distanceValue = this.distanceInput.value.trim();
+      const targetValue = this.targetInput.value.trim();
+
+      if (!distanceValue || !targetValue) {
+        this.calculator.hideResults();
+        return;
+      }
+
+      const reps = Number(this.repsInput.value);
+      if (!Number.isInteger(reps) || reps < 1) {
+        invalid(this.repsInput, 'Please enter a whole number of reps');
+        return;
+      }
+
+      const distanceUnit = this.distanceUnitSelect.value;
+      if (!this.calculator.validateDistance(distanceValue)) {
+        invalid(this.distanceInput, 'Please enter a valid distance greater than zero');
+        return;
+      }
+      const repDistance = convertDistance(parseFloat(distanceValue), distanceUnit, 'metres');
+
+      // A time for each rep, or a pace per km, mile or 400m
+      const targetUnit = this.targetUnitSelect.value;
+      let repTime;
+      if (targetUnit === 'rep') {
+        repTime = parseTimeInput(targetValue);
+        if (!this.calculator.validateTime(repTime)) {
+          invalid(this.targetInput, 'Please enter a valid rep time (e.g., 3:05 or 72.5)');
+          return;
+        }
+      } else {
+        const pace = parsePaceInput(targetValue);
+        if (!this.calculator.validatePace(pace)) {
+          invalid(this.targetInput, 'Please enter a valid pace (e.g., 3:05)');
+          return;
+        }
+        const paceUnitMetres = { km: 1000, mile: 1609.344, '400m': 400 }[targetUnit];
+        repTime = getRepTimeFromPace(pace, paceUnitMetres, repDistance);
+      }
+
+      // Optional durations - blank is none
+      const readDuration = input => {
+        const value = input.value.trim();
+        if (!value) return 0;
+        const seconds = parseTimeInput(value);
+        return seconds !== null && seconds >= 0 ? seconds : null;
+      };
+
+      const recovery = readDuration(this.recoveryInput);
+      const warmUp = readDuration(this.warmUpInput);
+      const coolDown = readDuration(this.coolDownInput);
+      for (const [input, value] of [
+        [this.recoveryInput, recovery],
+        [this.warmUpInput, warmUp],
+        [this.coolDownInput, coolDown]
+      ]) {
+        if (value === null) {
+          invalid(input, 'Please enter durations as HH:MM:SS, MM:SS or seconds (e.g., 15:00 or 90)');
+          return;
+        }
+      }
+
+      const recoveryType = this.recoveryTypeSelect.value;
+      const needsEasyPace = warmUp > 0 || coolDown > 0 || (recoveryType === 'jog' && recovery > 0 && reps > 1);
+      let easyPace = null;
+      if (needsEasyPace) {
+        const pace = parsePaceInput(this.easyPaceInput.value.trim());
+        if (!this.calculator.validatePace(pace)) {
+          invalid(this.easyPaceInput, 'Please enter an easy pace for the warm-up, cool-down and jog recoveries (e.g., 5:30)');
+          return;
+        }
+        easyPace = this.easyPaceUnitSelect.value === 'mile' ? pace / 1.609344 : pace;
+      }
+
+      const workout = buildWorkout({ reps, repDistance, repTime, recovery, recoveryType, warmUp, coolDown, easyPace });
+      const repLabel = this.formatRepDistance(parseFloat(distanceValue), distanceUnit);
+
+      // World Athletics points for the rep time, if the rep distance is a scored event
+      const gender = this.genderSelect.value;
+      const eventKey = this.findTrackEventKey(repDistance);
+      let points = null;
+      if (eventKey) {
+        await scoringDataLoader.loadEvents(gender, [eventKey]);
+        points = lookupPoints(gender, eventKey, repTime.toFixed(2))?.points ?? null;
+      }
+
+      this.displayResults({ workout, reps, repLabel, repDistance, repTime, recovery, recoveryType, eventKey, points });
+
+      this.calculator.saveToHistory({
+        mode: 'workout',
+        distance: `${reps} × ${repLabel} (${formatDistance(workout.totalDistance / 1000, 'km')})`,
+        totalTime: formatTotalTime(workout.totalDuration),
+        pace: `${formatPaceTime(workout.repPace)}/km`,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Workout error:', error);
+      this.calculator.showError('Unable to build the workout. Please check your inputs.');
+      this.calculator.hideResults();
+    }
+  }
+
+  /**
+   * Find the outdoor flat race over a distance, for World Athletics points
+   * @param {number} distanceMetres
+   * @returns {string|null} Event key, or null if no event has that distance
+   */
+  findTrackEventKey(distanceMetres) {
+    const match = Object.entries(this.calculator.eventsConfig.events).find(([key, event]) => (
+      this.calculator.trackCategories.includes(event.category) &&
+      !event.modifier &&
+      !event.shortTrack &&
+      Math.abs(getDistanceInMetres(key, this.calculator.eventsConfig) - distanceMetres) < 0.5
+    ));
+
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Format a rep distance in the units it was entered in (e.g., "1000m", "2km", "1 mile")
+   * @param {number} value
+   * @param {string} unit - 'metres', 'km' or 'miles'
+   * @returns {string}
+   */
+  formatRepDistance(value, unit) {
+    const number = Number(value.toFixed(2));
+    if (unit === 'km') return `${number}km`;
+    if (unit === 'miles') return `${number} ${number === 1 ? 'mile' : 'miles'}`;
+    return `${number}m`;
+  }
+
+  /**
+   * Display a workout's totals, rep targets and step-by-step session
+   */
+  displayResults({ workout, reps, repLabel, repDistance, repTime, recovery, recoveryType, eventKey, points }) {
+    this.calculator.resultsContent.innerHTML = '';
+
+    const recoveryText = recovery > 0 && reps > 1
+      ? ` with ${formatTotalTime(recovery)} ${RECOVERY_TYPES[recoveryType].name.toLowerCase()} recoveries`
+      : '';
+    const formatKm = metres => formatDistance(metres / 1000, 'km');
+
+    // Main result card
+    const mainCard = document.createElement('div');
+    mainCard.className = 'result-card';
+    mainCard.innerHTML = `
+      <h3 class="result-card__title">Session Time</h3>
+      <div class="result-card__points">${formatTotalTime(workout.totalDuration)}</div>
+      <p class="result-card__content">${reps} × ${repLabel} @ ${formatTotalTime(repTime)}${recoveryText}</p>
+      <p class="result-card__content">Total distance ${formatKm(workout.totalDistance)} · ${formatKm(workout.repVolume)} of reps</p>
+    `;
+    this.calculator.resultsContent.appendChild(mainCard);
+
+    // Rep target - time, paces and points
+    const pointsText = points !== null
+      ? `${points}`
+      : (eventKey ? 'Off the scoring table' : 'No scoring table for this distance');
+    const repCard = document.createElement('div');
+    repCard.className = 'result-card';
+    repCard.innerHTML = `
+      <h3 class="result-card__title">Rep Target</h3>
+      <div class="equivalencies-grid">
+        <div class="equivalency-item">
+          <div class="equivalency-item__event">${repLabel}</div>
+          <div class="equivalency-item__performance">${formatTotalTime(repTime)}</div>
+        </div>
+        <div class="equivalency-item">
+          <div class="equivalency-item__event">Pace per km</div>
+          <div class="equivalency-item__performance">${formatPaceTime(workout.repPace)}/km</div>
+        </div>
+        <div class="equivalency-item">
+          <div class="equivalency-item__event">Pace per mile</div>
+          <div class="equivalency-item__performance">${formatPaceTime(workout.repPace * 1.609344)}/mile</div>
+        </div>
+        <div class="equivalency-item">
+          <div class="equivalency-item__event">Pace per 400m</div>
+          <div class="equivalency-item__performance">${formatPaceTime(workout.repPace * 0.4)}/400m</div>
+        </div>
+        <div class="equivalency-item">
+          <div class="equivalency-item__event">World Athletics Points</div>
+          <div class="equivalency-item__performance">${pointsText}</div>
+        </div>
+      </div>
+    `;
+    this.calculator.resultsContent.appendChild(repCard);
+
+    // Step-by-step session with the clock at the end of each step
+    const sessionCard = document.createElement('div');
+    sessionCard.className = 'result-card';
+
+    const sessionTitle = document.createElement('h3');
+    sessionTitle.className = 'result-card__title';
+    sessionTitle.textContent = 'Session';
+
+    const sessionContent = document.createElement('div');
+    sessionContent.className = 'history-table-container';
+
+    const stepLabel = step => {
+      switch (step.type) {
+        case 'warmUp': return 'Warm-up';
+        case 'coolDown': return 'Cool-down';
+        case 'recovery': return `${RECOVERY_TYPES[recoveryType].name} recovery`;
+        default: return `Rep ${step.rep}`;
+      }
+    };
+
+    let tableHTML = `
+      <table class="history-table history-table--splits">
+        <thead>
+          <tr>
+            <th>Step</th>
+            <th>Distance</th>
+            <th>Time</th>
+            <th>Clock</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    workout.steps.forEach(step => {
+      const distanceText = step.type === 'rep'
+        ? repLabel
+        : (step.distance > 0 ? formatKm(step.distance) : '-');
+
+      tableHTML += `
+        <tr class="history-row">
+          <td>${stepLabel(step)}</td>
+          <td>${distanceText}</td>
+          <td class="history-row__performance">${formatTotalTime(step.duration)}</td>
+          <td class="history-row__performance">${formatTotalTime(step.elapsed)}</td>
+        </tr>
+      `;
+    });
+
+    tableHTML += `
+        </tbody>
+      </table>
+    `;
+
+    sessionContent.innerHTML = tableHTML;
+    sessionCard.appendChild(sessionTitle);
+    sessionCard.appendChild(sessionContent);
+    this.calculator.resultsContent.appendChild(sessionCard);
+
+    makeCollapsible(sessionTitle, sessionContent, 'paceCalculator.workoutSession.collapsed', false);
+
+    this.calculator.showResults();
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * Age Factors Loader
+ * Handles loading and caching of the WMA masters age-grading factor tables
+ *
+ * Factor tables are versioned (e.g., "wma-2023") and listed in age_factors/index.json.
+ * Each version file holds, per gender and event key (matching events_config.json),
+ * the open standard and one factor per year of age from minAge:
+ *   {men: {"100m": {openStandard: 9.58, minAge: 30, factors: [1, 1, ..., 0.9842, ...]}}}
+ * Open standards are in seconds for time events and metres for field events.
+ */
+
+import { getDataSource } from './data-source.js';
+
+class AgeFactorsLoader {
+  constructor() {
+    this.index = null;
+    this.version = null;
+    this.tables = new Map();
+    this.isLoading = false;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load the list of factor table versions, and the selected (or default) version
+   * @returns {Promise<Object|null>} The selected version's table, or null if none are published
+   */
+  async load() {
+    // Return cached data if available
+    if (this.index && (!this.version || this.tables.has(this.version))) {
+      return this.getTable();
+    }
+
+    // Return existing load promise if already loading
+    if (this.isLoading) {
+      return this.loadPromise;
+    }
+
+    this.isLoading = true;
+
+    this.loadPromise = this.fetchIndex()
+      .then(index => {
+        this.index = index;
+        if (!this.version && index.versions.length > 0) {
+          this.version = index.default || index.versions[0].id;
+        }
+        return this.version ? this.loadVersion(this.version) : null;
+      })
+      .then(table => {
+        this.isLoading = false;
+        return table;
+      })
+      .catch(error => {
+        this.isLoading = false;
+        throw error;
+      });
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Fetch the factor table versions index
+   * @returns {Promise<Object>} {default: string|null, versions: Array<{id, name, file}>}
+   */
+  async fetchIndex() {
+    try {
+      const index = await getDataSource().readJSON('age_factors/index.json');
+
+      // Validate data structure
+      if (!index || !Array.isArray(index.versions)) {
+        throw new Error('Invalid data format: expected object with versions array');
+      }
+
+      return index;
+    } catch (error) {
+      console.error('Error loading age factors:', error);
+      throw new Error(`Could not load age factors: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a version's factor table
+   * @param {string} version - Version id (e.g., "wma-2023")
+   * @returns {Promise<Object>} The factor table
+   */
+  async loadVersion(version) {
+    if (this.tables.has(version)) {
+      return this.tables.get(version);
+    }
+
+    const entry = this.index?.versions.find(candidate => candidate.id === version);
+    if (!entry) {
+      throw new Error(`Unknown age factors version: ${version}`);
+    }
+
+    try {
+      const table = await getDataSource().readJSON(`age_factors/${entry.file}`);
+
+      // Validate data structure
+      if (!table || typeof table !== 'object' || Array.isArray(table)) {
+        throw new Error('Invalid data format: expected object keyed by gender');
+      }
+
+      this.tables.set(version, table);
+      return table;
+    } catch (error) {
+      console.error(`Error loading age factors ${version}:`, error);
+      throw new Error(`Could not load age factors: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the published factor table versions, newest first
+   * @returns {Array<{id: string, name: string, file: string}>}
+   */
+  getVersions() {
+    return this.index ? this.index.versions : [];
+  }
+
+  /**
+   * Get the selected version id
+   * @returns {string|null}
+   */
+  getVersion() {
+    return this.version;
+  }
+
+  /**
+   * Select and load another version
+   * @param {string} version - Version id
+   * @returns {Promise<Object>} The factor table
+   */
+  async setVersion(version) {
+    if (!this.index) {
+      this.index = await this.fetchIndex();
+    }
+
+    const table = await this.loadVersion(version);
+    this.version = version;
+    return table;
+  }
+
+  /**
+   * Get the selected version's factor table
+   * @returns {Object|null}
+   */
+  getTable() {
+    return this.version ? this.tables.get(this.version) || null : null;
+  }
+
+  /**
+   * Get an event's open standard and factors
+   * @param {string} gender - "men" or "women"
+   * @param {string} eventKey - Event key (e.g., "100m", "lj")
+   * @returns {Object|null} {openStandard, minAge, factors}, or null if the event has no factors
+   */
+  getEventFactors(gender, eventKey) {
+    return this.getTable()?.[gender]?.[eventKey] || null;
+  }
+
+  /**
+   * Get the age factor for an athlete's age in an event
+   * @param {string} gender
+   * @param {string} eventKey
+   * @param {number} age - Age in whole years
+   * @returns {number|null} Factor (1 at open age, falling with age), or null if not covered
+   */
+  getAgeFactor(gender, eventKey, age) {
+    const eventFactors = this.getEventFactors(gender, eventKey);
+
+    if (!eventFactors || !Number.isInteger(age)) {
+      return null;
+    }
+
+    const factor = eventFactors.factors[age - eventFactors.minAge];
+    return typeof factor === 'number' && factor > 0 ? factor : null;
+  }
+
+  /**
+   * Get the range of ages an event has factors for
+   * @param {string} gender
+   * @param {string} eventKey
+   * @returns {Object|null} {min, max}
+   */
+  getAgeRange(gender, eventKey) {
+    const eventFactors = this.getEventFactors(gender, eventKey);
+
+    if (!eventFactors) {
+      return null;
+    }
+
+    return {
+      min: eventFactors.minAge,
+      max: eventFactors.minAge + eventFactors.factors.length - 1
+    };
+  }
+
+  /**
+   * Check if an event has age factors for a gender
+   * @param {string} gender
+   * @param {string} eventKey
+   * @returns {boolean}
+   */
+  supportsEvent(gender, eventKey) {
+    return this.getEventFactors(gender, eventKey) !== null;
+  }
+
+  /**
+   * Check if data is loaded
+   * @returns {boolean}
+   */
+  isDataLoaded() {
+    return this.index !== null;
+  }
+
+  /**
+   * Clear cached data
+   */
+  clear() {
+    this.index = null;
+    this.version = null;
+    this.tables = new Map();
+    this.isLoading = false;
+    this.loadPromise = null;
+  }
+}
+
+// Export singleton instance
+export const ageFactorsLoader = new AgeFactorsLoader();
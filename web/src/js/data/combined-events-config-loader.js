@@ -2,11 +2,14 @@
  * Combined Events Config Loader
  *
  * Loads and provides access to combined events configuration data including:
- * - Combined event definitions (pentathlon, heptathlon, decathlon)
+ * - Combined event definitions (pentathlons, heptathlons, octathlon, decathlons)
+ * - Age group variants of each combined event (e.g., U18 implements, masters age grading)
  * - Individual event parameters for scoring formulas
  * - Hand timing offsets for track events
  */
 
+import { getDataSource } from './data-source.js';
+
 class CombinedEventsConfigLoader {
     constructor() {
         this.config = null;
@@ -26,13 +29,7 @@ class CombinedEventsConfigLoader {
             return this.loading;
         }
 
-        this.loading = fetch('/data/combined-event-config.min.json')
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`Failed to load combined events config: ${response.status}`);
-                }
-                return response.json();
-            })
+        this.loading = getDataSource().readJSON('combined-event-config.min.json')
             .then(data => {
                 this.config = data;
                 this.loading = null;
@@ -58,24 +55,62 @@ class CombinedEventsConfigLoader {
 
     /**
      * Get a specific combined event configuration
+     * With an age group, the age group's variant is applied: its displayName, event
+     * lineup and ageGraded flag replace the open definition's.
      * @param {string} gender - 'men' or 'women'
      * @param {string} eventKey - Combined event key (e.g., 'decathlon')
-     * @returns {Promise<Object|null>} Combined event configuration
+     * @param {string} [ageGroup] - Age group (e.g., 'U18', 'Masters')
+     * @returns {Promise<Object|null>} Combined event configuration {displayName, ageGroups,
+     *   events, ageGroup, ageGraded, eventOverrides}
      */
-    async getCombinedEvent(gender, eventKey) {
+    async getCombinedEvent(gender, eventKey, ageGroup = null) {
         const config = await this.loadConfig();
-        return config[gender]?.combined?.[eventKey] || null;
+        const combinedEvent = config[gender]?.combined?.[eventKey];
+        if (!combinedEvent) {
+            return null;
+        }
+
+        const { variants, ...definition } = combinedEvent;
+        const variant = (ageGroup && variants?.[ageGroup]) || {};
+
+        return {
+            ...definition,
+            ...variant,
+            ageGroup: ageGroup || null,
+            ageGraded: variant.ageGraded === true,
+            eventOverrides: variant.eventOverrides || {}
+        };
+    }
+
+    /**
+     * Get the age groups a combined event is contested in
+     * @param {string} gender - 'men' or 'women'
+     * @param {string} eventKey - Combined event key
+     * @returns {Promise<Array<string>>} Age groups (e.g., ['U18', 'U20', 'Open', 'Masters'])
+     */
+    async getAgeGroups(gender, eventKey) {
+        const config = await this.loadConfig();
+        return config[gender]?.combined?.[eventKey]?.ageGroups || [];
     }
 
     /**
      * Get scoring parameters for a specific event
+     * With a combined event and age group, the variant's overrides for the event (e.g.,
+     * an implement weight in the displayName) are applied.
      * @param {string} gender - 'men' or 'women'
      * @param {string} eventKey - Event key (e.g., '100m', 'lj')
+     * @param {string} [combinedEventKey] - Combined event key
+     * @param {string} [ageGroup] - Age group
      * @returns {Promise<Object|null>} Event parameters {a, b, c, measurement, displayName}
      */
-    async getEventParameters(gender, eventKey) {
+    async getEventParameters(gender, eventKey, combinedEventKey = null, ageGroup = null) {
         const config = await this.loadConfig();
-        return config[gender]?.events?.[eventKey] || null;
+        const params = config[gender]?.events?.[eventKey] || null;
+        const override = combinedEventKey && ageGroup
+            ? config[gender]?.combined?.[combinedEventKey]?.variants?.[ageGroup]?.eventOverrides?.[eventKey]
+            : null;
+
+        return params && override ? { ...params, ...override } : params;
     }
 
     /**
@@ -110,10 +145,11 @@ class CombinedEventsConfigLoader {
      * Get all events for a combined event with their parameters
      * @param {string} gender - 'men' or 'women'
      * @param {string} combinedEventKey - Combined event key
+     * @param {string} [ageGroup] - Age group
      * @returns {Promise<Array>} Array of event objects with parameters
      */
-    async getCombinedEventDetails(gender, combinedEventKey) {
-        const combinedEvent = await this.getCombinedEvent(gender, combinedEventKey);
+    async getCombinedEventDetails(gender, combinedEventKey, ageGroup = null) {
+        const combinedEvent = await this.getCombinedEvent(gender, combinedEventKey, ageGroup);
         if (!combinedEvent) {
             return [];
         }
@@ -122,7 +158,7 @@ class CombinedEventsConfigLoader {
         const eventDetails = [];
 
         for (const eventKey of events) {
-            const params = await this.getEventParameters(gender, eventKey);
+            const params = await this.getEventParameters(gender, eventKey, combinedEventKey, ageGroup);
             const isHandTimeable = await this.isHandTimeable(eventKey);
 
             if (params) {
@@ -0,0 +1,86 @@
+/**
+ * Data Sources
+ * Where the data loaders read their JSON from, so the calculation core isn't tied to the browser
+ *
+ * Every data source implements readJSON(path), where path is relative to the
+ * data directory (e.g., "events_config.json", "scoring_tables/2025/men/100m.json").
+ * The browser uses FetchDataSource by default; Node scripts can switch to
+ * NodeFileDataSource (see node-file-data-source.js) and tests to MemoryDataSource.
+ * Call setDataSource() before any loader is used - loaders cache what they load.
+ */
+
+/**
+ * Reads data over HTTP relative to the site's base URL
+ */
+export class FetchDataSource {
+  /**
+   * @param {string} baseUrl - Base URL of the site (defaults to Vite's base configuration)
+   */
+  constructor(baseUrl = import.meta.env?.BASE_URL || '/') {
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Fetch and parse a JSON file
+   * @param {string} path - Path relative to the data directory
+   * @returns {Promise<Object>}
+   */
+  async readJSON(path) {
+    const response = await fetch(`${this.baseUrl}data/${path}`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to load ${path}: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+}
+
+/**
+ * Serves data from an in-memory map of path to parsed JSON (for tests)
+ */
+export class MemoryDataSource {
+  /**
+   * @param {Object<string, Object>} files - Parsed JSON keyed by path (e.g., {"events_config.json": {...}})
+   */
+  constructor(files = {}) {
+    this.files = files;
+  }
+
+  /**
+   * Get a stored JSON value
+   * @param {string} path - Path relative to the data directory
+   * @returns {Promise<Object>}
+   */
+  async readJSON(path) {
+    if (!Object.prototype.hasOwnProperty.call(this.files, path)) {
+      throw new Error(`Failed to load ${path}: not found`);
+    }
+
+    return this.files[path];
+  }
+}
+
+let currentSource = null;
+
+/**
+ * Get the data source the loaders read from
+ * @returns {{readJSON: function(string): Promise<Object>}}
+ */
+export function getDataSource() {
+  if (!currentSource) {
+    currentSource = new FetchDataSource();
+  }
+  return currentSource;
+}
+
+/**
+ * Set the data source the loaders read from
+ * @param {{readJSON: function(string): Promise<Object>}} source
+ */
+export function setDataSource(source) {
+  if (!source || typeof source.readJSON !== 'function') {
+    throw new Error('Invalid data source: expected an object with a readJSON(path) method');
+  }
+  currentSource = source;
+}
@@ -3,6 +3,8 @@
  * Handles loading and caching of the events configuration JSON
  */
 
+import { getDataSource } from './data-source.js';
+
 class EventConfigLoader {
   constructor() {
     this.data = null;
@@ -47,15 +49,7 @@ class EventConfigLoader {
    */
   async fetchData() {
     try {
-      // Use import.meta.env.BASE_URL to respect Vite's base configuration
-      const baseUrl = import.meta.env?.BASE_URL || '/';
-      const response = await fetch(`${baseUrl}data/events_config.json`);
-
-      if (!response.ok) {
-        throw new Error(`Failed to load event config: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await getDataSource().readJSON('events_config.json');
 
       // Validate data structure
       if (!data || !data.events || typeof data.events !== 'object') {
@@ -81,6 +75,33 @@ class EventConfigLoader {
     return this.data.events[eventKey] || null;
   }
 
+  /**
+   * Find an event key from free text, matching the key or display name
+   * Case, spaces and commas are ignored (e.g., "110mH", "110m Hurdles" and "110m h" all match)
+   * @param {string} name - Event key or display name
+   * @returns {string|null} The event key, or null if no event matches
+   */
+  findEventKey(name) {
+    if (!this.data || !this.data.events || !name) {
+      return null;
+    }
+
+    if (this.data.events[name]) {
+      return name;
+    }
+
+    const normalize = (value) => String(value).toLowerCase().replace(/[\s,]/g, '');
+    const target = normalize(name);
+
+    for (const [key, config] of Object.entries(this.data.events)) {
+      if (normalize(key) === target || normalize(config.displayName || '') === target) {
+        return key;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Get all events
    * @returns {Array<{key: string, ...config}>} Array of event objects with keys
@@ -216,6 +237,37 @@ class EventConfigLoader {
     return this.getHandTimingOffset(eventKey) !== null;
   }
 
+  /**
+   * Get wind correction settings for an event
+   * @param {string} eventKey - The event key (e.g., "100m", "lj")
+   * @returns {Object|null} {model, coefficient}, or null if not wind-affected
+   */
+  getWindCorrection(eventKey) {
+    if (!this.data || !this.data.windCorrections) {
+      return null;
+    }
+
+    for (const correctionGroup of this.data.windCorrections) {
+      if (correctionGroup.events.includes(eventKey)) {
+        return {
+          model: correctionGroup.model,
+          coefficient: correctionGroup.coefficient
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if an event supports wind correction
+   * @param {string} eventKey - The event key to check
+   * @returns {boolean} True if event has a wind correction model
+   */
+  supportsWindCorrection(eventKey) {
+    return this.getWindCorrection(eventKey) !== null;
+  }
+
   /**
    * Check if data is loaded
    * @returns {boolean}
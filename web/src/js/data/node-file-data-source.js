@@ -0,0 +1,28 @@
+/**
+ * Node File Data Source
+ * Reads data straight from disk (e.g., web/public/data) for Node scripts and the CLI
+ *
+ * Kept separate from data-source.js so the browser bundle never imports Node built-ins.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export class NodeFileDataSource {
+  /**
+   * @param {string} dataDir - Absolute path to the data directory
+   */
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+  }
+
+  /**
+   * Read and parse a JSON file
+   * @param {string} relativePath - Path relative to the data directory
+   * @returns {Promise<Object>}
+   */
+  async readJSON(relativePath) {
+    const filePath = path.join(this.dataDir, relativePath);
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  }
+}
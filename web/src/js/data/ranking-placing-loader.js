@@ -0,0 +1,152 @@
+/**
+ * Ranking Placing Loader
+ * Handles loading and caching of the World Athletics Rankings placing score tables
+ */
+
+import { getDataSource } from './data-source.js';
+
+class RankingPlacingLoader {
+  constructor() {
+    this.data = null;
+    this.isLoading = false;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load the placing score data
+   * @returns {Promise<Object>} The placing score data
+   */
+  async load() {
+    // Return cached data if available
+    if (this.data) {
+      return this.data;
+    }
+
+    // Return existing load promise if already loading
+    if (this.isLoading) {
+      return this.loadPromise;
+    }
+
+    this.isLoading = true;
+
+    this.loadPromise = this.fetchData()
+      .then(data => {
+        this.data = data;
+        this.isLoading = false;
+        return data;
+      })
+      .catch(error => {
+        this.isLoading = false;
+        throw error;
+      });
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Fetch the placing score JSON
+   * @returns {Promise<Object>}
+   */
+  async fetchData() {
+    try {
+      const data = await getDataSource().readJSON('ranking_placing_scores.json');
+
+      // Validate data structure
+      if (!data || !data.categories || typeof data.categories !== 'object') {
+        throw new Error('Invalid data format: expected object with categories property');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error loading placing scores:', error);
+      throw new Error(`Could not load placing scores: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all competition categories
+   * @returns {Array<{key: string, displayName: string}>} Categories in ranking order (highest first)
+   */
+  getCategories() {
+    if (!this.data || !this.data.categories) {
+      return [];
+    }
+
+    return Object.entries(this.data.categories).map(([key, category]) => ({
+      key,
+      displayName: category.displayName || key
+    }));
+  }
+
+  /**
+   * Get all rounds
+   * @returns {Array<{key: string, displayName: string}>}
+   */
+  getRounds() {
+    if (!this.data || !this.data.rounds) {
+      return [];
+    }
+
+    return Object.entries(this.data.rounds).map(([key, displayName]) => ({
+      key,
+      displayName
+    }));
+  }
+
+  /**
+   * Get the display name for a round
+   * @param {string} round - Round key (e.g., "final")
+   * @returns {string}
+   */
+  getRoundName(round) {
+    return this.data?.rounds?.[round] || round;
+  }
+
+  /**
+   * Check if a competition category holds a round
+   * @param {string} category - Competition category (e.g., "OW", "GW", "A")
+   * @param {string} round - Round key ("final", "semifinal" or "heat")
+   * @returns {boolean}
+   */
+  hasRound(category, round) {
+    return Boolean(this.data?.categories?.[category]?.placingScores?.[round]);
+  }
+
+  /**
+   * Get the placing score for a place in a round of a competition category
+   * @param {string} category - Competition category (e.g., "OW", "GW", "A")
+   * @param {string} round - Round key ("final", "semifinal" or "heat")
+   * @param {number} place - Finishing place (1-based)
+   * @returns {number|null} Placing score (0 if the place scores nothing), or null if the category
+   *   is unknown, the category has no such round or the place is not a whole number of 1 or more
+   */
+  getPlacingScore(category, round, place) {
+    if (!this.hasRound(category, round) || !Number.isInteger(place) || place < 1) {
+      return null;
+    }
+
+    const scores = this.data.categories[category].placingScores[round];
+
+    return place <= scores.length ? scores[place - 1] : 0;
+  }
+
+  /**
+   * Check if data is loaded
+   * @returns {boolean}
+   */
+  isDataLoaded() {
+    return this.data !== null;
+  }
+
+  /**
+   * Clear cached data
+   */
+  clear() {
+    this.data = null;
+    this.isLoading = false;
+    this.loadPromise = null;
+  }
+}
+
+// Export singleton instance
+export const rankingPlacingLoader = new RankingPlacingLoader();
@@ -1,18 +1,42 @@
 /**
  * Scoring Data Loader
- * Handles loading and caching of the athletics scoring tables JSON
+ * Handles loading and caching of the athletics scoring tables
+ *
+ * The tables are published as one JSON chunk per gender and event plus a manifest.
+ * load() fetches only the manifest; each event's table is fetched on demand with
+ * loadEvent() (or loadEvents() for several in parallel) and cached.
+ *
+ * Once loaded, each event table is also indexed into typed arrays so lookups
+ * can binary search instead of scanning every [points, performance] pair.
+ *
+ * Several editions of the tables (e.g., 2017, 2022, 2025) are published side by side,
+ * listed in scoring_tables/editions.json. scoringDataLoader serves the selected edition
+ * (the newest by default, change it with setEdition()); forEdition() returns a loader
+ * fixed to another edition, for comparing editions.
  */
 
+import { getDataSource } from './data-source.js';
+
 class ScoringDataLoader {
-  constructor() {
+  /**
+   * @param {string|null} edition - Edition id (e.g., "2025"), or null for the default edition
+   */
+  constructor(edition = null) {
+    this.edition = edition;
+    this.editions = null;
+    this.editionsPromise = null;
+    this.editionLoaders = new Map();
     this.data = null;
+    this.manifest = null;
+    this.index = new Map();
+    this.chunkPromises = new Map();
     this.isLoading = false;
     this.loadPromise = null;
   }
 
   /**
-   * Load the scoring tables data
-   * @returns {Promise<Object>} The scoring tables data
+   * Load the scoring tables manifest
+   * @returns {Promise<Object>} The scoring data ({gender: {category: {event: rows|null}}})
    */
   async load() {
     // Return cached data if available
@@ -27,48 +51,244 @@ class ScoringDataLoader {
 
     this.isLoading = true;
 
-    this.loadPromise = this.fetchData()
-      .then(data => {
-        this.data = data;
+    const loadPromise = this.loadEditions()
+      .then(() => this.fetchManifest())
+      .then(manifest => {
+        // setEdition() cleared this load while it was in flight - load the new edition instead
+        if (this.loadPromise !== loadPromise) {
+          return this.load();
+        }
+
+        this.manifest = manifest;
+        this.data = this.createSkeleton(manifest);
         this.isLoading = false;
-        return data;
+        return this.data;
       })
       .catch(error => {
-        this.isLoading = false;
+        if (this.loadPromise === loadPromise) {
+          this.isLoading = false;
+        }
         throw error;
       });
 
-    return this.loadPromise;
+    this.loadPromise = loadPromise;
+    return loadPromise;
   }
 
   /**
-   * Fetch the scoring tables JSON
-   * @returns {Promise<Object>}
+   * Load the list of published editions, and pick the default edition if none is set
+   * @returns {Promise<Object>} {default: string, editions: Array<{id: string, name: string}>}
    */
-  async fetchData() {
-    try {
-      // Use import.meta.env.BASE_URL to respect Vite's base configuration
-      const baseUrl = import.meta.env?.BASE_URL || '/';
-      const response = await fetch(`${baseUrl}data/athletics_scoring_tables.min.json`);
+  async loadEditions() {
+    if (this.editions) {
+      return this.editions;
+    }
 
-      if (!response.ok) {
-        throw new Error(`Failed to load scoring tables: ${response.status} ${response.statusText}`);
-      }
+    if (!this.editionsPromise) {
+      this.editionsPromise = getDataSource().readJSON('scoring_tables/editions.json')
+        .then(index => {
+          // Validate data structure
+          if (!index || !Array.isArray(index.editions) || index.editions.length === 0) {
+            throw new Error('Invalid data format: expected object with editions array');
+          }
+
+          this.editions = index;
+          if (!this.edition) {
+            this.edition = index.default || index.editions[0].id;
+          }
+          return index;
+        })
+        .catch(error => {
+          this.editionsPromise = null;
+          console.error('Error loading scoring table editions:', error);
+          throw new Error(`Could not load scoring data: ${error.message}`);
+        });
+    }
+
+    return this.editionsPromise;
+  }
+
+  /**
+   * Get the published editions, newest first
+   * @returns {Array<{id: string, name: string}>} Empty until loadEditions() has run
+   */
+  getEditions() {
+    return this.editions ? this.editions.editions : [];
+  }
+
+  /**
+   * Get the id of the edition this loader serves
+   * @returns {string|null} Null until the editions have loaded, unless set explicitly
+   */
+  getEdition() {
+    return this.edition;
+  }
+
+  /**
+   * Switch to another edition, dropping the tables loaded for the previous one
+   * @param {string} edition - Edition id (e.g., "2022")
+   * @returns {Promise<void>}
+   */
+  async setEdition(edition) {
+    await this.loadEditions();
+
+    if (!this.getEditions().some(entry => entry.id === edition)) {
+      throw new Error(`Unknown scoring table edition: ${edition}`);
+    }
+
+    if (edition === this.edition) {
+      return;
+    }
+
+    this.edition = edition;
+    this.clearTables();
+  }
 
-      const data = await response.json();
+  /**
+   * Get a loader for a specific edition, leaving this loader's edition unchanged
+   * @param {string} edition - Edition id
+   * @returns {ScoringDataLoader} This loader if it already serves that edition
+   */
+  forEdition(edition) {
+    if (edition === this.edition) {
+      return this;
+    }
+
+    if (!this.editionLoaders.has(edition)) {
+      const loader = new ScoringDataLoader(edition);
+      loader.editions = this.editions;
+      this.editionLoaders.set(edition, loader);
+    }
+
+    return this.editionLoaders.get(edition);
+  }
+
+  /**
+   * Fetch the scoring tables manifest for the current edition
+   * @returns {Promise<Object>} {gender: {category: {event: chunkPath}}}
+   */
+  async fetchManifest() {
+    try {
+      const manifest = await getDataSource().readJSON(`scoring_tables/${this.edition}/manifest.json`);
 
       // Validate data structure
-      if (!data || typeof data !== 'object') {
+      if (!manifest || typeof manifest !== 'object') {
         throw new Error('Invalid data format: expected object');
       }
 
-      return data;
+      return manifest;
     } catch (error) {
       console.error('Error loading scoring tables:', error);
       throw new Error(`Could not load scoring data: ${error.message}`);
     }
   }
 
+  /**
+   * Build the data structure from the manifest, with tables not yet loaded set to null
+   * @param {Object} manifest
+   * @returns {Object}
+   */
+  createSkeleton(manifest) {
+    const data = {};
+
+    for (const [gender, categories] of Object.entries(manifest)) {
+      data[gender] = {};
+      for (const [category, events] of Object.entries(categories)) {
+        data[gender][category] = {};
+        for (const event of Object.keys(events)) {
+          data[gender][category][event] = null;
+        }
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Load the scoring table for a single event
+   * @param {string} gender
+   * @param {string} event
+   * @returns {Promise<Array<[number, string]>|null>} The event's table, or null if the event is unknown
+   */
+  async loadEvent(gender, event) {
+    await this.load();
+
+    const category = this.findCategory(gender, event);
+
+    if (!category) {
+      return null;
+    }
+
+    const cached = this.getEventData(gender, category, event);
+    if (cached) {
+      return cached;
+    }
+
+    const chunkPath = this.manifest?.[gender]?.[category]?.[event];
+    if (!chunkPath) {
+      return null;
+    }
+
+    // Share in-flight requests so parallel callers only fetch each chunk once.
+    // Hold on to this edition's data and requests in case setEdition() replaces them mid-fetch.
+    const { data, chunkPromises } = this;
+    if (!chunkPromises.has(chunkPath)) {
+      const promise = this.fetchChunk(chunkPath)
+        .then(rows => {
+          data[gender][category][event] = rows;
+          return rows;
+        })
+        .finally(() => {
+          chunkPromises.delete(chunkPath);
+        });
+      chunkPromises.set(chunkPath, promise);
+    }
+
+    return chunkPromises.get(chunkPath);
+  }
+
+  /**
+   * Load the scoring tables for several events in parallel
+   * @param {string} gender
+   * @param {string[]} events
+   * @returns {Promise<Array<Array<[number, string]>|null>>}
+   */
+  async loadEvents(gender, events) {
+    return Promise.all(events.map(event => this.loadEvent(gender, event)));
+  }
+
+  /**
+   * Fetch a single event's scoring table chunk
+   * @param {string} chunkPath - Path relative to the edition's directory
+   * @returns {Promise<Array<[number, string]>>}
+   */
+  async fetchChunk(chunkPath) {
+    try {
+      const rows = await getDataSource().readJSON(`scoring_tables/${this.edition}/${chunkPath}`);
+
+      // Validate data structure
+      if (!Array.isArray(rows)) {
+        throw new Error('Invalid data format: expected array of [points, performance] pairs');
+      }
+
+      return rows;
+    } catch (error) {
+      console.error(`Error loading scoring table ${chunkPath}:`, error);
+      throw new Error(`Could not load scoring data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if an event's scoring table has been loaded
+   * @param {string} gender
+   * @param {string} event
+   * @returns {boolean}
+   */
+  isEventLoaded(gender, event) {
+    const category = this.findCategory(gender, event);
+    return category !== null && this.getEventData(gender, category, event) !== null;
+  }
+
   /**
    * Get all available genders
    * @returns {string[]}
@@ -133,7 +353,7 @@ class ScoringDataLoader {
    * @param {string} gender
    * @param {string} category
    * @param {string} event
-   * @returns {Array<[number, string]>} Array of [points, performance] pairs
+   * @returns {Array<[number, string]>|null} Array of [points, performance] pairs, or null if not loaded
    */
   getEventData(gender, category, event) {
     if (!this.data || !this.data[gender] || !this.data[gender][category] || !this.data[gender][category][event]) {
@@ -142,6 +362,71 @@ class ScoringDataLoader {
     return this.data[gender][category][event];
   }
 
+  /**
+   * Get the lookup index for an event, building it on first use
+   *
+   * Table rows are sorted by points (highest first) and each table is strictly
+   * monotonic in performance, so for every event we store:
+   * - points: Int32Array in table order (descending)
+   * - keys: Float64Array of performances oriented so they ascend with the row
+   *   (times as-is; distances, heights and combined scores negated)
+   * - performances: the original performance strings, for display
+   * @param {string} gender
+   * @param {string} event
+   * @returns {Object|null} {category, points, keys, performances, direction}, or null if the table isn't loaded
+   */
+  getEventIndex(gender, event) {
+    const category = this.findCategory(gender, event);
+
+    if (!category) {
+      return null;
+    }
+
+    const eventData = this.getEventData(gender, category, event);
+
+    if (!Array.isArray(eventData) || eventData.length === 0) {
+      return null;
+    }
+
+    const key = `${gender}/${event}`;
+    const cached = this.index.get(key);
+
+    // Rebuild if the table has been replaced (e.g. data assigned directly)
+    if (cached && cached.source === eventData) {
+      return cached;
+    }
+
+    const length = eventData.length;
+    const points = new Int32Array(length);
+    const keys = new Float64Array(length);
+    const performances = new Array(length);
+
+    // Rows get worse as points drop, so a falling performance means higher is better
+    const higherIsBetter = length > 1
+      ? parseFloat(eventData[length - 1][1]) < parseFloat(eventData[0][1])
+      : false;
+    const direction = higherIsBetter ? -1 : 1;
+
+    for (let i = 0; i < length; i++) {
+      const [rowPoints, perf] = eventData[i];
+      points[i] = rowPoints;
+      keys[i] = direction * parseFloat(perf);
+      performances[i] = perf;
+    }
+
+    const entry = {
+      category,
+      points,
+      keys,
+      performances,
+      direction,
+      source: eventData
+    };
+    this.index.set(key, entry);
+
+    return entry;
+  }
+
   /**
    * Find the category for a given event and gender
    * @param {string} gender
@@ -155,8 +440,7 @@ class ScoringDataLoader {
 
     const categories = this.getCategories(gender);
     for (const category of categories) {
-      const events = this.getEvents(gender, category);
-      if (events.includes(eventName)) {
+      if (Object.prototype.hasOwnProperty.call(this.data[gender][category], eventName)) {
         return category;
       }
     }
@@ -173,10 +457,24 @@ class ScoringDataLoader {
   }
 
   /**
-   * Clear cached data
+   * Clear cached data, including the editions list
+   * An edition chosen with setEdition() is kept.
    */
   clear() {
+    this.clearTables();
+    this.editions = null;
+    this.editionsPromise = null;
+    this.editionLoaders = new Map();
+  }
+
+  /**
+   * Clear the manifest and tables loaded for the current edition
+   */
+  clearTables() {
     this.data = null;
+    this.manifest = null;
+    this.index = new Map();
+    this.chunkPromises = new Map();
     this.isLoading = false;
     this.loadPromise = null;
   }
@@ -192,7 +192,7 @@ function handleKeyPress(e) {
 /**
  * Handle calculate button click
  */
-function handleCalculate() {
+async function handleCalculate() {
   const performanceValue = performanceInput.value.trim();
 
   if (!currentGender || !currentEvent || !performanceValue) {
@@ -211,6 +211,7 @@ function handleCalculate() {
     }
 
     // Lookup points
+    await scoringDataLoader.loadEvent(currentGender, currentEvent);
     const result = lookupPoints(currentGender, currentEvent, normalizedPerformance);
 
     if (!result) {
@@ -219,7 +220,7 @@ function handleCalculate() {
     }
 
     // Find equivalent performances
-    const equivalents = findEquivalentPerformances(currentGender, result.points);
+    const equivalents = await findEquivalentPerformances(currentGender, result.points);
 
     // Display results
     displayResults(result, equivalents, performanceValue);
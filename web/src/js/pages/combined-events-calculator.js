@@ -1,16 +1,28 @@
 /**
  * Combined Event Score Calculator Page Controller
- * Handles UI interactions and calculations for combined events (Decathlon, Heptathlon, Pentathlon)
+ * Handles UI interactions and calculations for combined events (Decathlon, Heptathlon, Pentathlon, Octathlon)
  */
 
 import { Navigation } from '../components/navigation.js';
 import { combinedEventsConfigLoader } from '../data/combined-events-config-loader.js';
+import { ageFactorsLoader } from '../data/age-factors-loader.js';
 import {
   calculateEventScore,
   applyHandTimingOffset,
   validatePerformance,
-  convertPerformanceToValue
+  convertPerformanceToValue,
+  formatPerformanceDisplay,
+  calculateRequiredPerformance
 } from '../utils/combined-events-scorer.js';
+import { planTarget } from '../utils/combined-events-planner.js';
+import { scoreCompetition } from '../utils/combined-events-competition.js';
+import {
+  getAgeFactorEventKey,
+  ageGradePerformance,
+  removeAgeGrade,
+  getAgeGroupOption
+} from '../utils/combined-events-age-grading.js';
+import { formatPlace } from '../calculators/ranking-score.js';
 
 /**
  * Combined Events Calculator
@@ -20,10 +32,19 @@ class CombinedEventsCalculator {
     // State
     this.currentGender = null;
     this.currentCombinedEvent = null;
-    this.performances = {}; // { eventKey: { value, isHandTimed, score, inputValue } }
+    this.currentAgeGroup = null;
+    this.hasAgeFactors = false; // Masters age groups are only age-graded with published WMA factor tables
+    this.ageGroupOption = null; // { value, label, ageGraded, factorsUnavailable }
+    this.performances = {}; // { eventKey: { value, isHandTimed, score, inputValue, ageGradedValue } }
     this.totalScore = 0;
     this.completedCount = 0;
     this.eventConfig = null;
+    this.mode = 'score'; // 'score', 'planner' or 'competition'
+
+    // Competition mode: the field, saved so a refresh mid-competition loses nothing
+    this.competitionStorageKey = 'athleticsUtils.combinedEventsCompetition';
+    this.competition = { athletes: [] }; // { gender, combinedEvent, ageGroup, athletes: [{ id, name, marks, pbs }] }
+    this.competitionEvents = [];
 
     // Debounce timer
     this.debounceTimers = {};
@@ -32,6 +53,16 @@ class CombinedEventsCalculator {
     this.genderToggleMen = null;
     this.genderToggleWomen = null;
     this.combinedEventSelect = null;
+    this.ageGroupSelect = null;
+    this.mastersAgeGroup = null;
+    this.mastersAgeInput = null;
+    this.mastersAgeHelp = null;
+    this.modeToggleScore = null;
+    this.modeTogglePlanner = null;
+    this.modeToggleCompetition = null;
+    this.calculatorSection = null;
+    this.targetGroup = null;
+    this.targetInput = null;
     this.clearAllBtn = null;
     this.calculatorForm = null;
     this.progressIndicator = null;
@@ -42,6 +73,16 @@ class CombinedEventsCalculator {
     this.resultsContainer = null;
     this.finalScore = null;
     this.eventScoresSummary = null;
+    this.plannerResults = null;
+    this.plannerContent = null;
+    this.competitionSection = null;
+    this.competitionAthleteInput = null;
+    this.competitionAddBtn = null;
+    this.competitionEntrySelect = null;
+    this.competitionTableHead = null;
+    this.competitionTableBody = null;
+    this.competitionEmpty = null;
+    this.competitionClearBtn = null;
     this.loadingIndicator = null;
     this.errorMessage = null;
   }
@@ -58,6 +99,9 @@ class CombinedEventsCalculator {
       // Load combined events config
       await combinedEventsConfigLoader.loadConfig();
 
+      // Masters age groups are only offered once WMA factor tables have been published
+      await this.initializeAgeFactors();
+
       // Initialize DOM elements
       this.initializeElements();
 
@@ -65,7 +109,10 @@ class CombinedEventsCalculator {
       this.setupEventListeners();
 
       // Initialize gender toggle from session storage
-      this.initializeGenderToggle();
+      await this.initializeGenderToggle();
+
+      // Pick up a competition in progress
+      await this.restoreCompetition();
 
       this.hideLoading();
     } catch (error) {
@@ -75,15 +122,28 @@ class CombinedEventsCalculator {
     }
   }
 
+  /**
+   * Load the WMA age factors used to score masters age groups
+   */
+  async initializeAgeFactors() {
+    try {
+      await ageFactorsLoader.load();
+      this.hasAgeFactors = ageFactorsLoader.getVersions().length > 0;
+    } catch (error) {
+      console.error('Error loading age factors:', error);
+      this.hasAgeFactors = false;
+    }
+  }
+
   /**
    * Initialize gender toggle from session storage
    */
-  initializeGenderToggle() {
+  async initializeGenderToggle() {
     // Load saved gender from session storage, default to 'men'
     const savedGender = sessionStorage.getItem('selectedGender') || 'men';
 
     // Set the initial gender and trigger UI update
-    this.handleGenderToggle(savedGender);
+    await this.handleGenderToggle(savedGender);
   }
 
   /**
@@ -93,6 +153,16 @@ class CombinedEventsCalculator {
     this.genderToggleMen = document.getElementById('gender-toggle-men');
     this.genderToggleWomen = document.getElementById('gender-toggle-women');
     this.combinedEventSelect = document.getElementById('combined-event-select');
+    this.ageGroupSelect = document.getElementById('age-group-select');
+    this.mastersAgeGroup = document.getElementById('masters-age-group');
+    this.mastersAgeInput = document.getElementById('masters-age-input');
+    this.mastersAgeHelp = document.getElementById('masters-age-help');
+    this.modeToggleScore = document.getElementById('mode-toggle-score');
+    this.modeTogglePlanner = document.getElementById('mode-toggle-planner');
+    this.modeToggleCompetition = document.getElementById('mode-toggle-competition');
+    this.calculatorSection = document.getElementById('combined-events-calculator');
+    this.targetGroup = document.getElementById('target-total-group');
+    this.targetInput = document.getElementById('target-total-input');
     this.clearAllBtn = document.getElementById('clear-all-btn');
     this.calculatorForm = document.getElementById('calculator-form');
     this.progressIndicator = document.getElementById('progress-indicator');
@@ -103,6 +173,16 @@ class CombinedEventsCalculator {
     this.resultsContainer = document.getElementById('results-container');
     this.finalScore = document.getElementById('final-score');
     this.eventScoresSummary = document.getElementById('event-scores-summary');
+    this.plannerResults = document.getElementById('planner-results');
+    this.plannerContent = document.getElementById('planner-content');
+    this.competitionSection = document.getElementById('competition-section');
+    this.competitionAthleteInput = document.getElementById('competition-athlete-input');
+    this.competitionAddBtn = document.getElementById('competition-add-btn');
+    this.competitionEntrySelect = document.getElementById('competition-entry-select');
+    this.competitionTableHead = document.getElementById('competition-table-head');
+    this.competitionTableBody = document.getElementById('competition-table-body');
+    this.competitionEmpty = document.getElementById('competition-empty');
+    this.competitionClearBtn = document.getElementById('competition-clear-btn');
     this.loadingIndicator = document.getElementById('loading-indicator');
     this.errorMessage = document.getElementById('error-message');
   }
@@ -118,8 +198,61 @@ class CombinedEventsCalculator {
     // Combined event selection change
     this.combinedEventSelect?.addEventListener('change', () => this.handleCombinedEventChange());
 
+    // Age group selection and masters age
+    this.ageGroupSelect?.addEventListener('change', () => this.handleAgeGroupChange());
+    this.mastersAgeInput?.addEventListener('input', () => this.handleMastersAgeInput());
+
+    // Mode toggle buttons
+    this.modeToggleScore?.addEventListener('click', () => this.handleModeToggle('score'));
+    this.modeTogglePlanner?.addEventListener('click', () => this.handleModeToggle('planner'));
+    this.modeToggleCompetition?.addEventListener('click', () => this.handleModeToggle('competition'));
+
+    // Target total (planner mode)
+    this.targetInput?.addEventListener('input', () => this.handlePlannerInput());
+
     // Clear all button
     this.clearAllBtn?.addEventListener('click', () => this.handleClearAll());
+
+    // Competition mode
+    this.competitionAddBtn?.addEventListener('click', () => this.handleAddAthlete());
+    this.competitionAthleteInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.handleAddAthlete();
+      }
+    });
+    this.competitionEntrySelect?.addEventListener('change', () => this.renderCompetition());
+    this.competitionClearBtn?.addEventListener('click', () => this.handleClearCompetition());
+  }
+
+  /**
+   * Handle mode toggle button click
+   */
+  handleModeToggle(mode) {
+    if (this.mode === mode) {
+      return;
+    }
+
+    this.mode = mode;
+    const isPlanner = mode === 'planner';
+    const isCompetition = mode === 'competition';
+
+    this.modeToggleScore?.classList.toggle('mode-toggle__option--active', mode === 'score');
+    this.modeTogglePlanner?.classList.toggle('mode-toggle__option--active', isPlanner);
+    this.modeToggleCompetition?.classList.toggle('mode-toggle__option--active', isCompetition);
+    this.targetGroup?.classList.toggle('hidden', !isPlanner);
+    this.plannerResults?.classList.toggle('hidden', !isPlanner);
+    this.calculatorForm?.classList.toggle('calculator__form--planner', isPlanner);
+
+    // Competition mode replaces the single-athlete form and results
+    this.calculatorSection?.classList.toggle('calculator--competition', isCompetition);
+    this.competitionSection?.classList.toggle('hidden', !isCompetition);
+
+    this.updatePlan();
+
+    if (isCompetition) {
+      this.saveCompetition();
+      this.renderCompetition();
+    }
   }
 
   /**
@@ -132,6 +265,7 @@ class CombinedEventsCalculator {
       // Clear existing options
       this.combinedEventSelect.innerHTML = '';
 
+      // Masters-only events (e.g., the throws pentathlon) are listed even without age factors
       const entries = Object.entries(combinedEvents);
 
       // Add options for each combined event
@@ -205,6 +339,60 @@ class CombinedEventsCalculator {
 
     this.currentCombinedEvent = selectedEvent;
 
+    // Offer the event's age groups, keeping the selected one where it is contested
+    await this.populateAgeGroupSelector();
+
+    await this.loadCombinedEvent();
+  }
+
+  /**
+   * Get the age group options for a combined event
+   * Masters age groups are marked when no age factors are published.
+   */
+  async getAgeGroupOptions(combinedEventKey) {
+    const options = [];
+    for (const ageGroup of await combinedEventsConfigLoader.getAgeGroups(this.currentGender, combinedEventKey)) {
+      const variant = await combinedEventsConfigLoader.getCombinedEvent(this.currentGender, combinedEventKey, ageGroup);
+      options.push(getAgeGroupOption(ageGroup, variant, this.hasAgeFactors));
+    }
+    return options;
+  }
+
+  /**
+   * Populate age group selector for the selected combined event
+   */
+  async populateAgeGroupSelector() {
+    const options = await this.getAgeGroupOptions(this.currentCombinedEvent);
+    const ageGroups = options.map(({ value }) => value);
+
+    this.ageGroupSelect.innerHTML = '';
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      this.ageGroupSelect.appendChild(option);
+    });
+
+    // Default to the open age group
+    if (!ageGroups.includes(this.currentAgeGroup)) {
+      this.currentAgeGroup = ageGroups.includes('Open') ? 'Open' : ageGroups[0] || null;
+    }
+    this.ageGroupSelect.value = this.currentAgeGroup || '';
+    this.ageGroupSelect.disabled = ageGroups.length < 2;
+  }
+
+  /**
+   * Handle age group selection change
+   */
+  async handleAgeGroupChange() {
+    this.currentAgeGroup = this.ageGroupSelect.value || null;
+    await this.loadCombinedEvent();
+  }
+
+  /**
+   * Load the selected combined event and age group, and reset the form
+   */
+  async loadCombinedEvent() {
     // Reset performances
     this.performances = {};
     this.totalScore = 0;
@@ -213,9 +401,24 @@ class CombinedEventsCalculator {
     // Load event configuration
     this.eventConfig = await combinedEventsConfigLoader.getCombinedEvent(
       this.currentGender,
-      this.currentCombinedEvent
+      this.currentCombinedEvent,
+      this.currentAgeGroup
     );
 
+    // Masters events are age-graded, so need the athlete's age - unless no factors are published
+    this.ageGroupOption = this.eventConfig
+      ? getAgeGroupOption(this.currentAgeGroup, this.eventConfig, this.hasAgeFactors)
+      : null;
+    this.mastersAgeGroup?.classList.toggle('hidden', !this.eventConfig?.ageGraded);
+    if (this.mastersAgeInput) {
+      this.mastersAgeInput.disabled = Boolean(this.ageGroupOption?.factorsUnavailable);
+    }
+    if (this.mastersAgeHelp) {
+      this.mastersAgeHelp.textContent = this.ageGroupOption?.factorsUnavailable
+        ? 'Age factors unavailable: no WMA age factor tables are published, so marks are scored without age grading.'
+        : 'Masters marks are age-graded with the WMA age factors before scoring.';
+    }
+
     // Generate event input fields
     await this.generateEventInputs();
 
@@ -224,8 +427,20 @@ class CombinedEventsCalculator {
     this.clearAllBtn.classList.remove('hidden');
     this.resultsContainer.classList.remove('hidden');
 
-    // Update progress
+    // Update progress and target plan
     this.updateProgress();
+    this.updatePlan();
+
+    // Competition grid columns follow the selected event
+    this.competitionEvents = await combinedEventsConfigLoader.getCombinedEventDetails(
+      this.currentGender,
+      this.currentCombinedEvent,
+      this.currentAgeGroup
+    );
+    if (this.mode === 'competition') {
+      this.saveCompetition();
+      this.renderCompetition();
+    }
   }
 
   /**
@@ -265,10 +480,7 @@ class CombinedEventsCalculator {
 
         // Generate inputs for this day
         for (const eventKey of dayEvents) {
-          const eventParams = await combinedEventsConfigLoader.getEventParameters(
-            this.currentGender,
-            eventKey
-          );
+          const eventParams = await this.getEventParameters(eventKey);
           const isHandTimeable = await combinedEventsConfigLoader.isHandTimeable(eventKey);
 
           if (eventParams) {
@@ -288,10 +500,7 @@ class CombinedEventsCalculator {
 
         // Generate inputs
         for (const eventKey of dayEvents) {
-          const eventParams = await combinedEventsConfigLoader.getEventParameters(
-            this.currentGender,
-            eventKey
-          );
+          const eventParams = await this.getEventParameters(eventKey);
           const isHandTimeable = await combinedEventsConfigLoader.isHandTimeable(eventKey);
 
           if (eventParams) {
@@ -337,6 +546,18 @@ class CombinedEventsCalculator {
 
     inputContainer.appendChild(input);
 
+    // PB input (planner mode)
+    const pbInput = document.createElement('input');
+    pbInput.type = 'text';
+    pbInput.id = `pb-${eventKey}`;
+    pbInput.className = 'form-input event-pb-input planner-only';
+    pbInput.setAttribute('data-event', eventKey);
+    pbInput.setAttribute('aria-label', `Personal best for ${eventParams.displayName}`);
+    pbInput.placeholder = 'PB';
+    pbInput.addEventListener('input', () => this.handlePlannerInput());
+
+    inputContainer.appendChild(pbInput);
+
     // Hand timing checkbox (if applicable)
     if (isHandTimeable) {
       const checkboxWrapper = document.createElement('div');
@@ -362,6 +583,20 @@ class CombinedEventsCalculator {
       inputContainer.appendChild(checkboxWrapper);
     }
 
+    // Target points input (score mode)
+    const targetInput = document.createElement('input');
+    targetInput.type = 'number';
+    targetInput.id = `target-${eventKey}`;
+    targetInput.className = 'form-input event-target-input score-only';
+    targetInput.min = '1';
+    targetInput.step = '1';
+    targetInput.setAttribute('data-event', eventKey);
+    targetInput.setAttribute('aria-label', `Target points for ${eventParams.displayName}`);
+    targetInput.placeholder = 'Target pts';
+    targetInput.addEventListener('input', () => this.handleTargetPointsInput(eventKey));
+
+    inputContainer.appendChild(targetInput);
+
     group.appendChild(inputContainer);
 
     // Score display
@@ -372,9 +607,90 @@ class CombinedEventsCalculator {
     scoreDisplay.textContent = '';
     group.appendChild(scoreDisplay);
 
+    // Required mark for the target points
+    const targetDisplay = document.createElement('div');
+    targetDisplay.className = 'event-score event-target score-only';
+    targetDisplay.id = `target-mark-${eventKey}`;
+    targetDisplay.setAttribute('aria-live', 'polite');
+    group.appendChild(targetDisplay);
+
     return group;
   }
 
+  /**
+   * Handle target points input change with debouncing
+   */
+  handleTargetPointsInput(eventKey) {
+    const timerKey = `target-${eventKey}`;
+    if (this.debounceTimers[timerKey]) {
+      clearTimeout(this.debounceTimers[timerKey]);
+    }
+
+    this.debounceTimers[timerKey] = setTimeout(() => {
+      this.processTargetPointsInput(eventKey);
+    }, 300);
+  }
+
+  /**
+   * Show the worst mark that still scores the target points
+   */
+  async processTargetPointsInput(eventKey) {
+    const input = document.getElementById(`target-${eventKey}`);
+    const targetDisplay = document.getElementById(`target-mark-${eventKey}`);
+
+    if (!input || !targetDisplay) return;
+
+    const targetValue = input.value.trim();
+    const points = Number(targetValue);
+
+    if (!targetValue) {
+      input.classList.remove('input-error');
+      targetDisplay.textContent = '';
+      targetDisplay.classList.remove('has-value');
+      return;
+    }
+
+    if (!Number.isInteger(points) || points < 1) {
+      input.classList.add('input-error');
+      targetDisplay.textContent = 'Enter whole points';
+      targetDisplay.classList.remove('has-value');
+      return;
+    }
+
+    const eventParams = await this.getEventParameters(eventKey);
+    if (!eventParams) return;
+
+    input.classList.remove('input-error');
+
+    const ageFactor = this.getAgeFactor(eventKey);
+    if (ageFactor.error) {
+      targetDisplay.textContent = ageFactor.error;
+      targetDisplay.classList.remove('has-value');
+      return;
+    }
+
+    const required = calculateRequiredPerformance(
+      points,
+      eventParams.parameters,
+      eventParams.measurement,
+      eventKey
+    );
+
+    if (required === null || required <= 0) {
+      targetDisplay.textContent = `${points} points is out of reach`;
+      targetDisplay.classList.remove('has-value');
+      return;
+    }
+
+    // Masters athletes need the mark that age-grades to the required one
+    const mark = ageFactor.factor
+      ? removeAgeGrade(required, ageFactor.factor, eventParams.measurement, eventKey)
+      : required;
+
+    targetDisplay.textContent = `${points} points needs ${formatPerformanceDisplay(mark, eventParams.measurement, eventKey)}`;
+    targetDisplay.classList.add('has-value');
+  }
+
   /**
    * Get placeholder text based on measurement type
    */
@@ -391,6 +707,66 @@ class CombinedEventsCalculator {
     }
   }
 
+  /**
+   * Get scoring parameters for an event in the selected combined event and age group
+   */
+  async getEventParameters(eventKey) {
+    return combinedEventsConfigLoader.getEventParameters(
+      this.currentGender,
+      eventKey,
+      this.currentCombinedEvent,
+      this.currentAgeGroup
+    );
+  }
+
+  /**
+   * Get the WMA age factor for an event in a masters age group
+   * @returns {Object} {factor} (null outside masters age groups), or {error} if there's no factor for the age
+   */
+  getAgeFactor(eventKey) {
+    if (!this.ageGroupOption?.ageGraded) {
+      return { factor: null };
+    }
+
+    const ageValue = this.mastersAgeInput?.value.trim();
+    const age = Number(ageValue);
+    if (!ageValue || !Number.isInteger(age) || age < 1) {
+      return { error: 'Enter your age' };
+    }
+
+    const factor = ageFactorsLoader.getAgeFactor(this.currentGender, getAgeFactorEventKey(eventKey), age);
+    return factor === null ? { error: `No age factor for age ${age}` } : { factor };
+  }
+
+  /**
+   * Handle masters age input change with debouncing
+   */
+  handleMastersAgeInput() {
+    if (this.debounceTimers.age) {
+      clearTimeout(this.debounceTimers.age);
+    }
+
+    this.debounceTimers.age = setTimeout(() => {
+      this.rescoreEvents();
+    }, 300);
+  }
+
+  /**
+   * Rescore every entered performance and target points for the masters age
+   */
+  async rescoreEvents() {
+    if (!this.eventConfig) return;
+
+    const ageValue = this.mastersAgeInput.value.trim();
+    const age = Number(ageValue);
+    this.mastersAgeInput.classList.toggle('input-error', Boolean(ageValue) && (!Number.isInteger(age) || age < 1));
+
+    for (const eventKey of this.eventConfig.events.flat()) {
+      await this.processPerformanceInput(eventKey);
+      await this.processTargetPointsInput(eventKey);
+    }
+  }
+
   /**
    * Handle performance input change with debouncing
    */
@@ -430,10 +806,7 @@ class CombinedEventsCalculator {
 
     try {
       // Get event parameters
-      const eventParams = await combinedEventsConfigLoader.getEventParameters(
-        this.currentGender,
-        eventKey
-      );
+      const eventParams = await this.getEventParameters(eventKey);
 
       if (!eventParams) return;
 
@@ -460,9 +833,24 @@ class CombinedEventsCalculator {
         performanceValue = applyHandTimingOffset(performanceValue, offset);
       }
 
+      // Masters marks are scored on their open-age equivalent
+      const ageFactor = this.getAgeFactor(eventKey);
+      if (ageFactor.error) {
+        input.classList.remove('input-error');
+        scoreDisplay.textContent = ageFactor.error;
+        scoreDisplay.classList.remove('has-value');
+        delete this.performances[eventKey];
+        this.calculateTotals();
+        return;
+      }
+
+      const ageGradedValue = ageFactor.factor
+        ? ageGradePerformance(performanceValue, ageFactor.factor, eventParams.measurement, eventKey)
+        : null;
+
       // Calculate score
       const score = calculateEventScore(
-        performanceValue,
+        ageGradedValue ?? performanceValue,
         eventParams.parameters,
         eventParams.measurement
       );
@@ -472,12 +860,15 @@ class CombinedEventsCalculator {
         value: performanceValue,
         isHandTimed,
         score,
-        inputValue
+        inputValue,
+        ageGradedValue
       };
 
       // Update UI
       input.classList.remove('input-error');
-      scoreDisplay.textContent = `${score} points`;
+      scoreDisplay.textContent = ageGradedValue === null
+        ? `${score} points`
+        : `${score} points (age-graded ${formatPerformanceDisplay(ageGradedValue, eventParams.measurement, eventKey)})`;
       scoreDisplay.classList.add('has-value');
 
       // Recalculate totals
@@ -513,6 +904,151 @@ class CombinedEventsCalculator {
 
     // Update final score
     this.updateFinalScore();
+
+    // Update target plan
+    this.updatePlan();
+  }
+
+  /**
+   * Handle target total or PB input change with debouncing
+   */
+  handlePlannerInput() {
+    if (this.debounceTimers.planner) {
+      clearTimeout(this.debounceTimers.planner);
+    }
+
+    this.debounceTimers.planner = setTimeout(() => {
+      this.updatePlan();
+    }, 300);
+  }
+
+  /**
+   * Update the target plan (planner mode)
+   * Completed events are locked at their score; the rest share the points still needed
+   */
+  async updatePlan() {
+    if (this.mode !== 'planner' || !this.eventConfig || !this.plannerContent) return;
+
+    const targetValue = this.targetInput.value.trim();
+    const target = Number(targetValue);
+    this.targetInput.classList.remove('input-error');
+
+    if (!targetValue) {
+      this.plannerContent.innerHTML = '<p>Enter a target total to see the marks needed in each event</p>';
+      return;
+    }
+
+    if (!Number.isInteger(target) || target < 1) {
+      this.targetInput.classList.add('input-error');
+      this.plannerContent.innerHTML = '<p>Target total must be a whole number of points</p>';
+      return;
+    }
+
+    const events = [];
+    for (const eventKey of this.eventConfig.events.flat()) {
+      const eventParams = await this.getEventParameters(eventKey);
+      if (!eventParams) continue;
+
+      const ageFactor = this.getAgeFactor(eventKey);
+      if (ageFactor.error) {
+        this.plannerContent.innerHTML = `<p>${ageFactor.error} to plan a masters total</p>`;
+        return;
+      }
+
+      const pbInput = document.getElementById(`pb-${eventKey}`);
+      const pbValue = pbInput?.value.trim();
+      let pb = null;
+      if (pbValue) {
+        pb = convertPerformanceToValue(pbValue, eventParams.measurement, eventKey);
+        const isValid = pb !== null && validatePerformance(pb);
+        pbInput.classList.toggle('input-error', !isValid);
+        if (!isValid) pb = null;
+        if (pb !== null && ageFactor.factor) {
+          pb = ageGradePerformance(pb, ageFactor.factor, eventParams.measurement, eventKey);
+        }
+      } else {
+        pbInput?.classList.remove('input-error');
+      }
+
+      events.push({
+        key: eventKey,
+        displayName: eventParams.displayName,
+        parameters: eventParams.parameters,
+        measurement: eventParams.measurement,
+        score: this.performances[eventKey]?.score ?? null,
+        pb,
+        ageFactor: ageFactor.factor
+      });
+    }
+
+    this.renderPlan(planTarget(target, events));
+  }
+
+  /**
+   * Render the target plan
+   */
+  renderPlan(plan) {
+    const remaining = plan.events.filter(event => !event.locked).length;
+    let summary;
+    if (plan.achieved) {
+      summary = `Target reached: ${plan.lockedPoints} points from completed events`;
+    } else if (remaining === 0) {
+      summary = `All events completed, ${plan.target - plan.lockedPoints} points short of the target`;
+    } else {
+      summary = `${plan.remainingPoints} points needed from ${remaining} remaining event${remaining === 1 ? '' : 's'}`;
+    }
+
+    let html = `<p class="planner-summary">${summary}</p>`;
+    html += `
+      <div class="history-table-container">
+        <table class="history-table planner-table">
+          <thead>
+            <tr>
+              <th>Event</th>
+              <th>Points</th>
+              <th>Mark</th>
+              <th>vs PB</th>
+            </tr>
+          </thead>
+          <tbody>
+    `;
+
+    for (const event of plan.events) {
+      let mark;
+      let versusPb = '';
+      if (event.locked) {
+        const completed = this.performances[event.key].value;
+        mark = `${formatPerformanceDisplay(completed, event.measurement, event.key)} (completed)`;
+      } else if (event.required === null) {
+        mark = event.points > 0 ? 'Out of reach' : 'Any mark';
+      } else {
+        const required = event.ageFactor
+          ? removeAgeGrade(event.required, event.ageFactor, event.measurement, event.key)
+          : event.required;
+        mark = formatPerformanceDisplay(required, event.measurement, event.key);
+      }
+
+      if (!event.locked && event.pbPoints !== null) {
+        const difference = event.points - event.pbPoints;
+        versusPb = difference > 0 ? `+${difference}` : `${difference}`;
+      }
+
+      html += `
+            <tr class="planner-row${event.locked ? ' planner-row--locked' : ''}">
+              <td>${event.displayName}</td>
+              <td>${event.points}</td>
+              <td>${mark}</td>
+              <td>${versusPb}</td>
+            </tr>
+      `;
+    }
+
+    html += `
+          </tbody>
+        </table>
+      </div>
+    `;
+    this.plannerContent.innerHTML = html;
   }
 
   /**
@@ -551,10 +1087,7 @@ class CombinedEventsCalculator {
         runningTotal += perf.score;
 
         // Get the display name for the event
-        const eventParams = await combinedEventsConfigLoader.getEventParameters(
-          this.currentGender,
-          eventKey
-        );
+        const eventParams = await this.getEventParameters(eventKey);
         const displayName = eventParams ? eventParams.displayName : eventKey;
 
         html += `
@@ -607,10 +1140,7 @@ class CombinedEventsCalculator {
       const perf = this.performances[eventKey];
       if (perf && perf.score !== undefined) {
         // Get the display name for the event
-        const eventParams = await combinedEventsConfigLoader.getEventParameters(
-          this.currentGender,
-          eventKey
-        );
+        const eventParams = await this.getEventParameters(eventKey);
         const displayName = eventParams ? eventParams.displayName : eventKey;
 
         html += `
@@ -637,6 +1167,13 @@ class CombinedEventsCalculator {
       input.classList.remove('input-error');
     });
 
+    // Clear all PB and target points inputs
+    const pbInputs = this.daysContainer.querySelectorAll('.event-pb-input, .event-target-input');
+    pbInputs.forEach(input => {
+      input.value = '';
+      input.classList.remove('input-error');
+    });
+
     // Clear all checkboxes
     const checkboxes = this.daysContainer.querySelectorAll('.hand-timing-checkbox');
     checkboxes.forEach(checkbox => {
@@ -659,6 +1196,285 @@ class CombinedEventsCalculator {
     this.calculateTotals();
   }
 
+  /**
+   * Load a saved competition from localStorage
+   * @returns {Object} Saved competition, or an empty field
+   */
+  loadCompetition() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.competitionStorageKey));
+      if (data && Array.isArray(data.athletes)) {
+        return data;
+      }
+    } catch (error) {
+      console.error('Error loading competition:', error);
+    }
+    return { athletes: [] };
+  }
+
+  /**
+   * Save the competition to localStorage
+   */
+  saveCompetition() {
+    this.competition.gender = this.currentGender;
+    this.competition.combinedEvent = this.currentCombinedEvent;
+    this.competition.ageGroup = this.currentAgeGroup;
+
+    try {
+      localStorage.setItem(this.competitionStorageKey, JSON.stringify(this.competition));
+    } catch (error) {
+      console.error('Error saving competition:', error);
+    }
+  }
+
+  /**
+   * Restore a saved competition: its gender, combined event, age group and field
+   */
+  async restoreCompetition() {
+    const saved = this.loadCompetition();
+    if (saved.athletes.length === 0) return;
+
+    if (saved.gender && saved.gender !== this.currentGender) {
+      await this.handleGenderToggle(saved.gender);
+    }
+
+    const hasEvent = [...this.combinedEventSelect.options].some(option => option.value === saved.combinedEvent);
+    if (hasEvent && saved.combinedEvent !== this.currentCombinedEvent) {
+      this.combinedEventSelect.value = saved.combinedEvent;
+      await this.handleCombinedEventChange();
+    }
+
+    const hasAgeGroup = [...this.ageGroupSelect.options].some(option => option.value === saved.ageGroup);
+    if (hasAgeGroup && saved.ageGroup !== this.currentAgeGroup) {
+      this.ageGroupSelect.value = saved.ageGroup;
+      await this.handleAgeGroupChange();
+    }
+
+    this.competition = saved;
+    this.handleModeToggle('competition');
+  }
+
+  /**
+   * Add an athlete to the competition
+   */
+  handleAddAthlete() {
+    const name = this.competitionAthleteInput.value.trim();
+    if (!name) {
+      this.competitionAthleteInput.classList.add('input-error');
+      return;
+    }
+
+    this.competitionAthleteInput.classList.remove('input-error');
+    this.competition.athletes.push({
+      id: `ath-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name,
+      marks: {},
+      pbs: {}
+    });
+    this.saveCompetition();
+    this.renderCompetition();
+
+    this.competitionAthleteInput.value = '';
+    this.competitionAthleteInput.focus();
+  }
+
+  /**
+   * Remove an athlete from the competition
+   */
+  handleRemoveAthlete(athleteId) {
+    this.competition.athletes = this.competition.athletes.filter(athlete => athlete.id !== athleteId);
+    this.saveCompetition();
+    this.renderCompetition();
+  }
+
+  /**
+   * Clear the whole competition
+   */
+  handleClearCompetition() {
+    if (this.competition.athletes.length === 0) return;
+    if (!window.confirm('Clear every athlete and result from the competition?')) return;
+
+    this.competition.athletes = [];
+    this.saveCompetition();
+    this.renderCompetition();
+  }
+
+  /**
+   * Handle a result or PB entered in the competition grid
+   */
+  handleCompetitionInput(athleteId, eventKey, value) {
+    const athlete = this.competition.athletes.find(a => a.id === athleteId);
+    if (!athlete) return;
+
+    const entries = athlete[this.competitionEntrySelect.value];
+    if (value.trim()) {
+      entries[eventKey] = value.trim();
+    } else {
+      delete entries[eventKey];
+    }
+    this.saveCompetition();
+
+    if (this.debounceTimers.competition) {
+      clearTimeout(this.debounceTimers.competition);
+    }
+    this.debounceTimers.competition = setTimeout(() => {
+      this.updateCompetitionStandings();
+    }, 300);
+  }
+
+  /**
+   * Render the competition grid (athletes × events)
+   */
+  renderCompetition() {
+    if (this.mode !== 'competition' || !this.competitionTableBody) return;
+
+    const entrySet = this.competitionEntrySelect.value;
+    const dayStarts = new Set((this.eventConfig?.events || []).slice(1).map(day => day[0]));
+
+    // Header
+    const headerRow = document.createElement('tr');
+    const headings = [
+      { text: 'Athlete' },
+      ...this.competitionEvents.map(event => ({ text: event.displayName, dayStart: dayStarts.has(event.key) })),
+      { text: 'Total' },
+      { text: 'Pos' },
+      { text: 'Behind' },
+      { text: 'Projected' },
+      { text: '' }
+    ];
+    headings.forEach(({ text, dayStart }) => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      if (dayStart) th.className = 'competition-table__day-start';
+      headerRow.appendChild(th);
+    });
+    this.competitionTableHead.innerHTML = '';
+    this.competitionTableHead.appendChild(headerRow);
+
+    // One row per athlete, in the order they were added
+    this.competitionTableBody.innerHTML = '';
+    this.competition.athletes.forEach(athlete => {
+      const row = document.createElement('tr');
+      row.className = 'competition-row';
+
+      const nameCell = document.createElement('td');
+      nameCell.className = 'competition-row__name';
+      nameCell.textContent = athlete.name;
+      row.appendChild(nameCell);
+
+      this.competitionEvents.forEach(event => {
+        const cell = document.createElement('td');
+        if (dayStarts.has(event.key)) cell.className = 'competition-table__day-start';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-input competition-input';
+        input.id = `competition-${athlete.id}-${event.key}`;
+        input.value = athlete[entrySet][event.key] || '';
+        input.placeholder = entrySet === 'pbs' ? 'PB' : '';
+        input.setAttribute('aria-label', `${entrySet === 'pbs' ? 'PB' : 'Result'} for ${athlete.name} in ${event.displayName}`);
+        input.addEventListener('input', () => this.handleCompetitionInput(athlete.id, event.key, input.value));
+
+        const info = document.createElement('div');
+        info.className = 'competition-cell__info';
+        info.id = `competition-${athlete.id}-${event.key}-info`;
+
+        cell.appendChild(input);
+        cell.appendChild(info);
+        row.appendChild(cell);
+      });
+
+      ['total', 'position', 'behind', 'projected'].forEach(field => {
+        const cell = document.createElement('td');
+        cell.className = `competition-row__${field}`;
+        cell.id = `competition-${athlete.id}-${field}`;
+        row.appendChild(cell);
+      });
+
+      const removeCell = document.createElement('td');
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'history-delete-btn';
+      removeBtn.textContent = '×';
+      removeBtn.setAttribute('aria-label', `Remove ${athlete.name}`);
+      removeBtn.addEventListener('click', () => this.handleRemoveAthlete(athlete.id));
+      removeCell.appendChild(removeBtn);
+      row.appendChild(removeCell);
+
+      this.competitionTableBody.appendChild(row);
+    });
+
+    this.competitionEmpty?.classList.toggle('hidden', this.competition.athletes.length > 0);
+    this.updateCompetitionStandings();
+  }
+
+  /**
+   * Convert an athlete's entered results or PBs to scoring values
+   * @returns {Object} { eventKey: value } - invalid entries are left out and flagged
+   */
+  getCompetitionValues(athlete, entrySet, flagErrors) {
+    const values = {};
+
+    this.competitionEvents.forEach(event => {
+      const entered = athlete[entrySet][event.key];
+      const value = entered ? convertPerformanceToValue(entered, event.measurement, event.key) : null;
+      const isValid = value !== null && validatePerformance(value);
+
+      if (isValid) {
+        values[event.key] = value;
+      }
+      if (flagErrors) {
+        document.getElementById(`competition-${athlete.id}-${event.key}`)
+          ?.classList.toggle('input-error', Boolean(entered) && !isValid);
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Update points, running totals, positions and projections in the grid
+   */
+  updateCompetitionStandings() {
+    if (this.mode !== 'competition' || this.competition.athletes.length === 0) return;
+
+    const entrySet = this.competitionEntrySelect.value;
+    const standings = scoreCompetition(
+      this.competition.athletes.map(athlete => ({
+        id: athlete.id,
+        marks: this.getCompetitionValues(athlete, 'marks', entrySet === 'marks'),
+        pbs: this.getCompetitionValues(athlete, 'pbs', entrySet === 'pbs')
+      })),
+      this.competitionEvents
+    );
+
+    standings.athletes.forEach(athlete => {
+      this.competitionEvents.forEach((event, index) => {
+        const info = document.getElementById(`competition-${athlete.id}-${event.key}-info`);
+        if (!info) return;
+
+        if (entrySet === 'pbs') {
+          const pb = athlete.pbs[event.key];
+          info.textContent = pb ? `${calculateEventScore(pb, event.parameters, event.measurement)} pts` : '';
+        } else if (athlete.scores[index] !== null) {
+          // Points, then the running total and position after this event
+          info.textContent = `${athlete.scores[index]} pts · ${athlete.totals[index]} (${formatPlace(athlete.positions[index])})`;
+        } else {
+          info.textContent = '';
+        }
+      });
+
+      const setCell = (field, value) => {
+        const cell = document.getElementById(`competition-${athlete.id}-${field}`);
+        if (cell) cell.textContent = value;
+      };
+      setCell('total', standings.eventsCompleted > 0 ? athlete.total : '');
+      setCell('position', standings.eventsCompleted > 0 ? formatPlace(athlete.position) : '');
+      setCell('behind', standings.eventsCompleted > 0 ? (athlete.behind > 0 ? `-${athlete.behind}` : '-') : '');
+      setCell('projected', athlete.projected > 0 ? athlete.projected : '');
+    });
+  }
+
   /**
    * Hide form
    */
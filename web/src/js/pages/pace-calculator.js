@@ -6,11 +6,21 @@
 import { Navigation } from '../components/navigation.js';
 import { PaceCalculatorBase } from '../components/pace-calculator-base.js';
 import { createIcon } from '../components/icon.js';
+import { RacePredictionPanel } from '../components/race-prediction-panel.js';
+import { TrainingZonesPanel } from '../components/training-zones-panel.js';
+import { PacingStrategyPanel } from '../components/pacing-strategy-panel.js';
+import { TrackSplitsPanel } from '../components/track-splits-panel.js';
+import { CourseAdjustmentPanel } from '../components/course-adjustment-panel.js';
+import { ActivityAnalysisPanel } from '../components/activity-analysis-panel.js';
+import { WorkoutBuilderPanel } from '../components/workout-builder-panel.js';
+import { TreadmillPanel } from '../components/treadmill-panel.js';
 import {
   calculatePace,
   calculateTotalTime,
   getDistanceInMetres,
-  getEquivalentPaces
+  getEquivalentPaces,
+  getCumulativeTimeFraction,
+  EVEN_PACING
 } from '../calculators/pace-calculations.js';
 import {
   parseTimeInput,
@@ -34,17 +44,93 @@ class PaceCalculator extends PaceCalculatorBase {
     // History storage key
     this.historyStorageKey = 'athleticsUtils.paceHistory';
     this.maxHistoryEntries = 10;
+
+    // Event categories offered as track distances (flat races only)
+    this.trackCategories = ['sprints', 'middle_distance', 'long_distance'];
+
+    // Mode panels render into this calculator's results and history
+    this.predictionPanel = new RacePredictionPanel({
+      distanceSelect: '#distance-select-predict',
+      timeInput: '#time-input-predict',
+      genderSelect: '#gender-select-predict',
+      riegelExponentInput: '#riegel-exponent-input',
+      modelCheckboxes: '.prediction-models input[type="checkbox"]',
+      calculateBtn: '#calculate-btn-predict'
+    }, this);
+    this.trainingZonesPanel = new TrainingZonesPanel(this);
+    this.pacingPanel = new PacingStrategyPanel({
+      strategySelect: '#pacing-strategy-select',
+      percentGroup: '#pacing-percent-group',
+      percentInput: '#pacing-percent-input',
+      curveGroup: '#pacing-curve-group',
+      curveInput: '#pacing-curve-input'
+    }, this);
+    this.trackPanel = new TrackSplitsPanel({
+      trackSelect: '#track-select',
+      distanceSelect: '#distance-select-track',
+      distanceInput: '#distance-input-track',
+      timeInput: '#time-input-track',
+      laneSelect: '#lane-select-track',
+      laneHelp: '#lane-help-track',
+      calculateBtn: '#calculate-btn-track'
+    }, this);
+    this.coursePanel = new CourseAdjustmentPanel({
+      ascentInput: '#ascent-input',
+      descentInput: '#descent-input',
+      profileHelp: '#course-profile-help',
+      profileInput: '#elevation-profile-input',
+      profileClear: '#elevation-profile-clear',
+      temperatureInput: '#temperature-input',
+      dewPointInput: '#dew-point-input',
+      temperatureUnitSelect: '#temperature-unit-select'
+    }, this);
+    this.activityPanel = new ActivityAnalysisPanel({
+      fileInput: '#activity-file-input',
+      fileHelp: '#activity-file-help',
+      planInput: '#activity-plan-input',
+      splitUnitSelect: '#activity-split-unit-select',
+      calculateBtn: '#calculate-btn-analyse'
+    }, this);
+    this.workoutPanel = new WorkoutBuilderPanel({
+      repsInput: '#workout-reps-input',
+      distanceInput: '#workout-distance-input',
+      distanceUnitSelect: '#workout-distance-unit-select',
+      targetInput: '#workout-target-input',
+      targetUnitSelect: '#workout-target-unit-select',
+      recoveryInput: '#workout-recovery-input',
+      recoveryTypeSelect: '#workout-recovery-type-select',
+      warmUpInput: '#workout-warmup-input',
+      coolDownInput: '#workout-cooldown-input',
+      easyPaceInput: '#workout-easy-pace-input',
+      easyPaceUnitSelect: '#workout-easy-pace-unit-select',
+      genderSelect: '#gender-select-workout',
+      calculateBtn: '#calculate-btn-workout'
+    }, this);
+    this.treadmillPanel = new TreadmillPanel({
+      paceInput: '#pace-input-treadmill',
+      paceUnitSelect: '#pace-unit-select-treadmill',
+      inclineInput: '#incline-input-treadmill',
+      speedIncrementSelect: '#speed-increment-select-treadmill',
+      inclineTableInput: '#incline-table-input',
+      calculateBtn: '#calculate-btn-treadmill'
+    }, this);
   }
 
   /**
    * Initialize DOM elements
    */
   initializeElements() {
-    // Calculation mode toggle buttons (Pace / Total Time)
+    // Calculation mode toggle buttons (Pace / Total Time / Predict / Track / Analyse / Workout / Treadmill)
     this.paceModeBtn = document.getElementById('mode-toggle-pace');
     this.timeModeBtn = document.getElementById('mode-toggle-time');
-
-    // Standard/Advanced mode toggle buttons
+    this.predictModeBtn = document.getElementById('mode-toggle-predict');
+    this.trackModeBtn = document.getElementById('mode-toggle-track');
+    this.analyseModeBtn = document.getElementById('mode-toggle-analyse');
+    this.workoutModeBtn = document.getElementById('mode-toggle-workout');
+    this.treadmillModeBtn = document.getElementById('mode-toggle-treadmill');
+
+    // Standard/Advanced mode toggle buttons (Pace and Total Time only)
+    this.subModeGroup = document.getElementById('submode-group');
     this.standardModeBtn = document.getElementById('mode-toggle-standard');
     this.advancedModeBtn = document.getElementById('mode-toggle-advanced');
 
@@ -84,6 +170,27 @@ class PaceCalculator extends PaceCalculatorBase {
     this.distanceEquivalentTimeAdvanced = document.getElementById('distance-equivalent-time-advanced');
     this.calculateBtnTimeAdvanced = document.getElementById('calculate-btn-time-advanced');
 
+    // Pacing strategy elements (inputs are read by the pacing panel)
+    this.pacingControls = document.getElementById('pacing-controls');
+
+    // Course adjustment elements (inputs are read by the course panel)
+    this.courseControls = document.getElementById('course-controls');
+
+    // Track lap splits mode elements (inputs are read by the track panel)
+    this.trackControls = document.getElementById('track-controls');
+
+    // Activity analysis mode elements (inputs are read by the activity panel)
+    this.analyseControls = document.getElementById('analyse-controls');
+
+    // Interval workout builder elements (inputs are read by the workout panel)
+    this.workoutControls = document.getElementById('workout-controls');
+
+    // Treadmill mode elements (inputs are read by the treadmill panel)
+    this.treadmillControls = document.getElementById('treadmill-controls');
+
+    // Race prediction mode elements (inputs are read by the prediction panel)
+    this.predictControls = document.getElementById('predict-controls');
+
     // Results
     this.resultsContent = document.getElementById('results-content');
 
@@ -100,6 +207,15 @@ class PaceCalculator extends PaceCalculatorBase {
     // Set default distance to 5km
     this.setDefaultDistance();
 
+    // Mode panels
+    this.pacingPanel.initialize();
+    this.coursePanel.initialize();
+    this.predictionPanel.initialize();
+    this.trackPanel.initialize();
+    this.activityPanel.initialize();
+    this.workoutPanel.initialize();
+    this.treadmillPanel.initialize();
+
     // Setup event listeners
     this.setupEventListeners();
 
@@ -133,14 +249,20 @@ class PaceCalculator extends PaceCalculatorBase {
    * Apply current mode state to UI
    */
   applyModeState() {
-    // Update calculation mode buttons (Pace / Total Time)
-    if (this.currentMode === 'pace') {
-      this.paceModeBtn.classList.add('mode-toggle__option--active');
-      this.timeModeBtn.classList.remove('mode-toggle__option--active');
-    } else {
-      this.timeModeBtn.classList.add('mode-toggle__option--active');
-      this.paceModeBtn.classList.remove('mode-toggle__option--active');
-    }
+    // Update calculation mode buttons (Pace / Total Time / Predict / Track / Analyse / Workout / Treadmill)
+    this.paceModeBtn.classList.toggle('mode-toggle__option--active', this.currentMode === 'pace');
+    this.timeModeBtn.classList.toggle('mode-toggle__option--active', this.currentMode === 'totalTime');
+    this.predictModeBtn.classList.toggle('mode-toggle__option--active', this.currentMode === 'predict');
+    this.trackModeBtn.classList.toggle('mode-toggle__option--active', this.currentMode === 'track');
+    this.analyseModeBtn.classList.toggle('mode-toggle__option--active', this.currentMode === 'analyse');
+    this.workoutModeBtn.classList.toggle('mode-toggle__option--active', this.currentMode === 'workout');
+    this.treadmillModeBtn.classList.toggle('mode-toggle__option--active', this.currentMode === 'treadmill');
+
+    // Only Pace and Total Time have Standard/Advanced distances; predictions, workouts
+    // and treadmill settings have no splits
+    this.subModeGroup.classList.toggle('hidden', this.currentMode !== 'pace' && this.currentMode !== 'totalTime');
+    this.pacingControls.classList.toggle('hidden', ['predict', 'workout', 'treadmill'].includes(this.currentMode));
+    this.courseControls.classList.toggle('hidden', this.currentMode !== 'pace' && this.currentMode !== 'totalTime');
 
     // Update Standard/Advanced buttons based on current calculation mode
     const currentSubMode = this.currentMode === 'pace' ? this.currentPaceMode : this.currentTimeMode;
@@ -165,9 +287,24 @@ class PaceCalculator extends PaceCalculatorBase {
     this.paceAdvancedControls.classList.add('hidden');
     this.timeStandardControls.classList.add('hidden');
     this.timeAdvancedControls.classList.add('hidden');
+    this.predictControls.classList.add('hidden');
+    this.trackControls.classList.add('hidden');
+    this.analyseControls.classList.add('hidden');
+    this.workoutControls.classList.add('hidden');
+    this.treadmillControls.classList.add('hidden');
 
     // Show the appropriate control group
-    if (this.currentMode === 'pace') {
+    if (this.currentMode === 'predict') {
+      this.predictControls.classList.remove('hidden');
+    } else if (this.currentMode === 'track') {
+      this.trackControls.classList.remove('hidden');
+    } else if (this.currentMode === 'analyse') {
+      this.analyseControls.classList.remove('hidden');
+    } else if (this.currentMode === 'workout') {
+      this.workoutControls.classList.remove('hidden');
+    } else if (this.currentMode === 'treadmill') {
+      this.treadmillControls.classList.remove('hidden');
+    } else if (this.currentMode === 'pace') {
       if (this.currentPaceMode === 'standard') {
         this.paceStandardControls.classList.remove('hidden');
       } else {
@@ -253,9 +390,14 @@ class PaceCalculator extends PaceCalculatorBase {
    * Setup event listeners
    */
   setupEventListeners() {
-    // Calculation mode toggle (Pace / Total Time)
+    // Calculation mode toggle (Pace / Total Time / Predict / Track / Analyse / Workout / Treadmill)
     this.paceModeBtn.addEventListener('click', () => this.switchMode('pace'));
     this.timeModeBtn.addEventListener('click', () => this.switchMode('totalTime'));
+    this.predictModeBtn.addEventListener('click', () => this.switchMode('predict'));
+    this.trackModeBtn.addEventListener('click', () => this.switchMode('track'));
+    this.analyseModeBtn.addEventListener('click', () => this.switchMode('analyse'));
+    this.workoutModeBtn.addEventListener('click', () => this.switchMode('workout'));
+    this.treadmillModeBtn.addEventListener('click', () => this.switchMode('treadmill'));
 
     // Standard/Advanced mode toggle
     this.standardModeBtn.addEventListener('click', () => this.switchSubMode('standard'));
@@ -299,32 +441,14 @@ class PaceCalculator extends PaceCalculatorBase {
   }
 
   /**
-   * Switch between calculation modes (Pace / Total Time)
+   * Switch between calculation modes (Pace / Total Time / Predict)
    */
   switchMode(mode) {
     this.currentMode = mode;
 
-    // Update calculation mode buttons
-    if (mode === 'pace') {
-      this.paceModeBtn.classList.add('mode-toggle__option--active');
-      this.timeModeBtn.classList.remove('mode-toggle__option--active');
-    } else {
-      this.timeModeBtn.classList.add('mode-toggle__option--active');
-      this.paceModeBtn.classList.remove('mode-toggle__option--active');
-    }
-
-    // Update Standard/Advanced toggle to reflect the mode for this calculation type
-    const currentSubMode = mode === 'pace' ? this.currentPaceMode : this.currentTimeMode;
-    if (currentSubMode === 'standard') {
-      this.standardModeBtn.classList.add('mode-toggle__option--active');
-      this.advancedModeBtn.classList.remove('mode-toggle__option--active');
-    } else {
-      this.advancedModeBtn.classList.add('mode-toggle__option--active');
-      this.standardModeBtn.classList.remove('mode-toggle__option--active');
-    }
-
-    // Update control visibility
-    this.updateControlVisibility();
+    // Update mode buttons, the Standard/Advanced toggle for this calculation type
+    // and control visibility
+    this.applyModeState();
 
     // Save state and clear results
     this.saveState();
@@ -456,6 +580,13 @@ class PaceCalculator extends PaceCalculatorBase {
     try {
       this.hideError();
 
+      const pacing = this.pacingPanel.getPacing();
+      const courseAdjustments = pacing && this.coursePanel.getAdjustments();
+      if (!pacing || !courseAdjustments) {
+        this.hideResults();
+        return;
+      }
+
       let timeInput, paceUnitSelect, distanceMetres, distanceDisplayName;
 
       if (subMode === 'standard') {
@@ -489,7 +620,7 @@ class PaceCalculator extends PaceCalculatorBase {
         const paceUnit = paceUnitSelect.value;
 
         const paceSeconds = calculatePace(distanceMetres, totalTimeSeconds, paceUnit);
-        this.displayPaceResults(paceSeconds, paceUnit, distanceMetres, eventConfig, totalTimeSeconds);
+        this.displayPaceResults(paceSeconds, paceUnit, distanceMetres, eventConfig, totalTimeSeconds, null, pacing, courseAdjustments);
 
         this.saveToHistory({
           mode: 'pace',
@@ -569,7 +700,7 @@ class PaceCalculator extends PaceCalculatorBase {
           metres: paceIntervalMetres
         };
 
-        this.displayPaceResults(paceSeconds, null, distanceMetres, eventConfig, totalTimeSeconds, paceIntervalInfo);
+        this.displayPaceResults(paceSeconds, null, distanceMetres, eventConfig, totalTimeSeconds, paceIntervalInfo, pacing, courseAdjustments);
 
         const intervalText = parseFloat(paceIntervalValue) === 1 ? '' : paceIntervalValue;
         this.saveToHistory({
@@ -595,6 +726,13 @@ class PaceCalculator extends PaceCalculatorBase {
     try {
       this.hideError();
 
+      const pacing = this.pacingPanel.getPacing();
+      const courseAdjustments = pacing && this.coursePanel.getAdjustments();
+      if (!pacing || !courseAdjustments) {
+        this.hideResults();
+        return;
+      }
+
       let paceInput, paceUnitSelect, distanceMetres, distanceDisplayName;
 
       if (subMode === 'standard') {
@@ -628,7 +766,7 @@ class PaceCalculator extends PaceCalculatorBase {
         const paceUnit = paceUnitSelect.value;
 
         const totalTimeSeconds = calculateTotalTime(distanceMetres, paceSeconds, paceUnit);
-        this.displayTimeResults(totalTimeSeconds, paceSeconds, paceUnit, distanceMetres, eventConfig);
+        this.displayTimeResults(totalTimeSeconds, paceSeconds, paceUnit, distanceMetres, eventConfig, null, pacing, courseAdjustments);
 
         this.saveToHistory({
           mode: 'totalTime',
@@ -708,7 +846,7 @@ class PaceCalculator extends PaceCalculatorBase {
           metres: paceIntervalMetres
         };
 
-        this.displayTimeResults(totalTimeSeconds, paceSeconds, null, distanceMetres, eventConfig, paceIntervalInfo);
+        this.displayTimeResults(totalTimeSeconds, paceSeconds, null, distanceMetres, eventConfig, paceIntervalInfo, pacing, courseAdjustments);
 
         const intervalText = parseFloat(paceIntervalValue) === 1 ? '' : paceIntervalValue;
         this.saveToHistory({
@@ -730,7 +868,7 @@ class PaceCalculator extends PaceCalculatorBase {
   /**
    * Display pace calculation results
    */
-  displayPaceResults(paceSeconds, paceUnit, distanceMetres, eventConfig, totalTimeSeconds, paceIntervalInfo = null) {
+  displayPaceResults(paceSeconds, paceUnit, distanceMetres, eventConfig, totalTimeSeconds, paceIntervalInfo = null, pacing = EVEN_PACING, courseAdjustments = {}) {
     this.resultsContent.innerHTML = '';
 
     // Determine display format based on whether we have custom pace interval
@@ -823,8 +961,12 @@ class PaceCalculator extends PaceCalculatorBase {
 
     // Splits - use custom interval if provided
     const splitIntervalMetres = paceIntervalInfo ? paceIntervalInfo.metres : 1000;
-    const splits = this.calculateCustomSplits(distanceMetres, pacePerKm, eventConfig, splitIntervalMetres, paceIntervalInfo);
-    this.displaySplits(splits);
+    const splits = this.calculateCustomSplits(distanceMetres, pacePerKm, eventConfig, splitIntervalMetres, paceIntervalInfo, pacing);
+    const adjusted = this.coursePanel.render(splits, courseAdjustments, paceIntervalInfo, paceUnit);
+    this.displaySplits(splits, adjusted ? adjusted.splits : null);
+
+    // Training paces for the time as a race result
+    this.trainingZonesPanel.render(distanceMetres, totalTimeSeconds);
 
     this.showResults();
   }
@@ -832,7 +974,7 @@ class PaceCalculator extends PaceCalculatorBase {
   /**
    * Display total time calculation results
    */
-  displayTimeResults(totalTimeSeconds, paceSeconds, paceUnit, distanceMetres, eventConfig, paceIntervalInfo = null) {
+  displayTimeResults(totalTimeSeconds, paceSeconds, paceUnit, distanceMetres, eventConfig, paceIntervalInfo = null, pacing = EVEN_PACING, courseAdjustments = {}) {
     this.resultsContent.innerHTML = '';
 
     // Determine display format based on whether we have custom pace interval
@@ -925,18 +1067,21 @@ class PaceCalculator extends PaceCalculatorBase {
 
     // Splits - use custom interval if provided
     const splitIntervalMetres = paceIntervalInfo ? paceIntervalInfo.metres : 1000;
-    const splits = this.calculateCustomSplits(distanceMetres, pacePerKm, eventConfig, splitIntervalMetres, paceIntervalInfo);
-    this.displaySplits(splits);
+    const splits = this.calculateCustomSplits(distanceMetres, pacePerKm, eventConfig, splitIntervalMetres, paceIntervalInfo, pacing);
+    const adjusted = this.coursePanel.render(splits, courseAdjustments, paceIntervalInfo, paceUnit);
+    this.displaySplits(splits, adjusted ? adjusted.splits : null);
 
     this.showResults();
   }
 
   /**
    * Calculate split times at custom intervals
+   * Cumulative times follow the pacing strategy and the final split is the finish time.
    */
-  calculateCustomSplits(distanceMetres, pacePerKm, eventConfig, splitIntervalMetres, paceIntervalInfo) {
+  calculateCustomSplits(distanceMetres, pacePerKm, eventConfig, splitIntervalMetres, paceIntervalInfo, pacing = EVEN_PACING) {
     const splits = [];
     let currentDistanceMetres = 0;
+    const totalTime = (distanceMetres / 1000) * pacePerKm;
 
     // Calculate split interval unit for display
     const splitUnit = paceIntervalInfo ? paceIntervalInfo.unit : 'km';
@@ -950,7 +1095,9 @@ class PaceCalculator extends PaceCalculatorBase {
       }
 
       // Calculate time for this split
-      const splitTime = (currentDistanceMetres / 1000) * pacePerKm;
+      const splitTime = currentDistanceMetres === distanceMetres
+        ? totalTime
+        : totalTime * getCumulativeTimeFraction(currentDistanceMetres / distanceMetres, pacing);
 
       // Format distance label
       let distanceLabel;
@@ -964,6 +1111,7 @@ class PaceCalculator extends PaceCalculatorBase {
       }
 
       splits.push({
+        distance: currentDistanceMetres,
         distanceLabel: distanceLabel,
         time: splitTime
       });
@@ -974,8 +1122,10 @@ class PaceCalculator extends PaceCalculatorBase {
 
   /**
    * Display split times table
+   * @param {Array} splits - Flat, cool-weather splits
+   * @param {Array|null} adjustedSplits - Course-adjusted splits, shown alongside
    */
-  displaySplits(splits) {
+  displaySplits(splits, adjustedSplits = null) {
     if (!splits || splits.length === 0) {
       return;
     }
@@ -995,17 +1145,37 @@ class PaceCalculator extends PaceCalculatorBase {
         <thead>
           <tr>
             <th>Distance</th>
+            <th>Split</th>
             <th>Cumulative Time</th>
+            ${adjustedSplits ? '<th>Adjusted Split</th><th>Adjusted Time</th>' : ''}
           </tr>
         </thead>
         <tbody>
     `;
 
-    splits.forEach(split => {
+    // Segment times come from the displayed cumulative times (whole seconds from a
+    // minute on), so the split columns add up to the finish times as shown
+    const displayedTime = time => (time < 60 ? time : Math.round(time));
+    splits.forEach((split, index) => {
+      const previous = index > 0 ? displayedTime(splits[index - 1].time) : 0;
+      const segmentTime = displayedTime(split.time) - previous;
+
+      let adjustedCells = '';
+      if (adjustedSplits) {
+        const adjusted = adjustedSplits[index];
+        const previousAdjusted = index > 0 ? displayedTime(adjustedSplits[index - 1].time) : 0;
+        adjustedCells = `
+          <td class="history-row__performance">${formatTotalTime(displayedTime(adjusted.time) - previousAdjusted)}</td>
+          <td class="history-row__performance">${formatTotalTime(adjusted.time)}</td>
+        `;
+      }
+
       tableHTML += `
         <tr class="history-row">
           <td>${split.distanceLabel}</td>
+          <td class="history-row__performance">${formatTotalTime(segmentTime)}</td>
           <td class="history-row__performance">${formatTotalTime(split.time)}</td>
+          ${adjustedCells}
         </tr>
       `;
     });
@@ -4,9 +4,19 @@
 
 import { Navigation } from '../components/navigation.js';
 import { BaseCalculator } from '../components/calculator-base.js';
+import { BulkScoringPanel } from '../components/bulk-scoring-panel.js';
+import { RelayPlannerPanel } from '../components/relay-planner-panel.js';
+import { TeamSelectionPanel } from '../components/team-selection-panel.js';
 import { lookupPoints, lookupPerformance, findEquivalentPerformances } from '../calculators/performance-lookup.js';
+import { lookupWindAdjustedPoints, parseWindInput, formatWind } from '../calculators/wind-adjustment.js';
+import { calculateRankingScore, formatPlace } from '../calculators/ranking-score.js';
+import { compareEditions } from '../calculators/edition-comparison.js';
+import { calculateAgeGrade } from '../calculators/age-grading.js';
 import { parsePerformance, formatPerformance } from '../utils/performance-parser.js';
 import { eventConfigLoader } from '../data/event-config-loader.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { rankingPlacingLoader } from '../data/ranking-placing-loader.js';
+import { ageFactorsLoader } from '../data/age-factors-loader.js';
 import { HistoryManager } from '../utils/history-manager.js';
 import { makeCollapsible } from '../utils/collapsible-section.js';
 import { createIcon } from '../components/icon.js';
@@ -15,15 +25,29 @@ class PerformanceCalculator extends BaseCalculator {
   constructor(selectors) {
     super(selectors);
     this.isHandTimed = false;
-    this.calculationMode = 'performance'; // 'performance' or 'score'
+    this.calculationMode = 'performance'; // 'performance', 'score', 'ranking' or 'age'
   }
 
   setupDOMElements() {
     super.setupDOMElements();
     this.handTimingContainer = document.querySelector('#hand-timing-container');
     this.handTimingCheckbox = document.querySelector('#hand-timing-checkbox');
+    this.windContainer = document.querySelector('#wind-container');
+    this.windInput = document.querySelector('#wind-input');
+    this.editionSelect = document.querySelector('#edition-select');
+    this.compareEditionsContainer = document.querySelector('#compare-editions-container');
+    this.compareEditionsCheckbox = document.querySelector('#compare-editions-checkbox');
     this.modeTogglePerformance = document.querySelector('#mode-toggle-performance');
     this.modeToggleScore = document.querySelector('#mode-toggle-score');
+    this.modeToggleRanking = document.querySelector('#mode-toggle-ranking');
+    this.rankingContainer = document.querySelector('#ranking-container');
+    this.rankingPlaceInput = document.querySelector('#ranking-place-input');
+    this.rankingRoundSelect = document.querySelector('#ranking-round-select');
+    this.rankingCategorySelect = document.querySelector('#ranking-category-select');
+    this.modeToggleAge = document.querySelector('#mode-toggle-age');
+    this.ageGradingContainer = document.querySelector('#age-grading-container');
+    this.ageInput = document.querySelector('#age-input');
+    this.ageFactorsSelect = document.querySelector('#age-factors-select');
     this.inputLabel = document.querySelector('#input-label');
     this.inputHelp = document.querySelector('#input-help');
     this.historySection = document.querySelector('#history-section');
@@ -36,6 +60,16 @@ class PerformanceCalculator extends BaseCalculator {
       this.isHandTimed = e.target.checked;
     });
 
+    this.windInput?.addEventListener('input', () => {
+      this.windInput.classList.remove('input-error');
+      this.hideError();
+    });
+    this.windInput?.addEventListener('keypress', (e) => this.handleKeyPress(e));
+
+    this.editionSelect?.addEventListener('change', (e) => {
+      this.handleEditionChange(e.target.value);
+    });
+
     // Mode toggle event listeners
     this.modeTogglePerformance?.addEventListener('click', () => {
       this.switchMode('performance');
@@ -44,10 +78,37 @@ class PerformanceCalculator extends BaseCalculator {
     this.modeToggleScore?.addEventListener('click', () => {
       this.switchMode('score');
     });
+
+    this.modeToggleRanking?.addEventListener('click', () => {
+      this.switchMode('ranking');
+    });
+
+    this.rankingPlaceInput?.addEventListener('input', () => {
+      this.rankingPlaceInput.classList.remove('input-error');
+      this.hideError();
+    });
+    this.rankingPlaceInput?.addEventListener('keypress', (e) => this.handleKeyPress(e));
+
+    this.modeToggleAge?.addEventListener('click', () => {
+      this.switchMode('age');
+    });
+
+    this.ageInput?.addEventListener('input', () => {
+      this.ageInput.classList.remove('input-error');
+      this.hideError();
+    });
+    this.ageInput?.addEventListener('keypress', (e) => this.handleKeyPress(e));
+
+    this.ageFactorsSelect?.addEventListener('change', (e) => {
+      this.handleAgeFactorsChange(e.target.value);
+    });
   }
 
   async initialize() {
+    await this.restoreEdition();
     await super.initialize();
+    this.populateEditionSelect();
+    this.initializeAgeGrading();
     Navigation.initialize();
     this.renderHistory();
     this.setupHistoryEventListeners();
@@ -59,15 +120,11 @@ class PerformanceCalculator extends BaseCalculator {
     this.calculationMode = mode;
 
     // Update toggle button states
-    if (mode === 'performance') {
-      this.modeTogglePerformance.classList.add('mode-toggle__option--active');
-      this.modeToggleScore.classList.remove('mode-toggle__option--active');
-      this.inputLabel.textContent = 'Performance';
-    } else {
-      this.modeToggleScore.classList.add('mode-toggle__option--active');
-      this.modeTogglePerformance.classList.remove('mode-toggle__option--active');
-      this.inputLabel.textContent = 'Score';
-    }
+    this.modeTogglePerformance.classList.toggle('mode-toggle__option--active', mode === 'performance');
+    this.modeToggleScore.classList.toggle('mode-toggle__option--active', mode === 'score');
+    this.modeToggleRanking.classList.toggle('mode-toggle__option--active', mode === 'ranking');
+    this.modeToggleAge.classList.toggle('mode-toggle__option--active', mode === 'age');
+    this.inputLabel.textContent = mode === 'score' ? 'Score' : 'Performance';
 
     // Clear input and hide results
     this.performanceInput.value = '';
@@ -77,6 +134,162 @@ class PerformanceCalculator extends BaseCalculator {
 
     // Update placeholder and help text based on current event
     this.updateInputPlaceholder();
+    this.updateWindVisibility();
+    this.updateRankingVisibility();
+    this.ageGradingContainer.style.display = mode === 'age' ? 'grid' : 'none';
+  }
+
+  async restoreEdition() {
+    const savedEdition = sessionStorage.getItem('selectedEdition');
+    if (!savedEdition) {
+      return;
+    }
+
+    try {
+      await scoringDataLoader.setEdition(savedEdition);
+    } catch (error) {
+      // The edition is no longer published (or the list failed to load) - use the default
+      sessionStorage.removeItem('selectedEdition');
+    }
+  }
+
+  populateEditionSelect() {
+    const editions = scoringDataLoader.getEditions();
+
+    this.editionSelect.innerHTML = '';
+    for (const edition of editions) {
+      const option = document.createElement('option');
+      option.value = edition.id;
+      option.textContent = edition.name;
+      this.editionSelect.appendChild(option);
+    }
+
+    this.editionSelect.value = scoringDataLoader.getEdition();
+    this.editionSelect.disabled = editions.length < 2;
+
+    // Comparing only makes sense with more than one edition published
+    this.compareEditionsContainer.style.display = editions.length > 1 ? 'block' : 'none';
+  }
+
+  async handleEditionChange(edition) {
+    try {
+      this.showLoading(true);
+      this.hideError();
+      this.hideResults();
+
+      await scoringDataLoader.setEdition(edition);
+      await scoringDataLoader.load();
+      sessionStorage.setItem('selectedEdition', edition);
+
+      // Older editions may not have every event
+      this.filterAvailableEvents(this.currentGender);
+      const eventStillAvailable = this.availableEvents.some(event => event.key === this.currentEvent);
+
+      if (this.currentEvent && !eventStillAvailable) {
+        this.currentEvent = null;
+        this.currentEventKey = null;
+        this.eventTriggerText.textContent = 'Select event...';
+        this.performanceInput.disabled = true;
+        this.calculateBtn.disabled = true;
+        this.updateInputPlaceholder();
+      } else if (this.currentEvent) {
+        scoringDataLoader.loadEvent(this.currentGender, this.currentEvent).catch(() => {});
+      }
+    } catch (error) {
+      console.error('Error switching scoring tables edition:', error);
+      this.editionSelect.value = scoringDataLoader.getEdition();
+      this.showError('Failed to load the selected edition of the scoring tables. Please try again.');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  async updateRankingVisibility() {
+    const showRanking = this.calculationMode === 'ranking';
+    this.rankingContainer.style.display = showRanking ? 'grid' : 'none';
+
+    if (!showRanking || rankingPlacingLoader.isDataLoaded()) {
+      return;
+    }
+
+    // Placing scores are only needed in ranking mode, so load them on first use
+    try {
+      await rankingPlacingLoader.load();
+      this.populateRankingSelects();
+    } catch (error) {
+      this.showError('Failed to load ranking placing scores. Please refresh the page.');
+    }
+  }
+
+  async initializeAgeGrading() {
+    // Age grading needs published WMA factor tables - without them the mode is shown as unavailable
+    let versions = [];
+    try {
+      await ageFactorsLoader.load();
+      versions = ageFactorsLoader.getVersions();
+    } catch (error) {
+      console.error('Error loading age factors:', error);
+    }
+
+    this.modeToggleAge.style.display = '';
+
+    if (versions.length === 0) {
+      this.modeToggleAge.disabled = true;
+      this.modeToggleAge.textContent = 'Age Graded (unavailable)';
+      this.modeToggleAge.title = 'Age factors unavailable: no WMA age factor tables have been published';
+      return;
+    }
+
+    this.ageFactorsSelect.innerHTML = '';
+    for (const version of versions) {
+      const option = document.createElement('option');
+      option.value = version.id;
+      option.textContent = version.name;
+      this.ageFactorsSelect.appendChild(option);
+    }
+    this.ageFactorsSelect.value = ageFactorsLoader.getVersion();
+    this.ageFactorsSelect.disabled = versions.length < 2;
+  }
+
+  async handleAgeFactorsChange(version) {
+    try {
+      this.hideError();
+      this.hideResults();
+      await ageFactorsLoader.setVersion(version);
+    } catch (error) {
+      this.ageFactorsSelect.value = ageFactorsLoader.getVersion();
+      this.showError('Failed to load the selected age factors. Please try again.');
+    }
+  }
+
+  populateRankingSelects() {
+    this.rankingRoundSelect.innerHTML = '';
+    for (const round of rankingPlacingLoader.getRounds()) {
+      const option = document.createElement('option');
+      option.value = round.key;
+      option.textContent = round.displayName;
+      this.rankingRoundSelect.appendChild(option);
+    }
+
+    this.rankingCategorySelect.innerHTML = '';
+    for (const category of rankingPlacingLoader.getCategories()) {
+      const option = document.createElement('option');
+      option.value = category.key;
+      option.textContent = category.displayName;
+      this.rankingCategorySelect.appendChild(option);
+    }
+  }
+
+  updateWindVisibility() {
+    // Wind only affects Performance → Score lookups for wind-measured events
+    const showWind = this.calculationMode === 'performance' &&
+      eventConfigLoader.supportsWindCorrection(this.currentEvent);
+
+    this.windContainer.style.display = showWind ? 'flex' : 'none';
+    if (!showWind) {
+      this.windInput.value = '';
+      this.windInput.classList.remove('input-error');
+    }
   }
 
   updateInputPlaceholder() {
@@ -86,7 +299,7 @@ class PerformanceCalculator extends BaseCalculator {
       return;
     }
 
-    if (this.calculationMode === 'performance') {
+    if (this.calculationMode !== 'score') {
       const eventInfo = eventConfigLoader.getEventInfo(this.currentEvent);
       if (eventInfo) {
         this.performanceInput.placeholder = eventInfo.placeholder || 'e.g., 10.5';
@@ -120,20 +333,26 @@ class PerformanceCalculator extends BaseCalculator {
       this.isHandTimed = false;
     }
 
+    // Show/hide wind input based on event support
+    this.updateWindVisibility();
+
+    // Start fetching the event's scoring table while the user types
+    scoringDataLoader.loadEvent(this.currentGender, eventKey).catch(() => {});
+
     // Update placeholder based on mode
     this.updateInputPlaceholder();
   }
 
-  handleCalculate() {
+  async handleCalculate() {
     const inputValue = this.performanceInput.value.trim();
 
     // Check if empty or no event selected
     if (!this.currentGender || !this.currentEvent || !inputValue) {
       if (!inputValue) {
         this.performanceInput.classList.add('input-error');
-        const errorMsg = this.calculationMode === 'performance'
-          ? 'Please enter a performance value.'
-          : 'Please enter a score.';
+        const errorMsg = this.calculationMode === 'score'
+          ? 'Please enter a score.'
+          : 'Please enter a performance value.';
         this.showError(errorMsg);
       }
       return;
@@ -143,12 +362,25 @@ class PerformanceCalculator extends BaseCalculator {
       this.hideError();
       this.performanceInput.classList.remove('input-error');
 
+      try {
+        await scoringDataLoader.loadEvent(this.currentGender, this.currentEvent);
+      } catch (error) {
+        this.showError('Failed to load the scoring table for this event. Please check your connection and try again.');
+        return;
+      }
+
       if (this.calculationMode === 'performance') {
         // Performance → Score mode
-        this.handlePerformanceToScore(inputValue);
-      } else {
+        await this.handlePerformanceToScore(inputValue);
+      } else if (this.calculationMode === 'score') {
         // Score → Performance mode
-        this.handleScoreToPerformance(inputValue);
+        await this.handleScoreToPerformance(inputValue);
+      } else if (this.calculationMode === 'ranking') {
+        // Ranking result score mode
+        this.handleRankingScore(inputValue);
+      } else {
+        // Masters age-graded mode
+        this.handleAgeGrade(inputValue);
       }
 
     } catch (error) {
@@ -158,7 +390,7 @@ class PerformanceCalculator extends BaseCalculator {
     }
   }
 
-  handlePerformanceToScore(performanceValue) {
+  async handlePerformanceToScore(performanceValue) {
     const normalizedPerformance = parsePerformance(performanceValue, this.currentEvent);
 
     if (!normalizedPerformance) {
@@ -175,11 +407,48 @@ class PerformanceCalculator extends BaseCalculator {
       return;
     }
 
-    const equivalents = findEquivalentPerformances(this.currentGender, result.points);
-    this.displayPerformanceResults(result, equivalents, performanceValue);
+    let windResult = null;
+    const windValue = this.windInput.value.trim();
+
+    if (windValue && eventConfigLoader.supportsWindCorrection(this.currentEvent)) {
+      const windSpeed = parseWindInput(windValue);
+
+      if (windSpeed === null) {
+        this.windInput.classList.add('input-error');
+        this.showError('Invalid wind reading. Please enter a value in m/s (e.g., +1.8 or -0.5)');
+        return;
+      }
+
+      windResult = lookupWindAdjustedPoints(
+        this.currentGender,
+        this.currentEvent,
+        normalizedPerformance,
+        windSpeed,
+        this.isHandTimed
+      );
+    }
+
+    const equivalents = await findEquivalentPerformances(this.currentGender, result.points);
+
+    let editionComparison = null;
+    if (this.compareEditionsCheckbox.checked && scoringDataLoader.getEditions().length > 1) {
+      try {
+        editionComparison = await compareEditions(
+          this.currentGender,
+          this.currentEvent,
+          normalizedPerformance,
+          this.isHandTimed
+        );
+      } catch (error) {
+        console.error('Error comparing editions:', error);
+        this.showError('Could not load every edition of the scoring tables for comparison.');
+      }
+    }
+
+    this.displayPerformanceResults(result, equivalents, performanceValue, windResult, editionComparison);
   }
 
-  handleScoreToPerformance(scoreValue) {
+  async handleScoreToPerformance(scoreValue) {
     const score = parseFloat(scoreValue);
 
     if (isNaN(score) || score <= 0) {
@@ -196,11 +465,185 @@ class PerformanceCalculator extends BaseCalculator {
       return;
     }
 
-    const equivalents = findEquivalentPerformances(this.currentGender, Math.round(score));
+    const equivalents = await findEquivalentPerformances(this.currentGender, Math.round(score));
     this.displayScoreResults(result, equivalents, Math.round(score));
   }
 
-  displayPerformanceResults(result, equivalents, originalInput) {
+  handleRankingScore(performanceValue) {
+    if (!rankingPlacingLoader.isDataLoaded()) {
+      this.showError('Ranking placing scores are still loading. Please try again.');
+      return;
+    }
+
+    const normalizedPerformance = parsePerformance(performanceValue, this.currentEvent);
+
+    if (!normalizedPerformance) {
+      this.performanceInput.classList.add('input-error');
+      this.showError('Invalid performance format. Please enter a valid number (e.g., 10.5 or 1:30.5)');
+      return;
+    }
+
+    const place = Number(this.rankingPlaceInput.value.trim());
+
+    if (!Number.isInteger(place) || place < 1) {
+      this.rankingPlaceInput.classList.add('input-error');
+      this.showError('Invalid place. Please enter a whole number of 1 or more.');
+      return;
+    }
+
+    const round = this.rankingRoundSelect.value;
+    const category = this.rankingCategorySelect.value;
+
+    if (!rankingPlacingLoader.hasRound(category, round)) {
+      this.showError(`${rankingPlacingLoader.getRoundName(round)} is not available for category ${category}.`);
+      return;
+    }
+
+    const result = calculateRankingScore(
+      this.currentGender,
+      this.currentEvent,
+      normalizedPerformance,
+      { place, round, category },
+      this.isHandTimed
+    );
+
+    if (!result) {
+      this.performanceInput.classList.add('input-error');
+      this.showError('Could not find points for this performance. Please check your input.');
+      return;
+    }
+
+    this.displayRankingResults(result);
+  }
+
+  handleAgeGrade(performanceValue) {
+    const normalizedPerformance = parsePerformance(performanceValue, this.currentEvent);
+
+    if (!normalizedPerformance) {
+      this.performanceInput.classList.add('input-error');
+      this.showError('Invalid performance format. Please enter a valid number (e.g., 10.5 or 1:30.5)');
+      return;
+    }
+
+    const age = Number(this.ageInput.value.trim());
+
+    if (!this.ageInput.value.trim() || !Number.isInteger(age) || age < 1) {
+      this.ageInput.classList.add('input-error');
+      this.showError('Invalid age. Please enter your age in whole years.');
+      return;
+    }
+
+    if (!ageFactorsLoader.supportsEvent(this.currentGender, this.currentEvent)) {
+      this.showError('There are no age factors for this event.');
+      return;
+    }
+
+    const result = calculateAgeGrade(
+      this.currentGender,
+      this.currentEvent,
+      normalizedPerformance,
+      age,
+      this.isHandTimed
+    );
+
+    if (!result) {
+      const range = ageFactorsLoader.getAgeRange(this.currentGender, this.currentEvent);
+      this.ageInput.classList.add('input-error');
+      this.showError(`The age factors for this event cover ages ${range.min} to ${range.max}.`);
+      return;
+    }
+
+    this.displayAgeGradeResults(result, normalizedPerformance);
+  }
+
+  displayAgeGradeResults(result, normalizedPerformance) {
+    this.resultsContent.innerHTML = '';
+
+    const card = document.createElement('div');
+    card.className = 'result-card';
+
+    const title = document.createElement('div');
+    title.className = 'result-card__title';
+    const eventDisplayName = eventConfigLoader.getEventInfo(this.currentEvent)?.displayName || this.currentEvent;
+    title.textContent = `${eventDisplayName} - ${this.capitalizeFirst(this.currentGender)} - Age ${result.age}`;
+
+    const percentage = document.createElement('div');
+    percentage.className = 'result-card__points';
+    percentage.textContent = `${result.percentage.toFixed(2)}%`;
+
+    const performance = formatPerformance(normalizedPerformance, this.currentEvent);
+    const ageStandard = formatPerformance(result.ageStandard.toFixed(2), this.currentEvent);
+    const openEquivalent = formatPerformance(result.ageGradedPerformance, this.currentEvent);
+    const points = result.points !== null ? `${result.points} points` : 'not in the scoring tables';
+
+    const content = document.createElement('div');
+    content.className = 'result-card__content';
+    content.innerHTML = `
+      Age factor: ${result.ageFactor.toFixed(4)}<br>
+      Age standard: ${ageStandard}<br>
+      Open-age equivalent: ${openEquivalent} (${points})
+    `;
+
+    card.appendChild(title);
+    card.appendChild(percentage);
+    card.appendChild(content);
+    this.resultsContent.appendChild(card);
+
+    this.showResults();
+
+    // Save to history
+    this.saveToHistory({
+      gender: this.currentGender,
+      event: this.currentEvent,
+      eventDisplayName,
+      performance: `${performance} (age ${result.age}, ${result.percentage.toFixed(2)}%)`,
+      score: result.points !== null ? result.points : '-'
+    });
+  }
+
+  displayRankingResults(result) {
+    this.resultsContent.innerHTML = '';
+
+    const card = document.createElement('div');
+    card.className = 'result-card';
+
+    const title = document.createElement('div');
+    title.className = 'result-card__title';
+    const eventDisplayName = eventConfigLoader.getEventInfo(this.currentEvent)?.displayName || this.currentEvent;
+    title.textContent = `${eventDisplayName} - ${this.capitalizeFirst(this.currentGender)} - Result Score`;
+
+    const points = document.createElement('div');
+    points.className = 'result-card__points';
+    points.textContent = `${result.resultScore} points`;
+
+    const performance = formatPerformance(result.lookup.closestPerformance, this.currentEvent);
+    const placing = `${formatPlace(result.place)}, ${rankingPlacingLoader.getRoundName(result.round)}, ${result.category}`;
+
+    const content = document.createElement('div');
+    content.className = 'result-card__content';
+    content.innerHTML = `
+      Performance score: ${result.performanceScore} (${performance})<br>
+      Placing score: ${result.placingScore} (${placing})
+    `;
+
+    card.appendChild(title);
+    card.appendChild(points);
+    card.appendChild(content);
+    this.resultsContent.appendChild(card);
+
+    this.showResults();
+
+    // Save to history
+    this.saveToHistory({
+      gender: this.currentGender,
+      event: this.currentEvent,
+      eventDisplayName,
+      performance: `${performance} (${placing})`,
+      score: result.resultScore
+    });
+  }
+
+  displayPerformanceResults(result, equivalents, originalInput, windResult = null, editionComparison = null) {
     this.resultsContent.innerHTML = '';
 
     // Main result card
@@ -239,6 +682,16 @@ class PerformanceCalculator extends BaseCalculator {
     mainCard.appendChild(content);
     this.resultsContent.appendChild(mainCard);
 
+    // Still-air equivalent card (only when a wind reading was entered)
+    if (windResult) {
+      this.resultsContent.appendChild(this.createWindResultCard(windResult));
+    }
+
+    // Points in each edition of the tables (only when comparing editions)
+    if (editionComparison) {
+      this.resultsContent.appendChild(this.createEditionComparisonCard(editionComparison));
+    }
+
     // Equivalent performances card
     const equivCard = document.createElement('div');
     equivCard.className = 'result-card';
@@ -280,15 +733,103 @@ class PerformanceCalculator extends BaseCalculator {
     this.showResults();
 
     // Save to history
+    const historyPerformance = formatPerformance(result.closestPerformance, this.currentEvent);
     this.saveToHistory({
       gender: this.currentGender,
       event: this.currentEvent,
       eventDisplayName: eventConfigLoader.getEventInfo(this.currentEvent)?.displayName || this.currentEvent,
-      performance: formatPerformance(result.closestPerformance, this.currentEvent),
+      performance: windResult ? `${historyPerformance} (${formatWind(windResult.windSpeed)})` : historyPerformance,
       score: result.points
     });
   }
 
+  createWindResultCard(windResult) {
+    const card = document.createElement('div');
+    card.className = 'result-card';
+
+    const title = document.createElement('div');
+    title.className = 'result-card__title';
+    title.textContent = 'Still-Air Equivalent';
+
+    const points = document.createElement('div');
+    points.className = 'result-card__points';
+    points.textContent = `${windResult.points} points`;
+
+    const content = document.createElement('div');
+    content.className = 'result-card__content';
+    const stillAir = formatPerformance(windResult.stillAirPerformance, this.currentEvent);
+    content.textContent = `Wind-adjusted performance: ${stillAir} (wind ${formatWind(windResult.windSpeed)})`;
+
+    card.appendChild(title);
+    card.appendChild(points);
+    card.appendChild(content);
+    return card;
+  }
+
+  createEditionComparisonCard(comparison) {
+    const card = document.createElement('div');
+    card.className = 'result-card';
+
+    const title = document.createElement('div');
+    title.className = 'result-card__title';
+    title.textContent = 'Scoring Table Editions';
+
+    const container = document.createElement('div');
+    container.className = 'history-table-container edition-comparison';
+
+    const table = document.createElement('table');
+    table.className = 'history-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Edition</th>
+          <th>Points</th>
+          <th>vs Selected</th>
+        </tr>
+      </thead>
+    `;
+
+    const body = document.createElement('tbody');
+    for (const entry of comparison) {
+      const row = document.createElement('tr');
+      if (entry.isSelected) {
+        row.className = 'edition-comparison__row--selected';
+      }
+
+      const editionCell = document.createElement('td');
+      editionCell.textContent = entry.name;
+
+      const pointsCell = document.createElement('td');
+      pointsCell.textContent = entry.points === null ? 'Not scored' : entry.points;
+
+      const changeCell = document.createElement('td');
+      if (entry.isSelected) {
+        changeCell.textContent = 'Selected';
+      } else if (entry.difference !== null) {
+        changeCell.textContent = entry.difference > 0 ? `+${entry.difference}` : String(entry.difference);
+        if (entry.difference !== 0) {
+          changeCell.className = entry.difference > 0
+            ? 'edition-comparison__change--up'
+            : 'edition-comparison__change--down';
+        }
+      } else {
+        changeCell.textContent = '-';
+      }
+
+      row.appendChild(editionCell);
+      row.appendChild(pointsCell);
+      row.appendChild(changeCell);
+      body.appendChild(row);
+    }
+
+    table.appendChild(body);
+    container.appendChild(table);
+
+    card.appendChild(title);
+    card.appendChild(container);
+    return card;
+  }
+
   displayScoreResults(result, equivalents, submittedScore) {
     this.resultsContent.innerHTML = '';
 
@@ -528,8 +1069,56 @@ const calculator = new PerformanceCalculator({
   errorMessage: '#error-message'
 });
 
+const bulkScoringPanel = new BulkScoringPanel({
+  csvInput: '#bulk-csv-input',
+  fileInput: '#bulk-file-input',
+  scoreBtn: '#bulk-score-btn',
+  exportBtn: '#bulk-export-btn',
+  summary: '#bulk-summary',
+  resultsContainer: '#bulk-results-container',
+  tableHead: '#bulk-table-head',
+  tableBody: '#bulk-table-body',
+  errorMessage: '#bulk-error-message'
+});
+
+const relayPlannerPanel = new RelayPlannerPanel({
+  relaySelect: '#relay-type-select',
+  genderSelect: '#relay-gender-select',
+  squadInput: '#relay-squad-input',
+  flyingStartInput: '#relay-flying-start-input',
+  exchangeInput: '#relay-exchange-input',
+  planBtn: '#relay-plan-btn',
+  summary: '#relay-summary',
+  resultsContainer: '#relay-results-container',
+  tableBody: '#relay-table-body',
+  note: '#relay-note',
+  errorMessage: '#relay-error-message'
+});
+
+const teamSelectionPanel = new TeamSelectionPanel({
+  rosterInput: '#team-roster-input',
+  maxEventsInput: '#team-max-events-input',
+  perEventInput: '#team-per-event-input',
+  relayOptions: '#team-relay-options',
+  relaysCountCheckbox: '#team-relays-count-checkbox',
+  selectBtn: '#team-select-btn',
+  summary: '#team-summary',
+  resultsContainer: '#team-results-container',
+  tableBody: '#team-table-body',
+  skipped: '#team-skipped',
+  errorMessage: '#team-error-message'
+});
+
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => calculator.initialize());
+  document.addEventListener('DOMContentLoaded', () => {
+    calculator.initialize();
+    bulkScoringPanel.initialize();
+    relayPlannerPanel.initialize();
+    teamSelectionPanel.initialize();
+  });
 } else {
   calculator.initialize();
+  bulkScoringPanel.initialize();
+  relayPlannerPanel.initialize();
+  teamSelectionPanel.initialize();
 }
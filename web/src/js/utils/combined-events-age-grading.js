@@ -0,0 +1,93 @@
+/**
+ * Combined Events Age Grading
+ *
+ * Masters combined events are scored on the open tables after age-grading each mark
+ * with the WMA age factors, so the adjustment carries through to the total:
+ * - Track events: age-graded time = time × factor (rounded up to the hundredth)
+ * - Field events: age-graded mark = mark ÷ factor (rounded down to the centimetre)
+ */
+
+/**
+ * Get the age factor event key (events_config.json) for a combined events key
+ * Hurdles are keyed '110mh' in the combined events config but '110m h' in the factor tables.
+ * @param {string} eventKey - Combined events key (e.g., '110mh', 'lj')
+ * @returns {string} Age factor event key
+ */
+export function getAgeFactorEventKey(eventKey) {
+    return eventKey.replace(/mh$/, 'm h');
+}
+
+/**
+ * Get the scale that rounds a performance to its event's precision
+ * @param {string} measurementType - 'time', 'distance', or 'height'
+ * @param {string} eventKey - Event identifier (long jump is scored in centimetres)
+ * @returns {number} 100 for hundredths of a second or centimetres in metres, 1 for whole centimetres
+ */
+function getScale(measurementType, eventKey) {
+    return measurementType === 'height' || eventKey === 'lj' ? 1 : 100;
+}
+
+/**
+ * Age-grade a performance to its open-age equivalent
+ * @param {number} value - Performance in scoring units (see calculateEventScore)
+ * @param {number} factor - WMA age factor
+ * @param {string} measurementType - 'time', 'distance', or 'height'
+ * @param {string} eventKey - Event identifier
+ * @returns {number} Age-graded performance, rounded towards the slower/shorter mark
+ */
+export function ageGradePerformance(value, factor, measurementType, eventKey) {
+    const scale = getScale(measurementType, eventKey);
+
+    if (measurementType === 'time') {
+        return Math.ceil(value * factor * scale - 1e-6) / scale;
+    }
+    return Math.floor((value / factor) * scale + 1e-6) / scale;
+}
+
+/**
+ * Find the worst actual performance that age-grades to at least an open-age mark
+ * Inverts ageGradePerformance, e.g. to turn the mark needed for some points into the
+ * mark a masters athlete needs.
+ * @param {number} value - Age-graded performance in scoring units
+ * @param {number} factor - WMA age factor
+ * @param {string} measurementType - 'time', 'distance', or 'height'
+ * @param {string} eventKey - Event identifier
+ * @returns {number} Actual performance at the event's precision
+ */
+export function removeAgeGrade(value, factor, measurementType, eventKey) {
+    const scale = getScale(measurementType, eventKey);
+
+    if (measurementType === 'time') {
+        let time = Math.floor((value / factor) * scale + 1e-6) / scale;
+        while (ageGradePerformance(time, factor, measurementType, eventKey) > value) {
+            time = Math.round((time - 1 / scale) * scale) / scale;
+        }
+        return time;
+    }
+
+    let mark = Math.ceil(value * factor * scale - 1e-6) / scale;
+    while (ageGradePerformance(mark, factor, measurementType, eventKey) < value) {
+        mark = Math.round((mark + 1 / scale) * scale) / scale;
+    }
+    return mark;
+}
+
+/**
+ * Describe an age group option for a combined event
+ * Masters age groups stay selectable without published age factors, scored on the open
+ * tables without age grading.
+ * @param {string} ageGroup - Age group (e.g., 'U18', 'Masters')
+ * @param {Object} combinedEvent - The age group's variant from combinedEventsConfigLoader.getCombinedEvent
+ * @param {boolean} hasAgeFactors - Whether WMA age factor tables are published
+ * @returns {Object} {value, label, ageGraded, factorsUnavailable}
+ */
+export function getAgeGroupOption(ageGroup, combinedEvent, hasAgeFactors) {
+    const factorsUnavailable = combinedEvent.ageGraded === true && !hasAgeFactors;
+
+    return {
+        value: ageGroup,
+        label: factorsUnavailable ? `${ageGroup} (age factors unavailable)` : ageGroup,
+        ageGraded: combinedEvent.ageGraded === true && hasAgeFactors,
+        factorsUnavailable
+    };
+}
@@ -0,0 +1,85 @@
+/**
+ * Combined Events Competition Scorer
+ *
+ * Scores a whole field event by event, in competition order:
+ * - Running totals and positions after each event (tied totals share a position)
+ * - Points behind the leader on the current total
+ * - Projected final total: points so far plus PB points for the events still to come
+ *   (events without a result or a PB add nothing)
+ */
+
+import { calculateEventScore } from './combined-events-scorer.js';
+
+/**
+ * Rank totals, highest first (tied totals share a position: 1, 1, 3)
+ * @param {Array<number>} totals
+ * @returns {Array<number>} Position for each total
+ */
+export function rankTotals(totals) {
+    return totals.map(total => totals.filter(other => other > total).length + 1);
+}
+
+/**
+ * Score a competition
+ * @param {Array<Object>} athletes - [{name, marks, pbs}], where marks and pbs map event keys
+ *   to performance values in scoring units (missing or null if not entered)
+ * @param {Array<Object>} events - [{key, parameters, measurement}] in competition order
+ * @returns {Object} {eventsCompleted, leaderTotal, athletes}, where each athlete adds
+ *   {scores, totals, positions, total, behind, position, projected}. scores, totals and
+ *   positions have one entry per event; totals and positions are null after the last
+ *   event anyone has a result in.
+ */
+export function scoreCompetition(athletes, events) {
+    const scores = athletes.map(athlete => events.map(event => {
+        const value = athlete.marks?.[event.key];
+        return value ? calculateEventScore(value, event.parameters, event.measurement) : null;
+    }));
+
+    // Events up to the last one with any result have been contested
+    const eventsCompleted = events.reduce(
+        (count, _, index) => (scores.some(row => row[index] !== null) ? index + 1 : count), 0);
+
+    const totals = scores.map(row => {
+        let runningTotal = 0;
+        return row.map((score, index) => {
+            runningTotal += score ?? 0;
+            return index < eventsCompleted ? runningTotal : null;
+        });
+    });
+
+    const positions = totals.map(() => events.map(() => null));
+    for (let index = 0; index < eventsCompleted; index++) {
+        rankTotals(totals.map(row => row[index])).forEach((position, athleteIndex) => {
+            positions[athleteIndex][index] = position;
+        });
+    }
+
+    const currentTotals = scores.map(row => row.reduce((sum, score) => sum + (score ?? 0), 0));
+    const leaderTotal = currentTotals.length > 0 ? Math.max(...currentTotals) : 0;
+    const currentPositions = rankTotals(currentTotals);
+
+    return {
+        eventsCompleted,
+        leaderTotal,
+        athletes: athletes.map((athlete, athleteIndex) => {
+            const projected = events.reduce((sum, event, index) => {
+                const score = scores[athleteIndex][index];
+                if (score !== null) return sum + score;
+
+                const pb = athlete.pbs?.[event.key];
+                return sum + (pb ? calculateEventScore(pb, event.parameters, event.measurement) : 0);
+            }, 0);
+
+            return {
+                ...athlete,
+                scores: scores[athleteIndex],
+                totals: totals[athleteIndex],
+                positions: positions[athleteIndex],
+                total: currentTotals[athleteIndex],
+                behind: leaderTotal - currentTotals[athleteIndex],
+                position: currentPositions[athleteIndex],
+                projected
+            };
+        })
+    };
+}
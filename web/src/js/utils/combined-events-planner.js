@@ -0,0 +1,101 @@
+/**
+ * Combined Events Target Planner
+ *
+ * Works back from a target total to the points, and marks, needed in each event:
+ * - Completed events are locked at the points they scored
+ * - The points still needed are shared between the remaining events, starting from the
+ *   score of each event's PB and spreading the shortfall (or surplus) evenly
+ * - Events without a PB start from the average PB score of the others, or an even share
+ *   of the points when no PBs are entered
+ */
+
+import { calculateEventScore, calculateRequiredPerformance } from './combined-events-scorer.js';
+
+/**
+ * Share points between events
+ * @param {number} points - Points to share
+ * @param {Array<number|null>} baselines - Starting points for each event (null if unknown)
+ * @returns {Array<number>} Whole points for each event, summing to points (none below 0)
+ */
+export function distributePoints(points, baselines) {
+    if (baselines.length === 0 || !(points > 0)) {
+        return baselines.map(() => 0);
+    }
+
+    const known = baselines.filter(value => value !== null);
+    const fallback = known.length > 0
+        ? known.reduce((sum, value) => sum + value, 0) / known.length
+        : points / baselines.length;
+    const starts = baselines.map(value => value ?? fallback);
+
+    // Spread the difference evenly, holding any event that would drop below zero at zero
+    let active = starts.map((_, index) => index);
+    let shares;
+    for (;;) {
+        const activeTotal = active.reduce((sum, index) => sum + starts[index], 0);
+        const difference = (points - activeTotal) / active.length;
+        shares = starts.map((start, index) => (active.includes(index) ? start + difference : 0));
+
+        const remaining = active.filter(index => shares[index] >= 0);
+        if (remaining.length === active.length) break;
+        active = remaining;
+    }
+
+    // Round down, then hand the leftover points to the largest remainders
+    const whole = shares.map(Math.floor);
+    const leftover = points - whole.reduce((sum, value) => sum + value, 0);
+    shares
+        .map((share, index) => ({ index, remainder: share - whole[index] }))
+        .sort((a, b) => b.remainder - a.remainder)
+        .slice(0, leftover)
+        .forEach(({ index }) => whole[index]++);
+
+    return whole;
+}
+
+/**
+ * Plan the marks needed to reach a target total
+ * @param {number} target - Target total points
+ * @param {Array<Object>} events - Events in order: {key, parameters, measurement, score, pb}, where
+ *   score is the points of a completed event (null if still to come) and pb is a performance
+ *   value in scoring units (null if unknown)
+ * @returns {Object} {target, lockedPoints, remainingPoints, achieved, events}, where each event
+ *   adds {locked, points, pbPoints, required}. required is the worst mark that scores the points
+ *   (null if no mark is needed, or no mark can score them).
+ * @throws {Error} If the target isn't a positive whole number
+ */
+export function planTarget(target, events) {
+    if (!Number.isInteger(target) || target < 1) {
+        throw new Error('Target total must be a whole number of points');
+    }
+
+    const lockedPoints = events
+        .filter(event => event.score !== null && event.score !== undefined)
+        .reduce((sum, event) => sum + event.score, 0);
+    const remainingPoints = Math.max(target - lockedPoints, 0);
+
+    const open = events.filter(event => event.score === null || event.score === undefined);
+    const pbPoints = open.map(event => (event.pb ? calculateEventScore(event.pb, event.parameters, event.measurement) : null));
+    const shares = distributePoints(remainingPoints, pbPoints);
+
+    const planned = events.map(event => {
+        const index = open.indexOf(event);
+        if (index === -1) {
+            return { ...event, locked: true, points: event.score, pbPoints: null, required: null };
+        }
+
+        let required = calculateRequiredPerformance(shares[index], event.parameters, event.measurement, event.key);
+        if (required !== null && required <= 0) {
+            required = null;
+        }
+        return { ...event, locked: false, points: shares[index], pbPoints: pbPoints[index], required };
+    });
+
+    return {
+        target,
+        lockedPoints,
+        remainingPoints,
+        achieved: lockedPoints >= target,
+        events: planned
+    };
+}
@@ -54,6 +54,44 @@ export function calculateEventScore(performance, parameters, measurementType) {
     return Math.floor(points);
 }
 
+/**
+ * Calculate the worst performance that still scores the given points
+ * Inverts calculateEventScore: as points are floored, the result is rounded to the
+ * event's precision (hundredths of a second, whole centimetres, or centimetres in
+ * metres for throws) in the direction that keeps the score at or above the target.
+ * @param {number} points - Target points
+ * @param {Object} parameters - Scoring parameters {a, b, c}
+ * @param {string} measurementType - 'time', 'distance', or 'height'
+ * @param {string} eventKey - Event identifier (long jump is scored in centimetres)
+ * @returns {number|null} Performance in the same units as calculateEventScore, or null
+ *   if any performance scores the points (points of 0 or less)
+ */
+export function calculateRequiredPerformance(points, parameters, measurementType, eventKey) {
+    if (!(points > 0)) {
+        return null;
+    }
+
+    const { a, b, c } = parameters;
+    const margin = Math.pow(points / a, 1 / c);
+
+    if (measurementType === 'time') {
+        // Slowest time to the hundredth: T = b - (P / a)^(1/c)
+        let time = Math.floor((b - margin) * 100 + 1e-6) / 100;
+        while (calculateEventScore(time, parameters, measurementType) < points) {
+            time = Math.round((time - 0.01) * 100) / 100;
+        }
+        return time;
+    }
+
+    // Shortest mark: M = b + (P / a)^(1/c), in whole cm or to the cm in metres
+    const scale = measurementType === 'height' || eventKey === 'lj' ? 1 : 100;
+    let mark = Math.ceil((b + margin) * scale - 1e-6) / scale;
+    while (calculateEventScore(mark, parameters, measurementType) < points) {
+        mark = Math.round((mark + 1 / scale) * scale) / scale;
+    }
+    return mark;
+}
+
 /**
  * Apply hand timing offset to a time performance
  * @param {number} time - Time in seconds
@@ -103,7 +141,7 @@ export function convertPerformanceToValue(performanceStr, measurementType, event
         }
         // Long jump uses centimeters in formula, others use meters
         if (eventKey === 'lj') {
-            return value * 100; // Convert meters to centimeters
+            return Math.round(value * 100); // Convert meters to whole centimeters
         }
         return value; // Meters for throws
     } else if (measurementType === 'height') {
@@ -113,7 +151,8 @@ export function convertPerformanceToValue(performanceStr, measurementType, event
         if (isNaN(value)) {
             return null;
         }
-        return value * 100; // Convert meters to centimeters
+        // Round to whole centimeters so float error (2.05 * 100 = 204.999...) can't cost a point
+        return Math.round(value * 100);
     }
 
     return null;
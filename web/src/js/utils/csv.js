@@ -0,0 +1,103 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 parsing and formatting (quoted fields, escaped quotes, CRLF)
+ */
+
+/**
+ * Parse CSV text into records
+ * Blank lines are skipped; each record keeps the line number it started on.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter (defaults to comma, or tab if the first line has tabs but no commas)
+ * @returns {Array<{line: number, fields: string[]}>}
+ */
+export function parseCSV(text, delimiter = null) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  if (!delimiter) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+  }
+
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    // Skip blank lines
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      records.push({ line: recordLine, fields: fields.map(f => f.trim()) });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat CRLF as a single line break
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  endRecord();
+
+  return records;
+}
+
+/**
+ * Format rows as CSV text, quoting fields where needed
+ * @param {Array<Array<string|number|boolean|null>>} rows
+ * @returns {string}
+ */
+export function toCSV(rows) {
+  return rows.map(row => row.map(formatField).join(',')).join('\r\n');
+}
+
+/**
+ * Quote a single CSV field if it contains a delimiter, quote or line break
+ * @param {string|number|boolean|null} value
+ * @returns {string}
+ */
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}